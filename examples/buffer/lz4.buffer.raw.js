@@ -23,7 +23,8 @@ console.log(`\nInput Size: ${input.length}`);
 console.log(`Compressed Block Size: ${bytesWritten}`);
 
 // 4. Decompress
-// Raw decompression requires the EXACT output buffer size to be known/allocated.
+// Raw blocks do not record their size: pass a buffer of the original size
+// (or none at all, and decompressRaw grows one until the block fits).
 const restoreBuffer = new Uint8Array(input.length);
 
 // Sig: decompressRaw(input, output)
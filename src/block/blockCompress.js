@@ -15,6 +15,51 @@ const MF_LIMIT = 12 | 0;
 const HASH_SHIFT = 18 | 0;
 const HASH_MASK = 16383 | 0;
 const HASH_MULTIPLIER = 2654435761 | 0;
+const SKIP_TRIGGER = 6 | 0;
+
+/** Default acceleration (the kernel's original skip strategy). */
+export const LZ4_ACCELERATION_DEFAULT = 1;
+
+/**
+ * Acceleration ceiling (matches `LZ4_ACCELERATION_MAX`).
+ * Values at or above it select "store only": no match search, literals are copied verbatim.
+ */
+export const LZ4_ACCELERATION_MAX = 65537;
+
+/** Largest input a single block may hold (`LZ4_MAX_INPUT_SIZE`). */
+export const LZ4_MAX_INPUT_SIZE = 0x7E000000;
+
+/**
+ * Worst-case compressed size of a block of `n` bytes (`LZ4_compressBound`).
+ * * An `output` with this much room after `outputOffset` can never be overrun by `compressBlock`
+ * or `compressBlockHC`, whatever the data (incompressible input grows by ~0.4%).
+ * @param {number} n - Input size in bytes.
+ * @returns {number} The bound, or 0 if `n` is negative or above `LZ4_MAX_INPUT_SIZE` (like the reference).
+ */
+export function compressBound(n) {
+    if (!(n >= 0 && n <= LZ4_MAX_INPUT_SIZE)) return 0;
+    return (n + (n / 255 | 0) + 16) | 0;
+}
+
+/**
+ * Indexes dictionary bytes into a `compressBlock` hash table.
+ * * Uses the kernel's own hash, so the next `compressBlock` call on the same `src` buffer
+ * can match into `src[start..end)`. This is the single dictionary loader shared by the
+ * buffer, stream, and raw compressors.
+ * @param {Int32Array} hashTable - The 16K-entry table later passed to `compressBlock`.
+ * @param {Uint8Array} src - The buffer holding the dictionary (typically followed by the input).
+ * @param {number} start - Offset of the first dictionary byte in `src`.
+ * @param {number} end - Offset just past the last dictionary byte in `src`.
+ */
+export function loadDictionary(hashTable, src, start, end) {
+    var limit = (end - 4) | 0;
+    var seq = 0 | 0;
+
+    for (var i = start | 0; i <= limit; i++) {
+        seq = (src[i] | (src[i + 1] << 8) | (src[i + 2] << 16) | (src[i + 3] << 24)) | 0;
+        hashTable[(Math.imul(seq, HASH_MULTIPLIER) >>> HASH_SHIFT) & HASH_MASK] = i + 1;
+    }
+}
 
 /**
  * Compresses a single block of data using the LZ4 algorithm.
@@ -26,18 +71,26 @@ const HASH_MULTIPLIER = 2654435761 | 0;
  * @param {number} srcLen - The length of the data to compress in this block.
  * @param {Int32Array} hashTable - A pre-allocated hash table (16k entries) for match finding.
  * @param {number} outputOffset - The starting offset in the `output` buffer to write to.
+ * @param {number} [acceleration=1] - Speed/ratio trade-off (like `LZ4_compress_fast`). Each step up
+ * makes the search skip ahead faster after misses. Values >= `LZ4_ACCELERATION_MAX` emit literals only.
  * @returns {number} The number of bytes written to the `output` buffer.
  */
-export function compressBlock(src, output, srcStart, srcLen, hashTable, outputOffset) {
+export function compressBlock(src, output, srcStart, srcLen, hashTable, outputOffset, acceleration = LZ4_ACCELERATION_DEFAULT) {
+    // Note: Resolved before `| 0` so that Infinity maps to "store only" rather than 0.
+    var accel = (acceleration >= LZ4_ACCELERATION_MAX) ? LZ4_ACCELERATION_MAX : acceleration | 0;
+    if (accel < 1) accel = 1;
+
     var sIndex = srcStart | 0;
     var sEnd = (srcStart + srcLen) | 0;
-    var mflimit = (sEnd - MF_LIMIT) | 0;
+    var mflimit = (accel === LZ4_ACCELERATION_MAX) ? sIndex : (sEnd - MF_LIMIT) | 0;
     var matchLimit = (sEnd - LAST_LITERALS) | 0;
 
     var dIndex = outputOffset | 0;
     var mAnchor = sIndex;
 
-    var searchMatchCount = (1 << 6) + 3;
+    // Misses before the step grows: 64 at acceleration 1, fewer (and bigger steps) above it
+    var searchMatchStart = ((accel << SKIP_TRIGGER) + 3) | 0;
+    var searchMatchCount = searchMatchStart;
 
     var seq = 0 | 0;
     var hash = 0 | 0;
@@ -63,12 +116,12 @@ export function compressBlock(src, output, srcStart, srcLen, hashTable, outputOf
             (src[mIndex] | (src[mIndex + 1] << 8) | (src[mIndex + 2] << 16) | (src[mIndex + 3] << 24)) !== seq) {
 
             // No match found: Skip forward
-            mStep = (searchMatchCount++ >> 6) | 0;
+            mStep = (searchMatchCount++ >> SKIP_TRIGGER) | 0;
             sIndex = (sIndex + mStep) | 0;
             continue;
         }
 
-        searchMatchCount = (1 << 6) + 3;
+        searchMatchCount = searchMatchStart;
 
         // --- Match Found: Encode Literals ---
         // Calculate the number of literal bytes (non-matching) before this match
@@ -230,4 +283,133 @@ export function compressBlock(src, output, srcStart, srcLen, hashTable, outputOf
     }
 
     return (dIndex - outputOffset) | 0;
-}
\ No newline at end of file
+}
+/**
+ * Bytes taken by a run of `litLen` literals and its length fields (token included).
+ * @param {number} litLen
+ * @returns {number}
+ */
+function literalRunSize(litLen) {
+    return litLen >= 15 ? (1 + litLen + 1 + ((litLen - 15) / 255 | 0)) | 0 : (1 + litLen) | 0;
+}
+
+/**
+ * Writes a literal length (token nibble plus extra bytes) and the literals themselves.
+ * @returns {number} The new output position.
+ */
+function writeLiterals(src, output, dIndex, anchor, litLen) {
+    var tokenPos = dIndex++;
+    if (litLen >= 15) {
+        output[tokenPos] = 0xF0;
+        var l = (litLen - 15) | 0;
+        while (l >= 255) {
+            output[dIndex++] = 255;
+            l = (l - 255) | 0;
+        }
+        output[dIndex++] = l;
+    } else {
+        output[tokenPos] = (litLen << 4);
+    }
+    if (litLen > 0) {
+        output.set(src.subarray(anchor, anchor + litLen), dIndex);
+        dIndex = (dIndex + litLen) | 0;
+    }
+    return dIndex;
+}
+
+/**
+ * Compresses as much of a block as fits in `dstCapacity` bytes (`LZ4_compress_destSize`).
+ * * Same match finder and hash table as `compressBlock`. Sequences are emitted while they fit, leaving
+ * room for the closing literals; the block then ends with as many literals as still fit. When the
+ * input is cut short, the last match starts at least 12 bytes before the end of what was consumed,
+ * so strict decoders accept the block at its exact size.
+ * @param {Uint8Array} src - The source buffer containing the raw input data.
+ * @param {Uint8Array} output - The destination buffer (needs `dstCapacity` bytes after `outputOffset`).
+ * @param {number} srcStart - The starting offset in the `src` buffer.
+ * @param {number} srcLen - The most bytes to consume.
+ * @param {Int32Array} hashTable - A 16K-entry hash table, as for `compressBlock`.
+ * @param {number} outputOffset - The starting offset in the `output` buffer to write to.
+ * @param {number} dstCapacity - Most bytes to write.
+ * @param {number} [acceleration=1] - As for `compressBlock`.
+ * @returns {{ written: number, consumed: number }} Bytes written to `output` and read from `src`.
+ */
+export function compressBlockDestSize(src, output, srcStart, srcLen, hashTable, outputOffset, dstCapacity, acceleration = LZ4_ACCELERATION_DEFAULT) {
+    if (dstCapacity < 1) return { written: 0, consumed: 0 };
+
+    var accel = (acceleration >= LZ4_ACCELERATION_MAX) ? LZ4_ACCELERATION_MAX : acceleration | 0;
+    if (accel < 1) accel = 1;
+
+    var sIndex = srcStart | 0;
+    var sEnd = (srcStart + srcLen) | 0;
+    var mflimit = (accel === LZ4_ACCELERATION_MAX) ? sIndex : (sEnd - MF_LIMIT) | 0;
+    var matchLimit = (sEnd - LAST_LITERALS) | 0;
+
+    var dIndex = outputOffset | 0;
+    var dLimit = (outputOffset + dstCapacity) | 0;
+    var mAnchor = sIndex;
+
+    var searchMatchStart = ((accel << SKIP_TRIGGER) + 3) | 0;
+    var searchMatchCount = searchMatchStart;
+
+    while (sIndex < mflimit) {
+        var seq = (src[sIndex] | (src[sIndex + 1] << 8) | (src[sIndex + 2] << 16) | (src[sIndex + 3] << 24)) | 0;
+        var hash = (Math.imul(seq, HASH_MULTIPLIER) >>> HASH_SHIFT) & HASH_MASK;
+        var mIndex = (hashTable[hash] - 1) | 0;
+        hashTable[hash] = sIndex + 1;
+
+        if (mIndex < 0 || sIndex === mIndex || ((sIndex - mIndex) >>> 16) > 0 ||
+            (src[mIndex] | (src[mIndex + 1] << 8) | (src[mIndex + 2] << 16) | (src[mIndex + 3] << 24)) !== seq) {
+            sIndex = (sIndex + (searchMatchCount++ >> SKIP_TRIGGER)) | 0;
+            continue;
+        }
+        searchMatchCount = searchMatchStart;
+
+        var sPtr = (sIndex + 4) | 0;
+        var mPtr = (mIndex + 4) | 0;
+        while (sPtr < matchLimit && src[sPtr] === src[mPtr]) {
+            sPtr = (sPtr + 1) | 0;
+            mPtr = (mPtr + 1) | 0;
+        }
+
+        // The literals and offset, plus a closing run of MF_LIMIT literals, must fit;
+        // a match whose length bytes do not is shortened to the longest that does
+        var litLen = (sIndex - mAnchor) | 0;
+        var lenCode = (sPtr - sIndex - 4) | 0;
+        var room = (dLimit - dIndex - literalRunSize(litLen) - 2 - 1 - MF_LIMIT) | 0;
+        if (room < 0) break;
+        if (lenCode >= 15 && (1 + ((lenCode - 15) / 255 | 0)) > room) {
+            lenCode = (14 + room * 255) | 0;
+            sPtr = (sIndex + 4 + lenCode) | 0;
+        }
+
+        var tokenPos = dIndex;
+        dIndex = writeLiterals(src, output, dIndex, mAnchor, litLen);
+        var offset = (sIndex - mIndex) | 0;
+        output[dIndex++] = offset & 0xff;
+        output[dIndex++] = (offset >>> 8) & 0xff;
+        if (lenCode >= 15) {
+            output[tokenPos] |= 0x0F;
+            var l = (lenCode - 15) | 0;
+            while (l >= 255) {
+                output[dIndex++] = 255;
+                l = (l - 255) | 0;
+            }
+            output[dIndex++] = l;
+        } else {
+            output[tokenPos] |= lenCode;
+        }
+
+        sIndex = sPtr;
+        mAnchor = sPtr;
+    }
+
+    // Closing literals: all that is left, or as many as fit (the reference's adjustment)
+    var lastRun = (sEnd - mAnchor) | 0;
+    if (dIndex + literalRunSize(lastRun) > dLimit) {
+        lastRun = (dLimit - dIndex - 1) | 0;
+        lastRun = (lastRun - ((lastRun + 256 - 15) / 256 | 0)) | 0;
+    }
+    dIndex = writeLiterals(src, output, dIndex, mAnchor, lastRun);
+
+    return { written: (dIndex - outputOffset) | 0, consumed: (mAnchor + lastRun - srcStart) | 0 };
+}
@@ -0,0 +1,431 @@
+/**
+ * src/block/blockCompressHC.js
+ * * @fileoverview LZ4 High-Compression (HC) Block Kernel.
+ * This module implements the LZ4HC match finder. Where `blockCompress` performs a single
+ * hash probe per position, the HC kernel keeps a **hash chain** over the 64KB window so
+ * every earlier occurrence of a sequence can be examined. Two parsers sit on top of it:
+ * - **Lazy** (levels 3-9): Defers a match by one byte whenever the next position yields a longer one.
+ * - **Optimal** (levels 10-12): Prices every literal/match path through a segment and emits the cheapest.
+ * * Search depths mirror the reference library's level table. The output is a standard LZ4
+ * block, readable by `blockDecompress` and any other LZ4 decoder.
+ * @module blockCompressHC
+ */
+
+const MIN_MATCH = 4 | 0;
+const LAST_LITERALS = 5 | 0;
+const MF_LIMIT = 12 | 0;
+const MAX_DISTANCE = 65535 | 0;
+
+const HC_HASH_TABLE_SIZE = 32768 | 0; // 1 << 15
+const HC_HASH_SHIFT = 17 | 0;         // 32 - 15
+const HC_CHAIN_SIZE = 65536 | 0;
+const HC_CHAIN_MASK = 65535 | 0;
+const HASH_MULTIPLIER = 2654435761 | 0;
+
+/** Maximum number of positions priced per optimal-parser segment (LZ4_OPT_NUM). */
+const OPT_NUM = 4096 | 0;
+const OPT_BUFFER_SIZE = (OPT_NUM + MF_LIMIT + 1) | 0;
+const PRICE_INFINITY = 0x3FFFFFFF | 0;
+
+/** Lowest level handled by the HC kernel (levels below use `blockCompress`). */
+export const LZ4HC_CLEVEL_MIN = 3;
+
+/** Level used by the reference CLI for `lz4 -9`. */
+export const LZ4HC_CLEVEL_DEFAULT = 9;
+
+/** Highest supported level; larger values are clamped. */
+export const LZ4HC_CLEVEL_MAX = 12;
+
+/**
+ * Search parameters per level (mirrors the reference `clTable`).
+ * - `maxAttempts`: Chain entries examined per position.
+ * - `sufficientLen`: (Optimal only) Match length that is emitted immediately without pricing.
+ */
+const LEVEL_PARAMS = [
+    null, null, null,
+    { maxAttempts: 4, sufficientLen: 0, optimal: false },          // 3
+    { maxAttempts: 8, sufficientLen: 0, optimal: false },          // 4
+    { maxAttempts: 16, sufficientLen: 0, optimal: false },         // 5
+    { maxAttempts: 32, sufficientLen: 0, optimal: false },         // 6
+    { maxAttempts: 64, sufficientLen: 0, optimal: false },         // 7
+    { maxAttempts: 128, sufficientLen: 0, optimal: false },        // 8
+    { maxAttempts: 256, sufficientLen: 0, optimal: false },        // 9
+    { maxAttempts: 96, sufficientLen: 64, optimal: true },         // 10
+    { maxAttempts: 512, sufficientLen: 128, optimal: true },       // 11
+    { maxAttempts: 16384, sufficientLen: OPT_NUM, optimal: true }  // 12
+];
+
+/**
+ * Match-finder state for the HC kernel.
+ * * Positions are absolute indices into the `src` buffer passed to `compressBlockHC`.
+ * Positions are inserted lazily (from `nextToUpdate` up to the current search position), so
+ * any bytes in `src` between `lowLimit` and `srcStart` (a dictionary or the previous blocks)
+ * are indexed automatically on the first search.
+ */
+export class HCMatchTable {
+    constructor() {
+        /** Head of each hash chain (position + 1, 0 = empty). */
+        this.hashTable = new Int32Array(HC_HASH_TABLE_SIZE);
+        /** Distance to the previous position with the same hash (indexed by position & 0xFFFF). */
+        this.chainTable = new Uint16Array(HC_CHAIN_SIZE);
+        this.nextToUpdate = 0;
+        this.lowLimit = 0;
+
+        // Result register for the match finder (avoids allocating {length, offset} objects)
+        this.matchOffset = 0;
+
+        // Optimal parser workspace (reused across blocks)
+        this.optPrice = new Int32Array(OPT_BUFFER_SIZE);
+        this.optLitLen = new Int32Array(OPT_BUFFER_SIZE);
+        this.optMatchLen = new Int32Array(OPT_BUFFER_SIZE);
+        this.optOffset = new Int32Array(OPT_BUFFER_SIZE);
+        this.optSequence = new Int32Array(OPT_BUFFER_SIZE);
+    }
+
+    /**
+     * Forgets all indexed positions.
+     * @param {number} [start=0] - First position of `src` that matches may reference from now on.
+     */
+    reset(start = 0) {
+        this.hashTable.fill(0);
+        this.nextToUpdate = start | 0;
+        this.lowLimit = start | 0;
+    }
+}
+
+/**
+ * Indexes every position from `table.nextToUpdate` up to (excluding) `target`.
+ * @param {HCMatchTable} table
+ * @param {Uint8Array} src
+ * @param {number} target
+ */
+function insertPositions(table, src, target) {
+    var hashTable = table.hashTable;
+    var chainTable = table.chainTable;
+    var idx = table.nextToUpdate | 0;
+
+    while (idx < target) {
+        var seq = (src[idx] | (src[idx + 1] << 8) | (src[idx + 2] << 16) | (src[idx + 3] << 24)) | 0;
+        var h = Math.imul(seq, HASH_MULTIPLIER) >>> HC_HASH_SHIFT;
+        var prev = (hashTable[h] - 1) | 0;
+        var delta = (prev < 0) ? HC_CHAIN_MASK : (idx - prev) | 0;
+        if (delta > HC_CHAIN_MASK) delta = HC_CHAIN_MASK;
+        chainTable[idx & HC_CHAIN_MASK] = delta;
+        hashTable[h] = idx + 1;
+        idx = (idx + 1) | 0;
+    }
+
+    if (target > table.nextToUpdate) table.nextToUpdate = target;
+}
+
+/**
+ * Walks the hash chain at `ip` and returns the longest match found.
+ * The match offset is stored in `table.matchOffset`.
+ * @param {HCMatchTable} table
+ * @param {Uint8Array} src
+ * @param {number} ip - Current position.
+ * @param {number} matchLimit - Matches may not extend past this position.
+ * @param {number} maxAttempts - Maximum number of chain entries to examine.
+ * @returns {number} The match length, or 0 if no match of at least MIN_MATCH exists.
+ */
+function findLongestMatch(table, src, ip, matchLimit, maxAttempts) {
+    insertPositions(table, src, ip);
+
+    var chainTable = table.chainTable;
+    var lowLimit = table.lowLimit | 0;
+    var seq = (src[ip] | (src[ip + 1] << 8) | (src[ip + 2] << 16) | (src[ip + 3] << 24)) | 0;
+    var m = (table.hashTable[Math.imul(seq, HASH_MULTIPLIER) >>> HC_HASH_SHIFT] - 1) | 0;
+    var maxLen = (matchLimit - ip) | 0;
+    var bestLen = (MIN_MATCH - 1) | 0;
+    var bestOff = 0 | 0;
+    var attempts = maxAttempts | 0;
+
+    while (m >= lowLimit && (ip - m) <= MAX_DISTANCE && attempts > 0) {
+        attempts = (attempts - 1) | 0;
+
+        // Quick reject: the byte just past the current best must match for this candidate to win
+        if (src[m + bestLen] === src[ip + bestLen] &&
+            (src[m] | (src[m + 1] << 8) | (src[m + 2] << 16) | (src[m + 3] << 24)) === seq) {
+            var len = MIN_MATCH;
+            while (len < maxLen && src[m + len] === src[ip + len]) len = (len + 1) | 0;
+
+            if (len > bestLen) {
+                bestLen = len;
+                bestOff = (ip - m) | 0;
+                if (len >= maxLen) break;
+            }
+        }
+
+        var delta = chainTable[m & HC_CHAIN_MASK];
+        if (delta === HC_CHAIN_MASK) break;
+        m = (m - delta) | 0;
+    }
+
+    table.matchOffset = bestOff;
+    return bestLen >= MIN_MATCH ? bestLen : 0;
+}
+
+/**
+ * Copies `litLen` literals starting at `anchor` into the output.
+ * @returns {number} The new output position.
+ */
+function copyLiterals(src, output, dIndex, anchor, litLen) {
+    if (litLen > 64) {
+        output.set(src.subarray(anchor, anchor + litLen), dIndex);
+        return (dIndex + litLen) | 0;
+    }
+    var litEnd = (anchor + litLen) | 0;
+    while (anchor < litEnd) output[dIndex++] = src[anchor++];
+    return dIndex;
+}
+
+/**
+ * Writes one LZ4 sequence (token, literals, offset, match length).
+ * @returns {number} The new output position.
+ */
+function writeSequence(src, output, dIndex, anchor, litLen, offset, matchLen) {
+    var tokenPos = dIndex++;
+    var l = 0 | 0;
+
+    if (litLen >= 15) {
+        output[tokenPos] = 0xF0;
+        l = (litLen - 15) | 0;
+        while (l >= 255) {
+            output[dIndex++] = 255;
+            l = (l - 255) | 0;
+        }
+        output[dIndex++] = l;
+    } else {
+        output[tokenPos] = (litLen << 4);
+    }
+
+    dIndex = copyLiterals(src, output, dIndex, anchor, litLen);
+
+    output[dIndex++] = offset & 0xff;
+    output[dIndex++] = (offset >>> 8) & 0xff;
+
+    var lenCode = (matchLen - MIN_MATCH) | 0;
+    if (lenCode >= 15) {
+        output[tokenPos] |= 0x0F;
+        l = (lenCode - 15) | 0;
+        while (l >= 255) {
+            output[dIndex++] = 255;
+            l = (l - 255) | 0;
+        }
+        output[dIndex++] = l;
+    } else {
+        output[tokenPos] |= lenCode;
+    }
+
+    return dIndex;
+}
+
+/**
+ * Writes the final literal-only sequence of a block.
+ * @returns {number} The new output position.
+ */
+function writeLastLiterals(src, output, dIndex, anchor, litLen) {
+    var tokenPos = dIndex++;
+
+    if (litLen >= 15) {
+        output[tokenPos] = 0xF0;
+        var l = (litLen - 15) | 0;
+        while (l >= 255) {
+            output[dIndex++] = 255;
+            l = (l - 255) | 0;
+        }
+        output[dIndex++] = l;
+    } else {
+        output[tokenPos] = (litLen << 4);
+    }
+
+    return copyLiterals(src, output, dIndex, anchor, litLen);
+}
+
+/**
+ * Encoded size of a literal run (bytes + length extension bytes).
+ * @param {number} litLen
+ * @returns {number}
+ */
+function literalsPrice(litLen) {
+    return litLen >= 15 ? (litLen + 1 + ((litLen - 15) / 255 | 0)) | 0 : litLen;
+}
+
+/**
+ * Encoded size of a match (token + offset + length extension bytes).
+ * @param {number} matchLen
+ * @returns {number}
+ */
+function matchPrice(matchLen) {
+    var lenCode = (matchLen - MIN_MATCH) | 0;
+    return lenCode >= 15 ? (4 + ((lenCode - 15) / 255 | 0)) | 0 : 3;
+}
+
+/**
+ * Lazy parser (levels 3-9).
+ * @returns {number} The new output position.
+ */
+function compressLazy(src, output, srcStart, srcLen, table, dIndex, maxAttempts) {
+    var ip = srcStart | 0;
+    var sEnd = (srcStart + srcLen) | 0;
+    var mflimit = (sEnd - MF_LIMIT) | 0;
+    var matchLimit = (sEnd - LAST_LITERALS) | 0;
+    var anchor = ip;
+
+    while (ip < mflimit) {
+        var len = findLongestMatch(table, src, ip, matchLimit, maxAttempts);
+        if (len === 0) {
+            ip = (ip + 1) | 0;
+            continue;
+        }
+        var offset = table.matchOffset;
+
+        // Lazy evaluation: prefer a longer match starting one byte later
+        while ((ip + 1) < mflimit) {
+            var nextLen = findLongestMatch(table, src, ip + 1, matchLimit, maxAttempts);
+            if (nextLen <= len) break;
+            ip = (ip + 1) | 0;
+            len = nextLen;
+            offset = table.matchOffset;
+        }
+
+        dIndex = writeSequence(src, output, dIndex, anchor, (ip - anchor) | 0, offset, len);
+        ip = (ip + len) | 0;
+        anchor = ip;
+    }
+
+    return writeLastLiterals(src, output, dIndex, anchor, (sEnd - anchor) | 0);
+}
+
+/**
+ * Optimal parser (levels 10-12).
+ * * Works in segments of up to OPT_NUM positions. For each position it prices the literal
+ * step and every length of the longest match, then backtracks the cheapest path.
+ * A match of at least `sufficientLen` ends the segment and is emitted immediately.
+ * @returns {number} The new output position.
+ */
+function compressOptimal(src, output, srcStart, srcLen, table, dIndex, maxAttempts, sufficientLen) {
+    var ip = srcStart | 0;
+    var sEnd = (srcStart + srcLen) | 0;
+    var mflimit = (sEnd - MF_LIMIT) | 0;
+    var matchLimit = (sEnd - LAST_LITERALS) | 0;
+    var anchor = ip;
+
+    var price = table.optPrice;
+    var litLen = table.optLitLen;
+    var mLen = table.optMatchLen;
+    var mOff = table.optOffset;
+    var sequence = table.optSequence;
+
+    while (ip < mflimit) {
+        // Match starts are allowed in [0, startLimit); the final segment also covers the
+        // positions up to matchLimit so trailing matches are not truncated.
+        var startLimit = (mflimit - ip) | 0;
+        if (startLimit > OPT_NUM) startLimit = OPT_NUM;
+        var segEnd = ((ip + startLimit) === mflimit) ? (matchLimit - ip) | 0 : startLimit;
+
+        price[0] = 0;
+        litLen[0] = (ip - anchor) | 0;
+        mLen[0] = 0;
+        for (var k = 1; k <= segEnd; k++) price[k] = PRICE_INFINITY;
+
+        var forcedLen = 0 | 0;
+        var forcedOff = 0 | 0;
+
+        for (var i = 0; i < segEnd; i++) {
+            // Literal step
+            var ll = litLen[i];
+            var p = (price[i] + literalsPrice(ll + 1) - literalsPrice(ll)) | 0;
+            if (p < price[i + 1]) {
+                price[i + 1] = p;
+                litLen[i + 1] = (ll + 1) | 0;
+                mLen[i + 1] = 0;
+            }
+
+            if (i >= startLimit) continue;
+
+            var len = findLongestMatch(table, src, ip + i, matchLimit, maxAttempts);
+            if (len === 0) continue;
+            var offset = table.matchOffset;
+
+            if (len >= sufficientLen) {
+                forcedLen = len;
+                forcedOff = offset;
+                segEnd = i;
+                break;
+            }
+
+            // Every prefix of a match is also a match at the same offset
+            var maxLen = (segEnd - i) | 0;
+            if (len > maxLen) len = maxLen;
+            for (var ml = MIN_MATCH; ml <= len; ml++) {
+                p = (price[i] + matchPrice(ml)) | 0;
+                if (p < price[i + ml]) {
+                    price[i + ml] = p;
+                    litLen[i + ml] = 0;
+                    mLen[i + ml] = ml;
+                    mOff[i + ml] = offset;
+                }
+            }
+        }
+
+        // Backtrack the cheapest path (collects match end positions in reverse order)
+        var count = 0 | 0;
+        var j = segEnd;
+        while (j > 0) {
+            if (mLen[j] > 0) {
+                sequence[count++] = j;
+                j = (j - mLen[j]) | 0;
+            } else {
+                j = (j - 1) | 0;
+            }
+        }
+
+        while (count > 0) {
+            var end = sequence[--count];
+            var matchStart = (ip + end - mLen[end]) | 0;
+            dIndex = writeSequence(src, output, dIndex, anchor, (matchStart - anchor) | 0, mOff[end], mLen[end]);
+            anchor = (ip + end) | 0;
+        }
+
+        ip = (ip + segEnd) | 0;
+
+        if (forcedLen > 0) {
+            dIndex = writeSequence(src, output, dIndex, anchor, (ip - anchor) | 0, forcedOff, forcedLen);
+            ip = (ip + forcedLen) | 0;
+            anchor = ip;
+        }
+    }
+
+    return writeLastLiterals(src, output, dIndex, anchor, (sEnd - anchor) | 0);
+}
+
+/**
+ * Compresses a single block using the LZ4HC algorithm.
+ * * Like `compressBlock`, this writes compressed sequences directly into `output` and does not
+ * handle frame headers, checksums, or memory allocation.
+ * @param {Uint8Array} src - The source buffer containing the raw input data.
+ * @param {Uint8Array} output - The destination buffer for compressed data.
+ * @param {number} srcStart - The starting offset in the `src` buffer.
+ * @param {number} srcLen - The length of the data to compress in this block.
+ * @param {HCMatchTable} table - Match-finder state. Bytes of `src` before `srcStart` that were
+ * not excluded via `table.reset()` are used as history.
+ * @param {number} outputOffset - The starting offset in the `output` buffer to write to.
+ * @param {number} [compressionLevel=9] - Compression level (3-12, clamped).
+ * @returns {number} The number of bytes written to the `output` buffer.
+ */
+export function compressBlockHC(src, output, srcStart, srcLen, table, outputOffset, compressionLevel = LZ4HC_CLEVEL_DEFAULT) {
+    var level = compressionLevel | 0;
+    if (level < LZ4HC_CLEVEL_MIN) level = LZ4HC_CLEVEL_MIN;
+    if (level > LZ4HC_CLEVEL_MAX) level = LZ4HC_CLEVEL_MAX;
+    var params = LEVEL_PARAMS[level];
+
+    var dIndex = outputOffset | 0;
+    if (params.optimal) {
+        dIndex = compressOptimal(src, output, srcStart | 0, srcLen | 0, table, dIndex, params.maxAttempts, params.sufficientLen);
+    } else {
+        dIndex = compressLazy(src, output, srcStart | 0, srcLen | 0, table, dIndex, params.maxAttempts);
+    }
+
+    return (dIndex - outputOffset) | 0;
+}
@@ -10,9 +10,13 @@
  * 2. **Loop Unrolling**: Manually unrolled loops for 8-byte and 4-byte copy operations.
  * 3. **Native Intrinsics**: Uses `output.set()` and `output.copyWithin()` for large memory moves.
  * 4. **Strict Typing**: Uses bitwise OR (`| 0`) to enforce 32-bit integer arithmetic.
+ * * Every read and write is bounds-checked against the block and the output (one comparison per
+ * sequence), so untrusted input can only ever produce an error, never an out-of-range access.
  * @module blockDecompress
  */
 
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
 /** Minimum match length defined by LZ4 spec (4 bytes). */
 const MIN_MATCH = 4 | 0;
 
@@ -25,7 +29,9 @@ const MIN_MATCH = 4 | 0;
  * @param {number} outputOffset - The start offset in the output buffer.
  * @param {Uint8Array} [dictionary] - Optional dictionary buffer for back-references (LZ4 Stream API).
  * @returns {number} The number of bytes written to the output buffer.
- * @throws {Error} If the output buffer is too small or input is malformed.
+ * @throws {LZ4Error} If the output buffer is too small (`ERR_LZ4_OUTPUT_TOO_SMALL`), the block extends past
+ * the end of `input` (`ERR_LZ4_TRUNCATED`), or the input is malformed (`ERR_LZ4_MALFORMED_BLOCK`: truncated
+ * sequence, or an offset reaching before the output and dictionary). Its `offset` is a position in `input`.
  */
 export function decompressBlock(input, inputOffset, inputSize, output, outputOffset, dictionary) {
     // V8: Use vars for hot path performance (allocates to registers/stack)
@@ -52,6 +58,8 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
     var tailOut = 0 | 0;
     var tailSrc = 0 | 0;
 
+    if (inputSize < 0 || inEnd > input.length) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Input", { offset: input.length });
+
     while (inPos < inEnd) {
         // --- 1. Read Token ---
         // The token byte contains the high nibble (literal length) and low nibble (match length)
@@ -62,6 +70,7 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
         if (literalLen === 15) {
             s = 0;
             do {
+                if (inPos >= inEnd) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Malformed Input", { offset: inPos });
                 s = input[inPos++] | 0;
                 literalLen = (literalLen + s) | 0;
             } while (s === 255);
@@ -71,8 +80,8 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
         endLit = (outPos + literalLen) | 0;
 
         // Safety Checks
-        if (endLit > outLen) throw new Error("LZ4: Output Buffer Too Small");
-        if ((inPos + literalLen) > inEnd) throw new Error("LZ4: Malformed Input");
+        if (literalLen < 0 || literalLen > (inEnd - inPos)) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Malformed Input", { offset: inPos });
+        if (endLit > outLen) throw new LZ4Error(errorCodes.OUTPUT_TOO_SMALL, "LZ4: Output Buffer Too Small", { offset: inPos });
 
         // OPTIMIZATION: Double Copy for Literals
         // If literals are >= 8 bytes, we unroll the body AND the tail.
@@ -123,20 +132,24 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
         if (inPos >= inEnd) break;
 
         // --- 4. Parse Match Offset ---
+        if ((inPos + 2) > inEnd) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Malformed Input", { offset: inPos });
         offset = (input[inPos] | (input[inPos + 1] << 8)) | 0;
         inPos = (inPos + 2) | 0;
-        if (offset === 0) throw new Error("LZ4: Invalid Offset 0");
+        if (offset === 0) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Invalid Offset 0", { offset: inPos });
 
         // --- 5. Parse Match Length ---
         matchLen = token & 0x0F;
         if (matchLen === 15) {
             s = 0;
             do {
+                if (inPos >= inEnd) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Malformed Input", { offset: inPos });
                 s = input[inPos++] | 0;
                 matchLen = (matchLen + s) | 0;
             } while (s === 255);
         }
         matchLen = (matchLen + MIN_MATCH) | 0;
+        if (matchLen < 0) throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Malformed Input", { offset: inPos });
+        if ((outPos + matchLen) > outLen) throw new LZ4Error(errorCodes.OUTPUT_TOO_SMALL, "LZ4: Output Buffer Too Small", { offset: inPos });
 
         // --- 6. Copy Match ---
         copySrc = (outPos - offset) | 0;
@@ -148,7 +161,7 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
 
             if (bytesFromDict > matchLen) bytesFromDict = matchLen;
             if (copySrc < 0 || (copySrc + bytesFromDict) > dictLen) {
-                throw new Error("LZ4: Dictionary Offset Out of Bounds");
+                throw new LZ4Error(errorCodes.MALFORMED_BLOCK, "LZ4: Dictionary Offset Out of Bounds", { offset: inPos });
             }
 
             dictIndex = copySrc;
@@ -230,8 +243,13 @@ export function decompressBlock(input, inputOffset, inputSize, output, outputOff
                     }
 
                     // Double Copy Tail
-                    // Note: We can only do this if we haven't already finished
-                    if (outPos < endMatch) {
+                    // Note: We can only do this if we haven't already finished, and only for
+                    // matches of 8+ bytes (a shorter tail would rewrite bytes before the match).
+                    if (outPos < endMatch && matchLen < 8) {
+                        while (outPos < endMatch) {
+                            output[outPos++] = output[readPtr++];
+                        }
+                    } else if (outPos < endMatch) {
                         tailOut = (endMatch - 8) | 0;
                         // Calculate readPtr for the last 8 bytes relative to current state
                         var bytesRemaining = (endMatch - outPos) | 0;
@@ -0,0 +1,210 @@
+/**
+ * src/block/blockRaw.js
+ * * Raw Block API (`LZ4.compressRaw`, `LZ4.decompressRaw`).
+ * * Public entry points for a single headerless LZ4 block. They keep the positional
+ * signatures of the kernels; `compressRaw` adds an `options` bag to select the kernel
+ * (fast or HC) without callers touching the kernels directly. `decompressRaw` also takes
+ * a short `(input, output)` form, and grows its own output when the size is unknown.
+ * `compressRawDestSize` fills a fixed output budget instead of compressing a fixed input.
+ * @module blockRaw
+ */
+
+import { compressBlock, compressBlockDestSize, compressBound, LZ4_ACCELERATION_DEFAULT, LZ4_ACCELERATION_MAX } from './blockCompress.js';
+import { compressBlockHC, HCMatchTable, LZ4HC_CLEVEL_MIN } from './blockCompressHC.js';
+import { decompressBlock } from './blockDecompress.js';
+import { resolveDictionary, getDictionaryWindow } from '../dictionary/lz4Dictionary.js';
+import { acquireCompressionContext, releaseContext } from '../shared/lz4Context.js';
+import { ensureBuffer, checkOutputSize } from '../shared/lz4Util.js';
+import { DecodeLimits } from '../shared/lz4Limits.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+/** An LZ4 sequence expands to at most 255 bytes per input byte. */
+const MAX_EXPANSION = 255;
+
+/** Smallest first guess of a growing `decompressRaw`. */
+const MIN_GROW_SIZE = 65536;
+
+/**
+ * Compresses a single raw LZ4 block (no frame header, no checksums).
+ * @param {Uint8Array} src - The source buffer.
+ * @param {Uint8Array} output - The destination buffer. With `compressBound(srcLen)` bytes free after
+ * `outputOffset` the block is written in place; a smaller one is used if the block fits.
+ * @param {number} [srcStart=0] - The starting offset in `src`.
+ * @param {number} [srcLen] - Number of bytes to compress (default: the rest of `src`).
+ * @param {Int32Array|HCMatchTable|null} [hashTable=null] - Match-finder state. The fast kernel takes a
+ * 16K-entry `Int32Array`; HC levels take an `HCMatchTable` to keep history across calls.
+ * When omitted, a cleared table of the compression context is used.
+ * @param {number} [outputOffset=0] - The starting offset in `output`.
+ * @param {Object} [options={}] - Compression settings.
+ * @param {number} [options.compressionLevel=0] - 0-2 selects the fast kernel; 3-12 selects LZ4HC.
+ * @param {number} [options.acceleration=1] - Fast kernel only. Higher is faster with a lower ratio;
+ * `Infinity` (or >= 65537) emits a literal-only block.
+ * @param {LZ4Dictionary|Uint8Array} [options.dictionary] - Dictionary to reference (only its last 64KB is used).
+ * The block must be decoded with the same dictionary: `LZ4.decompressRaw(..., dictionary)`.
+ * Any history already held in `hashTable` is discarded.
+ * @param {CompressionContext} [options.context] - Context lending its tables when `hashTable` is omitted,
+ * and its staging buffer when `output` is smaller than the bound (`LZ4.createCompressionContext`).
+ * @returns {number} The number of bytes written to `output`.
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if the compressed block does not fit in `output`.
+ */
+export function compressRaw(src, output, srcStart = 0, srcLen = src.length - srcStart, hashTable = null, outputOffset = 0, options = {}) {
+    const compressionLevel = options.compressionLevel | 0;
+    const acceleration = options.acceleration || LZ4_ACCELERATION_DEFAULT;
+    const dict = resolveDictionary(options.dictionary);
+
+    // With a dictionary, compress from a [dict | block] window so matches can reach back into it
+    let dictLen = 0;
+    if (dict) {
+        dictLen = dict.window.length;
+        const window = new Uint8Array(dictLen + srcLen);
+        window.set(dict.window, 0);
+        window.set(src.subarray(srcStart, srcStart + srcLen), dictLen);
+        src = window;
+        srcStart = dictLen;
+    }
+
+    // Store-only takes precedence over HC (the fast kernel emits the literal-only block)
+    const useHC = compressionLevel >= LZ4HC_CLEVEL_MIN && acceleration < LZ4_ACCELERATION_MAX;
+
+    // Without a table of the right kind, borrow (cleared) tables from a context
+    let context = null;
+    let table = hashTable;
+    const ownTable = useHC ? table instanceof HCMatchTable : table instanceof Int32Array;
+    // Compress in place only if the worst case fits, else stage the block in the context
+    const bound = compressBound(srcLen);
+    const direct = outputOffset + bound <= output.length;
+    if (!ownTable || !direct) context = acquireCompressionContext(options.context);
+    if (!ownTable) {
+        if (useHC) {
+            table = context.getHCTable();
+            table.reset(srcStart);
+        } else {
+            table = context.hashTable;
+            table.fill(0);
+        }
+    }
+
+    try {
+        const target = direct ? output : context.getBlockWorkspace(bound);
+        const targetOffset = direct ? outputOffset : 0;
+        let written;
+        if (useHC) {
+            if (dictLen > 0) table.reset(0);
+            written = compressBlockHC(src, target, srcStart, srcLen, table, targetOffset, compressionLevel);
+        } else {
+            if (dict) table.set(dict.hashTable);
+            written = compressBlock(src, target, srcStart, srcLen, table, targetOffset, acceleration);
+        }
+        if (!direct) {
+            checkOutputSize(output, outputOffset + written);
+            output.set(target.subarray(0, written), outputOffset);
+        }
+        return written;
+    } finally {
+        if (context) releaseContext(context);
+    }
+}
+
+/**
+ * Compresses as much of `src` as fits in `dstCapacity` bytes into a single raw block
+ * (`LZ4.compressRawDestSize`, like `LZ4_compress_destSize`), for packing data into fixed-size pages.
+ * * Uses the fast kernel (`compressionLevel` is ignored). Decode the block with `decompressRaw`;
+ * it decompresses to exactly `consumed` bytes.
+ * @param {Uint8Array|ArrayBuffer|string} src - The data to compress (from its start).
+ * @param {number} dstCapacity - Most compressed bytes to produce.
+ * @param {Object} [options={}] - Compression settings.
+ * @param {number} [options.acceleration=1] - As for `compressRaw`.
+ * @param {LZ4Dictionary|Uint8Array} [options.dictionary] - Dictionary to reference, as for `compressRaw`.
+ * @param {CompressionContext} [options.context] - Context lending its hash table.
+ * @returns {{ data: Uint8Array, consumed: number }} The block (at most `dstCapacity` bytes) and how many
+ * bytes of `src` it holds. Continue with `src.subarray(consumed)`.
+ */
+export function compressRawDestSize(src, dstCapacity, options = {}) {
+    if (!Number.isInteger(dstCapacity) || dstCapacity < 0) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: dstCapacity must be a non-negative integer, got ${dstCapacity}`);
+    }
+    let input = ensureBuffer(src);
+    const srcLen = input.length;
+    const dict = resolveDictionary(options.dictionary);
+
+    let srcStart = 0;
+    if (dict) {
+        const window = new Uint8Array(dict.window.length + srcLen);
+        window.set(dict.window, 0);
+        window.set(input, dict.window.length);
+        input = window;
+        srcStart = dict.window.length;
+    }
+
+    const output = new Uint8Array(dstCapacity);
+    const context = acquireCompressionContext(options.context);
+    try {
+        const table = context.hashTable;
+        if (dict) table.set(dict.hashTable);
+        else table.fill(0);
+        const result = compressBlockDestSize(input, output, srcStart, srcLen, table, 0, dstCapacity, options.acceleration || LZ4_ACCELERATION_DEFAULT);
+        return { data: output.subarray(0, result.written), consumed: result.consumed };
+    } finally {
+        releaseContext(context);
+    }
+}
+
+/**
+ * Decompresses a single raw LZ4 block (`LZ4.decompressRaw`).
+ * Same positional signature as the `decompressBlock` kernel, but the dictionary may also be
+ * an `LZ4Dictionary`. Two short forms decode the whole of `input`:
+ * - `decompressRaw(input, output, options)` writes to the start of `output` and returns the byte count.
+ * - `decompressRaw(input, null, options)` (or just `decompressRaw(input)`) is for blocks whose size was
+ * not recorded: the output is allocated and grown until the block fits, and the decompressed bytes are
+ * returned. `options.sizeHint` sets the first guess and `options.maxOutputSize` caps the growth.
+ * In both, `options.dictionary` is the dictionary the block was compressed with.
+ * @param {Uint8Array} input - The compressed block.
+ * @param {number|Uint8Array|null} [inputOffset] - The start offset in `input`, or the short form's output.
+ * @param {number|Object} [inputSize] - The size of the compressed block, or the short form's options.
+ * @param {Uint8Array} [output] - The destination buffer.
+ * @param {number} [outputOffset] - The start offset in `output`.
+ * @param {LZ4Dictionary|Uint8Array} [dictionary] - The dictionary the block was compressed with.
+ * @returns {number|Uint8Array} The number of bytes written to `output`, or the decompressed bytes
+ * when no output was given.
+ * @throws {LZ4Error} If the output buffer is too small, input is malformed or `maxOutputSize` is exceeded.
+ */
+export function decompressRaw(input, inputOffset, inputSize, output, outputOffset, dictionary) {
+    if (typeof inputOffset === 'number') {
+        return decompressBlock(input, inputOffset, inputSize, output, outputOffset, getDictionaryWindow(dictionary));
+    }
+    const options = inputSize || {};
+    const src = ensureBuffer(input);
+    const window = getDictionaryWindow(options.dictionary);
+    if (inputOffset) return decompressBlock(src, 0, src.length, inputOffset, 0, window);
+    return decompressGrowing(src, window, options);
+}
+
+/**
+ * Decodes a block of unknown size, doubling the output until it fits.
+ * @param {Uint8Array} src - The compressed block.
+ * @param {Uint8Array|null} window - Dictionary window.
+ * @param {Object} options - `sizeHint` and the `DecodeLimits` options.
+ * @returns {Uint8Array} The decompressed bytes.
+ */
+function decompressGrowing(src, window, options) {
+    const limits = new DecodeLimits(options);
+    const maxSize = src.length * MAX_EXPANSION + 16;
+    let capacity = Math.min(maxSize, limits.maxOutputSize, options.sizeHint > 0 ? options.sizeHint : Math.max(src.length * 4, MIN_GROW_SIZE));
+
+    while (true) {
+        const output = new Uint8Array(capacity);
+        try {
+            const written = decompressBlock(src, 0, src.length, output, 0, window);
+            return written === capacity ? output : output.slice(0, written);
+        } catch (e) {
+            if (e.code !== errorCodes.OUTPUT_TOO_SMALL) throw e;
+            // No valid block expands this far
+            if (capacity >= maxSize) {
+                e.code = errorCodes.MALFORMED_BLOCK;
+                throw e;
+            }
+        }
+        limits.checkOutput(capacity + 1);
+        capacity = Math.min(capacity * 2, maxSize, limits.maxOutputSize);
+    }
+}
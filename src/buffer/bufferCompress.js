@@ -4,122 +4,241 @@
  * * This module implements the LZ4 Frame Format (spec v1.6.1). It handles:
  * - Frame Headers (Magic Number, Flags, Block Max Size, Content Size, Dict ID)
  * - Block Management (Chunking input into blocks)
- * - Checksums (Header & Content xxHash32)
+ * - Checksums (Header, Block & Content xxHash32)
  * - Memory Management (Zero-Allocation option via pre-allocated buffers)
  * * It delegates the actual compression of raw bytes to the optimized `blockCompress` kernel.
  * @module bufferCompress
  */
 
 import { xxHash32 } from '../xxhash32/xxhash32.js';
-import { compressBlock } from '../block/blockCompress.js';
-import { ensureBuffer } from '../shared/lz4Util.js';
-
-// --- Constants & Frame Flags ---
+import { compressBlock, compressBlockDestSize, compressBound, LZ4_ACCELERATION_DEFAULT, LZ4_ACCELERATION_MAX } from '../block/blockCompress.js';
+import { compressBlockHC, LZ4HC_CLEVEL_MIN } from '../block/blockCompressHC.js';
+import { ensureBuffer, checkOutputSize } from '../shared/lz4Util.js';
+import { resolveDictionary } from '../dictionary/lz4Dictionary.js';
+import { encodeSkippableFrames } from '../frame/skippableFrame.js';
+import { compressLegacyFrame, legacyFrameBound } from '../frame/legacyFrame.js';
+import { createSeekTable, seekTableSize } from '../frame/seekableFrame.js';
+import {
+    LZ4_VERSION, BLOCK_MAX_SIZES, FLG_BLOCK_INDEP_MASK, FLG_BLOCK_CHECKSUM_MASK,
+    FLG_CONTENT_SIZE_MASK, FLG_CONTENT_CHECKSUM_MASK, FLG_DICT_ID_MASK, writeU32, getBlockId
+} from '../frame/frameDescriptor.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+import { acquireCompressionContext, releaseContext } from '../shared/lz4Context.js';
+
+// --- Constants ---
 
 const MIN_MATCH = 4 | 0;
 const HASH_LOG = 14 | 0;
-const HASH_TABLE_SIZE = 16384 | 0;
-const HASH_SHIFT = 18 | 0;
-const HASH_MASK = 16383 | 0;
-
-const LZ4_VERSION = 1;
-
-/** Flag: Blocks are independent (no dependencies on previous blocks). */
-const FLG_BLOCK_INDEPENDENCE_MASK = 0x20;
-
-/** Flag: A 32-bit Content Checksum is appended at the end of the frame. */
-const FLG_CONTENT_CHECKSUM_MASK = 0x04;
-
-/** Flag: The original content size (8 bytes) is stored in the header. */
-const FLG_CONTENT_SIZE_MASK = 0x08;
-
-/** Flag: A Dictionary ID (4 bytes) is stored in the header. */
-const FLG_DICT_ID_MASK = 0x01;
 
 /**
- * LZ4 Block Maximum Sizes.
- * Encoded as 3 bits in the Block Descriptor (BD) byte.
+ * Largest [dictionary | input] workspace kept in a context between calls (64KB window + 64KB input).
+ * Bigger inputs get a one-off buffer so a single large call does not pin memory.
  */
-const BLOCK_MAX_SIZES = {
-    4: 65536,       // 64 KB
-    5: 262144,      // 256 KB
-    6: 1048576,     // 1 MB
-    7: 4194304      // 4 MB
-};
+const DICT_WORKSPACE_MAX = 131072 | 0;
+
+// --- Helpers ---
 
 /**
- * Global Hash Table (16K Entries).
- * Reused across calls to avoid allocation overhead.
- * This makes the compressor non-reentrant but extremely fast for single-threaded execution.
+ * Worst-case size of a frame: every block stored uncompressed (the fallback caps a block at its raw size).
+ * @param {number} len - Input size in bytes.
+ * @param {number} blockSize - Resolved block maximum size.
+ * @param {number} headerSize - Magic number and frame descriptor.
+ * @param {boolean} blockChecksum
+ * @param {boolean} contentChecksum
+ * @param {boolean} seekable - Adds the seek table.
+ * @param {{ before: Uint8Array[], after: Uint8Array[] }} skippable - Encoded skippable frames.
+ * @returns {number}
  */
-const GLOBAL_HASH_TABLE = new Int32Array(HASH_TABLE_SIZE);
-
-// --- Helpers ---
+function frameSize(len, blockSize, headerSize, blockChecksum, contentChecksum, seekable, skippable) {
+    const blockCount = Math.ceil(len / blockSize);
+    let size = headerSize + len + blockCount * (blockChecksum ? 8 : 4) + 4 + (contentChecksum ? 4 : 0);
+    if (seekable) size += seekTableSize(blockCount);
+    for (const frame of skippable.before) size += frame.length;
+    for (const frame of skippable.after) size += frame.length;
+    return size;
+}
 
 /**
- * Writes a 32-bit integer to a byte array in Little Endian format.
- * @param {Uint8Array} b - Destination buffer.
- * @param {number} i - Integer to write.
- * @param {number} n - Offset.
+ * Worst-case size of the output of `compress` / `compressInto` for `len` bytes of input
+ * (`LZ4F_compressFrameBound`). A destination this large never throws `ERR_LZ4_OUTPUT_TOO_SMALL`.
+ * @param {number} len - Input size in bytes.
+ * @param {Object} [options={}] - The settings the data will be compressed with (see `compressInto`):
+ * `format`, `maxBlockSize`, `blockChecksum`, `contentChecksum`, `addContentSize`, `dictionary` and
+ * `skippableFrames`. The compression level does not change the bound.
+ * @returns {number} The bound in bytes.
  */
-function writeU32(b, i, n) {
-    b[n] = i & 0xFF;
-    b[n + 1] = (i >>> 8) & 0xFF;
-    b[n + 2] = (i >>> 16) & 0xFF;
-    b[n + 3] = (i >>> 24) & 0xFF;
+export function frameBound(len, options = {}) {
+    if (!(len >= 0)) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Input size must be a non-negative number, got ${len}`);
+    const skippable = encodeSkippableFrames(options.skippableFrames);
+    if (options.format === 'legacy') {
+        let size = legacyFrameBound(len);
+        for (const frame of skippable.before) size += frame.length;
+        for (const frame of skippable.after) size += frame.length;
+        return size;
+    }
+    const blockSize = BLOCK_MAX_SIZES[getBlockId(options.maxBlockSize === undefined ? 4194304 : options.maxBlockSize)];
+    const headerSize = 7 + (options.addContentSize === false ? 0 : 8) + (options.dictionary ? 4 : 0);
+    return frameSize(len, blockSize, headerSize, !!options.blockChecksum, !!options.contentChecksum, options.format === 'seekable', skippable);
 }
 
 /**
- * Maps a byte size to the corresponding LZ4 Block ID (4, 5, 6, or 7).
- * @param {number} bytes - Max block size in bytes.
- * @returns {number} The LZ4 Block ID.
+ * Compresses a buffer into a complete LZ4 Frame written to `output` at `offset`.
+ * * Size `output` with `frameBound`. A smaller destination works as long as the frame fits;
+ * otherwise `ERR_LZ4_OUTPUT_TOO_SMALL` is thrown (bytes past `offset` may have been written).
+ * @param {Uint8Array|ArrayBuffer|Buffer} input - The raw data to compress.
+ * @param {Uint8Array} output - The destination.
+ * @param {number} [offset=0] - Where the frame starts in `output`.
+ * @param {Object} [options={}] - The options of `compress`, plus its positional settings by name:
+ * `dictionary`, `maxBlockSize` (default 4MB), `blockIndependence`, `contentChecksum` and
+ * `addContentSize` (default true).
+ * @returns {number} The number of bytes written.
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if the frame does not fit.
  */
-function getBlockId(bytes) {
-    if (!bytes || bytes <= 65536) return 4;
-    if (bytes <= 262144) return 5;
-    if (bytes <= 1048576) return 6;
-    return 7;
+export function compressInto(input, output, offset = 0, options = {}) {
+    if (!(output instanceof Uint8Array)) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: output must be a Uint8Array");
+    if (!Number.isInteger(offset) || offset < 0 || offset > output.length) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: offset ${offset} is outside the output buffer`);
+    }
+    const frame = compressBuffer(input, options.dictionary, options.maxBlockSize, options.blockIndependence,
+        options.contentChecksum, options.addContentSize, output.subarray(offset), options);
+    return frame.length;
 }
 
 /**
  * Compresses a buffer into a complete LZ4 Frame.
  * * Optimization Features:
  * - **Zero Allocation**: If `outputBuffer` is provided, no new memory is allocated.
- * - **Static Hash Table**: Uses a shared global table to avoid GC.
+ * - **Reused Tables**: Match-finder tables come from a compression context (`options.context`, or a
+ * shared default one) to avoid GC. Safe to call re-entrantly.
  * - **Direct Write**: Passes output pointers directly to the block compressor.
  * @param {Uint8Array|ArrayBuffer|Buffer} input - The raw data to compress.
- * @param {Uint8Array} [dictionary=null] - Optional dictionary for pre-warming the compressor.
+ * @param {LZ4Dictionary|Uint8Array} [dictionary=null] - Optional dictionary for pre-warming the compressor.
+ * Pass an `LZ4Dictionary` (`LZ4.createDictionary`) to skip re-hashing it on every call.
  * @param {number} [maxBlockSize=4194304] - Maximum size of a single block (default 4MB).
  * @param {boolean} [blockIndependence=false] - If true, blocks can be decompressed independently (slightly lower ratio).
  * @param {boolean} [contentChecksum=false] - If true, adds a xxHash32 checksum of the original content at the end.
  * @param {boolean} [addContentSize=true] - If true, adds the original content size to the header (recommended).
- * @param {Uint8Array} [outputBuffer=null] - **Optimization**: A pre-allocated buffer to write the compressed data into.
- * If null, a new buffer is allocated (approx worst-case size).
+ * @param {Uint8Array} [outputBuffer=null] - **Optimization**: A pre-allocated buffer to write the compressed data into
+ * (see `frameBound`). If null, a new buffer of the worst-case size is allocated.
+ * @param {Object} [options={}] - Additional compression settings.
+ * @param {number} [options.compressionLevel=0] - 0-2 selects the fast kernel; 3-12 selects LZ4HC
+ * (hash chains with lazy parsing up to 9, optimal parsing from 10). Higher is smaller and slower.
+ * @param {number} [options.acceleration=1] - Fast kernel only (like `LZ4_compress_fast`). Higher is faster
+ * with a lower ratio; `Infinity` (or >= 65537) stores every block uncompressed.
+ * @param {boolean} [options.blockChecksum=false] - If true, follows each block with a xxHash32 of its stored
+ * bytes, so corruption is caught (and located) per block instead of only at the end of the frame.
+ * @param {Array<{nibble?: number, data: *, position?: string}>} [options.skippableFrames] - User metadata
+ * written as skippable frames (see `createSkippableFrame`), `'before'` (default) or `'after'` the LZ4 frame.
+ * @param {string} [options.format='frame'] - `'legacy'` writes the legacy format (`lz4 -l`: magic `0x184C2102`,
+ * 8MB blocks, no descriptor) for old tools and kernel images. Block size, independence, checksums and
+ * content size do not exist there and are ignored; dictionaries are rejected. `'seekable'` writes independent
+ * blocks followed by a seek table (see `openSeekable`) for random-access reads; plain decoders ignore the table.
+ * @param {CompressionContext} [options.context] - Context owning the match-finder tables
+ * (`LZ4.createCompressionContext`). Reusing one across calls allocates nothing but the output.
  * @returns {Uint8Array} A view of the compressed LZ4 Frame (either a new buffer or a subarray of `outputBuffer`).
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if the frame does not fit in `outputBuffer`.
  */
-export function compressBuffer(input, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, addContentSize = true, outputBuffer = null) {
+export function compressBuffer(input, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, addContentSize = true, outputBuffer = null, options = {}) {
     const rawInput = ensureBuffer(input);
+    const context = acquireCompressionContext(options.context);
+    try {
+        if (options.format === 'legacy') {
+            if (dictionary) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: The legacy format does not support dictionaries");
+            return compressLegacyFrame(rawInput, outputBuffer, options, context);
+        }
+        return compressFrame(rawInput, dictionary, maxBlockSize, blockIndependence, contentChecksum, addContentSize, outputBuffer, options, context, null);
+    } finally {
+        releaseContext(context);
+    }
+}
+
+/**
+ * Compresses as much of `input` as fits into a frame of at most `dstCapacity` bytes (`LZ4.compressDestSize`),
+ * the frame counterpart of `compressRawDestSize`, for fixed-size pages and packets.
+ * * Whole blocks are compressed as usual (any level). The first block that may not fit is compressed whole
+ * if the result fits, else cut to as much input as fits (with the fast kernel, or stored), and ends the frame.
+ * The content size and content checksum describe the consumed part.
+ * @param {Uint8Array|ArrayBuffer|Buffer} input - The raw data to compress (from its start).
+ * @param {number} dstCapacity - Most bytes the frame may take, skippable frames included.
+ * @param {Object} [options={}] - As for `compressInto` (`dictionary`, `maxBlockSize`, `blockIndependence`,
+ * `contentChecksum`, `addContentSize` and the options of `compress`). Only the `'frame'` format is supported.
+ * @returns {{ data: Uint8Array, consumed: number }} The frame and how many bytes of `input` it holds.
+ * Continue with `input.subarray(consumed)`.
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if not even an empty frame fits.
+ */
+export function compressDestSize(input, dstCapacity, options = {}) {
+    if (!Number.isInteger(dstCapacity) || dstCapacity < 0) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: dstCapacity must be a non-negative integer, got ${dstCapacity}`);
+    }
+    if (options.format && options.format !== 'frame') {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: compressDestSize only writes the frame format, got "${options.format}"`);
+    }
+    const rawInput = ensureBuffer(input);
+    const output = new Uint8Array(dstCapacity);
+    const fill = { consumed: 0 };
+    const context = acquireCompressionContext(options.context);
+    try {
+        const frame = compressFrame(rawInput, options.dictionary === undefined ? null : options.dictionary,
+            options.maxBlockSize === undefined ? 4194304 : options.maxBlockSize, !!options.blockIndependence,
+            !!options.contentChecksum, options.addContentSize !== false, output, options, context, fill);
+        return { data: frame, consumed: fill.consumed };
+    } finally {
+        releaseContext(context);
+    }
+}
+
+/**
+ * The body of `compressBuffer` for the frame and seekable formats.
+ * @param {Uint8Array} rawInput
+ * @param {LZ4Dictionary|Uint8Array|null} dictionary
+ * @param {number} maxBlockSize
+ * @param {boolean} blockIndependence
+ * @param {boolean} contentChecksum
+ * @param {boolean} addContentSize
+ * @param {Uint8Array|null} outputBuffer
+ * @param {Object} options
+ * @param {CompressionContext} context - Acquired by the caller.
+ * @param {{ consumed: number }|null} fill - `compressDestSize`: fit the frame into `outputBuffer` by cutting
+ * the input short, and report how much of it was used here.
+ * @returns {Uint8Array}
+ */
+function compressFrame(rawInput, dictionary, maxBlockSize, blockIndependence, contentChecksum, addContentSize, outputBuffer, options, context, fill) {
+    const seekable = options.format === 'seekable';
+    if (options.format && !seekable && options.format !== 'frame') throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Unknown format "${options.format}"`);
+    // Seekable files need every block to decode on its own
+    if (seekable) blockIndependence = true;
+    const compressionLevel = options.compressionLevel | 0;
+    const acceleration = options.acceleration || LZ4_ACCELERATION_DEFAULT;
+    const storeOnly = acceleration >= LZ4_ACCELERATION_MAX;
+    const useHC = !storeOnly && compressionLevel >= LZ4HC_CLEVEL_MIN;
+    const blockChecksum = !!options.blockChecksum;
+    const skippable = encodeSkippableFrames(options.skippableFrames);
 
     // --- Dictionary Setup ---
     let workingBuffer = rawInput;
     let inputStartOffset = 0;
     let dictLen = 0;
-    let dictId = null;
-
-    if (dictionary && dictionary.length > 0) {
-        const dictBuffer = ensureBuffer(dictionary);
-        // Calculate Dictionary ID (Hash of the dict)
-        dictId = xxHash32(dictBuffer, 0);
-
-        // LZ4 only uses the last 64KB of the dictionary
-        const dictWindow = dictBuffer.length > 65536 ? dictBuffer.subarray(dictBuffer.length - 65536) : dictBuffer;
-        dictLen = dictWindow.length;
-
-        // Create a combined view (virtually) or copy if needed
-        // For simplicity and speed in JS, we create a new buffer if dict exists
-        // (This allocation is unavoidable if we want to support dicts efficiently in blockCompress)
-        workingBuffer = new Uint8Array(dictLen + rawInput.length);
-        workingBuffer.set(dictWindow, 0);
+    let dictId = 0;
+
+    const dict = resolveDictionary(dictionary);
+    if (dict) {
+        // LZ4 only uses the last 64KB of the dictionary (already trimmed by LZ4Dictionary)
+        dictId = dict.id;
+        dictLen = dict.window.length;
+
+        // The kernel needs [dictionary | input] to be contiguous
+        const needed = dictLen + rawInput.length;
+        if (needed <= DICT_WORKSPACE_MAX) {
+            if (!context.dictWorkspace) context.dictWorkspace = new Uint8Array(DICT_WORKSPACE_MAX);
+            if (context.dictWorkspaceOwner !== dict) {
+                context.dictWorkspace.set(dict.window, 0);
+                context.dictWorkspaceOwner = dict;
+            }
+            workingBuffer = context.dictWorkspace.subarray(0, needed);
+        } else {
+            workingBuffer = new Uint8Array(needed);
+            workingBuffer.set(dict.window, 0);
+        }
         workingBuffer.set(rawInput, dictLen);
         inputStartOffset = dictLen;
     }
@@ -131,15 +250,26 @@ export function compressBuffer(input, dictionary = null, maxBlockSize = 4194304,
     // --- Output Buffer Selection ---
     let output;
     let outPos = 0 | 0;
+    const headerSize = 7 + (addContentSize ? 8 : 0) + (dictId ? 4 : 0);
 
     if (outputBuffer) {
         // Use user-provided buffer (Zero Allocation Path)
         output = outputBuffer;
     } else {
-        // Allocate worst-case size: Header + Input + 0.4% overhead + Footer
-        const worstCaseSize = (19 + len + (len / 255 | 0) + 64 + 8) | 0;
-        output = new Uint8Array(worstCaseSize);
+        // Allocate the worst-case frame, plus the kernel's overshoot on the last block so it compresses in place
+        const lastBlock = Math.min(len, resolvedBlockSize);
+        const worstCaseSize = frameSize(len, resolvedBlockSize, headerSize, blockChecksum, contentChecksum, seekable, skippable);
+        output = new Uint8Array(worstCaseSize + compressBound(lastBlock) - lastBlock);
+    }
+
+    // --- 0. Leading Skippable Frames (Metadata) ---
+    for (const frame of skippable.before) {
+        checkOutputSize(output, outPos + frame.length);
+        output.set(frame, outPos);
+        outPos = (outPos + frame.length) | 0;
     }
+    const frameStart = outPos;
+    checkOutputSize(output, frameStart + headerSize);
 
     // --- 1. Write Header ---
 
@@ -148,16 +278,17 @@ export function compressBuffer(input, dictionary = null, maxBlockSize = 4194304,
 
     // FLG Byte
     let flg = (LZ4_VERSION << 6);
-    if (blockIndependence) flg |= FLG_BLOCK_INDEPENDENCE_MASK;
+    if (blockIndependence) flg |= FLG_BLOCK_INDEP_MASK;
+    if (blockChecksum) flg |= FLG_BLOCK_CHECKSUM_MASK;
     if (contentChecksum) flg |= FLG_CONTENT_CHECKSUM_MASK;
-    if (dictId !== null) flg |= FLG_DICT_ID_MASK;
+    if (dictId) flg |= FLG_DICT_ID_MASK;
     if (addContentSize) flg |= FLG_CONTENT_SIZE_MASK;
     output[outPos++] = flg;
 
     // BD Byte
     output[outPos++] = (bdId & 0x07) << 4;
 
-    const headerStart = 4;
+    const headerStart = frameStart + 4;
 
     // Content Size (Optional)
     if (addContentSize) {
@@ -168,89 +299,204 @@ export function compressBuffer(input, dictionary = null, maxBlockSize = 4194304,
     }
 
     // Dictionary ID (Optional)
-    if (dictId !== null) {
+    if (dictId) {
         writeU32(output, dictId, outPos);
         outPos += 4;
     }
 
     // Header Checksum (xxHash32 of flags/content size/dictID)
     const headerHash = xxHash32(output.subarray(headerStart, outPos), 0);
+    const headerChecksumPos = outPos;
     output[outPos++] = (headerHash >>> 8) & 0xFF;
 
     // --- 2. Compression Loop ---
 
-    const hashTable = GLOBAL_HASH_TABLE;
-    hashTable.fill(0); // Clear table for new compression
-
-    // Pre-warm Dictionary (if present)
-    if (dictLen > 0) {
-        const mask = HASH_MASK;
-        const shift = HASH_SHIFT;
-        const limit = (dictLen - 4) | 0;
-
-        for (let i = 0; i <= limit; i++) {
-            var seq = (workingBuffer[i] | (workingBuffer[i + 1] << 8) | (workingBuffer[i + 2] << 16) | (workingBuffer[i + 3] << 24)) | 0;
-            var h = seq;
-            // Jenkins Hash (Matched to blockCompress)
-            h = (h + 2127912214 + (h << 12)) | 0;
-            h = (h ^ -949894596 ^ (h >>> 19)) | 0;
-            h = (h + 374761393 + (h << 5)) | 0;
-            h = (h + -744332180 ^ (h << 9)) | 0;
-            h = (h + -42973499 + (h << 3)) | 0;
-            h = (h ^ -1252372727 ^ (h >>> 16)) | 0;
-            var hash = (h >>> shift) & mask;
-            hashTable[hash] = i + 1;
-        }
+    const hashTable = context.hashTable;
+
+    // HC indexes the dictionary lazily on its first search, so it only needs a reset
+    let hcTable = null;
+    if (useHC) {
+        hcTable = context.getHCTable();
+        hcTable.reset(0);
+    }
+
+    // Pre-warm Dictionary (if present) by copying its precompiled table, else clear for a new frame.
+    // Independent blocks restart from the same table instead of an empty one.
+    let dictHashTable = null;
+    if (dict && !useHC) {
+        dictHashTable = dict.hashTable;
+        hashTable.set(dictHashTable);
+    } else {
+        hashTable.fill(0);
+    }
+
+    // Independent blocks may only reference the dictionary, not the previous block.
+    // Blocks after the first are compressed from a scratch copy laid out as [dictionary | block],
+    // so dictionary positions keep the same indices as in `workingBuffer`.
+    let scratch = null;
+    if (blockIndependence && dictLen > 0 && len > resolvedBlockSize) {
+        scratch = new Uint8Array(dictLen + resolvedBlockSize);
+        scratch.set(workingBuffer.subarray(0, dictLen), 0);
     }
 
     let srcPos = inputStartOffset;
     const totalEnd = inputStartOffset + len;
 
+    // Seek table entries (seekable format)
+    const compressedSizes = [];
+    const decompressedSizes = [];
+
+    // Fill mode: blocks must leave room for the footer and trailing skippable frames
+    const checksumSize = blockChecksum ? 4 : 0;
+    let fillLimit = output.length - 4 - (contentChecksum ? 4 : 0);
+    for (const frame of skippable.after) fillLimit -= frame.length;
+
     while (srcPos < totalEnd) {
-        const end = Math.min(srcPos + resolvedBlockSize, totalEnd) | 0;
+        let end = Math.min(srcPos + resolvedBlockSize, totalEnd) | 0;
         const blockSize = (end - srcPos) | 0;
 
+        let blockSrc = workingBuffer;
+        let blockStart = srcPos;
+        if (scratch && srcPos !== inputStartOffset) {
+            scratch.set(workingBuffer.subarray(srcPos, end), dictLen);
+            blockSrc = scratch;
+            blockStart = dictLen;
+        }
+
         // Reserve 4 bytes for Block Size
         const sizePos = outPos;
         outPos = (outPos + 4) | 0;
 
-        // Perform Compression directly into output buffer
-        // Returns the number of bytes written
-        const compSize = compressBlock(workingBuffer, output, srcPos, blockSize, hashTable, outPos);
-
-        if (compSize > 0 && compSize < blockSize) {
-            // Compressed Block
-            writeU32(output, compSize, sizePos);
-            outPos = (outPos + compSize) | 0;
+        // Fill mode: a block that may not fit whole ends the frame with as much of it as fits
+        if (fill && outPos + blockSize + checksumSize > fillLimit) {
+            const room = fillLimit - outPos - checksumSize;
+            let stored = 0;
+            let taken = 0;
+            let flag = 0;
+            if (room > 0 && !storeOnly) {
+                // The whole block may still compress into the room
+                const staging = context.getBlockWorkspace(compressBound(blockSize));
+                const compSize = useHC
+                    ? compressBlockHC(blockSrc, staging, blockStart, blockSize, hcTable, 0, compressionLevel)
+                    : compressBlock(blockSrc, staging, blockStart, blockSize, hashTable, 0, acceleration);
+                if (compSize > 0 && compSize <= room) {
+                    output.set(staging.subarray(0, compSize), outPos);
+                    stored = compSize;
+                    taken = blockSize;
+                } else {
+                    const part = compressBlockDestSize(blockSrc, output, blockStart, blockSize, hashTable, outPos, room, acceleration);
+                    stored = part.written;
+                    taken = part.consumed;
+                }
+            }
+            // Stored bytes hold as much input as they take: used when they hold more
+            if (room > taken) {
+                output.set(workingBuffer.subarray(srcPos, srcPos + room), outPos);
+                stored = taken = room;
+                flag = 0x80000000;
+            }
+
+            if (taken === 0) {
+                outPos = sizePos;
+                break;
+            }
+            writeU32(output, stored | flag, sizePos);
+            outPos = (outPos + stored) | 0;
+            end = (srcPos + taken) | 0;
         } else {
-            // Uncompressed Block (Fallback)
-            // Flag high bit (0x80000000) indicates uncompressed data
-            writeU32(output, blockSize | 0x80000000, sizePos);
-            output.set(workingBuffer.subarray(srcPos, end), outPos);
-            outPos = (outPos + blockSize) | 0;
+            // Perform Compression directly into output buffer when the kernel's worst case fits there,
+            // else into a staging buffer that is copied over if the result fits
+            const bound = compressBound(blockSize);
+            const direct = outPos + bound <= output.length;
+            const target = (direct || storeOnly) ? output : context.getBlockWorkspace(bound);
+            const targetPos = direct ? outPos : 0;
+
+            // Returns the number of bytes written
+            // Store-only skips the kernel (a size of 0 selects the uncompressed fallback below)
+            const compSize = storeOnly ? 0 : useHC
+                ? compressBlockHC(blockSrc, target, blockStart, blockSize, hcTable, targetPos, compressionLevel)
+                : compressBlock(blockSrc, target, blockStart, blockSize, hashTable, targetPos, acceleration);
+
+            if (compSize > 0 && compSize < blockSize) {
+                // Compressed Block
+                checkOutputSize(output, outPos + compSize + (blockChecksum ? 4 : 0));
+                if (!direct) output.set(target.subarray(0, compSize), outPos);
+                writeU32(output, compSize, sizePos);
+                outPos = (outPos + compSize) | 0;
+            } else {
+                // Uncompressed Block (Fallback)
+                // Flag high bit (0x80000000) indicates uncompressed data
+                checkOutputSize(output, outPos + blockSize + (blockChecksum ? 4 : 0));
+                writeU32(output, blockSize | 0x80000000, sizePos);
+                output.set(workingBuffer.subarray(srcPos, end), outPos);
+                outPos = (outPos + blockSize) | 0;
+            }
+        }
+
+        // Block Checksum (Optional): covers the block data as stored (compressed or not)
+        if (blockChecksum) {
+            writeU32(output, xxHash32(output.subarray(sizePos + 4, outPos), 0), outPos);
+            outPos = (outPos + 4) | 0;
         }
 
-        // If blocks are independent, clear the hash table history
+        if (seekable) {
+            compressedSizes.push(outPos - sizePos);
+            decompressedSizes.push(blockSize);
+        }
+
+        // If blocks are independent, clear the hash table history (back to the dictionary, if any)
         if (blockIndependence) {
-            hashTable.fill(0);
+            if (dictHashTable) hashTable.set(dictHashTable);
+            else hashTable.fill(0);
+            if (useHC) hcTable.reset(dictLen > 0 ? 0 : end);
         }
 
+        const cut = end - srcPos < blockSize;
         srcPos = end;
+        // Fill mode: a block cut short ends the frame
+        if (cut) break;
+    }
+
+    // Fill mode: the header describes the consumed input
+    const consumed = srcPos - inputStartOffset;
+    if (fill) {
+        fill.consumed = consumed;
+        if (addContentSize && consumed < len) {
+            writeU32(output, consumed >>> 0, headerStart + 2);
+            writeU32(output, (consumed / 4294967296) | 0, headerStart + 6);
+            output[headerChecksumPos] = (xxHash32(output.subarray(headerStart, headerChecksumPos), 0) >>> 8) & 0xFF;
+        }
     }
 
     // --- 3. Footer ---
 
     // EndMark (4 bytes of 0)
+    checkOutputSize(output, outPos + 4 + (contentChecksum ? 4 : 0));
     writeU32(output, 0, outPos);
     outPos = (outPos + 4) | 0;
 
     // Content Checksum (Optional)
     if (contentChecksum) {
-        const fullHash = xxHash32(rawInput, 0);
+        const fullHash = xxHash32(consumed < len ? rawInput.subarray(0, consumed) : rawInput, 0);
         writeU32(output, fullHash, outPos);
         outPos = (outPos + 4) | 0;
     }
 
+    // Trailing Skippable Frames (Metadata)
+    for (const frame of skippable.after) {
+        checkOutputSize(output, outPos + frame.length);
+        output.set(frame, outPos);
+        outPos = (outPos + frame.length) | 0;
+    }
+
+    // Seek Table (must end the file: readers find it from its footer)
+    if (seekable) {
+        const seekTable = createSeekTable(compressedSizes, decompressedSizes);
+        checkOutputSize(output, outPos + seekTable.length);
+        output.set(seekTable, outPos);
+        outPos = (outPos + seekTable.length) | 0;
+    }
+
     // Return the used portion of the output buffer
     return output.subarray(0, outPos);
 
@@ -6,95 +6,239 @@
  * allowing it to decompress directly into the final buffer without intermediate chunks.
  * * Features:
  * - **Frame Parsing**: Handles Magic Number, Flags (Version, Block Independence, Checksums), and Descriptors.
+ * - **Concatenated Frames**: Decodes every frame of the input in order, like the streaming decoders.
  * - **Direct Write Optimization**: If the total size is known, allocates once and writes directly.
+ * - **Caller's Buffer**: `decompressInto` writes directly into a given buffer, whether or not the size is known.
  * - **Streaming Support (Fallback)**: If size is unknown, uses a chunked approach with a rolling 64KB window.
- * - **Checksum Verification**: Validates Content Checksum (xxHash32) if enabled.
+ * - **Checksum Verification**: Validates the Header, Block and Content Checksums (xxHash32) if present.
  * @module bufferDecompress
  */
 
 import { xxHash32 } from '../xxhash32/xxhash32.js';
 import { decompressBlock } from '../block/blockDecompress.js';
-import { ensureBuffer } from '../shared/lz4Util.js';
+import { ensureBuffer, checkOutputSize } from '../shared/lz4Util.js';
+import { DictionaryLookup } from '../dictionary/dictionaryLookup.js';
+import { readSkippableFrames } from '../frame/skippableFrame.js';
+import { MAGIC_NUMBER, BLOCK_MAX_SIZES, frameDescriptorLength, checkFrameDescriptor, parseFrameDescriptor } from '../frame/frameDescriptor.js';
+import { LEGACY_MAGIC, decompressLegacyFrame } from '../frame/legacyFrame.js';
+import { DecodeLimits } from '../shared/lz4Limits.js';
+import { LZ4Error, errorCodes, locateError, locateBlockError } from '../shared/lz4Error.js';
+import { acquireDecompressionContext, releaseContext } from '../shared/lz4Context.js';
 
 // --- Constants ---
 
-/** LZ4 Magic Number (Little Endian). */
-const MAGIC_NUMBER = 0x184D2204;
+/** What `trailingData` may ask for. */
+const TRAILING_DATA_MODES = ['error', 'ignore', 'emit'];
 
-/** Supported LZ4 Version (1). */
-const LZ4_VERSION = 1;
-
-// --- Flag Masks ---
-const FLG_VERSION_MASK = 0xC0;
-const FLG_BLOCK_CHECKSUM_MASK = 0x10;
-const FLG_CONTENT_SIZE_MASK = 0x08;
-const FLG_CONTENT_CHECKSUM_MASK = 0x04;
-const FLG_DICT_ID_MASK = 0x01;
-
-/** Max Block Sizes (mapped from Block Descriptor ID). */
-const BLOCK_MAX_SIZES = { 4: 65536, 5: 262144, 6: 1048576, 7: 4194304 };
-
-/** * Shared workspace for chunked decompression.
- * Reused to avoid allocation when the output size is unknown.
- * Size: 4MB (Max Block Size).
+/**
+ * Decompresses an LZ4 Frame (or a legacy frame, detected by its magic number) into a Uint8Array.
+ * Concatenated frames are decoded in order into one result.
+ * @param {Uint8Array|ArrayBuffer|Buffer} input - The compressed LZ4 frame.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function} [dictionary=null] - The dictionary the frame was compressed with
+ * (if any), or a registry (`Map` of Dict ID to dictionary) / synchronous resolver picked by the header's Dict ID.
+ * Async resolvers need `decompressAsync` or a decompression stream.
+ * @param {boolean} [verifyChecksum=true] - If true, verifies the Block and Content Checksums (xxHash32).
+ * @param {Object} [options={}] - Additional decoding settings.
+ * @param {boolean} [options.verifyHeaderChecksum=true] - If false, skips the frame descriptor checksum
+ * (the `HC` byte). Reserved bits and block size IDs are always checked.
+ * @param {function(Uint8Array, number): void} [options.onSkippableFrame] - Called with the data and nibble of
+ * each skippable frame before, between or after the LZ4 frames (they are skipped either way).
+ * @param {boolean} [options.safe=true] - For untrusted input: rejects truncated frames, blocks larger than
+ * the descriptor's maximum, and content sizes the input cannot decode to (before allocating them) or does
+ * not decode to. `false` trusts the header and returns what a truncated frame holds; block decoding is
+ * bounds-checked either way.
+ * @param {string} [options.trailingData='ignore'] - What to do with data after the last frame that is not
+ * a frame: `'ignore'` drops it, `'error'` throws, `'emit'` appends it unchanged to the result.
+ * @param {number} [options.maxOutputSize] - Most bytes to decompress, across all frames. A larger declared
+ * content size is rejected before the output is allocated.
+ * @param {number} [options.maxBlockSize] - Rejects frames whose block size (BD maximum) is larger.
+ * @param {number} [options.maxBufferedInput] - Rejects inputs longer than this.
+ * @param {DecompressionContext} [options.context] - Context owning the block workspace and history window
+ * used when the frame has no content size (`LZ4.createDecompressionContext`). Safe to call re-entrantly.
+ * @returns {Uint8Array} The decompressed data.
+ * @throws {Error} If the Magic Number is invalid, Version is unsupported, the descriptor is malformed,
+ * a Checksum fails (block checksum errors name the block's index in the frame and its byte offset
+ * in `input`), the frame's dictionary is missing, (in safe mode) the frame is truncated or inconsistent,
+ * or a limit is exceeded.
  */
-const FALLBACK_WORKSPACE = new Uint8Array(BLOCK_MAX_SIZES[7]);
+export function decompressBuffer(input, dictionary = null, verifyChecksum = true, options = {}) {
+    const context = acquireDecompressionContext(options.context);
+    try {
+        return decompressFrames(input, dictionary, verifyChecksum, options, context, null);
+    } finally {
+        releaseContext(context);
+    }
+}
 
 /**
- * Decompresses an LZ4 Frame into a Uint8Array.
+ * Decompresses an LZ4 Frame (or a legacy frame) into `output` at `offset`, without allocating the result.
+ * * Blocks are decoded in place, so the frame needs no content size. If the frame declares one that does
+ * not fit, nothing is written; otherwise a frame that outgrows `output` stops at its end. Either way
+ * `ERR_LZ4_OUTPUT_TOO_SMALL` is thrown.
  * @param {Uint8Array|ArrayBuffer|Buffer} input - The compressed LZ4 frame.
- * @param {Uint8Array} [dictionary=null] - Optional dictionary for pre-warming (used in dependent block streams).
- * @param {boolean} [verifyChecksum=true] - If true, calculates and verifies the Content Checksum (xxHash32).
- * @returns {Uint8Array} The decompressed data.
- * @throws {Error} If the Magic Number is invalid, Version is unsupported, or Checksum fails.
+ * @param {Uint8Array} output - The destination.
+ * @param {number} [offset=0] - Where the decompressed data starts in `output`.
+ * @param {Object} [options={}] - The options of `decompress`, plus its positional settings by name:
+ * `dictionary` and `verifyChecksum` (default true). `options.context` is not needed.
+ * @returns {number} The number of bytes written.
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if the data does not fit, or any error of `decompress`.
+ */
+export function decompressInto(input, output, offset = 0, options = {}) {
+    if (!(output instanceof Uint8Array)) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: output must be a Uint8Array");
+    if (!Number.isInteger(offset) || offset < 0 || offset > output.length) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: offset ${offset} is outside the output buffer`);
+    }
+    const dictionary = options.dictionary === undefined ? null : options.dictionary;
+    return decompressFrames(input, dictionary, options.verifyChecksum !== false, options, null, output.subarray(offset)).length;
+}
+
+/**
+ * The body of `decompressBuffer` and `decompressInto`: decodes every frame of the input in order.
+ * @param {Uint8Array|ArrayBuffer|Buffer} input
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} dictionary
+ * @param {boolean} verifyChecksum
+ * @param {Object} options
+ * @param {DecompressionContext|null} context - Acquired by the caller (unused with `target`).
+ * @param {Uint8Array|null} target - The caller's destination, or null to allocate the result.
+ * @returns {Uint8Array} The decompressed data (a view of `target`, if given).
  */
-export function decompressBuffer(input, dictionary = null, verifyChecksum = true) {
+function decompressFrames(input, dictionary, verifyChecksum, options, context, target) {
     const data = ensureBuffer(input);
     const len = data.length | 0;
-    let pos = 0 | 0;
+    const onSkippableFrame = options.onSkippableFrame;
+    // Buffers may be padded or oversized, so unlike the streams the default drops what follows the frames
+    const trailingData = options.trailingData || 'ignore';
+    if (!TRAILING_DATA_MODES.includes(trailingData)) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: trailingData must be 'error', 'ignore' or 'emit', got ${trailingData}`);
+    }
+    const limits = new DecodeLimits(options);
+    limits.checkBufferedInput(len);
+    // One lookup for the whole input, so resolvers are called once per Dict ID
+    const dictionaries = new DictionaryLookup(dictionary);
+
+    const results = [];
+    let total = 0;
+    let pos = 0;
+    for (let frameIndex = 0; ; frameIndex++) {
+        // Skippable Frames (Metadata) before, between and after the LZ4 frames
+        pos = readSkippableFrames(data, pos, onSkippableFrame) | 0;
+
+        // Anything after the first frame that is not a frame is trailing data
+        if (frameIndex > 0) {
+            if (pos >= len) break;
+            const magic = pos + 4 > len ? 0 : (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+            if (magic !== MAGIC_NUMBER && magic !== LEGACY_MAGIC) {
+                if (trailingData === 'error') throw new LZ4Error(errorCodes.MAGIC, "LZ4: Invalid Magic Number", { frameIndex, offset: pos });
+                if (trailingData === 'emit') {
+                    const rest = data.subarray(pos);
+                    limits.checkOutput(total + rest.length, { frameIndex, offset: pos });
+                    if (target) {
+                        checkOutputSize(target, total + rest.length);
+                        target.set(rest, total);
+                    } else {
+                        results.push(rest.slice());
+                    }
+                    total += rest.length;
+                }
+                break;
+            }
+        }
+
+        const frame = decompressFrame(data, pos, frameIndex, dictionaries, verifyChecksum, options, limits, total, context,
+            target ? target.subarray(total) : null);
+        if (!target) results.push(frame.data);
+        total += frame.data.length;
+        pos = frame.end;
+    }
+
+    if (target) return target.subarray(0, total);
+    if (results.length === 1) return results[0];
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const r of results) {
+        result.set(r, offset);
+        offset += r.length;
+    }
+    return result;
+}
+
+/**
+ * Decodes the frame (or legacy frame) at `frameStart`.
+ * @param {Uint8Array} data
+ * @param {number} frameStart - Offset of the magic number.
+ * @param {number} frameIndex - Index of the frame in the input (reported by errors).
+ * @param {DictionaryLookup} dictionaries
+ * @param {boolean} verifyChecksum
+ * @param {Object} options
+ * @param {DecodeLimits} limits
+ * @param {number} outputBase - Bytes decoded from earlier frames (counted by `limits`).
+ * @param {DecompressionContext|null} context - Acquired by the caller (unused with `target`).
+ * @param {Uint8Array|null} target - The caller's destination (past earlier frames), or null to allocate.
+ * @returns {{ data: Uint8Array, end: number }} The decompressed data (a view of `target`, if given) and
+ * the offset after the frame.
+ */
+function decompressFrame(data, frameStart, frameIndex, dictionaries, verifyChecksum, options, limits, outputBase, context, target) {
+    const len = data.length | 0;
+    const safe = options.safe !== false;
+    let pos = frameStart;
 
     // --- 1. Header Parsing ---
 
     // Magic Number Check (Inline ReadU32)
-    if (len < 4 || ((data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0) !== MAGIC_NUMBER) {
-        throw new Error("LZ4: Invalid Magic Number");
-    }
+    const magic = len < pos + 4 ? 0 : (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+    if (magic === LEGACY_MAGIC) return decompressLegacyFrame(data, pos + 4, frameIndex, limits, outputBase, context, target);
+    if (magic !== MAGIC_NUMBER) throw new LZ4Error(errorCodes.MAGIC, "LZ4: Invalid Magic Number", { frameIndex, offset: pos });
     pos += 4;
-
-    // FLG (Flags) Byte
-    const flg = data[pos++];
-    const version = (flg & FLG_VERSION_MASK) >> 6;
-    if (version !== LZ4_VERSION) throw new Error(`LZ4: Unsupported Version ${version}`);
-
-    const hasBlockChecksum = (flg & FLG_BLOCK_CHECKSUM_MASK) !== 0;
-    const hasContentSize = (flg & FLG_CONTENT_SIZE_MASK) !== 0;
-    const hasContentChecksum = (flg & FLG_CONTENT_CHECKSUM_MASK) !== 0;
-    const hasDictId = (flg & FLG_DICT_ID_MASK) !== 0;
-
-    // BD (Block Descriptor) Byte
-    pos++;
-
-    // Content Size (Optional)
-    let expectedOutputSize = 0;
-    if (hasContentSize) {
-        // Inline ReadU32 (Low) + ReadU32 (High)
-        const low = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
-        const high = (data[pos + 4] | (data[pos + 5] << 8) | (data[pos + 6] << 16) | (data[pos + 7] << 24)) >>> 0;
-        pos = (pos + 8) | 0;
-        // Combine 64-bit size (Max 9PB in JS)
-        expectedOutputSize = (high * 4294967296) + low;
+    if (pos + 3 > len) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Frame", { frameIndex, offset: len });
+
+    // Frame Descriptor (FLG, BD, Content Size, Dictionary ID, Header Checksum)
+    checkFrameDescriptor(data[pos], data[pos + 1], { frameIndex, offset: pos });
+    const blockMaxSize = BLOCK_MAX_SIZES[(data[pos + 1] >> 4) & 0x07];
+    limits.checkBlockSize(blockMaxSize, { frameIndex, offset: pos + 1 });
+    const descriptorLength = frameDescriptorLength(data[pos]);
+    if (pos + descriptorLength > len) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Frame", { frameIndex, offset: len });
+
+    const descriptor = parseFrameDescriptor(data, pos);
+    const blockIndependence = descriptor.blockIndependence;
+    const hasBlockChecksum = descriptor.blockChecksum;
+    const hasContentSize = descriptor.contentSize !== null;
+    const hasContentChecksum = descriptor.contentChecksum;
+    const dictId = descriptor.dictId;
+    const expectedOutputSize = hasContentSize ? descriptor.contentSize : 0;
+    if (hasContentSize) limits.checkOutput(outputBase + expectedOutputSize, { frameIndex, offset: pos + 2 });
+
+    pos += descriptorLength;
+    if (options.verifyHeaderChecksum !== false && !descriptor.headerChecksumValid) {
+        throw new LZ4Error(errorCodes.HEADER_CHECKSUM, "LZ4: Header Checksum Error", { frameIndex, offset: pos - 1 });
     }
 
-    // Dictionary ID (Optional)
-    if (hasDictId) pos += 4;
-
-    // Header Checksum
-    pos++;
+    let dict;
+    try {
+        dict = dictionaries.lookup(dictId);
+    } catch (e) {
+        throw locateError(e, { frameIndex, offset: frameStart + 4 });
+    }
+    if (dict && typeof dict.then === 'function') {
+        dict.catch(() => {}); // Abandoned: must not surface as an unhandled rejection
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Async dictionary resolvers require decompressAsync or a decompression stream");
+    }
+    // Only the last 64KB can be referenced; this is all the decoder needs from a dictionary
+    const dictWindow = dict ? dict.window : null;
 
     // --- 2. Setup Decompression Strategy ---
 
+    // An LZ4 sequence expands to at most 255 bytes per input byte: larger declared sizes are forged,
+    // and must not be allocated
+    if (safe && expectedOutputSize > (len - pos) * 255) {
+        throw new LZ4Error(errorCodes.CONTENT_SIZE, `LZ4: Declared content size (${expectedOutputSize} bytes) exceeds what the input can decode to`, {
+            frameIndex,
+            offset: frameStart + 6
+        });
+    }
+
     // Direct Write Optimization: If we know the size, we allocate ONCE and write directly.
-    const useDirectWrite = (expectedOutputSize > 0);
+    // A caller's buffer is always written directly; only a declared size makes overflowing it malformed.
+    const useDirectWrite = target !== null || expectedOutputSize > 0;
 
     let result = null;
     let resultPos = 0;
@@ -103,34 +247,45 @@ export function decompressBuffer(input, dictionary = null, verifyChecksum = true
     let windowPos = 0;
     const WINDOW_SIZE = 65536;
 
-    if (useDirectWrite) {
+    if (target) {
+        if (hasContentSize && expectedOutputSize > target.length) {
+            throw new LZ4Error(errorCodes.OUTPUT_TOO_SMALL, `LZ4: Output Buffer Too Small (frame declares ${expectedOutputSize} bytes, ${target.length} available)`, {
+                frameIndex,
+                offset: frameStart + 6
+            });
+        }
+        result = hasContentSize ? target.subarray(0, expectedOutputSize) : target;
+    } else if (useDirectWrite) {
         result = new Uint8Array(expectedOutputSize);
     } else {
         // Unknown Size: Use Chunk Accumulation
         outputChunks = [];
-        window = new Uint8Array(WINDOW_SIZE); // Rolling window for back-references
+        window = context.getWindow(); // Rolling window for back-references
 
         // Initialize Dictionary
-        if (dictionary) {
-            const dLen = dictionary.length;
-            if (dLen > WINDOW_SIZE) {
-                window.set(dictionary.subarray(dLen - WINDOW_SIZE), 0);
-                windowPos = WINDOW_SIZE;
-            } else {
-                window.set(dictionary, 0);
-                windowPos = dLen;
-            }
+        if (dictWindow) {
+            window.set(dictWindow, 0);
+            windowPos = dictWindow.length;
         }
     }
 
-    // Workspace for block decompression (if not Direct Write)
-    let workspace = FALLBACK_WORKSPACE;
-    // Ensure workspace is large enough (rare edge case where max block size changes)
-    if (workspace.length < BLOCK_MAX_SIZES[7]) workspace = new Uint8Array(BLOCK_MAX_SIZES[7]);
+    // Workspace for block decompression (if not Direct Write), sized to the frame's blocks
+    // (unsafe mode also decodes oversized blocks, up to the format's 4MB maximum)
+    const workspace = useDirectWrite ? null : context.getWorkspace(safe ? blockMaxSize : BLOCK_MAX_SIZES[7]);
 
     // --- 3. Block Loop ---
 
-    while (pos < len) {
+    let blockIndex = 0;
+    let truncated = false;
+
+    while (true) {
+        const blockStart = pos;
+        if (pos + 4 > len) {
+            if (safe) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Frame (missing EndMark)", { frameIndex, blockIndex, offset: pos });
+            truncated = true;
+            break;
+        }
+
         // Read Block Size
         const blockSize = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
         pos += 4;
@@ -142,27 +297,87 @@ export function decompressBuffer(input, dictionary = null, verifyChecksum = true
         const isUncompressed = (blockSize & 0x80000000) !== 0;
         const actualSize = blockSize & 0x7FFFFFFF;
 
+        if (safe && actualSize > blockMaxSize) {
+            throw new LZ4Error(errorCodes.MALFORMED_BLOCK, `LZ4: Block size ${actualSize} exceeds the frame maximum of ${blockMaxSize} (block ${blockIndex} at offset ${blockStart})`, {
+                frameIndex,
+                blockIndex,
+                offset: blockStart
+            });
+        }
+        if (pos + actualSize + (hasBlockChecksum ? 4 : 0) > len) {
+            if (safe) {
+                throw new LZ4Error(errorCodes.TRUNCATED, `LZ4: Truncated Block (block ${blockIndex} at offset ${blockStart})`, {
+                    frameIndex,
+                    blockIndex,
+                    offset: blockStart
+                });
+            }
+            truncated = true;
+            break;
+        }
+
+        // Block Checksum: checked before decoding, so corrupt data is never decompressed
+        if (hasBlockChecksum && verifyChecksum) {
+            const checksumPos = pos + actualSize;
+            const storedBlockHash = (data[checksumPos] | (data[checksumPos + 1] << 8) | (data[checksumPos + 2] << 16) | (data[checksumPos + 3] << 24)) >>> 0;
+            if (storedBlockHash !== xxHash32(data.subarray(pos, checksumPos), 0)) {
+                throw new LZ4Error(errorCodes.BLOCK_CHECKSUM, `LZ4: Block Checksum Error (block ${blockIndex} at offset ${blockStart})`, {
+                    frameIndex,
+                    blockIndex,
+                    offset: blockStart
+                });
+            }
+        }
+
         if (useDirectWrite) {
             // --- Strategy A: Direct Write ---
             if (isUncompressed) {
+                if (resultPos + actualSize > result.length) {
+                    throw new LZ4Error(hasContentSize ? errorCodes.MALFORMED_BLOCK : errorCodes.OUTPUT_TOO_SMALL, "LZ4: Output Buffer Too Small", {
+                        frameIndex,
+                        blockIndex,
+                        offset: blockStart
+                    });
+                }
                 result.set(data.subarray(pos, pos + actualSize), resultPos);
                 resultPos += actualSize;
             } else {
                 // Decompress directly into the final buffer
                 // This is the fastest path (Zero Allocation)
-                const bytes = decompressBlock(data, pos, actualSize, result, resultPos, dictionary);
+                // Independent blocks decode into a view starting at the block, so any
+                // back-reference before it resolves into the dictionary.
+                let bytes;
+                try {
+                    bytes = blockIndependence
+                        ? decompressBlock(data, pos, actualSize, result.subarray(resultPos), 0, dictWindow)
+                        : decompressBlock(data, pos, actualSize, result, resultPos, dictWindow);
+                } catch (e) {
+                    // Without a declared size, the caller's buffer is what ran out
+                    if (!hasContentSize && e.code === errorCodes.OUTPUT_TOO_SMALL) throw locateError(e, { frameIndex, blockIndex });
+                    throw locateBlockError(e, frameIndex, blockIndex, 0);
+                }
                 resultPos += bytes;
             }
+            if (!hasContentSize) limits.checkOutput(outputBase + resultPos, { frameIndex, blockIndex, offset: blockStart });
         } else {
             // --- Strategy B: Chunked (Unknown Size) ---
             let chunk;
             if (isUncompressed) {
+                limits.checkOutput(outputBase + resultPos + actualSize, { frameIndex, blockIndex, offset: blockStart });
                 chunk = data.slice(pos, pos + actualSize);
                 outputChunks.push(chunk);
             } else {
                 // Decompress into workspace
-                const dict = (windowPos > 0) ? window.subarray(0, windowPos) : null;
-                const bytes = decompressBlock(data, pos, actualSize, workspace, 0, dict);
+                const dict = blockIndependence
+                    ? dictWindow
+                    : (windowPos > 0) ? window.subarray(0, windowPos) : null;
+                let bytes;
+                try {
+                    bytes = decompressBlock(data, pos, actualSize, workspace, 0, dict);
+                } catch (e) {
+                    throw locateBlockError(e, frameIndex, blockIndex, 0);
+                }
+                limits.checkOutput(outputBase + resultPos + bytes, { frameIndex, blockIndex, offset: blockStart });
                 // Slice result out (Allocation)
                 chunk = workspace.slice(0, bytes);
                 outputChunks.push(chunk);
@@ -170,6 +385,7 @@ export function decompressBuffer(input, dictionary = null, verifyChecksum = true
 
             // Update Rolling Window (Last 64KB)
             const chunkLen = chunk.length;
+            resultPos += chunkLen;
             if (chunkLen >= WINDOW_SIZE) {
                 window.set(chunk.subarray(chunkLen - WINDOW_SIZE), 0);
                 windowPos = WINDOW_SIZE;
@@ -187,13 +403,27 @@ export function decompressBuffer(input, dictionary = null, verifyChecksum = true
 
         pos += actualSize;
 
-        // Skip Block Checksum
+        // Skip Block Checksum (verified above)
         if (hasBlockChecksum) pos += 4;
+        blockIndex++;
     }
 
     // --- 4. Finalize ---
 
-    if (!useDirectWrite) {
+    if (safe && useDirectWrite && hasContentSize && resultPos !== expectedOutputSize) {
+        throw new LZ4Error(errorCodes.CONTENT_SIZE, `LZ4: Content size mismatch (header declares ${expectedOutputSize} bytes, frame decodes to ${resultPos})`, {
+            frameIndex,
+            offset: pos
+        });
+    }
+    if (safe && hasContentChecksum && pos + 4 > len) {
+        throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Frame (missing Content Checksum)", { frameIndex, offset: pos });
+    }
+
+    if (useDirectWrite) {
+        // Only short when a truncated frame was accepted (safe: false), or in a caller's buffer
+        if (resultPos < result.length) result = result.subarray(0, resultPos);
+    } else {
         // Concatenate chunks if we didn't pre-allocate
         if (outputChunks.length === 1) {
             result = outputChunks[0];
@@ -210,11 +440,13 @@ export function decompressBuffer(input, dictionary = null, verifyChecksum = true
     }
 
     // Content Checksum Verification
-    if (hasContentChecksum && verifyChecksum) {
+    if (hasContentChecksum && verifyChecksum && !truncated && pos + 4 <= len) {
         const storedContentHash = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
         const actualContentHash = xxHash32(result, 0);
-        if (storedContentHash !== actualContentHash) throw new Error("LZ4: Content Checksum Error");
+        if (storedContentHash !== actualContentHash) throw new LZ4Error(errorCodes.CONTENT_CHECKSUM, "LZ4: Content Checksum Error", { frameIndex, offset: pos });
     }
+    if (hasContentChecksum) pos += 4;
 
-    return result;
+    // A truncated frame (accepted with safe: false) runs to the end of the input
+    return { data: result, end: truncated ? len : Math.min(pos, len) };
 }
\ No newline at end of file
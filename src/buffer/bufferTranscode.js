@@ -0,0 +1,105 @@
+/**
+ * src/buffer/bufferTranscode.js
+ * * LZ4 Buffer Transcoding (`LZ4.transcode`).
+ * * Re-encodes a buffer of LZ4 data with a different frame configuration through an `LZ4Transcoder`,
+ * so only one block of decompressed data is held at a time.
+ * @module bufferTranscode
+ */
+
+import { LZ4Transcoder, sourceDecoderOptions } from '../shared/lz4Transcode.js';
+import { LZ4Decoder } from '../shared/lz4Decode.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+import { inspect } from '../frame/frameInspect.js';
+
+/** Input is fed in slices so that only a few blocks are decoded at a time. */
+const FEED_SIZE = 1048576;
+
+/**
+ * Rejects async dictionary resolvers, which only `createTranscodeStream` can wait for.
+ * @param {LZ4Decoder} decoder - The source decoder, after an `update`.
+ * @throws {LZ4Error} If the decoder is waiting for a resolver.
+ */
+function checkNotPending(decoder) {
+    if (decoder.pending) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Async dictionary resolvers require createTranscodeStream");
+}
+
+/**
+ * Finds the decompressed size of each output frame (source skippable frames between LZ4 frames split
+ * the output): from the frame headers when every frame declares it, otherwise by decoding the data
+ * once (block by block) and counting.
+ * @param {Uint8Array} data
+ * @param {Object} targetOptions - For the source dictionary, checksum and decoder settings.
+ * @returns {number[]}
+ */
+function measureContentSizes(data, targetOptions) {
+    const sizes = [];
+    let total = 0;
+    let declared = true;
+    for (const frame of inspect(data)) {
+        if (frame.type === 'skippable') {
+            if (total > 0) sizes.push(total);
+            total = 0;
+            continue;
+        }
+        if (frame.type !== 'frame' || frame.contentSize === null) {
+            declared = false;
+            break;
+        }
+        total += frame.contentSize;
+    }
+    if (declared) {
+        if (total > 0 || sizes.length === 0) sizes.push(total);
+        return sizes;
+    }
+
+    sizes.length = 0;
+    let start = 0;
+    const decoder = new LZ4Decoder(targetOptions.sourceDictionary || null, targetOptions.verifyChecksum !== false, {
+        ...sourceDecoderOptions(targetOptions),
+        onSkippableFrame: () => {
+            if (decoder.outputSize > start) sizes.push(decoder.outputSize - start);
+            start = decoder.outputSize;
+        }
+    });
+    total = 0;
+    for (let pos = 0; pos < data.length; pos += FEED_SIZE) {
+        for (const chunk of decoder.update(data.subarray(pos, pos + FEED_SIZE))) total += chunk.length;
+        checkNotPending(decoder);
+    }
+    for (const chunk of decoder.finish()) total += chunk.length;
+    if (total > start || sizes.length === 0) sizes.push(total - start);
+    return sizes;
+}
+
+/**
+ * Re-encodes LZ4 data with a different frame configuration (`LZ4.transcode`).
+ * @param {Uint8Array|ArrayBuffer} input - LZ4 data (frame, legacy or concatenated frames).
+ * @param {Object} [targetOptions={}] - The output configuration (see `LZ4Transcoder`). With
+ * `contentSize: true`, the total size of the source frames in each output frame is declared, even if they
+ * do not declare it.
+ * @returns {Uint8Array} The re-encoded data.
+ * @throws {LZ4Error} `ERR_LZ4_INVALID_ARGUMENT` if `sourceDictionary` is an async resolver (use `createTranscodeStream`).
+ */
+export function transcode(input, targetOptions = {}) {
+    const data = ensureBuffer(input);
+    if (targetOptions.contentSize === true) {
+        targetOptions = { ...targetOptions, contentSize: measureContentSizes(data, targetOptions) };
+    }
+
+    const transcoder = new LZ4Transcoder(targetOptions);
+    const chunks = [];
+    for (let pos = 0; pos < data.length; pos += FEED_SIZE) {
+        for (const chunk of transcoder.update(data.subarray(pos, pos + FEED_SIZE))) chunks.push(chunk);
+        checkNotPending(transcoder.decoder);
+    }
+    for (const chunk of transcoder.finish()) chunks.push(chunk);
+
+    const result = new Uint8Array(chunks.reduce((acc, c) => acc + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) {
+        result.set(c, offset);
+        offset += c.length;
+    }
+    return result;
+}
@@ -0,0 +1,232 @@
+/**
+ * src/dictionary/dictTrain.js
+ * * Dictionary Training (`LZ4.trainDictionary`).
+ * * Builds a dictionary from sample payloads in the spirit of ZDICT's COVER algorithm:
+ * 1. **Count**: Every 6-byte substring (d-mer) is hashed and counted once per sample, so content
+ * shared *across* samples scores high and content repeated inside one sample does not.
+ * 2. **Cover**: The training data is split into epochs; each epoch contributes the segment whose
+ * d-mers have the highest total frequency. Chosen d-mers are zeroed so later epochs pick new content.
+ * 3. **Assemble**: Segments are concatenated with the best ones last, where they are closest to the
+ * data (shorter offsets) and survive the 64KB window.
+ * * A held-out subset of the samples is compressed with and without the result to report the gain.
+ * @module dictTrain
+ */
+
+import { compressBuffer } from '../buffer/bufferCompress.js';
+import { createDictionary } from './lz4Dictionary.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+/** Length of the substrings counted (a little above LZ4's 4-byte minimum match). */
+const DMER_LEN = 6 | 0;
+/** Frequency table size (1M buckets). */
+const HASH_BITS = 20 | 0;
+const HASH_SIZE = 1 << HASH_BITS;
+/** Length of the segments picked per epoch. */
+const SEGMENT_SIZE = 128 | 0;
+/** LZ4 can only reference the last 64KB. */
+const MAX_DICT_SIZE = 65536 | 0;
+
+/**
+ * Hashes the d-mer starting at `i`.
+ * @param {Uint8Array} b
+ * @param {number} i
+ * @returns {number}
+ */
+function hashDmer(b, i) {
+    var lo = (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) | 0;
+    var hi = (b[i + 4] | (b[i + 5] << 8)) | 0;
+    return ((Math.imul(lo, 2654435761) ^ Math.imul(hi, 2246822519)) >>> (32 - HASH_BITS)) | 0;
+}
+
+/**
+ * Finds the highest-scoring segment in `[from, to)` of `data` (a single sample's bytes).
+ * @param {Uint8Array} data
+ * @param {number} from
+ * @param {number} to
+ * @param {Uint32Array} freq - d-mer frequencies.
+ * @param {Uint16Array} active - Scratch counts of d-mers inside the window (left all-zero).
+ * @param {{score: number, start: number, len: number}} best - Best segment so far, updated in place.
+ */
+function scanSegments(data, from, to, freq, active, best) {
+    var segLen = Math.min(SEGMENT_SIZE, to - from) | 0;
+    var lastDmer = (to - DMER_LEN) | 0;
+    if (segLen < DMER_LEN) return;
+
+    var span = (segLen - DMER_LEN + 1) | 0; // d-mers per segment
+    var score = 0;
+    var h = 0;
+
+    for (var j = from; j <= lastDmer; j++) {
+        // Add the d-mer entering the window (counted once per window)
+        h = hashDmer(data, j);
+        if (active[h]++ === 0) score += freq[h];
+
+        // Remove the d-mer leaving the window
+        if (j - from >= span) {
+            h = hashDmer(data, j - span);
+            if (--active[h] === 0) score -= freq[h];
+        }
+
+        if (j - from >= span - 1 && score > best.score) {
+            best.score = score;
+            best.start = (j - span + 1) | 0;
+            best.len = segLen;
+        }
+    }
+
+    // Leave the scratch table clean for the next scan
+    for (var k = Math.max(from, lastDmer - span + 1); k <= lastDmer; k++) {
+        active[hashDmer(data, k)] = 0;
+    }
+}
+
+/**
+ * Compresses every sample with and without the dictionary.
+ * @param {Uint8Array[]} samples
+ * @param {LZ4Dictionary|null} dictionary
+ * @returns {{ originalSize: number, compressedSize: number }}
+ */
+function measure(samples, dictionary) {
+    let originalSize = 0;
+    let compressedSize = 0;
+    for (const sample of samples) {
+        originalSize += sample.length;
+        compressedSize += compressBuffer(sample, dictionary).length;
+    }
+    return { originalSize, compressedSize };
+}
+
+/**
+ * Trains a dictionary from sample payloads (`LZ4.trainDictionary`).
+ * Works best with many small, similar payloads (JSON documents, HTTP headers, log lines).
+ * @param {Array<Uint8Array|ArrayBuffer|string|Object>} samples - Training payloads. Strings are UTF-8
+ * encoded and plain objects JSON-serialized (as `compressString`/`compressObject` do).
+ * @param {Object} [options={}] - Training settings.
+ * @param {number} [options.size=65536] - Maximum dictionary size in bytes (capped at 64KB, the LZ4 window).
+ * @param {number} [options.id] - Dict ID for the result (default: xxHash32 of the dictionary bytes).
+ * @param {number} [options.holdout=0.1] - Fraction of samples (every n-th one) kept out of training to
+ * measure the gain. At least one sample is held out when there are two or more; `0` trains on all of them.
+ * @returns {{ dictionary: LZ4Dictionary, bytes: Uint8Array, report: Object }} The compiled dictionary,
+ * its raw bytes (to persist), and a report on the held-out samples: `samples`, `originalSize`,
+ * `compressedSize` (without dictionary), `dictionaryCompressedSize`, `ratio`, `dictionaryRatio`
+ * and `gain` (`dictionaryRatio / ratio`). The size and ratio fields are `null` if nothing was held out.
+ * @throws {Error} If no samples are given or `size` is not positive.
+ */
+export function trainDictionary(samples, options = {}) {
+    if (!samples || samples.length === 0) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: trainDictionary requires at least one sample");
+
+    const size = Math.min(options.size === undefined ? MAX_DICT_SIZE : options.size | 0, MAX_DICT_SIZE);
+    if (size <= 0) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Dictionary size must be positive");
+
+    const holdout = options.holdout === undefined ? 0.1 : options.holdout;
+    const buffers = Array.from(samples, (s) => ensureBuffer(s));
+
+    // --- 1. Split (deterministic: every n-th sample is held out) ---
+    const heldOut = [];
+    const training = [];
+    const holdoutCount = (buffers.length < 2 || !(holdout > 0)) ? 0 : Math.max(1, Math.floor(buffers.length * holdout));
+    const stride = holdoutCount > 0 ? buffers.length / holdoutCount : 0;
+    let nextHeldOut = stride > 0 ? stride - 1 : -1;
+    for (let i = 0; i < buffers.length; i++) {
+        if (i >= nextHeldOut && nextHeldOut >= 0 && heldOut.length < holdoutCount) {
+            heldOut.push(buffers[i]);
+            nextHeldOut += stride;
+        } else {
+            training.push(buffers[i]);
+        }
+    }
+
+    // --- 2. Count d-mers (once per sample) ---
+    const freq = new Uint32Array(HASH_SIZE);
+    const seenIn = new Int32Array(HASH_SIZE).fill(-1);
+    let totalBytes = 0;
+    for (let s = 0; s < training.length; s++) {
+        const data = training[s];
+        totalBytes += data.length;
+        for (let i = 0; i + DMER_LEN <= data.length; i++) {
+            const h = hashDmer(data, i);
+            if (seenIn[h] !== s) {
+                seenIn[h] = s;
+                freq[h]++;
+            }
+        }
+    }
+
+    // Content seen in a single sample does not generalize
+    if (training.length > 1) {
+        for (let h = 0; h < HASH_SIZE; h++) if (freq[h] < 2) freq[h] = 0;
+    }
+
+    // --- 3. Cover: best segment per epoch ---
+    const epochs = Math.max(1, Math.min(Math.ceil(size / SEGMENT_SIZE), Math.floor(totalBytes / SEGMENT_SIZE)));
+    const epochSize = Math.ceil(totalBytes / epochs);
+    const active = new Uint16Array(HASH_SIZE);
+    const segments = [];
+
+    let sampleIndex = 0;
+    let sampleStart = 0; // Offset of training[sampleIndex] in the virtual concatenation
+    for (let e = 0; e < epochs; e++) {
+        const epochStart = e * epochSize;
+        const epochEnd = Math.min(epochStart + epochSize, totalBytes);
+        const best = { score: 0, start: 0, len: 0, data: null };
+
+        // Scan the part of every sample that falls in this epoch
+        while (sampleIndex < training.length && sampleStart + training[sampleIndex].length <= epochStart) {
+            sampleStart += training[sampleIndex++].length;
+        }
+        for (let s = sampleIndex, offset = sampleStart; s < training.length && offset < epochEnd; offset += training[s++].length) {
+            const data = training[s];
+            const from = Math.max(epochStart - offset, 0);
+            const to = Math.min(epochEnd - offset, data.length);
+            const before = best.score;
+            scanSegments(data, from, to, freq, active, best);
+            if (best.score > before) best.data = data;
+        }
+
+        if (best.score === 0) continue;
+
+        // Zero the chosen d-mers so later epochs favour content not yet covered
+        for (let i = best.start; i + DMER_LEN <= best.start + best.len; i++) freq[hashDmer(best.data, i)] = 0;
+        segments.push({ score: best.score, bytes: best.data.subarray(best.start, best.start + best.len) });
+    }
+
+    // --- 4. Assemble: best segments last (closest to the data) ---
+    segments.sort((a, b) => a.score - b.score);
+    let dictLen = 0;
+    for (const seg of segments) dictLen += seg.bytes.length;
+
+    const bytes = new Uint8Array(Math.min(dictLen, size));
+    let pos = bytes.length;
+    for (let i = segments.length - 1; i >= 0 && pos > 0; i--) {
+        const seg = segments[i].bytes;
+        const take = Math.min(seg.length, pos);
+        bytes.set(seg.subarray(seg.length - take), pos - take);
+        pos -= take;
+    }
+
+    const dictionary = createDictionary(bytes, options.id === undefined ? {} : { id: options.id });
+
+    // --- 5. Report on held-out samples ---
+    const report = {
+        samples: heldOut.length,
+        originalSize: null,
+        compressedSize: null,
+        dictionaryCompressedSize: null,
+        ratio: null,
+        dictionaryRatio: null,
+        gain: null
+    };
+    if (heldOut.length > 0 && bytes.length > 0) {
+        const plain = measure(heldOut, null);
+        const withDict = measure(heldOut, dictionary);
+        report.originalSize = plain.originalSize;
+        report.compressedSize = plain.compressedSize;
+        report.dictionaryCompressedSize = withDict.compressedSize;
+        report.ratio = plain.originalSize / plain.compressedSize;
+        report.dictionaryRatio = plain.originalSize / withDict.compressedSize;
+        report.gain = report.dictionaryRatio / report.ratio;
+    }
+
+    return { dictionary, bytes, report };
+}
@@ -0,0 +1,101 @@
+/**
+ * src/dictionary/dictionaryLookup.js
+ * * Per-frame dictionary selection for decoders.
+ * * Frames name their dictionary by Dict ID; this module maps that ID to a dictionary from
+ * whatever the caller passed as `dictionary` (a single one, a registry or a resolver),
+ * falling back to the built-in presets.
+ * @module dictionaryLookup
+ */
+
+import { LZ4Dictionary, resolveDictionary } from './lz4Dictionary.js';
+import { PRESET_VERSIONS } from './presets.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+/**
+ * Formats a Dict ID the way error messages show it (e.g. `0x1f2e3d4c`).
+ * @param {number} id
+ * @returns {string}
+ */
+function formatDictId(id) {
+    return "0x" + (id >>> 0).toString(16);
+}
+
+/**
+ * Per-decoder view over the `dictionary` argument, picking the dictionary for each frame
+ * from the Dict ID in its header. Accepted forms:
+ * - **Single dictionary** (`LZ4Dictionary` or bytes): used for every frame. A frame whose
+ * Dict ID differs from the dictionary's is rejected.
+ * - **Registry** (`Map<number, LZ4Dictionary|Uint8Array>`): looked up by Dict ID. Frames without
+ * a Dict ID use no dictionary. Raw bytes are registered under the map key.
+ * - **Resolver** (`(dictId) => dictionary|Promise<dictionary>`): called once per Dict ID;
+ * results are cached for the lifetime of the decoder.
+ * * Built-in presets (`LZ4.presets`) are always resolved from their reserved Dict IDs, so their
+ * frames decode without passing anything.
+ */
+export class DictionaryLookup {
+    /**
+     * @param {LZ4Dictionary|Uint8Array|Map<number, LZ4Dictionary|Uint8Array>|Function|null} dictionary
+     */
+    constructor(dictionary) {
+        this.single = null;
+        this.registry = null;
+        this.resolver = null;
+        /** @type {Map<number, LZ4Dictionary>} */
+        this.cache = new Map();
+
+        if (typeof dictionary === 'function') this.resolver = dictionary;
+        else if (dictionary instanceof Map) this.registry = dictionary;
+        else this.single = resolveDictionary(dictionary);
+    }
+
+    /**
+     * Finds the dictionary for a frame.
+     * @param {number|null} dictId - The Dict ID from the frame header, or `null` if it has none.
+     * @returns {LZ4Dictionary|null|Promise<LZ4Dictionary>} A promise only when an async resolver is pending.
+     * @throws {Error} If the frame needs a dictionary that is missing or has a different ID.
+     */
+    lookup(dictId) {
+        if (!this.registry && !this.resolver) {
+            if (dictId === null) return this.single;
+            if ((!this.single || this.single.id !== dictId) && PRESET_VERSIONS.has(dictId)) return PRESET_VERSIONS.get(dictId);
+            if (!this.single) throw new LZ4Error(errorCodes.DICT_MISSING, "LZ4: Archive requires a Dictionary, but none was provided.");
+            if (this.single.id !== dictId) {
+                throw new LZ4Error(errorCodes.DICT_MISMATCH, `LZ4: Dictionary ID Mismatch. Header: ${formatDictId(dictId)}, Provided: ${formatDictId(this.single.id)}`);
+            }
+            return this.single;
+        }
+
+        if (dictId === null) return null;
+        const cached = this.cache.get(dictId);
+        if (cached) return cached;
+        if (PRESET_VERSIONS.has(dictId) && !(this.registry && this.registry.has(dictId))) return PRESET_VERSIONS.get(dictId);
+
+        const found = this.registry ? this.registry.get(dictId) : this.resolver(dictId);
+        if (found && typeof found.then === 'function') {
+            return found.then((value) => this._store(dictId, value));
+        }
+        return this._store(dictId, found);
+    }
+
+    /**
+     * Compiles and caches a registry or resolver result.
+     * @private
+     * @param {number} dictId
+     * @param {*} value
+     * @returns {LZ4Dictionary}
+     */
+    _store(dictId, value) {
+        // Raw bytes take the ID they were registered under; compiled dictionaries must agree with it
+        const dict = (value instanceof Uint8Array || value instanceof ArrayBuffer || ArrayBuffer.isView(value))
+            ? new LZ4Dictionary(value, { id: dictId })
+            : resolveDictionary(value);
+
+        if (!dict) throw new LZ4Error(errorCodes.DICT_MISSING, `LZ4: No dictionary registered for Dict ID ${formatDictId(dictId)}`);
+        if (dict.id !== dictId) {
+            throw new LZ4Error(errorCodes.DICT_MISMATCH, `LZ4: Dictionary ID Mismatch. Header: ${formatDictId(dictId)}, Provided: ${formatDictId(dict.id)}`);
+        }
+
+        this.cache.set(dictId, dict);
+        return dict;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * src/dictionary/lz4Dictionary.js
+ * * Precompiled Dictionaries (`LZ4.createDictionary`).
+ * * An `LZ4Dictionary` holds everything the compressors derive from dictionary bytes:
+ * - **Window**: A private copy of the last 64KB (the only part LZ4 can reference).
+ * - **Hash Table**: The fast kernel's match table pre-loaded with the window.
+ * - **Dict ID**: The 32-bit ID written to frame headers (caller-chosen, or xxHash32 of the bytes).
+ * * Build one per dictionary and reuse it: compressing many small messages then only pays
+ * for a table copy instead of re-hashing the dictionary on every call.
+ * @module lz4Dictionary
+ */
+
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { loadDictionary } from '../block/blockCompress.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+const HASH_TABLE_SIZE = 16384 | 0;
+const WINDOW_SIZE = 65536 | 0;
+
+export class LZ4Dictionary {
+    /**
+     * Creates a precompiled dictionary.
+     * @param {Uint8Array|ArrayBuffer|Buffer|string} bytes - The dictionary content.
+     * @param {Object} [options={}] - Dictionary settings.
+     * @param {number} [options.id] - The Dict ID written to frame headers (32-bit unsigned).
+     * Defaults to the xxHash32 of `bytes`. `0` omits the Dict ID from headers.
+     * @throws {Error} If `id` is not a 32-bit unsigned integer.
+     */
+    constructor(bytes, options = {}) {
+        const data = ensureBuffer(bytes);
+        const id = options.id;
+
+        if (id !== undefined && id !== null && !(Number.isInteger(id) && id >= 0 && id <= 0xFFFFFFFF)) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Dictionary ID must be a 32-bit unsigned integer");
+        }
+
+        /** @type {number} The Dict ID written to frame headers. */
+        this.id = (id !== undefined && id !== null) ? id : xxHash32(data, 0);
+
+        /** @type {Uint8Array} The last 64KB of the dictionary (copied, so later edits to `bytes` cannot desync the table). */
+        this.window = data.slice(data.length > WINDOW_SIZE ? data.length - WINDOW_SIZE : 0);
+
+        /** @private @type {Int32Array|null} */
+        this._hashTable = null;
+    }
+
+    /**
+     * The fast kernel's hash table pre-loaded with the window.
+     * Built on first use (decoders never need it). Treat as read-only: compressors copy it.
+     * @returns {Int32Array}
+     */
+    get hashTable() {
+        if (!this._hashTable) {
+            this._hashTable = new Int32Array(HASH_TABLE_SIZE);
+            loadDictionary(this._hashTable, this.window, 0, this.window.length);
+        }
+        return this._hashTable;
+    }
+}
+
+/**
+ * Creates a precompiled dictionary (`LZ4.createDictionary`).
+ * The hash table is built eagerly, so the first compression is as cheap as the rest.
+ * @param {Uint8Array|ArrayBuffer|Buffer|string} bytes - The dictionary content.
+ * @param {Object} [options={}] - See `LZ4Dictionary`.
+ * @param {number} [options.id] - The Dict ID written to frame headers (default: xxHash32 of `bytes`).
+ * @returns {LZ4Dictionary}
+ */
+export function createDictionary(bytes, options = {}) {
+    const dictionary = new LZ4Dictionary(bytes, options);
+    void dictionary.hashTable;
+    return dictionary;
+}
+
+/**
+ * Checks for an `LZ4Dictionary` that lost its prototype to a structured clone
+ * (e.g. when posted to a Web Worker inside `options`).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isClonedDictionary(value) {
+    return typeof value === 'object' && value !== null &&
+        value.window instanceof Uint8Array && typeof value.id === 'number';
+}
+
+/**
+ * Normalizes any accepted dictionary form into an `LZ4Dictionary`.
+ * Raw bytes keep the historical Dict ID (xxHash32 of the bytes).
+ * @param {LZ4Dictionary|Uint8Array|ArrayBuffer|Buffer|null} dictionary
+ * @returns {LZ4Dictionary|null} `null` if no (or an empty) dictionary was given.
+ */
+export function resolveDictionary(dictionary) {
+    if (!dictionary) return null;
+    if (dictionary instanceof LZ4Dictionary) return dictionary.window.length > 0 ? dictionary : null;
+
+    if (isClonedDictionary(dictionary)) {
+        if (dictionary.window.length === 0) return null;
+        const revived = new LZ4Dictionary(dictionary.window, { id: dictionary.id });
+        if (dictionary._hashTable instanceof Int32Array) revived._hashTable = dictionary._hashTable;
+        return revived;
+    }
+
+    const bytes = ensureBuffer(dictionary);
+    return bytes.length > 0 ? new LZ4Dictionary(bytes) : null;
+}
+
+/**
+ * Returns the bytes a decoder needs to resolve back-references (the last 64KB),
+ * without copying or hashing raw dictionaries.
+ * @param {LZ4Dictionary|Uint8Array|ArrayBuffer|Buffer|null} dictionary
+ * @returns {Uint8Array|null}
+ */
+export function getDictionaryWindow(dictionary) {
+    if (!dictionary) return null;
+    if (dictionary instanceof LZ4Dictionary || isClonedDictionary(dictionary)) return dictionary.window;
+
+    const bytes = ensureBuffer(dictionary);
+    return bytes.length > WINDOW_SIZE ? bytes.subarray(bytes.length - WINDOW_SIZE) : bytes;
+}
@@ -0,0 +1,126 @@
+/**
+ * src/dictionary/presets.js
+ * * Built-in Preset Dictionaries (`LZ4.presets`).
+ * * Small payloads (API responses, HTML fragments, HTTP headers) barely compress on their own
+ * because there is no history to match against. These presets ship that history.
+ * * **Stability contract**: a preset's Dict ID identifies its exact bytes, forever. Frames only
+ * store the ID, so changing the content of a published version would corrupt every frame made
+ * with it. Improvements ship as a new version with a new ID; old versions stay in
+ * `PRESET_VERSIONS` so decoders keep resolving them.
+ * * Dict IDs use the reserved range `0x4C5Axxyy` ("LZ"): `xx` is the preset kind, `yy` the version.
+ * * The most common tokens are placed last: they sit closest to the data (shortest offsets).
+ * @module presets
+ */
+
+import { LZ4Dictionary } from './lz4Dictionary.js';
+
+// --- Content (version 1) ---
+
+const JSON_V1 =
+    '{"data":[{"attributes":{"description":"","title":"","url":"https://","image":null,"tags":[]},' +
+    '"relationships":{"author":{"data":{"type":"users","id":"1"}}},"links":{"self":"https://api."}}],' +
+    '"meta":{"page":1,"per_page":20,"total":0,"total_pages":1,"count":0,"limit":100,"offset":0},' +
+    '"pagination":{"next":null,"previous":null,"cursor":""},"errors":[{"code":"","detail":"","source":{}}],' +
+    '"error":{"code":400,"message":"Bad Request"},"success":true,"result":{},"results":[],"items":[],' +
+    '"value":"","values":[],"key":"","label":"","enabled":false,"active":true,"deleted":false,"visible":true,' +
+    '"first_name":"","last_name":"","username":"","email":"@example.com","phone":"+1","avatar_url":"https://",' +
+    '"address":{"street":"","city":"","state":"","postal_code":"","country":"US"},"latitude":0,"longitude":0,' +
+    '"amount":0,"price":0.00,"currency":"USD","quantity":1,"total":0,"sku":"","product_id":"","order_id":"",' +
+    '"user_id":"","account_id":"","customer_id":"","parent_id":null,"version":1,"timestamp":"2024-01-01T00:00:00Z",' +
+    '"date":"2024-01-01","time":"00:00:00","timezone":"UTC","locale":"en-US","language":"en",' +
+    '"created_at":"2024-01-01T00:00:00.000Z","updated_at":"2024-01-01T00:00:00.000Z","deleted_at":null,' +
+    '"status":"active","state":"pending","type":"","kind":"","category":"","description":null,"content":"",' +
+    '"message":"","text":"","body":"","title":"","name":"","slug":"","url":"https://www.","href":"/","path":"/",' +
+    '"count":0,"size":0,"length":0,"index":0,"score":0,"rank":1,"level":1,"position":0,"order":0,"weight":0,' +
+    '"settings":{},"config":{},"options":{},"metadata":{},"properties":{},"attributes":{},"params":{},' +
+    '"success":false,"id":"","id":0,"name":"","type":"","value":0}';
+
+const HTML_V1 =
+    '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    '<meta name="description" content="">\n<meta property="og:title" content="">\n' +
+    '<meta property="og:description" content="">\n<meta property="og:image" content="https://">\n' +
+    '<meta name="twitter:card" content="summary_large_image">\n<title></title>\n' +
+    '<link rel="stylesheet" href="/css/style.css">\n<link rel="icon" href="/favicon.ico">\n' +
+    '<link rel="preconnect" href="https://fonts.googleapis.com">\n' +
+    '<script type="module" src="/js/main.js"></script>\n<script async defer src="https://"></script>\n' +
+    '<style>body{margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif}</style>\n' +
+    '</head>\n<body>\n<header class="header">\n<nav class="nav navbar">\n<ul class="nav-list">\n' +
+    '<li class="nav-item"><a class="nav-link" href="/"></a></li>\n</ul>\n</nav>\n</header>\n' +
+    '<main id="main" class="main content">\n<section class="section">\n<article class="article">\n' +
+    '<h1 class="title"></h1>\n<h2></h2>\n<h3></h3>\n<p class="text"></p>\n' +
+    '<img src="/images/" alt="" width="" height="" loading="lazy">\n' +
+    '<form action="/" method="post">\n<label for=""></label>\n<input type="text" name="" id="" value="" placeholder="">\n' +
+    '<input type="hidden" name="csrf_token" value="">\n<select name=""><option value=""></option></select>\n' +
+    '<textarea name="" rows="3"></textarea>\n<button type="submit" class="btn btn-primary"></button>\n</form>\n' +
+    '<table class="table">\n<thead>\n<tr>\n<th scope="col"></th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td></td>\n</tr>\n</tbody>\n</table>\n' +
+    '</article>\n</section>\n</main>\n<footer class="footer">\n<p>&copy; 2024 All rights reserved.</p>\n</footer>\n' +
+    '</body>\n</html>\n' +
+    '<div class="container"><div class="row"><div class="col"><div class="card"><div class="card-body">' +
+    '<span class=""></span><a href="https://" target="_blank" rel="noopener noreferrer"></a>' +
+    '<ul><li></li></ul><br><strong></strong><em></em><div id="" class="" style="display:none" data-id="" aria-label="" role="button">' +
+    '</div></div></div></div></div>&nbsp;&amp;&quot;&lt;&gt;<a href="/"></a><div class=""></div>';
+
+const HTTP_V1 =
+    'HTTP/1.1 200 OK\r\nHTTP/1.1 204 No Content\r\nHTTP/1.1 301 Moved Permanently\r\nHTTP/1.1 302 Found\r\n' +
+    'HTTP/1.1 304 Not Modified\r\nHTTP/1.1 400 Bad Request\r\nHTTP/1.1 401 Unauthorized\r\nHTTP/1.1 403 Forbidden\r\n' +
+    'HTTP/1.1 404 Not Found\r\nHTTP/1.1 500 Internal Server Error\r\nHTTP/1.1 502 Bad Gateway\r\nHTTP/1.1 503 Service Unavailable\r\n' +
+    'GET / HTTP/1.1\r\nPOST / HTTP/1.1\r\nPUT / HTTP/1.1\r\nDELETE / HTTP/1.1\r\nPATCH / HTTP/1.1\r\nOPTIONS / HTTP/1.1\r\nHEAD / HTTP/1.1\r\n' +
+    'Host: www.\r\nUser-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36\r\n' +
+    'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15\r\n' +
+    'User-Agent: curl/8.0\r\n' +
+    'Accept: text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8\r\n' +
+    'Accept: application/json, text/plain, */*\r\nAccept-Language: en-US,en;q=0.9\r\nAccept-Encoding: gzip, deflate, br, zstd\r\n' +
+    'Accept-Ranges: bytes\r\nAccess-Control-Allow-Origin: *\r\nAccess-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS\r\n' +
+    'Access-Control-Allow-Headers: Content-Type, Authorization\r\nAccess-Control-Allow-Credentials: true\r\n' +
+    'Authorization: Bearer \r\nCache-Control: no-cache\r\nCache-Control: public, max-age=31536000, immutable\r\n' +
+    'Cache-Control: private, no-store, max-age=0, must-revalidate\r\nPragma: no-cache\r\nExpires: 0\r\n' +
+    'Content-Security-Policy: default-src \'self\'\r\nStrict-Transport-Security: max-age=63072000; includeSubDomains; preload\r\n' +
+    'X-Content-Type-Options: nosniff\r\nX-Frame-Options: DENY\r\nX-XSS-Protection: 1; mode=block\r\n' +
+    'Referrer-Policy: strict-origin-when-cross-origin\r\nReferer: https://www.\r\nOrigin: https://\r\n' +
+    'Sec-Fetch-Dest: document\r\nSec-Fetch-Mode: navigate\r\nSec-Fetch-Site: same-origin\r\nSec-Fetch-User: ?1\r\n' +
+    'Sec-Ch-Ua-Mobile: ?0\r\nSec-Ch-Ua-Platform: "Windows"\r\nUpgrade-Insecure-Requests: 1\r\n' +
+    'Set-Cookie: session=; Path=/; HttpOnly; Secure; SameSite=Lax\r\nCookie: session=\r\n' +
+    'If-None-Match: "\r\nIf-Modified-Since: \r\nLast-Modified: Mon, 01 Jan 2024 00:00:00 GMT\r\nETag: W/"\r\n' +
+    'Vary: Accept-Encoding\r\nVia: 1.1 \r\nX-Forwarded-For: \r\nX-Forwarded-Proto: https\r\nX-Request-Id: \r\n' +
+    'Server: nginx\r\nServer: cloudflare\r\nCF-RAY: \r\nAge: 0\r\nLocation: https://\r\nTransfer-Encoding: chunked\r\n' +
+    'Content-Encoding: gzip\r\nContent-Type: text/html; charset=utf-8\r\nContent-Type: application/json; charset=utf-8\r\n' +
+    'Content-Type: application/x-www-form-urlencoded\r\nContent-Type: multipart/form-data; boundary=\r\n' +
+    'Connection: keep-alive\r\nKeep-Alive: timeout=5\r\nDate: Mon, 01 Jan 2024 00:00:00 GMT\r\nContent-Length: 0\r\n\r\n';
+
+/**
+ * Builds a preset dictionary.
+ * @param {string} content
+ * @param {number} id
+ * @returns {LZ4Dictionary}
+ */
+function definePreset(content, id) {
+    return new LZ4Dictionary(new TextEncoder().encode(content), { id });
+}
+
+/** Dict IDs of every published preset version. Never reuse or change one. */
+export const PRESET_IDS = Object.freeze({
+    JSON_V1: 0x4C5A0101,
+    HTML_V1: 0x4C5A0201,
+    HTTP_V1: 0x4C5A0301
+});
+
+/**
+ * Every published preset version, keyed by Dict ID (what decoders resolve from frame headers).
+ * @type {Map<number, LZ4Dictionary>}
+ */
+export const PRESET_VERSIONS = new Map([
+    [PRESET_IDS.JSON_V1, definePreset(JSON_V1, PRESET_IDS.JSON_V1)],
+    [PRESET_IDS.HTML_V1, definePreset(HTML_V1, PRESET_IDS.HTML_V1)],
+    [PRESET_IDS.HTTP_V1, definePreset(HTTP_V1, PRESET_IDS.HTTP_V1)]
+]);
+
+/**
+ * The latest version of each preset (`LZ4.presets`).
+ * Use as the `dictionary` argument of any compressor; decoders find them from the Dict ID.
+ */
+export const presets = Object.freeze({
+    json: PRESET_VERSIONS.get(PRESET_IDS.JSON_V1),
+    html: PRESET_VERSIONS.get(PRESET_IDS.HTML_V1),
+    http: PRESET_VERSIONS.get(PRESET_IDS.HTTP_V1)
+});
@@ -0,0 +1,134 @@
+/**
+ * src/frame/frameDescriptor.js
+ * * LZ4 Frame Descriptor.
+ * * The frame format constants (magic number, FLG and BD bits, block sizes) and the one descriptor
+ * parser shared by every reader: the decoders, `LZ4FrameReader`, `inspect`, `recover` and the
+ * seekable reader. Writers build their headers from the same constants and `writeU32`/`getBlockId`.
+ * @module frameDescriptor
+ */
+
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+export const MAGIC_NUMBER = 0x184D2204;
+export const LZ4_VERSION = 1;
+
+// --- FLG (Flags) Byte ---
+export const FLG_VERSION_MASK = 0xC0;          // (3 << 6)
+export const FLG_BLOCK_INDEP_MASK = 0x20;      // (1 << 5)
+export const FLG_BLOCK_CHECKSUM_MASK = 0x10;   // (1 << 4)
+export const FLG_CONTENT_SIZE_MASK = 0x08;     // (1 << 3)
+export const FLG_CONTENT_CHECKSUM_MASK = 0x04; // (1 << 2)
+export const FLG_RESERVED_MASK = 0x02;         // (1 << 1), must be zero
+export const FLG_DICT_ID_MASK = 0x01;          // (1 << 0)
+
+// --- BD (Block Descriptor) Byte ---
+export const BD_RESERVED_MASK = 0x8F;          // Bits 7 and 0-3, must be zero
+
+/** Block Maximum Sizes, by the 3-bit ID in the BD byte. */
+export const BLOCK_MAX_SIZES = { 4: 65536, 5: 262144, 6: 1048576, 7: 4194304 };
+
+/**
+ * @param {Uint8Array} b
+ * @param {number} n
+ * @returns {number}
+ */
+export function readU32(b, n) {
+    return (b[n] | (b[n + 1] << 8) | (b[n + 2] << 16) | (b[n + 3] << 24)) >>> 0;
+}
+
+/**
+ * Writes a 32-bit integer to a byte array in Little Endian format.
+ * @param {Uint8Array} b - Destination buffer.
+ * @param {number} i - Integer value.
+ * @param {number} n - Offset.
+ */
+export function writeU32(b, i, n) {
+    b[n] = i & 0xFF;
+    b[n + 1] = (i >>> 8) & 0xFF;
+    b[n + 2] = (i >>> 16) & 0xFF;
+    b[n + 3] = (i >>> 24) & 0xFF;
+}
+
+/**
+ * Maps a byte size to the smallest Block Max Size ID that holds it (4 to 7).
+ * @param {number} bytes - Max block size in bytes; falsy means 64KB.
+ * @returns {number}
+ */
+export function getBlockId(bytes) {
+    if (!bytes || bytes <= 65536) return 4;
+    if (bytes <= 262144) return 5;
+    if (bytes <= 1048576) return 6;
+    return 7;
+}
+
+/**
+ * Length of a frame descriptor (FLG to the Header Checksum), known from its FLG byte.
+ * @param {number} flg
+ * @returns {number} 3 to 15 bytes.
+ */
+export function frameDescriptorLength(flg) {
+    let length = 3;
+    if (flg & FLG_CONTENT_SIZE_MASK) length += 8;
+    if (flg & FLG_DICT_ID_MASK) length += 4;
+    return length;
+}
+
+/**
+ * Rejects descriptors that cannot be decoded: another version, reserved bits set or an unknown block
+ * size. Only needs the FLG and BD bytes, so a malformed header fails before the rest of it arrives.
+ * @param {number} flg
+ * @param {number} bd
+ * @param {Object} [location] - `frameIndex` and `offset` of the FLG byte, attached to the error.
+ * @throws {LZ4Error} `INVALID_HEADER`.
+ */
+export function checkFrameDescriptor(flg, bd, location) {
+    const version = (flg & FLG_VERSION_MASK) >> 6;
+    if (version !== LZ4_VERSION) throw new LZ4Error(errorCodes.INVALID_HEADER, `LZ4: Unsupported Version ${version}`, location);
+    if (flg & FLG_RESERVED_MASK) throw new LZ4Error(errorCodes.INVALID_HEADER, "LZ4: Reserved bit set in frame descriptor", location);
+
+    const bdLocation = location && { frameIndex: location.frameIndex, offset: location.offset + 1 };
+    if (bd & BD_RESERVED_MASK) throw new LZ4Error(errorCodes.INVALID_HEADER, "LZ4: Reserved bit set in frame descriptor", bdLocation);
+    const bdId = (bd >> 4) & 0x07;
+    if (!BLOCK_MAX_SIZES[bdId]) throw new LZ4Error(errorCodes.INVALID_HEADER, `LZ4: Invalid Block Max Size ID ${bdId}`, bdLocation);
+}
+
+/**
+ * Reads a frame descriptor without validating it (see `checkFrameDescriptor`).
+ * @param {Uint8Array} b
+ * @param {number} pos - Offset of the FLG byte. `b` must hold the whole descriptor (`frameDescriptorLength`).
+ * @returns {Object} `length`, `version`, `blockIndependence`, `blockChecksum`, `contentChecksum`,
+ * `contentSize` and `dictId` (`null` if absent), `blockSizeId`, `blockMaxSize` (`null` for unknown IDs),
+ * `reservedBitsValid`, `headerChecksum` and `headerChecksumValid`.
+ */
+export function parseFrameDescriptor(b, pos) {
+    const flg = b[pos];
+    const bd = b[pos + 1];
+    const length = frameDescriptorLength(flg);
+
+    let cursor = pos + 2;
+    let contentSize = null;
+    if (flg & FLG_CONTENT_SIZE_MASK) {
+        contentSize = readU32(b, cursor + 4) * 4294967296 + readU32(b, cursor);
+        cursor += 8;
+    }
+    const dictId = (flg & FLG_DICT_ID_MASK) ? readU32(b, cursor) : null;
+    const blockSizeId = (bd >> 4) & 0x07;
+
+    // Header Checksum: second byte of the xxHash32 of the descriptor (FLG to Dict ID)
+    const headerChecksum = b[pos + length - 1];
+    return {
+        length,
+        version: (flg & FLG_VERSION_MASK) >> 6,
+        blockIndependence: (flg & FLG_BLOCK_INDEP_MASK) !== 0,
+        blockChecksum: (flg & FLG_BLOCK_CHECKSUM_MASK) !== 0,
+        contentChecksum: (flg & FLG_CONTENT_CHECKSUM_MASK) !== 0,
+        contentSize,
+        dictId,
+        blockSizeId,
+        blockMaxSize: BLOCK_MAX_SIZES[blockSizeId] || null,
+        reservedBitsValid: (flg & FLG_RESERVED_MASK) === 0 && (bd & BD_RESERVED_MASK) === 0,
+        headerChecksum,
+        headerChecksumValid: headerChecksum === ((xxHash32(b.subarray(pos, pos + length - 1), 0) >>> 8) & 0xFF)
+    };
+}
@@ -0,0 +1,311 @@
+/**
+ * src/frame/frameInspect.js
+ * * Frame Inspection (`LZ4.inspect`, `LZ4.createInspectStream`).
+ * * Describes the frames in LZ4 data without decompressing it: the header fields, every block
+ * (type, size, offset, checksum) and the trailing checksums. Meant for debugging files that do
+ * not decode, so malformed input is described up to where it breaks instead of throwing.
+ * * Block bodies are hashed as they stream through; only headers and size fields are buffered.
+ * @module frameInspect
+ */
+
+import { XXHash32 } from '../xxhash32/xxhash32Stateful.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { isSkippableMagic } from './skippableFrame.js';
+import { MAGIC_NUMBER, readU32, frameDescriptorLength, parseFrameDescriptor } from './frameDescriptor.js';
+import { LEGACY_MAGIC, LEGACY_BLOCK_BOUND } from './legacyFrame.js';
+
+// Parser states. Fixed-size fields are collected in `scratch`; bodies are streamed.
+const STATE_MAGIC = 0;
+const STATE_SKIPPABLE_SIZE = 1;
+const STATE_SKIPPABLE_BODY = 2;
+const STATE_HEADER = 3;
+const STATE_BLOCK_SIZE = 4;
+const STATE_BLOCK_BODY = 5;
+const STATE_BLOCK_CHECKSUM = 6;
+const STATE_CONTENT_CHECKSUM = 7;
+const STATE_LEGACY_BLOCK_SIZE = 8;
+const STATE_LEGACY_BLOCK_BODY = 9;
+const STATE_INVALID = 10;
+
+/**
+ * Incremental frame parser behind `inspect` and `createInspectStream`.
+ * * Each description has `type` (`'frame'`, `'legacy'`, `'skippable'` or `'unknown'`), `offset`,
+ * `length`, `magic` and `complete` (false if the input ended inside it). LZ4 frames add the
+ * descriptor (`version`, `flags`, `blockSizeId`, `blockMaxSize`, `contentSize`, `dictId`,
+ * `reservedBitsValid`, `headerChecksum`, `headerChecksumValid`), their `blocks` (`index`, `offset`,
+ * `compressed`, `size`, `checksum`, `checksumValid`) and `contentChecksum`. Skippable frames add
+ * `nibble` and `size`. Parsing stops at the first unknown magic number.
+ */
+export class LZ4FrameInspector {
+    constructor() {
+        this.state = STATE_MAGIC;
+        this.offset = 0;                    // Absolute input offset of the next byte
+        this.scratch = new Uint8Array(19);  // Largest fixed field: the frame descriptor
+        this.have = 0;
+        this.need = 4;
+        this.remaining = 0;                 // Bytes left in the current body
+        this.frame = null;                  // Frame being described
+        this.block = null;                  // Block being described
+        this.hasher = null;                 // Block checksum of the current body
+    }
+
+    /**
+     * Feeds input.
+     * @param {Uint8Array|ArrayBuffer} chunk
+     * @returns {Object[]} Descriptions of the frames this chunk completed.
+     */
+    update(chunk) {
+        const data = ensureBuffer(chunk);
+        const len = data.length;
+        const frames = [];
+        let i = 0;
+
+        while (i < len) {
+            if (this.state === STATE_INVALID) {
+                // Nothing after an unknown magic number can be trusted
+                this.offset += len - i;
+                break;
+            }
+
+            if (this.state === STATE_BLOCK_BODY || this.state === STATE_LEGACY_BLOCK_BODY || this.state === STATE_SKIPPABLE_BODY) {
+                const take = Math.min(this.remaining, len - i);
+                if (this.hasher) this.hasher.update(data.subarray(i, i + take));
+                i += take;
+                this.offset += take;
+                this.remaining -= take;
+                if (this.remaining === 0) this._endBody(frames);
+                continue;
+            }
+
+            const take = Math.min(this.need - this.have, len - i);
+            this.scratch.set(data.subarray(i, i + take), this.have);
+            this.have += take;
+            this.offset += take;
+            i += take;
+            if (this.have === this.need) this._readField(frames);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Ends the input.
+     * @returns {Object[]} The frame the input ended in (legacy frames simply end here; anything
+     * else is reported with `complete: false`), if any.
+     */
+    finish() {
+        const frames = [];
+        if (this.frame) {
+            const atBoundary = this.state === STATE_LEGACY_BLOCK_SIZE && this.have === 0;
+            if (!atBoundary && this.block) this.frame.blocks.push(this.block);
+            this._endFrame(frames, atBoundary);
+        } else if (this.state === STATE_MAGIC && this.have > 0) {
+            frames.push({ type: 'unknown', offset: this.offset - this.have, length: this.have, magic: null, complete: false });
+        }
+        this.state = STATE_INVALID;
+        return frames;
+    }
+
+    /**
+     * Expects a fixed-size field next.
+     * @private
+     */
+    _expect(state, need) {
+        this.state = state;
+        this.have = 0;
+        this.need = need;
+    }
+
+    /**
+     * Streams a body of `size` bytes next.
+     * @private
+     */
+    _expectBody(state, size, frames) {
+        this.state = state;
+        this.remaining = size;
+        if (size === 0) this._endBody(frames);
+    }
+
+    /**
+     * Finalizes the current frame description.
+     * @private
+     */
+    _endFrame(frames, complete) {
+        this.frame.length = this.offset - this.have - this.frame.offset;
+        this.frame.complete = complete;
+        frames.push(this.frame);
+        this.frame = null;
+        this.block = null;
+        this.hasher = null;
+    }
+
+    /**
+     * Handles a completed fixed-size field.
+     * @private
+     */
+    _readField(frames) {
+        const field = this.scratch;
+        const fieldStart = this.offset - this.need;
+
+        switch (this.state) {
+            case STATE_MAGIC: {
+                const magic = readU32(field, 0);
+                if (magic === MAGIC_NUMBER) {
+                    this.frame = {
+                        type: 'frame', offset: fieldStart, length: 0, magic, complete: false,
+                        version: 0, flags: null, blockSizeId: 0, blockMaxSize: null, reservedBitsValid: true,
+                        contentSize: null, dictId: null, headerChecksum: 0, headerChecksumValid: false,
+                        blocks: [], contentChecksum: null
+                    };
+                    this._expect(STATE_HEADER, 2);
+                } else if (isSkippableMagic(magic)) {
+                    this.frame = { type: 'skippable', offset: fieldStart, length: 0, magic, complete: false, nibble: magic & 0x0F, size: 0 };
+                    this._expect(STATE_SKIPPABLE_SIZE, 4);
+                } else if (magic === LEGACY_MAGIC) {
+                    this.frame = { type: 'legacy', offset: fieldStart, length: 0, magic, complete: false, blocks: [] };
+                    this._expect(STATE_LEGACY_BLOCK_SIZE, 4);
+                } else {
+                    frames.push({ type: 'unknown', offset: fieldStart, length: 4, magic, complete: false });
+                    this.state = STATE_INVALID;
+                }
+                return;
+            }
+
+            case STATE_SKIPPABLE_SIZE:
+                this.frame.size = readU32(field, 0);
+                this.have = 0;
+                this._expectBody(STATE_SKIPPABLE_BODY, this.frame.size, frames);
+                return;
+
+            case STATE_HEADER: {
+                if (this.need === 2) {
+                    // FLG and BD give the descriptor length; keep them and read the rest
+                    this.need = frameDescriptorLength(field[0]);
+                    return;
+                }
+
+                const descriptor = parseFrameDescriptor(field, 0);
+                const frame = this.frame;
+                frame.version = descriptor.version;
+                frame.flags = {
+                    blockIndependence: descriptor.blockIndependence,
+                    blockChecksum: descriptor.blockChecksum,
+                    contentSize: descriptor.contentSize !== null,
+                    contentChecksum: descriptor.contentChecksum,
+                    dictId: descriptor.dictId !== null
+                };
+                frame.blockSizeId = descriptor.blockSizeId;
+                frame.blockMaxSize = descriptor.blockMaxSize;
+                frame.reservedBitsValid = descriptor.reservedBitsValid;
+                frame.contentSize = descriptor.contentSize;
+                frame.dictId = descriptor.dictId;
+                frame.headerChecksum = descriptor.headerChecksum;
+                frame.headerChecksumValid = descriptor.headerChecksumValid;
+
+                this._expect(STATE_BLOCK_SIZE, 4);
+                return;
+            }
+
+            case STATE_BLOCK_SIZE: {
+                const value = readU32(field, 0);
+                if (value === 0) {
+                    // EndMark
+                    if (this.frame.flags.contentChecksum) {
+                        this._expect(STATE_CONTENT_CHECKSUM, 4);
+                    } else {
+                        this.have = 0;
+                        this._endFrame(frames, true);
+                        this._expect(STATE_MAGIC, 4);
+                    }
+                    return;
+                }
+                this.block = {
+                    index: this.frame.blocks.length,
+                    offset: fieldStart,
+                    compressed: (value & 0x80000000) === 0,
+                    size: value & 0x7FFFFFFF,
+                    checksum: null,
+                    checksumValid: null
+                };
+                this.hasher = this.frame.flags.blockChecksum ? new XXHash32(0) : null;
+                this.have = 0;
+                this._expectBody(STATE_BLOCK_BODY, this.block.size, frames);
+                return;
+            }
+
+            case STATE_BLOCK_CHECKSUM: {
+                const stored = readU32(field, 0);
+                this.block.checksum = stored;
+                this.block.checksumValid = stored === (this.hasher.digest() >>> 0);
+                this.frame.blocks.push(this.block);
+                this.block = null;
+                this.hasher = null;
+                this._expect(STATE_BLOCK_SIZE, 4);
+                return;
+            }
+
+            case STATE_CONTENT_CHECKSUM:
+                this.frame.contentChecksum = readU32(field, 0);
+                this.have = 0;
+                this._endFrame(frames, true);
+                this._expect(STATE_MAGIC, 4);
+                return;
+
+            case STATE_LEGACY_BLOCK_SIZE: {
+                const value = readU32(field, 0);
+                if (value > LEGACY_BLOCK_BOUND) {
+                    // Too large for a block: the legacy frame ended and these bytes are the next magic number
+                    this.have = 4;
+                    this._endFrame(frames, true);
+                    this.state = STATE_MAGIC;
+                    this._readField(frames);
+                    return;
+                }
+                this.block = {
+                    index: this.frame.blocks.length,
+                    offset: fieldStart,
+                    compressed: true,
+                    size: value,
+                    checksum: null,
+                    checksumValid: null
+                };
+                this.have = 0;
+                this._expectBody(STATE_LEGACY_BLOCK_BODY, value, frames);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Handles the end of a streamed body.
+     * @private
+     */
+    _endBody(frames) {
+        if (this.state === STATE_SKIPPABLE_BODY) {
+            this._endFrame(frames, true);
+            this._expect(STATE_MAGIC, 4);
+        } else if (this.state === STATE_LEGACY_BLOCK_BODY) {
+            this.frame.blocks.push(this.block);
+            this.block = null;
+            this._expect(STATE_LEGACY_BLOCK_SIZE, 4);
+        } else if (this.frame.flags.blockChecksum) {
+            this._expect(STATE_BLOCK_CHECKSUM, 4);
+        } else {
+            this.frame.blocks.push(this.block);
+            this.block = null;
+            this._expect(STATE_BLOCK_SIZE, 4);
+        }
+    }
+}
+
+/**
+ * Describes every frame in a buffer of LZ4 data without decompressing it (`LZ4.inspect`).
+ * @param {Uint8Array|ArrayBuffer} input - LZ4 data (any mix of LZ4, legacy and skippable frames).
+ * @returns {Object[]} One description per frame (see `LZ4FrameInspector`).
+ */
+export function inspect(input) {
+    const inspector = new LZ4FrameInspector();
+    const frames = inspector.update(input);
+    for (const frame of inspector.finish()) frames.push(frame);
+    return frames;
+}
@@ -0,0 +1,260 @@
+/**
+ * src/frame/frameReader.js
+ * * Low-level Frame Reader (`LZ4.LZ4FrameReader`).
+ * * Splits LZ4 data into its parts (frame headers, blocks as stored, end marks and skippable frames)
+ * without decompressing anything. Paired with `LZ4FrameWriter`, it lets proxies concatenate, split
+ * and re-frame `.lz4` data at the cost of a copy instead of a decompress/recompress cycle.
+ * @module frameReader
+ */
+
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { isSkippableMagic } from './skippableFrame.js';
+import { MAGIC_NUMBER, readU32, frameDescriptorLength, checkFrameDescriptor, parseFrameDescriptor } from './frameDescriptor.js';
+import { LEGACY_MAGIC, LEGACY_BLOCK_SIZE, LEGACY_BLOCK_BOUND } from './legacyFrame.js';
+import { DecodeLimits } from '../shared/lz4Limits.js';
+import { LZ4Error, errorCodes, locateError } from '../shared/lz4Error.js';
+
+// --- States ---
+const STATE_MAGIC = 0;
+const STATE_HEADER = 1;
+const STATE_BLOCK = 2;
+const STATE_SKIPPABLE = 3;
+const STATE_LEGACY_BLOCK = 4;
+
+/**
+ * Incremental reader yielding the parts of LZ4 data as they complete.
+ * * Parts are plain objects with a `type` and the `offset` of their first byte in the input:
+ * - `'header'`: `format` (`'frame'` or `'legacy'`), `blockIndependence`, `blockChecksum`,
+ *   `contentChecksum`, `contentSize` and `dictId` (`null` if absent), `blockMaxSize`, and `bytes`
+ *   (the header as stored). It can be passed to `LZ4FrameWriter` to write the same layout.
+ * - `'block'`: `index`, `compressed`, `data` (the block as stored, without size or checksum) and
+ *   `checksum` (`null` without block checksums).
+ * - `'end'`: `contentChecksum` (`null` if absent). Legacy frames end where the next frame or the input starts/ends.
+ * - `'skippable'`: `nibble` and `data`.
+ * * `data` and `bytes` may be views of the input chunks; copy them before reusing those buffers.
+ */
+export class LZ4FrameReader {
+    /**
+     * @param {Object} [options={}]
+     * @param {boolean} [options.verifyChecksum=true] - Verifies header and block checksums
+     * (the content checksum needs the decompressed data and is only passed along).
+     * @param {number} [options.maxBufferedInput] - Most bytes left buffered between calls. A part is only
+     * returned once it is complete, so this bounds the largest block or skippable frame that can be read.
+     */
+    constructor(options = {}) {
+        this.verifyChecksum = options.verifyChecksum !== false;
+        this.limits = new DecodeLimits(options);
+        this.buffer = new Uint8Array(0);
+        this.position = 0;      // Input offset of buffer[0]
+        this.state = STATE_MAGIC;
+        this.header = null;     // Current frame header
+        this.frameIndex = -1;   // Index of the current frame (skippable frames are not counted)
+        this.blockIndex = 0;
+    }
+
+    /**
+     * Adds input.
+     * @param {Uint8Array|ArrayBuffer} chunk
+     * @returns {Object[]} The parts completed by this chunk.
+     * @throws {LZ4Error} On an unknown magic number, a malformed descriptor, a block larger than its frame
+     * allows, a checksum error or more buffered input than `maxBufferedInput`.
+     */
+    update(chunk) {
+        const data = ensureBuffer(chunk);
+        if (this.buffer.length > 0) {
+            const newBuf = new Uint8Array(this.buffer.length + data.length);
+            newBuf.set(this.buffer);
+            newBuf.set(data, this.buffer.length);
+            this.buffer = newBuf;
+        } else {
+            this.buffer = data;
+        }
+
+        const parts = [];
+        try {
+            while (this._next(parts));
+            this.limits.checkBufferedInput(this.buffer.length);
+        } catch (e) {
+            throw this._locate(e);
+        }
+        return parts;
+    }
+
+    /**
+     * Ends the input.
+     * @returns {Object[]} The end of a trailing legacy frame, if any.
+     * @throws {LZ4Error} If the input stopped inside a frame.
+     */
+    finish() {
+        const parts = [];
+        if (this.state === STATE_LEGACY_BLOCK && this.buffer.length === 0) {
+            parts.push({ type: 'end', offset: this.position, contentChecksum: null });
+            this.state = STATE_MAGIC;
+        }
+        if (this.state !== STATE_MAGIC || this.buffer.length > 0) {
+            throw this._locate(new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Frame"));
+        }
+        return parts;
+    }
+
+    /**
+     * Adds the current frame, block and input offset to an error.
+     * @private
+     */
+    _locate(error) {
+        const inBlocks = this.state === STATE_BLOCK || this.state === STATE_LEGACY_BLOCK;
+        return locateError(error, {
+            frameIndex: this.frameIndex < 0 ? undefined : this.frameIndex,
+            blockIndex: inBlocks ? this.blockIndex : undefined,
+            offset: this.position
+        });
+    }
+
+    /**
+     * Consumes `n` bytes of the buffer.
+     * @private
+     */
+    _consume(n) {
+        this.buffer = this.buffer.subarray(n);
+        this.position += n;
+    }
+
+    /**
+     * Parses the next part, if the buffer holds all of it.
+     * @private
+     * @returns {boolean} Whether progress was made.
+     */
+    _next(parts) {
+        const buf = this.buffer;
+        const avail = buf.length;
+
+        switch (this.state) {
+            case STATE_MAGIC: {
+                if (avail < 4) return false;
+                const magic = readU32(buf, 0);
+                if (magic === MAGIC_NUMBER) {
+                    this.frameIndex++;
+                    this.state = STATE_HEADER;
+                } else if (isSkippableMagic(magic)) {
+                    this.state = STATE_SKIPPABLE;
+                } else if (magic === LEGACY_MAGIC) {
+                    this.header = {
+                        type: 'header', offset: this.position, format: 'legacy',
+                        blockIndependence: true, blockChecksum: false, contentChecksum: false,
+                        contentSize: null, dictId: null, blockMaxSize: LEGACY_BLOCK_SIZE,
+                        bytes: buf.subarray(0, 4)
+                    };
+                    parts.push(this.header);
+                    this.frameIndex++;
+                    this.blockIndex = 0;
+                    this._consume(4);
+                    this.state = STATE_LEGACY_BLOCK;
+                } else {
+                    throw new LZ4Error(errorCodes.MAGIC, "LZ4: Invalid Magic Number", { frameIndex: this.frameIndex + 1 });
+                }
+                return true;
+            }
+
+            case STATE_SKIPPABLE: {
+                if (avail < 8) return false;
+                const size = readU32(buf, 4);
+                if (avail < 8 + size) return false;
+                parts.push({ type: 'skippable', offset: this.position, nibble: buf[0] & 0x0F, data: buf.subarray(8, 8 + size) });
+                this._consume(8 + size);
+                this.state = STATE_MAGIC;
+                return true;
+            }
+
+            case STATE_HEADER: {
+                if (avail < 7) return false;
+                const len = 4 + frameDescriptorLength(buf[4]);
+                if (avail < len) return false;
+
+                checkFrameDescriptor(buf[4], buf[5]);
+                const descriptor = parseFrameDescriptor(buf, 4);
+                if (this.verifyChecksum && !descriptor.headerChecksumValid) {
+                    throw new LZ4Error(errorCodes.HEADER_CHECKSUM, "LZ4: Header Checksum Error");
+                }
+
+                this.header = {
+                    type: 'header', offset: this.position, format: 'frame',
+                    blockIndependence: descriptor.blockIndependence,
+                    blockChecksum: descriptor.blockChecksum,
+                    contentChecksum: descriptor.contentChecksum,
+                    contentSize: descriptor.contentSize,
+                    dictId: descriptor.dictId,
+                    blockMaxSize: descriptor.blockMaxSize,
+                    bytes: buf.subarray(0, len)
+                };
+                parts.push(this.header);
+                this.blockIndex = 0;
+                this._consume(len);
+                this.state = STATE_BLOCK;
+                return true;
+            }
+
+            case STATE_BLOCK: {
+                if (avail < 4) return false;
+                const value = readU32(buf, 0);
+                if (value === 0) {
+                    // EndMark
+                    if (this.header.contentChecksum) {
+                        if (avail < 8) return false;
+                        parts.push({ type: 'end', offset: this.position, contentChecksum: readU32(buf, 4) });
+                        this._consume(8);
+                    } else {
+                        parts.push({ type: 'end', offset: this.position, contentChecksum: null });
+                        this._consume(4);
+                    }
+                    this.header = null;
+                    this.state = STATE_MAGIC;
+                    return true;
+                }
+
+                // Rejected when the size is read, so a forged size cannot make the reader buffer for it
+                const size = value & 0x7FFFFFFF;
+                if (size > this.header.blockMaxSize) {
+                    throw new LZ4Error(errorCodes.MALFORMED_BLOCK, `LZ4: Block size ${size} exceeds the frame maximum of ${this.header.blockMaxSize} (block ${this.blockIndex} at offset ${this.position})`);
+                }
+                const checksumSize = this.header.blockChecksum ? 4 : 0;
+                if (avail < 4 + size + checksumSize) return false;
+
+                const data = buf.subarray(4, 4 + size);
+                let checksum = null;
+                if (checksumSize) {
+                    checksum = readU32(buf, 4 + size);
+                    if (this.verifyChecksum && checksum !== xxHash32(data, 0)) {
+                        throw new LZ4Error(errorCodes.BLOCK_CHECKSUM, `LZ4: Block Checksum Error (block ${this.blockIndex} at offset ${this.position})`);
+                    }
+                }
+                parts.push({
+                    type: 'block', offset: this.position, index: this.blockIndex++,
+                    compressed: (value & 0x80000000) === 0, data, checksum
+                });
+                this._consume(4 + size + checksumSize);
+                return true;
+            }
+
+            case STATE_LEGACY_BLOCK: {
+                if (avail < 4) return false;
+                const size = readU32(buf, 0);
+                if (size > LEGACY_BLOCK_BOUND) {
+                    // Too large to be a block: the magic number of the next frame
+                    parts.push({ type: 'end', offset: this.position, contentChecksum: null });
+                    this.header = null;
+                    this.state = STATE_MAGIC;
+                    return true;
+                }
+                if (avail < 4 + size) return false;
+                parts.push({
+                    type: 'block', offset: this.position, index: this.blockIndex++,
+                    compressed: true, data: buf.subarray(4, 4 + size), checksum: null
+                });
+                this._consume(4 + size);
+                return true;
+            }
+        }
+        return false;
+    }
+}
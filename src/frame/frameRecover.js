@@ -0,0 +1,545 @@
+/**
+ * src/frame/frameRecover.js
+ * * Corrupted Frame Recovery (`LZ4.recover`).
+ * * Decodes as much of damaged LZ4 data as possible instead of stopping at the first error. Each
+ * block is decoded on its own: a block that fails its checksum or does not decode is skipped and
+ * decoding resumes at the next block boundary. When a size field is damaged the block boundaries
+ * are lost, so the input is scanned for the next frame (magic number and valid descriptor).
+ * The same scan finds frames embedded at arbitrary offsets in larger files.
+ * * Linked blocks reference the history before them. After a loss that history is gone, so the
+ * following blocks are decoded without it: those that only reference their own data (or data
+ * recovered since) come back intact, the others are lost too. Nothing is ever guessed.
+ * * The input can also arrive in chunks (`FrameRecovery`, behind the `recover: true` streams).
+ * @module frameRecover
+ */
+
+import { XXHash32 } from '../xxhash32/xxhash32Stateful.js';
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { decompressBlock } from '../block/blockDecompress.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { DecodeLimits } from '../shared/lz4Limits.js';
+import { DictionaryLookup } from '../dictionary/dictionaryLookup.js';
+import { isSkippableMagic } from './skippableFrame.js';
+import { MAGIC_NUMBER, LZ4_VERSION, readU32, frameDescriptorLength, parseFrameDescriptor } from './frameDescriptor.js';
+import { LEGACY_MAGIC, LEGACY_BLOCK_SIZE, LEGACY_BLOCK_BOUND } from './legacyFrame.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+const WINDOW_SIZE = 65536;
+
+const STATE_SCAN = 0;
+const STATE_BLOCK = 1;
+const STATE_LEGACY_BLOCK = 2;
+
+/**
+ * Parses the frame descriptor after the magic number at `pos`.
+ * @param {Uint8Array} data
+ * @param {number} pos - Offset of the magic number.
+ * @returns {Object} The header, or `{ error }` with the code and message if it is not valid.
+ */
+function parseHeader(data, pos) {
+    if (pos + 7 > data.length) return { error: [errorCodes.TRUNCATED, "LZ4: Truncated Frame"] };
+    const length = 4 + frameDescriptorLength(data[pos + 4]);
+    if (pos + length > data.length) return { error: [errorCodes.TRUNCATED, "LZ4: Truncated Frame"] };
+
+    const descriptor = parseFrameDescriptor(data, pos + 4);
+    if (descriptor.version !== LZ4_VERSION || !descriptor.reservedBitsValid || !descriptor.blockMaxSize) {
+        return { error: [errorCodes.INVALID_HEADER, "LZ4: Invalid frame descriptor"] };
+    }
+    if (!descriptor.headerChecksumValid) return { error: [errorCodes.HEADER_CHECKSUM, "LZ4: Header Checksum Error"] };
+    // The header's length includes the magic number
+    return { ...descriptor, length };
+}
+
+/**
+ * Keeps the last 64KB of `history` followed by `chunk`.
+ * @param {Uint8Array|null} history
+ * @param {Uint8Array} chunk
+ * @returns {Uint8Array}
+ */
+function appendHistory(history, chunk) {
+    if (!history || history.length === 0 || chunk.length >= WINDOW_SIZE) {
+        return chunk.length > WINDOW_SIZE ? chunk.subarray(chunk.length - WINDOW_SIZE) : chunk;
+    }
+    const keep = Math.min(history.length, WINDOW_SIZE - chunk.length);
+    const next = new Uint8Array(keep + chunk.length);
+    next.set(history.subarray(history.length - keep));
+    next.set(chunk, keep);
+    return next;
+}
+
+/**
+ * Recovery state, fed the input in chunks (`recover` passes it whole). Everything before the block,
+ * frame or byte being read is dropped, so only that much input is ever kept.
+ */
+export class FrameRecovery {
+    /**
+     * @param {LZ4Dictionary|Uint8Array|Map|Function|null} dictionary
+     * @param {Object} options - As for `recover`, plus `maxBufferedInput` (see `DecodeLimits`).
+     */
+    constructor(dictionary, options) {
+        this.dictionaries = new DictionaryLookup(dictionary);
+        this.limits = new DecodeLimits(options);
+        this.carve = options.carve === true;
+
+        // Input: `data` holds the bytes from offset `base` to `length`, `pos` is the next one to read
+        this.data = new Uint8Array(0);
+        this.base = 0;
+        this.length = 0;
+        this.pos = 0;
+        this.final = false;
+
+        this.state = STATE_SCAN;
+        this.current = null;    // Frame being read
+        this.chunks = [];
+        this.outputSize = 0;
+        this.frameIndex = -1;
+        this.workspace = null;
+
+        // Report
+        this.frames = [];
+        this.recovered = [];
+        this.lost = [];
+        this.lostSinceRange = true;
+
+        // Input not accounted for yet, since the last loss or non-LZ4 byte
+        this.gap = null;
+    }
+
+    /**
+     * Adds input.
+     * @param {Uint8Array} chunk
+     * @returns {Uint8Array[]} The data recovered from it.
+     * @throws {LZ4Error} On exceeded limits (`maxBufferedInput` bounds the largest block or skippable frame).
+     */
+    update(chunk) {
+        const keep = this.data.subarray(this.pos - this.base);
+        if (keep.length > 0) {
+            const data = new Uint8Array(keep.length + chunk.length);
+            data.set(keep);
+            data.set(chunk, keep.length);
+            this.data = data;
+        } else {
+            this.data = chunk;
+        }
+        this.base = this.pos;
+        this.length = this.base + this.data.length;
+
+        while (this._next());
+        this.limits.checkBufferedInput(this.length - this.pos);
+        return this._take();
+    }
+
+    /**
+     * Ends the input: what is left is truncated or not LZ4.
+     * @returns {Uint8Array[]} The data recovered from it.
+     */
+    finish() {
+        this.final = true;
+        while (this._next());
+        if (this.pos < this.length) this._openGap(this.pos, errorCodes.MAGIC, "LZ4: Invalid Magic Number", null, null);
+        this._closeGap(this.length);
+        return this._take();
+    }
+
+    /**
+     * @returns {Object} The recovery result without `data` (see `recover`).
+     */
+    report() {
+        return {
+            complete: this.lost.length === 0 && this.frames.every((frame) => frame.complete),
+            frames: this.frames,
+            recovered: this.recovered,
+            lost: this.lost
+        };
+    }
+
+    /**
+     * Whether the input reaching `end` is known: it has, or it has ended.
+     * @private
+     */
+    _ready(end) {
+        return this.final || this.length >= end;
+    }
+
+    /**
+     * @private
+     */
+    _u32(pos) {
+        return readU32(this.data, pos - this.base);
+    }
+
+    /**
+     * Advances by one frame header, block or byte.
+     * @returns {boolean} False if more input is needed (or it ended).
+     * @private
+     */
+    _next() {
+        if (this.state === STATE_BLOCK) return this._block();
+        if (this.state === STATE_LEGACY_BLOCK) return this._legacyBlock();
+
+        const pos = this.pos;
+        if (pos + 4 > this.length) return false;
+        const magic = this._u32(pos);
+
+        if (magic === MAGIC_NUMBER) {
+            if (!this._ready(pos + 7) || !this._ready(pos + 4 + frameDescriptorLength(this.data[pos + 4 - this.base]))) return false;
+            const header = parseHeader(this.data, pos - this.base);
+            if (header.error) {
+                // A damaged descriptor: the frame's layout is unknown (and so is whether it is one)
+                this._openGap(pos, header.error[0], header.error[1], null, null);
+                this.pos = pos + 4;
+                return true;
+            }
+            this._closeGap(pos);
+            this._startFrame(pos, header);
+            return true;
+        }
+
+        if (magic === LEGACY_MAGIC) {
+            if (!this._ready(pos + 8)) return false;
+            if (pos + 8 <= this.length && this._u32(pos + 4) <= LEGACY_BLOCK_BOUND) {
+                this._closeGap(pos);
+                this._startLegacyFrame(pos);
+                return true;
+            }
+        }
+
+        if (isSkippableMagic(magic)) {
+            if (!this._ready(pos + 8)) return false;
+            const end = pos + 8 <= this.length ? pos + 8 + this._u32(pos + 4) : Infinity;
+            if (!this._ready(end)) return false;
+            if (end <= this.length) {
+                this._closeGap(pos);
+                this.pos = end;
+                return true;
+            }
+        }
+
+        this._openGap(pos, errorCodes.MAGIC, "LZ4: Invalid Magic Number", null, null);
+        this.pos = pos + 1;
+        return true;
+    }
+
+    /**
+     * Starts the frame whose magic number is at `pos`.
+     * @param {number} pos
+     * @param {Object} header
+     * @private
+     */
+    _startFrame(pos, header) {
+        const frameIndex = ++this.frameIndex;
+        const frame = {
+            index: frameIndex, format: 'frame', offset: pos, length: 0,
+            blocks: 0, lostBlocks: 0, complete: false, contentChecksumValid: null
+        };
+        this.frames.push(frame);
+        this.limits.checkBlockSize(header.blockMaxSize, { frameIndex, offset: pos });
+        this._reserve(header.blockMaxSize);
+
+        // A missing dictionary only loses the blocks that reference it
+        let dictWindow = null;
+        let dictError = null;
+        try {
+            const dict = this.dictionaries.lookup(header.dictId);
+            if (dict && typeof dict.then === 'function') {
+                throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: recover does not support async dictionary resolvers");
+            }
+            dictWindow = dict ? dict.window : null;
+        } catch (e) {
+            if (e.code === errorCodes.INVALID_ARGUMENT) throw e;
+            dictError = e;
+        }
+
+        this.current = {
+            frame, header, dictWindow, dictError,
+            checksumSize: header.blockChecksum ? 4 : 0,
+            hasher: header.contentChecksum ? new XXHash32(0) : null,
+            history: dictWindow,
+            blockIndex: 0
+        };
+        this.state = STATE_BLOCK;
+        this.pos = pos + header.length;
+    }
+
+    /**
+     * Recovers the block (or reads the EndMark) at `pos`.
+     * @returns {boolean} False if more input is needed.
+     * @private
+     */
+    _block() {
+        const { frame, header } = this.current;
+        const frameIndex = frame.index;
+        const blockIndex = this.current.blockIndex;
+        const bp = this.pos;
+
+        if (!this._ready(bp + 4)) return false;
+        if (bp + 4 > this.length) {
+            this._openGap(bp, errorCodes.TRUNCATED, "LZ4: Truncated Frame (missing EndMark)", frameIndex, blockIndex);
+            frame.length = this.length - frame.offset;
+            this._endFrame(this.length);
+            return true;
+        }
+        const value = this._u32(bp);
+
+        if (value === 0) {
+            let end = bp + 4;
+            if (header.contentChecksum) {
+                if (!this._ready(end + 4)) return false;
+                if (end + 4 > this.length) {
+                    this._openGap(end, errorCodes.TRUNCATED, "LZ4: Truncated Frame (missing Content Checksum)", frameIndex, null);
+                    frame.length = this.length - frame.offset;
+                    this._endFrame(this.length);
+                    return true;
+                }
+                if (frame.lostBlocks === 0) frame.contentChecksumValid = this._u32(end) === this.current.hasher.digest();
+                end += 4;
+            }
+            frame.complete = frame.lostBlocks === 0 && frame.contentChecksumValid !== false;
+            frame.length = end - frame.offset;
+            this._endFrame(end);
+            return true;
+        }
+
+        const size = value & 0x7FFFFFFF;
+        const checksumSize = this.current.checksumSize;
+        const end = bp + 4 + size + checksumSize;
+        const oversized = size > header.blockMaxSize;
+        if (!oversized && !this._ready(end)) return false;
+        if (oversized || end > this.length) {
+            // The size field cannot be trusted: the rest of the frame has no known boundaries
+            const code = oversized ? errorCodes.MALFORMED_BLOCK : errorCodes.TRUNCATED;
+            const message = oversized
+                ? `LZ4: Block size ${size} exceeds the frame maximum of ${header.blockMaxSize} (block ${blockIndex} at offset ${bp})`
+                : `LZ4: Truncated Block (block ${blockIndex} at offset ${bp})`;
+            this._openGap(bp, code, message, frameIndex, blockIndex);
+            frame.lostBlocks++;
+            frame.length = oversized ? bp + 4 - frame.offset : this.length - frame.offset;
+            this._endFrame(bp + 4);
+            return true;
+        }
+
+        const data = this.data;
+        const at = bp + 4 - this.base;
+        let error = null;
+        if (checksumSize && readU32(data, at + size) !== xxHash32(data.subarray(at, at + size), 0)) {
+            error = new LZ4Error(errorCodes.BLOCK_CHECKSUM, `LZ4: Block Checksum Error (block ${blockIndex} at offset ${bp})`);
+        }
+
+        let chunk = null;
+        if (!error) {
+            if (value & 0x80000000) {
+                chunk = data.slice(at, at + size);
+            } else {
+                try {
+                    const bytes = decompressBlock(data, at, size, this.workspace, 0, header.blockIndependence ? this.current.dictWindow : this.current.history);
+                    chunk = this.workspace.slice(0, bytes);
+                } catch (e) {
+                    error = this.current.dictError || e;
+                }
+            }
+        }
+
+        if (error) {
+            const code = error.code === errorCodes.OUTPUT_TOO_SMALL ? errorCodes.MALFORMED_BLOCK : error.code;
+            this._lose(bp, end, code, error.message, frameIndex, blockIndex);
+            frame.lostBlocks++;
+            // The history linked blocks need is gone, dictionary included
+            this.current.history = null;
+        } else {
+            this._emit(bp, end, chunk, { frameIndex, blockIndex, offset: bp });
+            frame.blocks++;
+            if (this.current.hasher) this.current.hasher.update(chunk);
+            if (!header.blockIndependence) this.current.history = appendHistory(this.current.history, chunk);
+        }
+
+        this.pos = end;
+        this.current.blockIndex++;
+        return true;
+    }
+
+    /**
+     * Starts the legacy frame whose magic number is at `pos`. Its end is the first value too large
+     * to be a block size (the next magic number) or the end of the input.
+     * @param {number} pos
+     * @private
+     */
+    _startLegacyFrame(pos) {
+        const frameIndex = ++this.frameIndex;
+        const frame = {
+            index: frameIndex, format: 'legacy', offset: pos, length: 0,
+            blocks: 0, lostBlocks: 0, complete: false, contentChecksumValid: null
+        };
+        this.frames.push(frame);
+        this.limits.checkBlockSize(LEGACY_BLOCK_SIZE, { frameIndex, offset: pos });
+        this._reserve(LEGACY_BLOCK_SIZE);
+
+        this.current = { frame, blockIndex: 0 };
+        this.state = STATE_LEGACY_BLOCK;
+        this.pos = pos + 4;
+    }
+
+    /**
+     * Recovers the legacy block at `pos`, or ends the frame.
+     * @returns {boolean} False if more input is needed.
+     * @private
+     */
+    _legacyBlock() {
+        const frame = this.current.frame;
+        const frameIndex = frame.index;
+        const blockIndex = this.current.blockIndex;
+        const bp = this.pos;
+
+        if (!this._ready(bp + 4)) return false;
+        const size = bp + 4 <= this.length ? this._u32(bp) : Infinity;
+        if (size > LEGACY_BLOCK_BOUND) {
+            frame.complete = frame.lostBlocks === 0;
+            frame.length = bp - frame.offset;
+            this._endFrame(bp);
+            return true;
+        }
+
+        const end = bp + 4 + size;
+        if (!this._ready(end)) return false;
+        if (end > this.length) {
+            this._openGap(bp, errorCodes.TRUNCATED, `LZ4: Truncated Legacy Block (block ${blockIndex} at offset ${bp})`, frameIndex, blockIndex);
+            frame.lostBlocks++;
+            frame.length = this.length - frame.offset;
+            this._endFrame(this.length);
+            return true;
+        }
+
+        try {
+            const bytes = decompressBlock(this.data, bp + 4 - this.base, size, this.workspace, 0, null);
+            this._emit(bp, end, this.workspace.slice(0, bytes), { frameIndex, blockIndex, offset: bp });
+            frame.blocks++;
+        } catch (e) {
+            const code = e.code === errorCodes.OUTPUT_TOO_SMALL ? errorCodes.MALFORMED_BLOCK : e.code;
+            this._lose(bp, end, code, e.message, frameIndex, blockIndex);
+            frame.lostBlocks++;
+        }
+        this.pos = end;
+        this.current.blockIndex++;
+        return true;
+    }
+
+    /**
+     * Goes back to scanning at `pos`.
+     * @private
+     */
+    _endFrame(pos) {
+        this.state = STATE_SCAN;
+        this.current = null;
+        this.pos = pos;
+    }
+
+    /**
+     * Grows the block workspace to `size`.
+     * @private
+     */
+    _reserve(size) {
+        if (!this.workspace || this.workspace.length < size) this.workspace = new Uint8Array(size);
+    }
+
+    /**
+     * Adds a recovered block, extending the current range when nothing was lost since.
+     * @private
+     */
+    _emit(start, end, chunk, location) {
+        this.limits.checkOutput(this.outputSize + chunk.length, location);
+        const last = this.recovered[this.recovered.length - 1];
+        if (last && !this.lostSinceRange) {
+            last.length += chunk.length;
+            last.inputLength = end - last.inputOffset;
+        } else {
+            this.recovered.push({ offset: this.outputSize, length: chunk.length, inputOffset: start, inputLength: end - start });
+            this.lostSinceRange = false;
+        }
+        this.chunks.push(chunk);
+        this.outputSize += chunk.length;
+    }
+
+    /**
+     * Records the input range `[start, end)` as lost.
+     * @private
+     */
+    _lose(start, end, code, message, frameIndex, blockIndex) {
+        this._closeGap(start);
+        if (this.carve && code === errorCodes.MAGIC) return;
+        this.lost.push({ inputOffset: start, inputLength: end - start, offset: this.outputSize, frameIndex, blockIndex, code, message });
+        this.lostSinceRange = true;
+    }
+
+    /**
+     * Starts (or continues) a region whose end is only known once the next frame is found.
+     * @private
+     */
+    _openGap(start, code, message, frameIndex, blockIndex) {
+        if (!this.gap) this.gap = { start, code, message, frameIndex, blockIndex };
+    }
+
+    /**
+     * Ends the open region (if any) at `end`.
+     * @private
+     */
+    _closeGap(end) {
+        const gap = this.gap;
+        if (!gap) return;
+        this.gap = null;
+        this._lose(gap.start, end, gap.code, gap.message, gap.frameIndex, gap.blockIndex);
+    }
+
+    /**
+     * @returns {Uint8Array[]} The data recovered since the last call.
+     * @private
+     */
+    _take() {
+        const chunks = this.chunks;
+        this.chunks = [];
+        return chunks;
+    }
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concat(chunks) {
+    if (chunks.length === 1) return chunks[0];
+    const result = new Uint8Array(chunks.reduce((size, c) => size + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) {
+        result.set(c, offset);
+        offset += c.length;
+    }
+    return result;
+}
+
+/**
+ * Decodes everything that can be recovered from damaged LZ4 data, or from a file with LZ4
+ * frames embedded in it. Never throws on malformed input.
+ * @param {Uint8Array|ArrayBuffer|Buffer} input - The damaged data.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null] - Dictionary, registry or
+ * (synchronous) resolver, as for `decompress`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.carve=false] - Input that is not LZ4 at all (e.g. the rest of a binary the
+ * frames are embedded in) is expected: only losses inside frames are reported.
+ * @param {number} [options.maxOutputSize] - See `DecodeLimits` (limits still throw).
+ * @param {number} [options.maxBlockSize] - See `DecodeLimits`.
+ * @returns {{data: Uint8Array, complete: boolean, frames: Object[], recovered: Object[], lost: Object[]}}
+ * - `data`: the recovered bytes, in order.
+ * - `complete`: true if nothing was lost and every content checksum matched.
+ * - `frames`: `{ index, format, offset, length, blocks, lostBlocks, complete, contentChecksumValid }` per
+ * frame found (`contentChecksumValid` is `null` when there is none or blocks were lost).
+ * - `recovered`: `{ offset, length, inputOffset, inputLength }` for each run of recovered data: where it
+ * is in `data` and which input bytes it came from.
+ * - `lost`: `{ inputOffset, inputLength, offset, frameIndex, blockIndex, code, message }` for each damaged
+ * input range: `offset` is where its data is missing from `data`, `code` why (one of `errorCodes`;
+ * `ERR_LZ4_MAGIC` for bytes outside any frame).
+ * @throws {LZ4Error} Only for invalid arguments, async resolvers and exceeded limits.
+ */
+export function recover(input, dictionary = null, options = {}) {
+    const recovery = new FrameRecovery(dictionary, options);
+    const chunks = recovery.update(ensureBuffer(input));
+    chunks.push(...recovery.finish());
+    return { data: concat(chunks), ...recovery.report() };
+}
@@ -0,0 +1,161 @@
+/**
+ * src/frame/frameWriter.js
+ * * Low-level Frame Writer (`LZ4.LZ4FrameWriter`).
+ * * Writes the parts of an LZ4 frame (header, blocks, EndMark and content checksum) around block
+ * data that is already compressed, or stored raw. Nothing is compressed here: pair it with
+ * `LZ4FrameReader` to re-frame data, or with `compressRaw` to build frames by hand.
+ * @module frameWriter
+ */
+
+import { XXHash32 } from '../xxhash32/xxhash32Stateful.js';
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import {
+    MAGIC_NUMBER, LZ4_VERSION, BLOCK_MAX_SIZES, FLG_BLOCK_INDEP_MASK, FLG_BLOCK_CHECKSUM_MASK,
+    FLG_CONTENT_SIZE_MASK, FLG_CONTENT_CHECKSUM_MASK, FLG_DICT_ID_MASK, writeU32, getBlockId
+} from './frameDescriptor.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+/**
+ * Creates the LZ4 Frame Header.
+ * @param {boolean} blockIndependence - If true, blocks effectively forget previous blocks.
+ * @param {boolean} contentChecksum - If true, a checksum is appended at the EOF.
+ * @param {number} bdId - Block Identifier (4-7).
+ * @param {number|null} dictId - Optional Dictionary ID.
+ * @param {boolean} blockChecksum - If true, every block is followed by its checksum.
+ * @param {number|null} contentSize - Optional original content size (written as 64 bits).
+ * @returns {Uint8Array} The formatted header buffer.
+ */
+export function createFrameHeader(blockIndependence, contentChecksum, bdId, dictId, blockChecksum, contentSize) {
+    const buffer = new Uint8Array(19); // Max size
+    let pos = 0;
+
+    // Magic
+    writeU32(buffer, MAGIC_NUMBER, pos);
+    pos += 4;
+
+    // FLG
+    let flg = (LZ4_VERSION << 6);
+    if (blockIndependence) flg |= FLG_BLOCK_INDEP_MASK;
+    if (blockChecksum) flg |= FLG_BLOCK_CHECKSUM_MASK;
+    if (contentChecksum) flg |= FLG_CONTENT_CHECKSUM_MASK;
+    if (dictId) flg |= FLG_DICT_ID_MASK;
+    if (contentSize !== null) flg |= FLG_CONTENT_SIZE_MASK;
+    buffer[pos++] = flg;
+
+    // BD
+    buffer[pos++] = (bdId & 0x07) << 4;
+
+    // Content Size (Low + High 32 bits)
+    if (contentSize !== null) {
+        writeU32(buffer, contentSize >>> 0, pos);
+        writeU32(buffer, (contentSize / 4294967296) >>> 0, pos + 4);
+        pos += 8;
+    }
+
+    // Dictionary ID
+    if (dictId) {
+        writeU32(buffer, dictId, pos);
+        pos += 4;
+    }
+
+    // Header Checksum (xxHash32 of the header bytes)
+    // Note: We use a temporary stateless hash here for simplicity in the header
+    // In a full implementation, we might reuse the hasher class, but creating one is cheap.
+    const hasher = new XXHash32(0);
+    hasher.update(buffer.subarray(4, pos));
+    const headerHash = hasher.digest();
+    buffer[pos++] = (headerHash >>> 8) & 0xFF;
+
+    return buffer.subarray(0, pos);
+}
+
+/**
+ * Writes an LZ4 frame part by part: `writeHeader`, any number of `writeBlock`, then `writeEnd`.
+ * * The writer trusts the block data: blocks of a frame declared `blockIndependence` must not
+ * reference earlier blocks, and compressed blocks must decode to at most `blockMaxSize` bytes.
+ */
+export class LZ4FrameWriter {
+    /**
+     * @param {Object} [options={}] - The frame layout. A `'header'` part from `LZ4FrameReader` can be
+     * passed as-is to write the same layout.
+     * @param {number} [options.blockMaxSize=4194304] - Rounded up to 64KB, 256KB, 1MB or 4MB.
+     * @param {boolean} [options.blockIndependence=false] - Declares that blocks decode independently.
+     * @param {boolean} [options.blockChecksum=false] - Follows each block with a xxHash32 of its stored bytes.
+     * @param {boolean} [options.contentChecksum=false] - Declares a content checksum, passed to `writeEnd`.
+     * @param {number|null} [options.contentSize=null] - Decompressed size of the frame, if known.
+     * @param {number|null} [options.dictId=null] - Dict ID of the dictionary the blocks were compressed with.
+     */
+    constructor(options = {}) {
+        if (options.format === 'legacy') throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: LZ4FrameWriter only writes the frame format");
+        const blockMaxSize = options.blockMaxSize === undefined ? 4194304 : options.blockMaxSize;
+        if (blockMaxSize > BLOCK_MAX_SIZES[7]) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Block max size ${blockMaxSize} exceeds 4MB`);
+
+        this.bdId = getBlockId(blockMaxSize);
+        this.blockMaxSize = BLOCK_MAX_SIZES[this.bdId];
+        this.blockIndependence = !!options.blockIndependence;
+        this.blockChecksum = !!options.blockChecksum;
+        this.contentChecksum = !!options.contentChecksum;
+        this.contentSize = options.contentSize === undefined ? null : options.contentSize;
+        this.dictId = options.dictId || null;
+        if (this.contentSize !== null && (!Number.isSafeInteger(this.contentSize) || this.contentSize < 0)) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: contentSize must be a non-negative integer, got ${this.contentSize}`);
+        }
+
+        this.hasWrittenHeader = false;
+        this.isClosed = false;
+    }
+
+    /**
+     * Writes the frame header.
+     * @returns {Uint8Array}
+     * @throws {Error} If the header was already written.
+     */
+    writeHeader() {
+        if (this.hasWrittenHeader) throw new LZ4Error(errorCodes.INVALID_STATE, "LZ4: Frame header already written");
+        this.hasWrittenHeader = true;
+        return createFrameHeader(this.blockIndependence, this.contentChecksum, this.bdId, this.dictId, this.blockChecksum, this.contentSize);
+    }
+
+    /**
+     * Writes a block.
+     * @param {Uint8Array|ArrayBuffer} data - An LZ4 block (`compressRaw` output, or a `'block'` part's
+     * `data`), or raw bytes stored uncompressed.
+     * @param {boolean} [compressed=true] - False to store `data` as an uncompressed block.
+     * @returns {Uint8Array} `Size(4) | Data [| Checksum(4)]`.
+     * @throws {Error} If the header was not written, the frame is closed, or the block exceeds `blockMaxSize`.
+     */
+    writeBlock(data, compressed = true) {
+        if (!this.hasWrittenHeader || this.isClosed) throw new LZ4Error(errorCodes.INVALID_STATE, "LZ4: Blocks must be written between writeHeader and writeEnd");
+        const bytes = ensureBuffer(data);
+        const size = bytes.length;
+        if (size === 0) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Blocks cannot be empty (a zero size is the EndMark)");
+        if (size > this.blockMaxSize) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Block of ${size} bytes exceeds the frame's ${this.blockMaxSize} byte limit`);
+
+        const checksumSize = this.blockChecksum ? 4 : 0;
+        const block = new Uint8Array(4 + size + checksumSize);
+        writeU32(block, compressed ? size : (size | 0x80000000) >>> 0, 0);
+        block.set(bytes, 4);
+        if (checksumSize) writeU32(block, xxHash32(bytes, 0), 4 + size);
+        return block;
+    }
+
+    /**
+     * Writes the EndMark and, if declared, the content checksum.
+     * @param {number|null} [contentChecksum=null] - xxHash32 of the decompressed content (e.g. an
+     * `'end'` part's `contentChecksum`). Required if the header declares one.
+     * @returns {Uint8Array}
+     * @throws {Error} If the header was not written, the frame is closed, or the checksum is missing.
+     */
+    writeEnd(contentChecksum = null) {
+        if (!this.hasWrittenHeader || this.isClosed) throw new LZ4Error(errorCodes.INVALID_STATE, "LZ4: writeEnd must follow writeHeader, once");
+        if (this.contentChecksum && (contentChecksum === null || contentChecksum === undefined)) {
+            throw new LZ4Error(errorCodes.INVALID_STATE, "LZ4: The frame declares a content checksum, but none was given");
+        }
+        this.isClosed = true;
+
+        const end = new Uint8Array(this.contentChecksum ? 8 : 4);
+        if (this.contentChecksum) writeU32(end, contentChecksum, 4);
+        return end;
+    }
+}
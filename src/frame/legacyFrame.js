@@ -0,0 +1,174 @@
+/**
+ * src/frame/legacyFrame.js
+ * * Legacy Frame Format (`lz4 -l`, Linux kernel images).
+ * * Layout: `Magic(4) | [BlockSize(4) | Block]...` with magic `0x184C2102`. There is no frame
+ * descriptor, no checksum and no EndMark. Every block is compressed (there is no uncompressed
+ * flag), independent, and decodes to 8MB except the last one. The frame ends at the end of the
+ * input, or where a "block size" larger than any legacy block can be (the next frame's magic).
+ * @module legacyFrame
+ */
+
+import { compressBlock, compressBound, LZ4_ACCELERATION_DEFAULT, LZ4_ACCELERATION_MAX } from '../block/blockCompress.js';
+import { compressBlockHC, LZ4HC_CLEVEL_MIN } from '../block/blockCompressHC.js';
+import { decompressBlock } from '../block/blockDecompress.js';
+import { encodeSkippableFrames } from './skippableFrame.js';
+import { writeU32 } from './frameDescriptor.js';
+import { LZ4Error, errorCodes, locateError, locateBlockError } from '../shared/lz4Error.js';
+import { checkOutputSize } from '../shared/lz4Util.js';
+
+/** Legacy Magic Number (Little Endian). */
+export const LEGACY_MAGIC = 0x184C2102;
+
+/** Decoded size of every legacy block except the last. */
+export const LEGACY_BLOCK_SIZE = 8388608 | 0;
+
+/** Block sizes above this are not blocks: they mark the start of the next frame. */
+export const LEGACY_BLOCK_BOUND = compressBound(LEGACY_BLOCK_SIZE);
+
+/**
+ * Worst-case size of a legacy frame holding `n` bytes (magic, block sizes and blocks; no skippable frames).
+ * @param {number} n - Input size in bytes.
+ * @returns {number}
+ */
+export function legacyFrameBound(n) {
+    const fullBlocks = Math.floor(n / LEGACY_BLOCK_SIZE);
+    const rest = n - fullBlocks * LEGACY_BLOCK_SIZE;
+    return 4 + fullBlocks * (4 + LEGACY_BLOCK_BOUND) + (rest > 0 ? 4 + compressBound(rest) : 0);
+}
+
+/**
+ * Compresses a buffer into a legacy frame (`compressBuffer` with `format: 'legacy'`).
+ * Acceleration `Infinity` produces literals-only blocks, since legacy blocks cannot be stored raw.
+ * @param {Uint8Array} input - The raw data.
+ * @param {Uint8Array|null} outputBuffer - Optional pre-allocated destination.
+ * @param {Object} options - `compressionLevel`, `acceleration` and `skippableFrames` (see `compressBuffer`).
+ * @param {CompressionContext} context - Match-finder tables, acquired by the caller.
+ * @returns {Uint8Array} A view of the legacy frame.
+ */
+export function compressLegacyFrame(input, outputBuffer, options, context) {
+    const len = input.length | 0;
+    const compressionLevel = options.compressionLevel | 0;
+    const acceleration = options.acceleration || LZ4_ACCELERATION_DEFAULT;
+    const hcTable = (acceleration < LZ4_ACCELERATION_MAX && compressionLevel >= LZ4HC_CLEVEL_MIN) ? context.getHCTable() : null;
+    const hashTable = context.hashTable;
+    const skippable = encodeSkippableFrames(options.skippableFrames);
+
+    let output = outputBuffer;
+    if (!output) {
+        let size = legacyFrameBound(len);
+        for (const frame of skippable.before) size += frame.length;
+        for (const frame of skippable.after) size += frame.length;
+        output = new Uint8Array(size);
+    }
+
+    let outPos = 0 | 0;
+    for (const frame of skippable.before) {
+        checkOutputSize(output, outPos + frame.length);
+        output.set(frame, outPos);
+        outPos = (outPos + frame.length) | 0;
+    }
+
+    checkOutputSize(output, outPos + 4);
+    writeU32(output, LEGACY_MAGIC, outPos);
+    outPos = (outPos + 4) | 0;
+
+    for (let srcPos = 0; srcPos < len; srcPos += LEGACY_BLOCK_SIZE) {
+        const blockSize = Math.min(LEGACY_BLOCK_SIZE, len - srcPos) | 0;
+        const sizePos = outPos;
+        outPos = (outPos + 4) | 0;
+
+        // Compress in place when the worst case fits, else stage the block and copy it if it fits
+        const bound = compressBound(blockSize);
+        const direct = outPos + bound <= output.length;
+        const target = direct ? output : context.getBlockWorkspace(bound);
+        const targetPos = direct ? outPos : 0;
+
+        let compSize;
+        if (hcTable) {
+            hcTable.reset(srcPos);
+            compSize = compressBlockHC(input, target, srcPos, blockSize, hcTable, targetPos, compressionLevel);
+        } else {
+            hashTable.fill(0);
+            compSize = compressBlock(input, target, srcPos, blockSize, hashTable, targetPos, acceleration);
+        }
+
+        if (!direct) {
+            checkOutputSize(output, outPos + compSize);
+            output.set(target.subarray(0, compSize), outPos);
+        }
+        writeU32(output, compSize, sizePos);
+        outPos = (outPos + compSize) | 0;
+    }
+
+    for (const frame of skippable.after) {
+        checkOutputSize(output, outPos + frame.length);
+        output.set(frame, outPos);
+        outPos = (outPos + frame.length) | 0;
+    }
+
+    return output.subarray(0, outPos);
+}
+
+/**
+ * Decodes the legacy frame whose blocks start at `pos` (just after the magic number). The frame ends
+ * at the end of the input or at the first value too large to be a block size (the next frame's magic).
+ * @param {Uint8Array} data - The input.
+ * @param {number} pos - Offset of the first block size.
+ * @param {number} frameIndex - Index of the frame in the input (reported by errors).
+ * @param {DecodeLimits} [limits] - Output and block size limits of the caller.
+ * @param {number} outputBase - Bytes decoded from earlier frames (counted by `limits`).
+ * @param {DecompressionContext} context - Block workspace, acquired by the caller.
+ * @param {Uint8Array} [output] - Caller's destination (`decompressInto`): blocks are decoded into it
+ * directly instead of the workspace.
+ * @returns {{ data: Uint8Array, end: number }} The decompressed data (a view of `output`, if given) and
+ * the offset after the frame.
+ * @throws {Error} If a block is truncated, `output` is too small or a limit is exceeded.
+ */
+export function decompressLegacyFrame(data, pos, frameIndex, limits, outputBase, context, output) {
+    const len = data.length | 0;
+    if (limits) limits.checkBlockSize(LEGACY_BLOCK_SIZE, { frameIndex, offset: pos - 4 });
+    const workspace = output ? null : context.getWorkspace(LEGACY_BLOCK_SIZE);
+
+    const chunks = [];
+    let total = 0;
+    let blockIndex = 0;
+
+    while (pos + 4 <= len) {
+        const blockSize = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+        // Too large to be a block: the magic number of the next frame
+        if (blockSize > LEGACY_BLOCK_BOUND) break;
+
+        pos += 4;
+        if (pos + blockSize > len) {
+            throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Legacy Block", { frameIndex, blockIndex, offset: pos - 4 });
+        }
+
+        let bytes;
+        try {
+            bytes = output
+                ? decompressBlock(data, pos, blockSize, output.subarray(total, total + LEGACY_BLOCK_SIZE), 0, null)
+                : decompressBlock(data, pos, blockSize, workspace, 0, null);
+        } catch (e) {
+            // A block fills at most 8MB, so a shorter caller's buffer is what ran out
+            if (output && e.code === errorCodes.OUTPUT_TOO_SMALL && output.length - total < LEGACY_BLOCK_SIZE) {
+                throw locateError(e, { frameIndex, blockIndex });
+            }
+            throw locateBlockError(e, frameIndex, blockIndex, 0);
+        }
+        if (limits) limits.checkOutput(outputBase + total + bytes, { frameIndex, blockIndex, offset: pos - 4 });
+        if (!output) chunks.push(workspace.slice(0, bytes));
+        total += bytes;
+        pos += blockSize;
+        blockIndex++;
+    }
+
+    if (output) return { data: output.subarray(0, total), end: pos };
+    if (chunks.length === 1) return { data: chunks[0], end: pos };
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const c of chunks) {
+        result.set(c, offset);
+        offset += c.length;
+    }
+    return { data: result, end: pos };
+}
@@ -0,0 +1,292 @@
+/**
+ * src/frame/seekableFrame.js
+ * * Seekable Format (`format: 'seekable'`, `LZ4.openSeekable`).
+ * * A seekable file is a regular LZ4 frame with independent blocks, followed by a seek table in a
+ * skippable frame (nibble `0xE`), so plain decoders and the `lz4` CLI read it unchanged. The seek
+ * table ends the file and is located from its footer:
+ * * `Magic(4) | Size(4) | [CompressedSize(4) | DecompressedSize(4)]... | BlockCount(4) | Flags(1) | SeekMagic(4)`
+ * * `CompressedSize` covers a block as stored in the frame (size field, data and block checksum),
+ * so block offsets are running sums from the first block. `Flags` is reserved (0).
+ * @module seekableFrame
+ */
+
+import { xxHash32 } from '../xxhash32/xxhash32.js';
+import { decompressBlock } from '../block/blockDecompress.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { DictionaryLookup } from '../dictionary/dictionaryLookup.js';
+import { createSkippableFrame, isSkippableMagic, SKIPPABLE_MAGIC_MIN } from './skippableFrame.js';
+import { MAGIC_NUMBER, readU32, writeU32, checkFrameDescriptor, parseFrameDescriptor } from './frameDescriptor.js';
+import { LZ4Error, errorCodes, locateBlockError } from '../shared/lz4Error.js';
+
+/** Skippable frame nibble holding the seek table. */
+export const SEEK_TABLE_NIBBLE = 0x0E;
+
+/** Last 4 bytes of a seekable file. */
+export const SEEKABLE_MAGIC = 0x8F92EAB1;
+
+/** BlockCount + Flags + SeekMagic. */
+const SEEK_FOOTER_SIZE = 9;
+
+/**
+ * Size of the seek table frame for `blockCount` blocks.
+ * @param {number} blockCount
+ * @returns {number}
+ */
+export function seekTableSize(blockCount) {
+    return 8 + blockCount * 8 + SEEK_FOOTER_SIZE;
+}
+
+/**
+ * Builds the seek table frame written at the end of a seekable file.
+ * @param {number[]} compressedSizes - Stored size of each block (size field, data and block checksum).
+ * @param {number[]} decompressedSizes - Decoded size of each block.
+ * @returns {Uint8Array} The complete skippable frame.
+ */
+export function createSeekTable(compressedSizes, decompressedSizes) {
+    const count = compressedSizes.length;
+    const payload = new Uint8Array(count * 8 + SEEK_FOOTER_SIZE);
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        writeU32(payload, compressedSizes[i], pos);
+        writeU32(payload, decompressedSizes[i], pos + 4);
+        pos += 8;
+    }
+    writeU32(payload, count, pos);
+    payload[pos + 4] = 0;
+    writeU32(payload, SEEKABLE_MAGIC, pos + 5);
+    return createSkippableFrame(SEEK_TABLE_NIBBLE, payload);
+}
+
+/**
+ * Wraps a source in a `(offset, length) => Promise<Uint8Array>` reader.
+ * @param {Uint8Array|ArrayBuffer|Blob|Function} source
+ * @param {number|undefined} size - Total size, required for range-read callbacks.
+ * @returns {{ size: number, read: function(number, number): Promise<Uint8Array> }}
+ */
+function createRangeReader(source, size) {
+    if (typeof source === 'function') {
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: openSeekable needs options.size (the compressed size) with a range-read callback");
+        }
+        return {
+            size,
+            read: async (offset, length) => {
+                const bytes = ensureBuffer(await source(offset, length));
+                if (bytes.length < length) throw new LZ4Error(errorCodes.TRUNCATED, `LZ4: Range read returned ${bytes.length} bytes at offset ${offset}, expected ${length}`);
+                return bytes.subarray(0, length);
+            }
+        };
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return {
+            size: source.size,
+            read: async (offset, length) => new Uint8Array(await source.slice(offset, offset + length).arrayBuffer())
+        };
+    }
+    const data = ensureBuffer(source);
+    return {
+        size: data.length,
+        read: async (offset, length) => data.subarray(offset, offset + length)
+    };
+}
+
+/**
+ * Random-access reader over a seekable file (`LZ4.openSeekable`).
+ * * The frame header and seek table are fetched on first use (or by `load`). Each `read` then
+ * fetches only the compressed range of the blocks it overlaps, in one range read.
+ */
+export class LZ4SeekableReader {
+    /**
+     * @param {Uint8Array|ArrayBuffer|Blob|Function} source - The seekable file, or an async
+     * `(offset, length) => Uint8Array` range-read callback (file handle, HTTP Range request).
+     * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null] - As for `decompress`.
+     * @param {Object} [options={}]
+     * @param {number} [options.size] - Compressed size of the source; required with a callback.
+     * @param {boolean} [options.verifyChecksum=true] - Verifies block checksums (if present) on read.
+     */
+    constructor(source, dictionary = null, options = {}) {
+        this.source = createRangeReader(source, options.size);
+        this.dictionaries = new DictionaryLookup(dictionary);
+        this.verifyChecksum = options.verifyChecksum !== false;
+
+        /** Decompressed size (set by `load`). */
+        this.size = 0;
+        /** Number of blocks (set by `load`). */
+        this.blockCount = 0;
+        this.blockChecksum = false;
+        this.dictWindow = null;
+        this.compressedOffsets = null;    // Float64Array(blockCount + 1), absolute
+        this.decompressedOffsets = null;  // Float64Array(blockCount + 1)
+        this.loading = null;
+    }
+
+    /**
+     * Reads the frame header and seek table (once; a failed load, e.g. a network error, is retried
+     * by the next call).
+     * @returns {Promise<LZ4SeekableReader>} This reader.
+     * @throws {Error} If the source is not a seekable LZ4 file.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this._load().then(() => this, (e) => {
+                this.loading = null;
+                throw e;
+            });
+        }
+        return this.loading;
+    }
+
+    /** @private */
+    async _load() {
+        const source = this.source;
+
+        // Seek table, located from the footer
+        if (source.size < SEEK_FOOTER_SIZE + 8) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Not a seekable LZ4 file (no seek table)");
+        const footer = await source.read(source.size - SEEK_FOOTER_SIZE, SEEK_FOOTER_SIZE);
+        if (readU32(footer, 5) !== SEEKABLE_MAGIC) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Not a seekable LZ4 file (no seek table)");
+        const count = readU32(footer, 0);
+        const tableSize = seekTableSize(count);
+        if (tableSize > source.size) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Corrupted seek table");
+        const table = await source.read(source.size - tableSize, tableSize);
+        if (readU32(table, 0) !== (SKIPPABLE_MAGIC_MIN | SEEK_TABLE_NIBBLE) || readU32(table, 4) !== tableSize - 8) {
+            throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Corrupted seek table");
+        }
+
+        // Frame header, after any leading skippable frames
+        let pos = 0;
+        let magic = readU32(await source.read(0, 4), 0);
+        while (isSkippableMagic(magic) && magic !== (SKIPPABLE_MAGIC_MIN | SEEK_TABLE_NIBBLE)) {
+            pos += 8 + readU32(await source.read(pos + 4, 4), 0);
+            magic = readU32(await source.read(pos, 4), 0);
+        }
+        if (magic !== MAGIC_NUMBER) throw new LZ4Error(errorCodes.MAGIC, "LZ4: Invalid Magic Number", { frameIndex: 0, offset: pos });
+        const header = await source.read(pos + 4, Math.min(15, source.size - pos - 4));
+        checkFrameDescriptor(header[0], header[1], { frameIndex: 0, offset: pos + 4 });
+        const descriptor = parseFrameDescriptor(header, 0);
+        if (!descriptor.blockIndependence) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Not a seekable LZ4 file (blocks are not independent)", { frameIndex: 0, offset: pos + 4 });
+        if (!descriptor.headerChecksumValid) {
+            throw new LZ4Error(errorCodes.HEADER_CHECKSUM, "LZ4: Header Checksum Error", { frameIndex: 0, offset: pos + 3 + descriptor.length });
+        }
+        const blockMaxSize = descriptor.blockMaxSize;
+        const dict = await this.dictionaries.lookup(descriptor.dictId);
+        this.dictWindow = dict ? dict.window : null;
+        this.blockChecksum = descriptor.blockChecksum;
+
+        // Offsets of every block
+        const compressedOffsets = new Float64Array(count + 1);
+        const decompressedOffsets = new Float64Array(count + 1);
+        compressedOffsets[0] = pos + 4 + descriptor.length;
+        for (let i = 0; i < count; i++) {
+            const decompressedSize = readU32(table, 12 + i * 8);
+            if (decompressedSize > blockMaxSize) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Corrupted seek table");
+            compressedOffsets[i + 1] = compressedOffsets[i] + readU32(table, 8 + i * 8);
+            decompressedOffsets[i + 1] = decompressedOffsets[i] + decompressedSize;
+        }
+        if (compressedOffsets[count] > source.size - tableSize) throw new LZ4Error(errorCodes.SEEK_TABLE, "LZ4: Corrupted seek table");
+
+        this.compressedOffsets = compressedOffsets;
+        this.decompressedOffsets = decompressedOffsets;
+        this.blockCount = count;
+        this.size = decompressedOffsets[count];
+    }
+
+    /**
+     * Finds the block containing a decompressed offset.
+     * @private
+     * @param {number} offset - In `[0, size)`.
+     * @returns {number}
+     */
+    _findBlock(offset) {
+        const offsets = this.decompressedOffsets;
+        let lo = 0;
+        let hi = this.blockCount - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >>> 1;
+            if (offsets[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    /**
+     * Reads a range of the decompressed data.
+     * @param {number} offset - Decompressed offset to start at.
+     * @param {number} length - Number of bytes; the range is clamped to the end of the data.
+     * @returns {Promise<Uint8Array>} The decompressed bytes.
+     * @throws {Error} If the range is invalid, a block checksum fails or a block is malformed.
+     */
+    async read(offset, length) {
+        await this.load();
+        if (!Number.isSafeInteger(offset) || offset < 0 || !Number.isSafeInteger(length) || length < 0) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Invalid seekable read range (offset ${offset}, length ${length})`);
+        }
+        const end = Math.min(offset + length, this.size);
+        if (offset >= end) return new Uint8Array(0);
+
+        const first = this._findBlock(offset);
+        const last = this._findBlock(end - 1);
+        const rangeStart = this.compressedOffsets[first];
+        const compressed = await this.source.read(rangeStart, this.compressedOffsets[last + 1] - rangeStart);
+
+        const result = new Uint8Array(end - offset);
+        let resultPos = 0;
+        for (let i = first; i <= last; i++) {
+            const blockPos = this.compressedOffsets[i] - rangeStart;
+            const blockOutStart = this.decompressedOffsets[i];
+            const decodedSize = this.decompressedOffsets[i + 1] - blockOutStart;
+            const block = this._decodeBlock(compressed, blockPos, i, decodedSize);
+
+            const from = Math.max(offset - blockOutStart, 0);
+            const to = Math.min(end - blockOutStart, decodedSize);
+            result.set(block.subarray(from, to), resultPos);
+            resultPos += to - from;
+        }
+        return result;
+    }
+
+    /**
+     * Decodes one block of a fetched range.
+     * @private
+     * @returns {Uint8Array}
+     */
+    _decodeBlock(data, pos, index, decodedSize) {
+        const blockOffset = this.compressedOffsets[index];
+        const location = { frameIndex: 0, blockIndex: index, offset: blockOffset };
+        const base = blockOffset - pos; // Input offset of data[0]
+        const value = readU32(data, pos);
+        const isUncompressed = (value & 0x80000000) !== 0;
+        const size = value & 0x7FFFFFFF;
+        pos += 4;
+
+        if (this.blockChecksum && this.verifyChecksum) {
+            if (readU32(data, pos + size) !== xxHash32(data.subarray(pos, pos + size), 0)) {
+                throw new LZ4Error(errorCodes.BLOCK_CHECKSUM, `LZ4: Block Checksum Error (block ${index} at offset ${blockOffset})`, location);
+            }
+        }
+
+        if (isUncompressed) {
+            if (size !== decodedSize) throw new LZ4Error(errorCodes.SEEK_TABLE, `LZ4: Seek table does not match block ${index}`, location);
+            return data.subarray(pos, pos + size);
+        }
+        const output = new Uint8Array(decodedSize);
+        let bytes;
+        try {
+            bytes = decompressBlock(data, pos, size, output, 0, this.dictWindow);
+        } catch (e) {
+            throw locateBlockError(e, 0, index, base);
+        }
+        if (bytes !== decodedSize) throw new LZ4Error(errorCodes.SEEK_TABLE, `LZ4: Seek table does not match block ${index}`, location);
+        return output;
+    }
+}
+
+/**
+ * Opens a seekable file for random-access reads (`LZ4.openSeekable`).
+ * @param {Uint8Array|ArrayBuffer|Blob|Function} source - See `LZ4SeekableReader`.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null]
+ * @param {Object} [options={}] - See `LZ4SeekableReader`.
+ * @returns {LZ4SeekableReader}
+ */
+export function openSeekable(source, dictionary = null, options = {}) {
+    return new LZ4SeekableReader(source, dictionary, options);
+}
@@ -0,0 +1,100 @@
+/**
+ * src/frame/skippableFrame.js
+ * * Skippable Frames (LZ4 Frame Format, section "Skippable Frames").
+ * * A skippable frame is `Magic(4) | Size(4) | User Data(Size)`, with a magic number in the range
+ * `0x184D2A50`-`0x184D2A5F`. The low nibble is free for the application (e.g. to tell metadata
+ * kinds apart). Decoders skip them, so they can carry provenance or schema info inside a `.lz4`
+ * file without breaking other tools.
+ * @module skippableFrame
+ */
+
+import { ensureBuffer } from '../shared/lz4Util.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
+
+/** First skippable magic number (nibble 0). */
+export const SKIPPABLE_MAGIC_MIN = 0x184D2A50;
+
+/** Largest payload a skippable frame can hold (the size field is 32 bits). */
+const MAX_SKIPPABLE_SIZE = 0xFFFFFFFF;
+
+/**
+ * Checks whether a magic number belongs to a skippable frame.
+ * @param {number} magic - Little Endian U32 read at the start of a frame.
+ * @returns {boolean}
+ */
+export function isSkippableMagic(magic) {
+    return (magic & 0xFFFFFFF0) === SKIPPABLE_MAGIC_MIN;
+}
+
+/**
+ * Creates a skippable frame (`LZ4.createSkippableFrame`).
+ * Concatenate it before or after LZ4 frames; decoders skip it unless asked to report it.
+ * @param {number} nibble - Application-defined kind, 0-15 (the low nibble of the magic number).
+ * @param {Uint8Array|ArrayBuffer|string|Object} data - The payload. Strings are UTF-8 encoded and
+ * plain objects JSON-serialized.
+ * @returns {Uint8Array} The complete skippable frame.
+ * @throws {Error} If the nibble is out of range or the payload does not fit the 32-bit size field.
+ */
+export function createSkippableFrame(nibble, data) {
+    if (!Number.isInteger(nibble) || nibble < 0 || nibble > 15) {
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Skippable frame nibble must be 0-15, got ${nibble}`);
+    }
+    const payload = ensureBuffer(data);
+    if (payload.length > MAX_SKIPPABLE_SIZE) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Skippable frame data exceeds 4GB");
+
+    const frame = new Uint8Array(8 + payload.length);
+    const magic = SKIPPABLE_MAGIC_MIN | nibble;
+    frame[0] = magic & 0xFF;
+    frame[1] = (magic >>> 8) & 0xFF;
+    frame[2] = (magic >>> 16) & 0xFF;
+    frame[3] = (magic >>> 24) & 0xFF;
+    frame[4] = payload.length & 0xFF;
+    frame[5] = (payload.length >>> 8) & 0xFF;
+    frame[6] = (payload.length >>> 16) & 0xFF;
+    frame[7] = (payload.length >>> 24) & 0xFF;
+    frame.set(payload, 8);
+    return frame;
+}
+
+/**
+ * Encodes the `skippableFrames` compression option.
+ * @param {Array<{nibble?: number, data: *, position?: string}>|undefined} frames - Frames to write;
+ * `position` is `'before'` (default) or `'after'` the LZ4 frame.
+ * @returns {{ before: Uint8Array[], after: Uint8Array[] }}
+ */
+export function encodeSkippableFrames(frames) {
+    const result = { before: [], after: [] };
+    if (!frames) return result;
+    for (const frame of frames) {
+        const encoded = createSkippableFrame(frame.nibble || 0, frame.data);
+        if (frame.position === 'after') result.after.push(encoded);
+        else if (!frame.position || frame.position === 'before') result.before.push(encoded);
+        else throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Skippable frame position must be 'before' or 'after', got ${frame.position}`);
+    }
+    return result;
+}
+
+/**
+ * Skips the consecutive skippable frames starting at `pos`, reporting each one.
+ * @param {Uint8Array} data - The input.
+ * @param {number} pos - Offset to start at.
+ * @param {function(Uint8Array, number): void} [onSkippableFrame] - Called with each frame's data (a view
+ * into `data`) and nibble.
+ * @returns {number} The offset after the last skippable frame (`pos` if there is none).
+ * @throws {Error} If a skippable frame is truncated.
+ */
+export function readSkippableFrames(data, pos, onSkippableFrame) {
+    while (pos + 4 <= data.length) {
+        const magic = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+        if (!isSkippableMagic(magic)) break;
+
+        if (pos + 8 > data.length) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Skippable Frame", { offset: pos });
+        const size = (data[pos + 4] | (data[pos + 5] << 8) | (data[pos + 6] << 16) | (data[pos + 7] << 24)) >>> 0;
+        const end = pos + 8 + size;
+        if (end > data.length) throw new LZ4Error(errorCodes.TRUNCATED, "LZ4: Truncated Skippable Frame", { offset: pos });
+
+        if (onSkippableFrame) onSkippableFrame(data.subarray(pos + 8, end), magic & 0x0F);
+        pos = end;
+    }
+    return pos;
+}
@@ -6,8 +6,8 @@
  * Supports Node.js, Browsers, Web Workers, and Cloudflare Workers.
  */
 
-import { compressBuffer } from './buffer/bufferCompress.js';
-import { decompressBuffer } from './buffer/bufferDecompress.js';
+import { compressBuffer, compressInto, compressDestSize, frameBound } from './buffer/bufferCompress.js';
+import { decompressBuffer, decompressInto } from './buffer/bufferDecompress.js';
 import { createCompressStream } from "./stream/streamCompress.js";
 import { createDecompressStream } from "./stream/streamDecompress.js";
 import { compressAsync, createAsyncCompressStream} from "./stream/streamAsyncCompress.js";
@@ -16,8 +16,30 @@ import { decompressAsync, createAsyncDecompressStream } from "./stream/streamAsy
 import { LZ4Worker } from './webWorker/workerClient.js';
 
 // Raw Block Imports
-import { compressBlock } from './block/blockCompress.js';
-import { decompressBlock } from './block/blockDecompress.js';
+import { compressRaw, compressRawDestSize, decompressRaw } from './block/blockRaw.js';
+import { compressBound } from './block/blockCompress.js';
+
+// Contexts (reusable scratch memory)
+import { createCompressionContext, createDecompressionContext } from './shared/lz4Context.js';
+
+// Dictionaries
+import { createDictionary, LZ4Dictionary } from './dictionary/lz4Dictionary.js';
+import { trainDictionary } from './dictionary/dictTrain.js';
+import { presets } from './dictionary/presets.js';
+
+// Frame Utilities
+import { createSkippableFrame } from './frame/skippableFrame.js';
+import { inspect } from './frame/frameInspect.js';
+import { openSeekable } from './frame/seekableFrame.js';
+import { LZ4FrameWriter } from './frame/frameWriter.js';
+import { LZ4FrameReader } from './frame/frameReader.js';
+import { transcode } from './buffer/bufferTranscode.js';
+import { createTranscodeStream } from './stream/streamTranscode.js';
+import { createInspectStream } from './stream/streamInspect.js';
+import { recover } from './frame/frameRecover.js';
+
+// Errors
+import { LZ4Error, errorCodes } from './shared/lz4Error.js';
 
 import {
     compressString, decompressString,
@@ -29,10 +51,18 @@ export const LZ4 = {
     // 1. SYNCHRONOUS (Blocking)
     // ========================================================================
 
-    compressRaw: compressBlock,
-    decompressRaw: decompressBlock,
+    compressRaw: compressRaw,
+    compressRawDestSize: compressRawDestSize,
+    decompressRaw: decompressRaw,
+    compressBound: compressBound,
     compress: compressBuffer,
+    compressInto: compressInto,
+    compressDestSize: compressDestSize,
+    frameBound: frameBound,
     decompress: decompressBuffer,
+    decompressInto: decompressInto,
+    createCompressionContext: createCompressionContext,
+    createDecompressionContext: createDecompressionContext,
 
     // ========================================================================
     // 2. STREAMING (Memory Efficient)
@@ -63,6 +93,36 @@ export const LZ4 = {
     decompressString: decompressString,
     compressObject: compressObject,
     decompressObject: decompressObject,
+
+    // ========================================================================
+    // 6. DICTIONARIES
+    // ========================================================================
+
+    createDictionary: createDictionary,
+    trainDictionary: trainDictionary,
+    LZ4Dictionary: LZ4Dictionary,
+    presets: presets,
+
+    // ========================================================================
+    // 7. FRAME UTILITIES
+    // ========================================================================
+
+    createSkippableFrame: createSkippableFrame,
+    inspect: inspect,
+    createInspectStream: createInspectStream,
+    openSeekable: openSeekable,
+    LZ4FrameWriter: LZ4FrameWriter,
+    LZ4FrameReader: LZ4FrameReader,
+    transcode: transcode,
+    createTranscodeStream: createTranscodeStream,
+    recover: recover,
+
+    // ========================================================================
+    // 8. ERRORS
+    // ========================================================================
+
+    LZ4Error: LZ4Error,
+    errorCodes: errorCodes,
 };
 
 export default LZ4;
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * src/shared/lz4Context.js
+ * * Compression & Decompression Contexts.
+ * * A context owns the scratch memory of the one-shot API: the match-finder tables and dictionary
+ * workspace of `compress` / `compressRaw`, the block workspace and history window of `decompress`.
+ * Passing one as `options.context` reuses that memory across calls without allocating.
+ * * Calls without a context share a default one. A call that starts while the default context is
+ * busy (re-entered from a callback, a getter or a custom scheduler) gets a fresh context instead, so
+ * the top-level functions are always safe to nest. An explicit context is owned by its caller and
+ * throws if it is entered twice.
+ * @module lz4Context
+ */
+
+import { HCMatchTable } from '../block/blockCompressHC.js';
+import { LZ4Error, errorCodes } from './lz4Error.js';
+
+const HASH_TABLE_SIZE = 16384 | 0;
+const WINDOW_SIZE = 65536;
+
+export class CompressionContext {
+    constructor() {
+        /** Fast-kernel hash table (16K entries). */
+        this.hashTable = new Int32Array(HASH_TABLE_SIZE);
+        /** @type {HCMatchTable|null} HC match-finder state, allocated on the first HC call. */
+        this.hcTable = null;
+        /** @type {Uint8Array|null} Reusable [dictionary | input] workspace. */
+        this.dictWorkspace = null;
+        /** @type {import('../dictionary/lz4Dictionary.js').LZ4Dictionary|null} Dictionary whose window fills its head. */
+        this.dictWorkspaceOwner = null;
+        /** @type {Uint8Array|null} Block staging area for destinations too small to compress into directly. */
+        this.blockWorkspace = null;
+        this.busy = false;
+    }
+
+    /**
+     * @returns {HCMatchTable}
+     */
+    getHCTable() {
+        if (!this.hcTable) this.hcTable = new HCMatchTable();
+        return this.hcTable;
+    }
+
+    /**
+     * @param {number} size - Worst-case compressed size of the block (`compressBound`).
+     * @returns {Uint8Array} A staging buffer of at least `size` bytes.
+     */
+    getBlockWorkspace(size) {
+        if (!this.blockWorkspace || this.blockWorkspace.length < size) this.blockWorkspace = new Uint8Array(size);
+        return this.blockWorkspace;
+    }
+}
+
+export class DecompressionContext {
+    constructor() {
+        /** @type {Uint8Array|null} Block workspace, grown to the largest block decoded so far. */
+        this.workspace = null;
+        /** @type {Uint8Array|null} 64KB history window for frames without a content size. */
+        this.window = null;
+        this.busy = false;
+    }
+
+    /**
+     * @param {number} size - Largest block about to be decoded.
+     * @returns {Uint8Array} A workspace of at least `size` bytes.
+     */
+    getWorkspace(size) {
+        if (!this.workspace || this.workspace.length < size) this.workspace = new Uint8Array(size);
+        return this.workspace;
+    }
+
+    /**
+     * @returns {Uint8Array} The 64KB history window.
+     */
+    getWindow() {
+        if (!this.window) this.window = new Uint8Array(WINDOW_SIZE);
+        return this.window;
+    }
+}
+
+/** @type {CompressionContext|null} */
+let DEFAULT_COMPRESSION_CONTEXT = null;
+/** @type {DecompressionContext|null} */
+let DEFAULT_DECOMPRESSION_CONTEXT = null;
+
+/**
+ * Marks a context busy, or picks one for a call that did not pass any.
+ * @param {CompressionContext|DecompressionContext|undefined|null} context - The caller's context.
+ * @param {Function} Type - The context class expected.
+ * @param {CompressionContext|DecompressionContext} fallback - The default context.
+ * @returns {CompressionContext|DecompressionContext}
+ */
+function acquire(context, Type, fallback) {
+    if (context) {
+        if (!(context instanceof Type)) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: options.context must be a ${Type.name}`);
+        }
+        if (context.busy) throw new LZ4Error(errorCodes.INVALID_STATE, `LZ4: ${Type.name} is already in use`);
+        context.busy = true;
+        return context;
+    }
+    const picked = fallback.busy ? new Type() : fallback;
+    picked.busy = true;
+    return picked;
+}
+
+/**
+ * Takes the context for one compression call. Pair with `releaseContext` in a `finally`.
+ * @param {CompressionContext} [context] - `options.context`, if any.
+ * @returns {CompressionContext}
+ * @throws {LZ4Error} If `context` is not a `CompressionContext` or is already in use.
+ */
+export function acquireCompressionContext(context) {
+    if (!DEFAULT_COMPRESSION_CONTEXT) DEFAULT_COMPRESSION_CONTEXT = new CompressionContext();
+    return acquire(context, CompressionContext, DEFAULT_COMPRESSION_CONTEXT);
+}
+
+/**
+ * Takes the context for one decompression call. Pair with `releaseContext` in a `finally`.
+ * @param {DecompressionContext} [context] - `options.context`, if any.
+ * @returns {DecompressionContext}
+ * @throws {LZ4Error} If `context` is not a `DecompressionContext` or is already in use.
+ */
+export function acquireDecompressionContext(context) {
+    if (!DEFAULT_DECOMPRESSION_CONTEXT) DEFAULT_DECOMPRESSION_CONTEXT = new DecompressionContext();
+    return acquire(context, DecompressionContext, DEFAULT_DECOMPRESSION_CONTEXT);
+}
+
+/**
+ * Ends the call that acquired `context`.
+ * @param {CompressionContext|DecompressionContext} context
+ */
+export function releaseContext(context) {
+    context.busy = false;
+}
+
+/**
+ * Creates a compression context (`LZ4.createCompressionContext`).
+ * @returns {CompressionContext} Pass it as `options.context` to `compress` or `compressRaw`.
+ */
+export function createCompressionContext() {
+    return new CompressionContext();
+}
+
+/**
+ * Creates a decompression context (`LZ4.createDecompressionContext`).
+ * @returns {DecompressionContext} Pass it as `options.context` to `decompress`.
+ */
+export function createDecompressionContext() {
+    return new DecompressionContext();
+}
@@ -9,19 +9,14 @@
  */
 
 import { XXHash32 } from "../xxhash32/xxhash32Stateful.js";
+import { xxHash32 } from "../xxhash32/xxhash32.js";
 import { decompressBlock } from "../block/blockDecompress.js";
-import { ensureBuffer } from "./lz4Util.js";
-
-// --- Localized Constants for V8 Optimization ---
-// Defining these locally allows TurboFan to treat them as immediate operands.
-const MAGIC_NUMBER = 0x184D2204;
-
-// Frame Descriptor Flags
-const FLG_BLOCK_INDEP_MASK = 0x20;      // (1 << 5)
-const FLG_BLOCK_CHECKSUM_MASK = 0x10;   // (1 << 4)
-const FLG_CONTENT_SIZE_MASK = 0x08;     // (1 << 3)
-const FLG_CONTENT_CHECKSUM_MASK = 0x04; // (1 << 2)
-const FLG_DICT_ID_MASK = 0x01;          // (1 << 0)
+import { DecodeLimits } from "./lz4Limits.js";
+import { DictionaryLookup } from "../dictionary/dictionaryLookup.js";
+import { isSkippableMagic } from "../frame/skippableFrame.js";
+import { MAGIC_NUMBER, BLOCK_MAX_SIZES, readU32, frameDescriptorLength, checkFrameDescriptor, parseFrameDescriptor } from "../frame/frameDescriptor.js";
+import { LEGACY_MAGIC, LEGACY_BLOCK_SIZE, LEGACY_BLOCK_BOUND } from "../frame/legacyFrame.js";
+import { LZ4Error, errorCodes, locateError, locateBlockError } from "./lz4Error.js";
 
 // Flattened State Machine (Integers are faster than Object property lookups)
 const STATE_MAGIC = 0;
@@ -29,35 +24,57 @@ const STATE_HEADER = 1;
 const STATE_BLOCK_SIZE = 2;
 const STATE_BLOCK_BODY = 3;
 const STATE_CHECKSUM = 4;
+const STATE_SKIPPABLE = 5;
+const STATE_LEGACY_BLOCK = 6;
+const STATE_TRAILING = 7;
 
 // Memory Constants
 const WINDOW_SIZE = 65536;      // 64KB History Window
 const WORKSPACE_SIZE = 4194304; // 4MB Max Block Size
-
-/**
- * Local helper to read a Little Endian U32.
- * Inlined to remove dependency on external modules for the hot path.
- * @param {Uint8Array} b - Buffer
- * @param {number} n - Offset
- * @returns {number}
- */
-function readU32(b, n) {
-    return (b[n] | (b[n + 1] << 8) | (b[n + 2] << 16) | (b[n + 3] << 24)) >>> 0;
-}
+const EMPTY = new Uint8Array(0);
+const TRAILING_DATA_MODES = ['error', 'ignore', 'emit'];
 
 export class LZ4Decoder {
 
     /**
      * Creates a stateful LZ4 Decoder.
-     * @param {Uint8Array|null} [dictionary=null] - Initial history window (optional).
-     * @param {boolean} [verifyChecksum=true] - If false, skips content checksum verification for speed.
+     * @param {LZ4Dictionary|Uint8Array|Map<number, LZ4Dictionary|Uint8Array>|Function|null} [dictionary=null] - The
+     * dictionary frames were compressed with (its Dict ID must match the frame header's), or a registry
+     * (`Map` of Dict ID to dictionary) / resolver (`(dictId) => dictionary|Promise`) consulted per frame.
+     * While an async resolver is pending, `pending` holds a promise that settles with it (and never rejects:
+     * a rejection is rethrown by the next `update` or `finish`), and input is only buffered.
+     * @param {boolean} [verifyChecksum=true] - If false, skips block and content checksum verification for speed.
+     * @param {Object} [options={}] - Additional decoding settings.
+     * @param {boolean} [options.verifyHeaderChecksum=true] - If false, skips the frame descriptor checksum.
+     * @param {function(Uint8Array, number): void} [options.onSkippableFrame] - Called with the data and nibble
+     * of each skippable frame. Without it, skippable frames are discarded as they arrive (never buffered whole).
+     * @param {boolean} [options.safe=true] - Rejects blocks larger than the descriptor's maximum as soon as
+     * their size is read, so forged sizes cannot make the decoder buffer without bound, rejects frames that
+     * do not decode to their declared content size (at the EndMark), and makes `finish` reject input that
+     * stops inside a frame.
+     * @param {string} [options.trailingData='error'] - What to do with data after the last frame that is not
+     * a frame: `'error'` throws, `'ignore'` drops it, `'emit'` outputs it unchanged after the decompressed data.
+     * @param {number} [options.maxOutputSize] - Most bytes to decompress, across all frames. Checked against
+     * each frame's declared content size, then against every block before it is copied out.
+     * @param {number} [options.maxBlockSize] - Rejects frames whose block size (BD maximum) is larger; the
+     * workspace is sized to it.
+     * @param {number} [options.maxBufferedInput] - Most compressed bytes left buffered between calls (a block
+     * and its checksum must fit).
      */
-    constructor(dictionary = null, verifyChecksum = true) {
+    constructor(dictionary = null, verifyChecksum = true, options = {}) {
         this.state = STATE_MAGIC;
 
         // User Options
-        this.dictionary = dictionary ? ensureBuffer(dictionary) : null;
+        this.dictionaries = new DictionaryLookup(dictionary);
         this.verifyChecksum = verifyChecksum;
+        this.verifyHeaderChecksum = options.verifyHeaderChecksum !== false;
+        this.onSkippableFrame = options.onSkippableFrame || null;
+        this.safe = options.safe !== false;
+        this.trailingData = options.trailingData || 'error';
+        if (!TRAILING_DATA_MODES.includes(this.trailingData)) {
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: trailingData must be 'error', 'ignore' or 'emit', got ${this.trailingData}`);
+        }
+        this.limits = new DecodeLimits(options);
 
         // Frame Flags (Parsed from Header)
         this.blockIndependence = true;
@@ -65,26 +82,42 @@ export class LZ4Decoder {
         this.hasContentChecksum = false;
         this.hasContentSize = false;
         this.hasDictId = false;
+        this.contentSize = null;   // Declared content size of the current frame, if any
+        this.blockMaxSize = 0;
 
         // Runtime State
         this.buffer = new Uint8Array(0); // Accumulator for incoming chunks
         this.hasher = null;              // Content Checksum Calculator
         this.currentBlockSize = 0;
         this.isUncompressed = false;
+        this.skipNibble = 0;             // Skippable frame being skipped
+        this.skipRemaining = 0;
+
+        // Position tracking (reported by errors)
+        this.position = 0;   // Input bytes consumed so far (across all chunks and frames)
+        this.frameIndex = -1; // Index of the current frame (skippable frames are not counted)
+        this.outputSize = 0; // Bytes decompressed so far (across all frames)
+        this.frameOutputSize = 0; // Bytes decompressed from the current frame (checked against its content size)
+        this.blockIndex = 0; // Index of the current block within its frame
+        this.blockStart = 0; // Input offset of the current block (its size field)
 
         // Window (History) - Max 64KB
         this.windowSize = WINDOW_SIZE;
         this.window = new Uint8Array(WINDOW_SIZE);
         this.windowPos = 0;
 
-        // Initialize Window with Dictionary if provided
-        if (this.dictionary) {
-            this._initWindow(this.dictionary);
-        }
+        // Dictionary of the current frame (picked from its header)
+        // Independent blocks reference the dictionary window only (never the previous block)
+        this.dictWindow = null;
+
+        /** @type {Promise<void>|null} Set while an async dictionary resolver is pending (never rejects). */
+        this.pending = null;
+        /** @type {*} What the resolver rejected with, thrown by the next `update` or `finish`. */
+        this.pendingError = null;
 
         // Workspace for block decompression
         // Pre-allocated to prevent Garbage Collection thrashing
-        this.workspace = new Uint8Array(WORKSPACE_SIZE);
+        this.workspace = new Uint8Array(Math.min(WORKSPACE_SIZE, this.limits.maxBlockSize));
     }
 
     /**
@@ -104,8 +137,83 @@ export class LZ4Decoder {
      * Adds compressed data to the decoder.
      * @param {Uint8Array} chunk - A chunk of the LZ4 stream.
      * @returns {Uint8Array[]} An array of decompressed data chunks.
+     * @throws {LZ4Error} With the frame index, block index (inside blocks) and input offset of the failure.
+     * A rejected async dictionary resolver is rethrown by the next call.
      */
     update(chunk) {
+        try {
+            return this._update(chunk);
+        } catch (e) {
+            throw this._locate(e);
+        }
+    }
+
+    /**
+     * Ends the input. Legacy frames have no EndMark, so their last block ends here.
+     * @returns {Uint8Array[]} Trailing data left over (only with `trailingData: 'emit'`).
+     * @throws {LZ4Error} If the input stopped inside a frame (unless `safe` is false), or in
+     * `'error'` mode before a complete magic number. Also rethrows a dictionary resolver's rejection,
+     * and throws `ERR_LZ4_INVALID_STATE` while a resolver is still pending.
+     */
+    finish() {
+        if (this.pendingError) throw this._locate(this.pendingError);
+        if (this.pending) {
+            throw this._locate(new LZ4Error(errorCodes.INVALID_STATE, "LZ4: Input ended while a dictionary resolver is pending (use updateAsync)"));
+        }
+        const output = [];
+        const rest = this.buffer;
+
+        if (this.state === STATE_TRAILING || (this.state === STATE_MAGIC && rest.length === 0)) return output;
+        if (this.state === STATE_LEGACY_BLOCK && rest.length === 0) {
+            this.state = STATE_MAGIC;
+            return output;
+        }
+
+        // Less than a magic number after a complete frame
+        if (this.state === STATE_MAGIC && this.position > 0 && this.trailingData !== 'error') {
+            if (this.trailingData === 'emit') output.push(rest.slice());
+            this.buffer = EMPTY;
+            this.position += rest.length;
+            this.state = STATE_TRAILING;
+            return output;
+        }
+        if (!this.safe) return output;
+
+        let message = "LZ4: Truncated Frame";
+        if (this.state === STATE_BLOCK_SIZE) message = "LZ4: Truncated Frame (missing EndMark)";
+        else if (this.state === STATE_CHECKSUM) message = "LZ4: Truncated Frame (missing Content Checksum)";
+        else if (this.state === STATE_SKIPPABLE) message = "LZ4: Truncated Skippable Frame";
+        else if (this.state === STATE_BLOCK_BODY || this.state === STATE_LEGACY_BLOCK) {
+            const start = this.state === STATE_BLOCK_BODY ? this.blockStart : this.position;
+            message = `LZ4: Truncated Block (block ${this.blockIndex} at offset ${start})`;
+        }
+        throw this._locate(new LZ4Error(errorCodes.TRUNCATED, message));
+    }
+
+    /**
+     * Adds the current frame, block (inside blocks) and input offset to an error.
+     * @param {*} error
+     * @returns {*} The same error.
+     * @private
+     */
+    _locate(error) {
+        return locateError(error, {
+            frameIndex: this.frameIndex < 0 ? undefined : this.frameIndex,
+            blockIndex: (this.state === STATE_BLOCK_BODY || this.state === STATE_LEGACY_BLOCK) ? this.blockIndex : undefined,
+            offset: this.position
+        });
+    }
+
+    /**
+     * The state machine behind `update`.
+     * @param {Uint8Array} chunk
+     * @returns {Uint8Array[]}
+     * @private
+     */
+    _update(chunk) {
+        // A failed dictionary resolver ends the decoder
+        if (this.pendingError) throw this.pendingError;
+
         // 1. Accumulate Input
         if (this.buffer.length > 0) {
             const newBuf = new Uint8Array(this.buffer.length + chunk.length);
@@ -118,68 +226,168 @@ export class LZ4Decoder {
 
         const output = [];
 
+        // Waiting for a dictionary: keep buffering until the resolver settles
+        if (this.pending) {
+            this.limits.checkBufferedInput(this.buffer.length);
+            return [];
+        }
+
         // 2. State Machine Loop
         while (true) {
 
+            // --- STATE: TRAILING DATA (after the last frame) ---
+            if (this.state === STATE_TRAILING) {
+                if (this.buffer.length > 0 && this.trailingData === 'emit') output.push(this.buffer.slice());
+                this.position += this.buffer.length;
+                this.buffer = EMPTY;
+                break;
+            }
+
             // --- STATE: MAGIC NUMBER ---
             if (this.state === STATE_MAGIC) {
                 if (this.buffer.length < 4) break;
 
-                if (readU32(this.buffer, 0) !== MAGIC_NUMBER) {
-                    throw new Error("LZ4: Invalid Magic Number");
+                const magic = readU32(this.buffer, 0);
+                if (isSkippableMagic(magic)) {
+                    // Magic(4) + Size(4), then the user data
+                    if (this.buffer.length < 8) break;
+                    this.skipNibble = magic & 0x0F;
+                    this.skipRemaining = readU32(this.buffer, 4);
+                    this.buffer = this.buffer.subarray(8);
+                    this.position += 8;
+                    this.state = STATE_SKIPPABLE;
+                    continue;
+                }
+
+                if (magic === LEGACY_MAGIC) {
+                    // Legacy frame: no descriptor, 8MB independent blocks until the next magic number
+                    this.frameIndex++;
+                    this.buffer = this.buffer.subarray(4);
+                    this.position += 4;
+                    this.hasher = null;
+                    this.contentSize = null;
+                    this.blockIndex = 0;
+                    this.limits.checkBlockSize(LEGACY_BLOCK_SIZE);
+                    if (this.workspace.length < LEGACY_BLOCK_SIZE) this.workspace = new Uint8Array(LEGACY_BLOCK_SIZE);
+                    this.state = STATE_LEGACY_BLOCK;
+                    continue;
                 }
 
+                if (magic !== MAGIC_NUMBER) {
+                    // Not a frame: trailing data if some frame came before it
+                    if (this.position > 0 && this.trailingData !== 'error') {
+                        this.state = STATE_TRAILING;
+                        continue;
+                    }
+                    throw new LZ4Error(errorCodes.MAGIC, "LZ4: Invalid Magic Number", { frameIndex: this.frameIndex + 1 });
+                }
+                this.frameIndex++;
+
                 this.buffer = this.buffer.subarray(4);
+                this.position += 4;
                 this.state = STATE_HEADER;
 
                 // Reset per-frame state
                 this.hasher = this.verifyChecksum ? new XXHash32(0) : null;
             }
 
-            // --- STATE: FRAME HEADER ---
-            if (this.state === STATE_HEADER) {
-                // Need at least 2 bytes for Flags (FLG) and Block Descriptor (BD)
-                if (this.buffer.length < 2) break;
+            // --- STATE: SKIPPABLE FRAME ---
+            if (this.state === STATE_SKIPPABLE) {
+                if (this.onSkippableFrame) {
+                    // The callback gets the whole payload at once
+                    if (this.buffer.length < this.skipRemaining) break;
+                    const data = this.buffer.slice(0, this.skipRemaining);
+                    this.buffer = this.buffer.subarray(this.skipRemaining);
+                    this.position += this.skipRemaining;
+                    this.skipRemaining = 0;
+                    this.onSkippableFrame(data, this.skipNibble);
+                } else {
+                    // Discard what has arrived so far
+                    const skip = Math.min(this.buffer.length, this.skipRemaining);
+                    this.buffer = this.buffer.subarray(skip);
+                    this.position += skip;
+                    this.skipRemaining -= skip;
+                    if (this.skipRemaining > 0) break;
+                }
 
-                const flg = this.buffer[0];
+                this.state = STATE_MAGIC;
+                continue;
+            }
 
-                // Parse Flags (Using local constants)
-                this.blockIndependence = (flg & FLG_BLOCK_INDEP_MASK) !== 0;
-                this.hasBlockChecksum = (flg & FLG_BLOCK_CHECKSUM_MASK) !== 0;
-                this.hasContentSize = (flg & FLG_CONTENT_SIZE_MASK) !== 0;
-                this.hasContentChecksum = (flg & FLG_CONTENT_CHECKSUM_MASK) !== 0;
-                this.hasDictId = (flg & FLG_DICT_ID_MASK) !== 0;
+            // --- STATE: LEGACY BLOCK ---
+            if (this.state === STATE_LEGACY_BLOCK) {
+                if (this.buffer.length < 4) break;
 
-                // Calculate variable header length
-                let requiredLen = 2;
-                if (this.hasContentSize) requiredLen += 8;
-                if (this.hasDictId) requiredLen += 4;
-                requiredLen += 1; // Header Checksum
+                const blockSize = readU32(this.buffer, 0);
+                if (blockSize > LEGACY_BLOCK_BOUND) {
+                    // Not a block: the magic number of the next frame
+                    this.state = STATE_MAGIC;
+                    continue;
+                }
+                if (this.buffer.length < 4 + blockSize) break;
 
-                if (this.buffer.length < requiredLen) break;
+                let bytesWritten;
+                try {
+                    bytesWritten = decompressBlock(this.buffer, 4, blockSize, this.workspace, 0, null);
+                } catch (e) {
+                    throw locateBlockError(e, this.frameIndex, this.blockIndex, this.position);
+                }
+                this.limits.checkOutput(this.outputSize + bytesWritten);
+                this.outputSize += bytesWritten;
+                output.push(this.workspace.slice(0, bytesWritten));
+
+                this.buffer = this.buffer.subarray(4 + blockSize);
+                this.position += 4 + blockSize;
+                this.blockIndex++;
+                continue;
+            }
 
-                // Parsing Dictionary ID (if present)
-                let cursor = 2;
-                if (this.hasContentSize) cursor += 8;
+            // --- STATE: FRAME HEADER ---
+            if (this.state === STATE_HEADER) {
+                // Need at least 2 bytes for Flags (FLG) and Block Descriptor (BD)
+                if (this.buffer.length < 2) break;
 
-                if (this.hasDictId) {
-                    const expectedDictId = readU32(this.buffer, cursor);
-                    cursor += 4;
+                // Reject malformed descriptors before trusting the layout they describe
+                checkFrameDescriptor(this.buffer[0], this.buffer[1]);
+                this.blockMaxSize = BLOCK_MAX_SIZES[(this.buffer[1] >> 4) & 0x07];
+                this.limits.checkBlockSize(this.blockMaxSize);
 
-                    if (this.dictionary) {
-                        const dictHasher = new XXHash32(0);
-                        dictHasher.update(this.dictionary);
-                        const actualId = dictHasher.digest();
+                const requiredLen = frameDescriptorLength(this.buffer[0]);
+                if (this.buffer.length < requiredLen) break;
 
-                        if (actualId !== expectedDictId) {
-                            throw new Error(`LZ4: Dictionary ID Mismatch. Header: 0x${expectedDictId.toString(16)}, Provided: 0x${actualId.toString(16)}`);
-                        }
-                    } else {
-                        throw new Error("LZ4: Archive requires a Dictionary, but none was provided.");
-                    }
+                const descriptor = parseFrameDescriptor(this.buffer, 0);
+                if (this.verifyHeaderChecksum && !descriptor.headerChecksumValid) {
+                    throw new LZ4Error(errorCodes.HEADER_CHECKSUM, "LZ4: Header Checksum Error", { offset: this.position + requiredLen - 1 });
+                }
+                this.blockIndependence = descriptor.blockIndependence;
+                this.hasBlockChecksum = descriptor.blockChecksum;
+                this.hasContentSize = descriptor.contentSize !== null;
+                this.hasContentChecksum = descriptor.contentChecksum;
+                this.hasDictId = descriptor.dictId !== null;
+                this.contentSize = descriptor.contentSize;
+                this.frameOutputSize = 0;
+                if (this.hasContentSize) this.limits.checkOutput(this.outputSize + this.contentSize);
+
+                // Pick this frame's dictionary (throws if it is missing or its ID differs)
+                const dict = this.dictionaries.lookup(descriptor.dictId);
+                if (dict && typeof dict.then === 'function') {
+                    // Async resolver: stay in this state and retry once it settles (the result is cached)
+                    // A rejection is kept for the next call, never left unhandled
+                    this.pending = dict.then(() => { this.pending = null; }, (e) => {
+                        this.pending = null;
+                        this.pendingError = e;
+                    });
+                    break;
                 }
 
+                // Every frame starts from its dictionary, not the previous frame's history
+                this.dictWindow = dict ? dict.window : null;
+                this.windowPos = 0;
+                if (this.dictWindow) this._initWindow(this.dictWindow);
+
                 this.buffer = this.buffer.subarray(requiredLen);
+                this.position += requiredLen;
+                this.blockIndex = 0;
                 this.state = STATE_BLOCK_SIZE;
             }
 
@@ -189,9 +397,17 @@ export class LZ4Decoder {
 
                 const val = readU32(this.buffer, 0);
                 this.buffer = this.buffer.subarray(4);
+                this.blockStart = this.position;
+                this.position += 4;
 
                 // Check for EndMark
                 if (val === 0) {
+                    if (this.safe && this.hasContentSize && this.frameOutputSize !== this.contentSize) {
+                        throw new LZ4Error(errorCodes.CONTENT_SIZE, `LZ4: Content size mismatch (header declares ${this.contentSize} bytes, frame decodes to ${this.frameOutputSize})`, {
+                            frameIndex: this.frameIndex,
+                            offset: this.blockStart
+                        });
+                    }
                     this.state = STATE_CHECKSUM;
                     continue;
                 }
@@ -199,6 +415,12 @@ export class LZ4Decoder {
                 // Parse Size & Compressed/Uncompressed Flag
                 this.isUncompressed = (val & 0x80000000) !== 0;
                 this.currentBlockSize = val & 0x7FFFFFFF;
+                if (this.safe && this.currentBlockSize > this.blockMaxSize) {
+                    throw new LZ4Error(errorCodes.MALFORMED_BLOCK, `LZ4: Block size ${this.currentBlockSize} exceeds the frame maximum of ${this.blockMaxSize} (block ${this.blockIndex} at offset ${this.blockStart})`, {
+                        blockIndex: this.blockIndex,
+                        offset: this.blockStart
+                    });
+                }
 
                 this.state = STATE_BLOCK_BODY;
             }
@@ -212,16 +434,24 @@ export class LZ4Decoder {
 
                 const blockData = this.buffer.subarray(0, this.currentBlockSize);
 
-                // Advance buffer (Skip Data + Block Checksum)
-                this.buffer = this.buffer.subarray(requiredLen);
+                // Block Checksum: checked before decoding, so corrupt data is never decompressed
+                if (this.hasBlockChecksum && this.verifyChecksum) {
+                    if (readU32(this.buffer, this.currentBlockSize) !== xxHash32(blockData, 0)) {
+                        throw new LZ4Error(errorCodes.BLOCK_CHECKSUM, `LZ4: Block Checksum Error (block ${this.blockIndex} at offset ${this.blockStart})`, {
+                            blockIndex: this.blockIndex,
+                            offset: this.blockStart
+                        });
+                    }
+                }
 
                 let decodedChunk;
 
                 if (this.isUncompressed) {
+                    this.limits.checkOutput(this.outputSize + blockData.length);
                     decodedChunk = blockData.slice();
                 } else {
                     // Prepare History for Decompression
-                    let dict = null;
+                    let dict = this.dictWindow;
                     if (!this.blockIndependence) {
                         // Use local constant WINDOW_SIZE for check
                         dict = (this.windowPos === WINDOW_SIZE)
@@ -229,10 +459,23 @@ export class LZ4Decoder {
                             : this.window.subarray(0, this.windowPos);
                     }
 
-                    const bytesWritten = decompressBlock(blockData, this.workspace, dict);
+                    let bytesWritten;
+                    try {
+                        bytesWritten = decompressBlock(blockData, 0, blockData.length, this.workspace, 0, dict);
+                    } catch (e) {
+                        throw locateBlockError(e, this.frameIndex, this.blockIndex, this.blockStart + 4);
+                    }
+                    this.limits.checkOutput(this.outputSize + bytesWritten);
                     decodedChunk = this.workspace.slice(0, bytesWritten);
                 }
 
+                // Advance buffer (Skip Data + Block Checksum)
+                this.buffer = this.buffer.subarray(requiredLen);
+                this.position += requiredLen;
+                this.blockIndex++;
+
+                this.outputSize += decodedChunk.length;
+                this.frameOutputSize += decodedChunk.length;
                 output.push(decodedChunk);
 
                 if (this.hasher) this.hasher.update(decodedChunk);
@@ -253,10 +496,11 @@ export class LZ4Decoder {
                         const stored = readU32(this.buffer, 0);
                         const actual = this.hasher.digest();
                         if (stored !== actual) {
-                            throw new Error("LZ4: Content Checksum Error");
+                            throw new LZ4Error(errorCodes.CONTENT_CHECKSUM, "LZ4: Content Checksum Error");
                         }
                     }
                     this.buffer = this.buffer.subarray(4);
+                    this.position += 4;
                 }
 
                 // Frame Complete. Reset state for next concatenated frame (if any).
@@ -267,6 +511,21 @@ export class LZ4Decoder {
             }
         }
 
+        this.limits.checkBufferedInput(this.buffer.length);
+        return output;
+    }
+
+    /**
+     * Like `update`, but waits for async dictionary resolvers instead of leaving input buffered.
+     * @param {Uint8Array} chunk - A chunk of the LZ4 stream.
+     * @returns {Promise<Uint8Array[]>} All decompressed data chunks this input completes.
+     */
+    async updateAsync(chunk) {
+        const output = this.update(chunk);
+        while (this.pending) {
+            await this.pending;
+            for (const c of this.update(EMPTY)) output.push(c);
+        }
         return output;
     }
 
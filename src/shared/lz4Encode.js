@@ -11,100 +11,71 @@
  */
 
 import { XXHash32 } from "../xxhash32/xxhash32Stateful.js";
-import { compressBlock } from "../block/blockCompress.js";
+import { xxHash32 } from "../xxhash32/xxhash32.js";
+import { compressBlock, compressBound, LZ4_ACCELERATION_DEFAULT, LZ4_ACCELERATION_MAX } from "../block/blockCompress.js";
+import { compressBlockHC, HCMatchTable, LZ4HC_CLEVEL_MIN } from "../block/blockCompressHC.js";
 import { ensureBuffer } from "./lz4Util.js";
+import { resolveDictionary } from "../dictionary/lz4Dictionary.js";
+import { encodeSkippableFrames } from "../frame/skippableFrame.js";
+import { BLOCK_MAX_SIZES, writeU32, getBlockId } from "../frame/frameDescriptor.js";
+import { LEGACY_MAGIC, LEGACY_BLOCK_SIZE } from "../frame/legacyFrame.js";
+import { createSeekTable } from "../frame/seekableFrame.js";
+import { createFrameHeader } from "../frame/frameWriter.js";
+import { LZ4Error, errorCodes } from "./lz4Error.js";
 
 // --- Localized Constants for V8 Optimization ---
 // Defining these locally allows TurboFan to treat them as immediate operands.
 const MIN_MATCH = 4 | 0;
 const HASH_LOG = 14 | 0;
 const HASH_TABLE_SIZE = 16384 | 0; // 1 << HASH_LOG
-const HASH_SHIFT = 18 | 0;         // 32 - HASH_LOG
-const HASH_MASK = 16383 | 0;       // HASH_TABLE_SIZE - 1
 const MAX_WINDOW_SIZE = 65536 | 0;
 
-const MAGIC_NUMBER = 0x184D2204;
-const LZ4_VERSION = 1;
-const FLG_BLOCK_INDEPENDENCE_MASK = 0x20;
-const FLG_CONTENT_CHECKSUM_MASK = 0x04;
-const FLG_DICT_ID_MASK = 0x01;
-
-// Block Sizes Map (Inlined for speed)
-const BLOCK_MAX_SIZES = {
-    4: 65536,
-    5: 262144,
-    6: 1048576,
-    7: 4194304
-};
-
-/**
- * Writes a 32-bit integer to a byte array in Little Endian format.
- * @param {Uint8Array} b - Destination buffer.
- * @param {number} i - Integer value.
- * @param {number} n - Offset.
- */
-function writeU32(b, i, n) {
-    b[n] = i & 0xFF;
-    b[n + 1] = (i >>> 8) & 0xFF;
-    b[n + 2] = (i >>> 16) & 0xFF;
-    b[n + 3] = (i >>> 24) & 0xFF;
-}
-
-/**
- * Creates the LZ4 Frame Header.
- * @param {boolean} blockIndependence - If true, blocks effectively forget previous blocks.
- * @param {boolean} contentChecksum - If true, a checksum is appended at the EOF.
- * @param {number} bdId - Block Identifier (4-7).
- * @param {number|null} dictId - Optional Dictionary ID.
- * @returns {Uint8Array} The formatted header buffer.
- */
-function createFrameHeader(blockIndependence, contentChecksum, bdId, dictId) {
-    const buffer = new Uint8Array(15); // Max size
-    let pos = 0;
-
-    // Magic
-    writeU32(buffer, MAGIC_NUMBER, pos);
-    pos += 4;
-
-    // FLG
-    let flg = (LZ4_VERSION << 6);
-    if (blockIndependence) flg |= FLG_BLOCK_INDEPENDENCE_MASK;
-    if (contentChecksum) flg |= FLG_CONTENT_CHECKSUM_MASK;
-    if (dictId) flg |= FLG_DICT_ID_MASK;
-    buffer[pos++] = flg;
-
-    // BD
-    buffer[pos++] = (bdId & 0x07) << 4;
-
-    // Dictionary ID
-    if (dictId) {
-        writeU32(buffer, dictId, pos);
-        pos += 4;
-    }
-
-    // Header Checksum (xxHash32 of the header bytes)
-    // Note: We use a temporary stateless hash here for simplicity in the header
-    // In a full implementation, we might reuse the hasher class, but creating one is cheap.
-    const hasher = new XXHash32(0);
-    hasher.update(buffer.subarray(4, pos));
-    const headerHash = hasher.digest();
-    buffer[pos++] = (headerHash >>> 8) & 0xFF;
-
-    return buffer.subarray(0, pos);
-}
-
 export class LZ4Encoder {
     /**
      * Creates a new LZ4 Streaming Encoder.
      * @param {number} [maxBlockSize=4194304] - Max size of each compressed block (default 4MB).
      * @param {boolean} [blockIndependence=false] - If false (default), uses a rolling window for better compression.
      * @param {boolean} [contentChecksum=false] - If true, calculates a checksum for the entire stream.
-     * @param {Uint8Array} [dictionary=null] - Initial dictionary buffer to warm up the compressor.
+     * @param {LZ4Dictionary|Uint8Array} [dictionary=null] - Initial dictionary to warm up the compressor.
+     * An `LZ4Dictionary` (`LZ4.createDictionary`) is used as-is; raw bytes are compiled once here.
+     * @param {Object} [options={}] - Additional compression settings.
+     * @param {number} [options.compressionLevel=0] - 0-2 selects the fast kernel; 3-12 selects LZ4HC.
+     * @param {number} [options.acceleration=1] - Fast kernel only. Higher is faster with a lower ratio;
+     * `Infinity` (or >= 65537) stores every block uncompressed.
+     * @param {boolean} [options.blockChecksum=false] - If true, follows each block with a xxHash32 of its stored bytes.
+     * @param {Array<{nibble?: number, data: *, position?: string}>} [options.skippableFrames] - User metadata
+     * written as skippable frames, `'before'` (default, emitted with the header) or `'after'` the LZ4 frame.
+     * @param {string} [options.format='frame'] - `'legacy'` writes the legacy format (`lz4 -l`): 8MB independent
+     * blocks, no descriptor, checksums or EndMark. Block size, independence and checksum settings are ignored.
+     * `'seekable'` forces independent blocks and ends the output with a seek table (see `openSeekable`).
+     * @param {number} [options.contentSize] - Total input size, written to the header so decoders can allocate
+     * the output once. `add` and `finish` throw if the data turns out longer or shorter.
      */
-    constructor(maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, dictionary = null) {
-        this.blockIndependence = blockIndependence;
-        this.contentChecksum = contentChecksum;
-        this.blockSize = BLOCK_MAX_SIZES[getBlockId(maxBlockSize)] || 4194304;
+    constructor(maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, dictionary = null, options = {}) {
+        this.legacy = options.format === 'legacy';
+        this.seekable = options.format === 'seekable';
+        if (options.format && !this.legacy && !this.seekable && options.format !== 'frame') throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: Unknown format "${options.format}"`);
+        if (this.legacy && dictionary) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: The legacy format does not support dictionaries");
+
+        this.blockIndependence = this.legacy || this.seekable || blockIndependence;
+        this.contentChecksum = !this.legacy && contentChecksum;
+        this.blockChecksum = !this.legacy && !!options.blockChecksum;
+        this.skippableFrames = encodeSkippableFrames(options.skippableFrames);
+
+        // Seek table entries (seekable format)
+        this.compressedSizes = this.seekable ? [] : null;
+        this.decompressedSizes = this.seekable ? [] : null;
+
+        // Declared content size (checked against the bytes actually added)
+        this.contentSize = null;
+        if (options.contentSize !== undefined && options.contentSize !== null && !this.legacy) {
+            if (!Number.isSafeInteger(options.contentSize) || options.contentSize < 0) {
+                throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: contentSize must be a non-negative integer, got ${options.contentSize}`);
+            }
+            this.contentSize = options.contentSize;
+        }
+        this.totalIn = 0;
+        this.blockSize = this.legacy ? LEGACY_BLOCK_SIZE : (BLOCK_MAX_SIZES[getBlockId(maxBlockSize)] || 4194304);
         this.bdId = getBlockId(this.blockSize);
 
         // State
@@ -118,16 +89,27 @@ export class LZ4Encoder {
         this.hashTable = new Int32Array(HASH_TABLE_SIZE);
         this.dictSize = 0; // Bytes of history currently valid in the window
 
+        // High Compression: hash chains replace the single-probe table
+        this.compressionLevel = options.compressionLevel | 0;
+        this.acceleration = options.acceleration || LZ4_ACCELERATION_DEFAULT;
+        const literalsOnly = this.acceleration >= LZ4_ACCELERATION_MAX;
+        // Legacy blocks cannot be stored raw: the kernel emits literals-only blocks instead
+        this.storeOnly = literalsOnly && !this.legacy;
+        this.hcTable = (!literalsOnly && this.compressionLevel >= LZ4HC_CLEVEL_MIN) ? new HCMatchTable() : null;
+
         // Checksum
         if (this.contentChecksum) {
             this.hasher = new XXHash32(0);
         }
 
         // Dictionary Support
-        this.dictId = null;
-        if (dictionary) {
-            const dict = ensureBuffer(dictionary);
-            this.dictId = new XXHash32(0).update(dict).digest();
+        this.dictId = 0;
+        this.dictWindow = null;      // Last 64KB of the dictionary
+        this.dictHashTable = null;   // Precompiled table restored before each independent block
+        this.scratch = null;         // [dictionary | block] workspace for independent blocks
+        const dict = resolveDictionary(dictionary);
+        if (dict) {
+            this.dictId = dict.id;
             this._initDictionary(dict);
         }
     }
@@ -135,35 +117,18 @@ export class LZ4Encoder {
     /**
      * Warms up the hash table with the provided dictionary.
      * @private
-     * @param {Uint8Array} dict - The dictionary buffer.
+     * @param {LZ4Dictionary} dict - The precompiled dictionary.
      */
     _initDictionary(dict) {
-        // We only care about the last 64KB
-        const windowSize = Math.min(dict.length, MAX_WINDOW_SIZE);
-        const start = dict.length - windowSize;
-
-        // Store as initial buffer
-        this.buffer = dict.subarray(start);
-        this.dictSize = windowSize;
-
-        // Hash the dictionary into the table
-        // This logic is simplified for the stream encoder to avoid code duplication
-        // Ideally, this would share the exact hashing logic with compressBlock.
-        const len = this.buffer.length;
-        const limit = len - 4;
-
-        for (let i = 0; i <= limit; i++) {
-            const seq = (this.buffer[i] | (this.buffer[i + 1] << 8) | (this.buffer[i + 2] << 16) | (this.buffer[i + 3] << 24));
-            // Jenkins Hash (Matched to blockCompress)
-            let h = seq;
-            h = (h + 2127912214 + (h << 12)) | 0;
-            h = (h ^ -949894596 ^ (h >>> 19)) | 0;
-            h = (h + 374761393 + (h << 5)) | 0;
-            h = (h + -744332180 ^ (h << 9)) | 0;
-            h = (h + -42973499 + (h << 3)) | 0;
-            h = (h ^ -1252372727 ^ (h >>> 16)) | 0;
-            const hash = (h >>> HASH_SHIFT) & HASH_MASK;
-            this.hashTable[hash] = i + 1;
+        // Store the window (last 64KB) as initial buffer
+        this.dictWindow = dict.window;
+        this.buffer = this.dictWindow;
+        this.dictSize = this.dictWindow.length;
+
+        // Copy the precompiled table (HC indexes the window lazily on its first search)
+        if (!this.hcTable) {
+            this.dictHashTable = dict.hashTable;
+            this.hashTable.set(this.dictHashTable);
         }
     }
 
@@ -171,12 +136,18 @@ export class LZ4Encoder {
      * Adds data to the stream.
      * @param {Uint8Array|ArrayBuffer|Buffer} chunk - The data chunk.
      * @returns {Uint8Array[]} An array of compressed blocks generated from this chunk (may be empty if buffering).
+     * @throws {Error} If the stream is closed, or the data exceeds the declared `contentSize`.
      */
     add(chunk) {
-        if (this.isClosed) throw new Error("Stream is closed");
+        if (this.isClosed) throw new LZ4Error(errorCodes.INVALID_STATE, "LZ4: Stream is closed");
         const data = ensureBuffer(chunk);
         if (data.length === 0) return [];
 
+        this.totalIn += data.length;
+        if (this.contentSize !== null && this.totalIn > this.contentSize) {
+            throw new LZ4Error(errorCodes.CONTENT_SIZE, `LZ4: Content size mismatch (declared ${this.contentSize} bytes, received at least ${this.totalIn})`);
+        }
+
         if (this.contentChecksum) {
             this.hasher.update(data);
         }
@@ -193,7 +164,8 @@ export class LZ4Encoder {
 
         // Write Header on first data
         if (!this.hasWrittenHeader) {
-            results.push(createFrameHeader(this.blockIndependence, this.contentChecksum, this.bdId, this.dictId));
+            for (const frame of this.skippableFrames.before) results.push(frame);
+            results.push(this._createHeader());
             this.hasWrittenHeader = true;
         }
 
@@ -210,7 +182,7 @@ export class LZ4Encoder {
      * Compresses the pending data in the buffer into a block.
      * @private
      * @param {boolean} final - True if this is the last block (flush everything).
-     * @returns {Uint8Array} The formatted compressed block (Size + Data).
+     * @returns {Uint8Array} The formatted compressed block (Size + Data [+ Checksum]).
      */
     _flushBlock(final) {
         // Calculate what to compress
@@ -226,29 +198,50 @@ export class LZ4Encoder {
         const srcStart = this.dictSize;
         // We allow the compressor to read back into the dictionary (this.buffer includes it)
         // src is the whole buffer (History + Current Block)
+        let blockSrc = this.buffer;
+        let blockStart = srcStart;
+
+        // Independent blocks may only reference the dictionary. Once the initial dictionary prefix
+        // has been consumed, compress from a scratch copy laid out as [dictionary | block].
+        if (this.blockIndependence && this.dictWindow && srcStart === 0) {
+            const dictLen = this.dictWindow.length;
+            if (!this.scratch) {
+                this.scratch = new Uint8Array(dictLen + this.blockSize);
+                this.scratch.set(this.dictWindow, 0);
+            }
+            this.scratch.set(this.buffer.subarray(0, blockSize), dictLen);
+            blockSrc = this.scratch;
+            blockStart = dictLen;
+        }
 
         // Prepare Output
-        // Worst case: Block Size + Header/Footer overhead
-        const maxOutputSize = blockSize + 1024;
-        const output = new Uint8Array(maxOutputSize + 4); // +4 for size header
+        // Worst case: the kernel's bound for this block (incompressible data grows by ~0.4%)
+        const output = new Uint8Array(compressBound(blockSize) + 8); // +4 for size header, +4 for block checksum
 
         let compSize = 0;
 
         // Call the optimized Kernel with correct signature
-        // compressBlock(src, output, srcStart, srcLen, hashTable, outputOffset)
+        // compressBlock(src, output, srcStart, srcLen, hashTable, outputOffset, acceleration)
         // Output Offset is 4 to leave room for the block size header
-        if (this.blockIndependence) {
-            this.hashTable.fill(0);
-            compSize = compressBlock(this.buffer, output, srcStart, blockSize, this.hashTable, 4);
+        if (this.storeOnly) {
+            // Store-only: leave compSize at 0 so the block is written uncompressed below
+        } else if (this.hcTable) {
+            // History before blockStart is indexed lazily by the HC match finder
+            if (this.blockIndependence) this.hcTable.reset(this.dictWindow ? 0 : blockStart);
+            compSize = compressBlockHC(blockSrc, output, blockStart, blockSize, this.hcTable, 4, this.compressionLevel);
+        } else if (this.blockIndependence) {
+            if (this.dictHashTable) this.hashTable.set(this.dictHashTable);
+            else this.hashTable.fill(0);
+            compSize = compressBlock(blockSrc, output, blockStart, blockSize, this.hashTable, 4, this.acceleration);
         } else {
             // Stateful compression
-            compSize = compressBlock(this.buffer, output, srcStart, blockSize, this.hashTable, 4);
+            compSize = compressBlock(blockSrc, output, blockStart, blockSize, this.hashTable, 4, this.acceleration);
         }
 
         let resultBlock;
 
-        // Check if compression was worth it
-        if (compSize > 0 && compSize < blockSize) {
+        // Check if compression was worth it (legacy blocks are always stored compressed)
+        if (this.legacy || (compSize > 0 && compSize < blockSize)) {
             // Compressed: Write size
             writeU32(output, compSize, 0);
             resultBlock = output.subarray(0, compSize + 4);
@@ -259,6 +252,18 @@ export class LZ4Encoder {
             resultBlock = output.subarray(0, blockSize + 4);
         }
 
+        // Block Checksum: covers the block data as stored (compressed or not)
+        if (this.blockChecksum) {
+            const dataEnd = resultBlock.length;
+            writeU32(output, xxHash32(output.subarray(4, dataEnd), 0), dataEnd);
+            resultBlock = output.subarray(0, dataEnd + 4);
+        }
+
+        if (this.seekable) {
+            this.compressedSizes.push(resultBlock.length);
+            this.decompressedSizes.push(blockSize);
+        }
+
         // Slide Window
         // We keep the last 64KB of the data we just compressed as the new dictionary
         if (!this.blockIndependence) {
@@ -288,6 +293,9 @@ export class LZ4Encoder {
                     table[i] = 0; // Forgotten (too old)
                 }
             }
+
+            // Chain links are position-relative, so HC re-indexes the preserved window instead
+            if (this.hcTable) this.hcTable.reset(0);
         } else {
             // Independent blocks: just consume data
             this.buffer = this.buffer.subarray(this.dictSize + blockSize);
@@ -297,6 +305,20 @@ export class LZ4Encoder {
         return resultBlock;
     }
 
+    /**
+     * Creates the frame header (just the magic number for legacy frames).
+     * @private
+     * @returns {Uint8Array}
+     */
+    _createHeader() {
+        if (!this.legacy) {
+            return createFrameHeader(this.blockIndependence, this.contentChecksum, this.bdId, this.dictId, this.blockChecksum, this.contentSize);
+        }
+        const b = new Uint8Array(4);
+        writeU32(b, LEGACY_MAGIC, 0);
+        return b;
+    }
+
     /**
      * Creates the 4-byte End Mark (0x00000000).
      * @private
@@ -310,15 +332,21 @@ export class LZ4Encoder {
     /**
      * Finalizes the stream.
      * @returns {Uint8Array[]} Final blocks including EndMark and Checksum.
+     * @throws {Error} If fewer bytes were added than the declared `contentSize`.
      */
     finish() {
         if (this.isClosed) return [];
         this.isClosed = true;
 
+        if (this.contentSize !== null && this.totalIn !== this.contentSize) {
+            throw new LZ4Error(errorCodes.CONTENT_SIZE, `LZ4: Content size mismatch (declared ${this.contentSize} bytes, received ${this.totalIn})`);
+        }
+
         const frames = [];
 
         if (!this.hasWrittenHeader) {
-            frames.push(createFrameHeader(this.blockIndependence, this.contentChecksum, this.bdId, this.dictId));
+            for (const frame of this.skippableFrames.before) frames.push(frame);
+            frames.push(this._createHeader());
         }
 
         // Flush remaining data
@@ -326,7 +354,8 @@ export class LZ4Encoder {
             frames.push(this._flushBlock(true));
         }
 
-        frames.push(this._createEndMark());
+        // Legacy frames end with the data
+        if (!this.legacy) frames.push(this._createEndMark());
 
         if (this.contentChecksum && this.hasher) {
             const digest = this.hasher.digest();
@@ -335,16 +364,11 @@ export class LZ4Encoder {
             frames.push(b);
         }
 
+        for (const frame of this.skippableFrames.after) frames.push(frame);
+
+        // The seek table ends the output: readers find it from its footer
+        if (this.seekable) frames.push(createSeekTable(this.compressedSizes, this.decompressedSizes));
+
         return frames;
     }
 }
-
-/**
- * Helper to determine Block ID from size.
- */
-function getBlockId(bytes) {
-    if (!bytes || bytes <= 65536) return 4;
-    if (bytes <= 262144) return 5;
-    if (bytes <= 1048576) return 6;
-    return 7;
-}
\ No newline at end of file
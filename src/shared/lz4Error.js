@@ -0,0 +1,127 @@
+/**
+ * src/shared/lz4Error.js
+ * * LZ4 Errors.
+ * * Every failure the library raises is an `LZ4Error`: the message is for people, the `code` is for
+ * handlers (it never changes between releases, unlike the wording). Decoding errors also carry where
+ * they happened: the index of the frame in the input, the index of the block in its frame, and the
+ * byte offset in the input. Errors cross the worker boundary as plain objects (`toJSON` / `fromJSON`),
+ * since structured cloning keeps only the message of an `Error`.
+ * @module lz4Error
+ */
+
+/** Stable error codes, by name. */
+export const errorCodes = Object.freeze({
+    /** The input does not start with a known magic number. */
+    MAGIC: 'ERR_LZ4_MAGIC',
+    /** Malformed frame descriptor: version, reserved bits or block size ID. */
+    INVALID_HEADER: 'ERR_LZ4_INVALID_HEADER',
+    HEADER_CHECKSUM: 'ERR_LZ4_HEADER_CHECKSUM',
+    BLOCK_CHECKSUM: 'ERR_LZ4_BLOCK_CHECKSUM',
+    CONTENT_CHECKSUM: 'ERR_LZ4_CONTENT_CHECKSUM',
+    /** The input ends inside a frame, block or skippable frame. */
+    TRUNCATED: 'ERR_LZ4_TRUNCATED',
+    /** A block does not decode: bad sequence, offset or size. */
+    MALFORMED_BLOCK: 'ERR_LZ4_MALFORMED_BLOCK',
+    /** The declared content size does not match the data. */
+    CONTENT_SIZE: 'ERR_LZ4_CONTENT_SIZE',
+    /** A caller-provided output buffer cannot hold the result. */
+    OUTPUT_TOO_SMALL: 'ERR_LZ4_OUTPUT_TOO_SMALL',
+    /** The frame's Dict ID does not match the dictionary given. */
+    DICT_MISMATCH: 'ERR_LZ4_DICT_MISMATCH',
+    /** The frame needs a dictionary and none was given (or registered for its Dict ID). */
+    DICT_MISSING: 'ERR_LZ4_DICT_MISSING',
+    /** `maxOutputSize`, `maxBlockSize` or `maxBufferedInput` was exceeded. */
+    LIMIT_EXCEEDED: 'ERR_LZ4_LIMIT_EXCEEDED',
+    /** Missing or corrupted seek table of a seekable file. */
+    SEEK_TABLE: 'ERR_LZ4_SEEK_TABLE',
+    INVALID_ARGUMENT: 'ERR_LZ4_INVALID_ARGUMENT',
+    /** A stateful object was used out of order (e.g. written to after it was closed). */
+    INVALID_STATE: 'ERR_LZ4_INVALID_STATE'
+});
+
+export class LZ4Error extends Error {
+    /**
+     * @param {string} code - One of `errorCodes`.
+     * @param {string} message - Human-readable description (`"LZ4: ..."`).
+     * @param {Object} [location={}] - Where the error happened, when known.
+     * @param {number} [location.frameIndex] - Index of the frame in the input (skippable frames are not counted).
+     * @param {number} [location.blockIndex] - Index of the block in its frame.
+     * @param {number} [location.offset] - Byte offset in the input.
+     */
+    constructor(code, message, location = {}) {
+        super(message);
+        this.name = 'LZ4Error';
+        this.code = code;
+        /** @type {number|null} */
+        this.frameIndex = location.frameIndex === undefined ? null : location.frameIndex;
+        /** @type {number|null} */
+        this.blockIndex = location.blockIndex === undefined ? null : location.blockIndex;
+        /** @type {number|null} */
+        this.offset = location.offset === undefined ? null : location.offset;
+    }
+
+    /**
+     * @returns {{name: string, code: string, message: string, frameIndex: number|null, blockIndex: number|null, offset: number|null}}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            frameIndex: this.frameIndex,
+            blockIndex: this.blockIndex,
+            offset: this.offset
+        };
+    }
+
+    /**
+     * Rebuilds an error from `toJSON` output. Other errors come back as plain `Error`s with their message.
+     * @param {Object|string} data
+     * @returns {Error}
+     */
+    static fromJSON(data) {
+        if (data && typeof data === 'object' && typeof data.code === 'string') {
+            return new LZ4Error(data.code, data.message, {
+                frameIndex: data.frameIndex === null ? undefined : data.frameIndex,
+                blockIndex: data.blockIndex === null ? undefined : data.blockIndex,
+                offset: data.offset === null ? undefined : data.offset
+            });
+        }
+        return new Error((data && data.message) || data || 'Unknown Worker Error');
+    }
+}
+
+/**
+ * Fills in whichever parts of an error's location are still unknown.
+ * @param {*} error
+ * @param {{frameIndex?: number, blockIndex?: number, offset?: number}} location
+ * @returns {*} The same error.
+ */
+export function locateError(error, location) {
+    if (error instanceof LZ4Error) {
+        if (error.frameIndex === null && location.frameIndex !== undefined) error.frameIndex = location.frameIndex;
+        if (error.blockIndex === null && location.blockIndex !== undefined) error.blockIndex = location.blockIndex;
+        if (error.offset === null && location.offset !== undefined) error.offset = location.offset;
+    }
+    return error;
+}
+
+/**
+ * Locates an error thrown by the block kernel while decoding a frame. The kernel's offset is relative
+ * to the array it decoded from, and its output is sized by the frame, so overflowing it means the
+ * block is malformed rather than the caller's buffer too small.
+ * @param {*} error
+ * @param {number} frameIndex
+ * @param {number} blockIndex
+ * @param {number} base - Input offset of the kernel's `input[0]`.
+ * @returns {*} The same error.
+ */
+export function locateBlockError(error, frameIndex, blockIndex, base) {
+    if (error instanceof LZ4Error && error.frameIndex === null) {
+        if (error.code === errorCodes.OUTPUT_TOO_SMALL) error.code = errorCodes.MALFORMED_BLOCK;
+        error.frameIndex = frameIndex;
+        error.blockIndex = blockIndex;
+        if (error.offset !== null) error.offset += base;
+    }
+    return error;
+}
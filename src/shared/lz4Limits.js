@@ -0,0 +1,73 @@
+/**
+ * src/shared/lz4Limits.js
+ * * Decompression Limits.
+ * * Reads the `maxOutputSize`, `maxBlockSize` and `maxBufferedInput` decoder options, which cap what
+ * a (possibly hostile) input can make a decoder allocate. Every check runs before the allocation it
+ * guards, so a decompression bomb is rejected when it announces its size, not after inflating.
+ * Limits that are not set are `Infinity`.
+ * @module lz4Limits
+ */
+
+import { LZ4Error, errorCodes } from './lz4Error.js';
+
+/**
+ * Reads one limit from the options.
+ * @param {Object} options
+ * @param {string} name
+ * @returns {number}
+ */
+function readLimit(options, name) {
+    const value = options[name];
+    if (value === undefined || value === null) return Infinity;
+    if (typeof value !== 'number' || !(value > 0)) throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4: ${name} must be a positive number`);
+    return value;
+}
+
+export class DecodeLimits {
+    /**
+     * @param {Object} [options={}] - Decoder options.
+     * @param {number} [options.maxOutputSize=Infinity] - Most decompressed bytes to produce, across all frames.
+     * @param {number} [options.maxBlockSize=Infinity] - Largest block size a frame may declare (its BD
+     * maximum; 8MB for legacy frames).
+     * @param {number} [options.maxBufferedInput=Infinity] - Most compressed bytes held at once: the unconsumed
+     * input of an incremental decoder, or the whole input of `decompress`.
+     */
+    constructor(options = {}) {
+        this.maxOutputSize = readLimit(options, 'maxOutputSize');
+        this.maxBlockSize = readLimit(options, 'maxBlockSize');
+        this.maxBufferedInput = readLimit(options, 'maxBufferedInput');
+    }
+
+    /**
+     * @param {number} size - Total output size, including the bytes about to be produced.
+     * @param {Object} [location] - Where the check happens (see `LZ4Error`).
+     * @throws {LZ4Error} If it exceeds `maxOutputSize`.
+     */
+    checkOutput(size, location) {
+        if (size > this.maxOutputSize) {
+            throw new LZ4Error(errorCodes.LIMIT_EXCEEDED, `LZ4: Output exceeds maxOutputSize (${this.maxOutputSize} bytes)`, location);
+        }
+    }
+
+    /**
+     * @param {number} blockMaxSize - The block size a frame declares.
+     * @param {Object} [location] - Where the check happens (see `LZ4Error`).
+     * @throws {LZ4Error} If it exceeds `maxBlockSize`.
+     */
+    checkBlockSize(blockMaxSize, location) {
+        if (blockMaxSize > this.maxBlockSize) {
+            throw new LZ4Error(errorCodes.LIMIT_EXCEEDED, `LZ4: Frame block size ${blockMaxSize} exceeds maxBlockSize (${this.maxBlockSize} bytes)`, location);
+        }
+    }
+
+    /**
+     * @param {number} size - Compressed bytes held.
+     * @param {Object} [location] - Where the check happens (see `LZ4Error`).
+     * @throws {LZ4Error} If it exceeds `maxBufferedInput`.
+     */
+    checkBufferedInput(size, location) {
+        if (size > this.maxBufferedInput) {
+            throw new LZ4Error(errorCodes.LIMIT_EXCEEDED, `LZ4: Buffered input exceeds maxBufferedInput (${this.maxBufferedInput} bytes)`, location);
+        }
+    }
+}
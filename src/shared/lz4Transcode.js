@@ -0,0 +1,187 @@
+/**
+ * src/shared/lz4Transcode.js
+ * * Stateful LZ4 Transcoder.
+ * * Re-encodes LZ4 data with a different frame configuration (block size, independence, checksums,
+ * content size, dictionary, legacy/modern format) by chaining an `LZ4Decoder` into an `LZ4Encoder`.
+ * Data moves through one block at a time, so memory stays bounded by the block sizes, not the input.
+ * Skippable frames of the source are passed through in place: one between LZ4 frames ends the
+ * output frame, and the data after it goes in a new one.
+ * @module lz4Transcode
+ */
+
+import { LZ4Decoder } from "./lz4Decode.js";
+import { LZ4Encoder } from "./lz4Encode.js";
+import { ensureBuffer } from "./lz4Util.js";
+import { createSkippableFrame, encodeSkippableFrames } from "../frame/skippableFrame.js";
+import { LZ4Error, errorCodes } from "./lz4Error.js";
+
+/**
+ * Picks the source decoder's settings out of the target options. `maxBlockSize` configures the
+ * output, so the source's block size limit is named `sourceMaxBlockSize`.
+ * @param {Object} targetOptions
+ * @returns {Object} `LZ4Decoder` options.
+ */
+export function sourceDecoderOptions(targetOptions) {
+    return {
+        verifyHeaderChecksum: targetOptions.verifyHeaderChecksum,
+        safe: targetOptions.safe,
+        trailingData: targetOptions.trailingData,
+        maxOutputSize: targetOptions.maxOutputSize,
+        maxBlockSize: targetOptions.sourceMaxBlockSize,
+        maxBufferedInput: targetOptions.maxBufferedInput
+    };
+}
+
+export class LZ4Transcoder {
+    /**
+     * Creates a new Transcoder.
+     * @param {Object} [targetOptions={}] - The output configuration. Any `LZ4Encoder` option
+     * (`compressionLevel`, `acceleration`, `blockChecksum`, `format`, `skippableFrames`) is accepted, plus:
+     * @param {number} [targetOptions.maxBlockSize=4194304] - Output block size.
+     * @param {boolean} [targetOptions.blockIndependence=false] - Output independent blocks.
+     * @param {boolean} [targetOptions.contentChecksum=false] - Output a content checksum.
+     * @param {number|boolean|number[]} [targetOptions.contentSize] - Content size to declare. `true` copies the
+     * size the source frame declares (for one source frame per output frame; throws if it declares none). An
+     * array gives the size of each output frame.
+     * @param {LZ4Dictionary|Uint8Array|null} [targetOptions.dictionary=null] - Dictionary for the output.
+     * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [targetOptions.sourceDictionary=null] - Dictionary (or
+     * registry/resolver) the source was compressed with.
+     * @param {boolean} [targetOptions.verifyChecksum=true] - Verifies the source's block and content checksums.
+     * @param {boolean} [targetOptions.verifyHeaderChecksum=true] - As for `LZ4Decoder`, on the source.
+     * @param {boolean} [targetOptions.safe=true] - As for `LZ4Decoder`, on the source.
+     * @param {string} [targetOptions.trailingData='error'] - Data after the last source frame: `'error'`,
+     * `'ignore'`, or `'emit'` (re-encoded as content).
+     * @param {number} [targetOptions.maxOutputSize] - Most bytes to decode from the source.
+     * @param {number} [targetOptions.sourceMaxBlockSize] - Rejects source frames with larger blocks (the
+     * decoder's `maxBlockSize`).
+     * @param {number} [targetOptions.maxBufferedInput] - Most source bytes left buffered between calls
+     * (a source skippable frame is buffered whole).
+     */
+    constructor(targetOptions = {}) {
+        this.targetOptions = targetOptions;
+        // Written before and after all the output, rather than around each output frame
+        this.skippableFrames = encodeSkippableFrames(targetOptions.skippableFrames);
+        // Source skippable frames not passed through yet, with the decoded size before them
+        this.skipped = [];
+        this.decoder = new LZ4Decoder(targetOptions.sourceDictionary || null, targetOptions.verifyChecksum !== false, {
+            ...sourceDecoderOptions(targetOptions),
+            onSkippableFrame: (data, nibble) => {
+                this.skipped.push({ at: this.decoder.outputSize, frame: createSkippableFrame(nibble, data) });
+            }
+        });
+        // Created with the first decoded data, once the source header (and its content size) is known
+        this.encoder = null;
+        this.frames = 0;          // Output frames started
+        this.decodedSize = 0;     // Source bytes re-encoded so far
+        this.started = false;
+    }
+
+    /**
+     * Writes the target's leading skippable frames, once.
+     * @private
+     * @param {Uint8Array[]} output
+     */
+    _start(output) {
+        if (this.started) return;
+        this.started = true;
+        for (const frame of this.skippableFrames.before) output.push(frame);
+    }
+
+    /**
+     * Passes through the source skippable frames that come before the data decoded so far.
+     * @private
+     * @param {Uint8Array[]} output
+     */
+    _passSkipped(output) {
+        while (this.skipped.length > 0 && this.skipped[0].at <= this.decodedSize) {
+            this._start(output);
+            if (this.encoder) {
+                for (const chunk of this.encoder.finish()) output.push(chunk);
+                this.encoder = null;
+            }
+            output.push(this.skipped.shift().frame);
+        }
+    }
+
+    /**
+     * Starts an output frame with the target configuration.
+     * @private
+     * @param {Uint8Array[]} output
+     */
+    _createEncoder(output) {
+        this._start(output);
+        const target = this.targetOptions;
+        let contentSize = target.contentSize;
+        if (Array.isArray(contentSize)) {
+            contentSize = contentSize[this.frames];
+        } else if (contentSize === true) {
+            contentSize = this.decoder.contentSize;
+            if (contentSize === null) throw new LZ4Error(errorCodes.CONTENT_SIZE, "LZ4: contentSize: true needs a source frame that declares its content size");
+        } else if (contentSize === false) {
+            contentSize = undefined;
+        }
+
+        this.encoder = new LZ4Encoder(
+            target.maxBlockSize === undefined ? 4194304 : target.maxBlockSize,
+            !!target.blockIndependence,
+            !!target.contentChecksum,
+            target.dictionary || null,
+            { ...target, contentSize, skippableFrames: undefined }
+        );
+        this.frames++;
+    }
+
+    /**
+     * Re-encodes decoded chunks.
+     * @private
+     * @param {Uint8Array[]} chunks
+     * @returns {Uint8Array[]}
+     */
+    _encode(chunks) {
+        const output = [];
+        for (const chunk of chunks) {
+            this._passSkipped(output);
+            if (!this.encoder) this._createEncoder(output);
+            for (const block of this.encoder.add(chunk)) output.push(block);
+            this.decodedSize += chunk.length;
+        }
+        this._passSkipped(output);
+        return output;
+    }
+
+    /**
+     * Adds source data.
+     * @param {Uint8Array|ArrayBuffer} chunk - A chunk of the source LZ4 data.
+     * @returns {Uint8Array[]} Output chunks (may be empty while blocks are buffered).
+     */
+    update(chunk) {
+        return this._encode(this.decoder.update(ensureBuffer(chunk)));
+    }
+
+    /**
+     * Like `update`, but waits for async source dictionary resolvers.
+     * @param {Uint8Array|ArrayBuffer} chunk
+     * @returns {Promise<Uint8Array[]>}
+     */
+    async updateAsync(chunk) {
+        return this._encode(await this.decoder.updateAsync(ensureBuffer(chunk)));
+    }
+
+    /**
+     * Ends the source data.
+     * @returns {Uint8Array[]} The remaining output (last blocks, EndMark, checksum and skippable frames).
+     * @throws {LZ4Error} If the source stopped inside a frame (see `LZ4Decoder.finish`).
+     */
+    finish() {
+        // The source must end cleanly: a truncated one would otherwise become a complete, valid frame
+        const output = this._encode(this.decoder.finish());
+        // A source without data still becomes an empty frame
+        if (!this.encoder && this.frames === 0) this._createEncoder(output);
+        if (this.encoder) {
+            for (const chunk of this.encoder.finish()) output.push(chunk);
+            this.encoder = null;
+        }
+        for (const frame of this.skippableFrames.after) output.push(frame);
+        return output;
+    }
+}
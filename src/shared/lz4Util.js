@@ -3,6 +3,7 @@
  * Common type checking and coercion utility.
  */
 
+import { LZ4Error, errorCodes } from './lz4Error.js';
 
 /**
  * Ensures the input is a Uint8Array.
@@ -29,5 +30,17 @@ export function ensureBuffer(input) {
         }
     }
 
-    throw new TypeError("LZ4: Input must be a String, ArrayBuffer, View, Array, or Serializable Object");
-}
\ No newline at end of file
+    throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Input must be a String, ArrayBuffer, View, Array, or Serializable Object");
+}
+
+/**
+ * Throws unless `output` is large enough to be written up to `end`.
+ * @param {Uint8Array} output - The destination.
+ * @param {number} end - Offset just past the bytes about to be written.
+ * @throws {LZ4Error} `ERR_LZ4_OUTPUT_TOO_SMALL` if `end` is past the end of `output`.
+ */
+export function checkOutputSize(output, end) {
+    if (end > output.length) {
+        throw new LZ4Error(errorCodes.OUTPUT_TOO_SMALL, `LZ4: Output Buffer Too Small (${output.length} bytes available)`);
+    }
+}
@@ -6,6 +6,7 @@
 
 import { compressBuffer } from '../buffer/bufferCompress.js';
 import { decompressBuffer } from '../buffer/bufferDecompress.js';
+import { LZ4Error, errorCodes } from './lz4Error.js';
 
 // Cached instances to reduce garbage collection overhead
 // Note: TextEncoder/Decoder are native globals in Node 11+ and modern browsers.
@@ -21,12 +22,13 @@ const textDecoder = new TextDecoder();
  * @param {number} [maxBlockSize=4194304] - Target block size (default 4MB).
  * @param {boolean} [blockIndependence=false] - If false, blocks can match previous blocks (better ratio).
  * @param {boolean} [contentChecksum=false] - If true, appends xxHash32 (slower).
+ * @param {Object} [options={}] - Additional compression settings (see `compressBuffer`).
  * @returns {Uint8Array} The compressed LZ4 frame.
  */
-export function compressString(str, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false) {
+export function compressString(str, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, options = {}) {
     // encode() always returns a Uint8Array
     const rawBytes = textEncoder.encode(str);
-    return compressBuffer(rawBytes, dictionary, maxBlockSize, blockIndependence, contentChecksum);
+    return compressBuffer(rawBytes, dictionary, maxBlockSize, blockIndependence, contentChecksum, true, null, options);
 }
 
 /**
@@ -36,10 +38,11 @@ export function compressString(str, dictionary = null, maxBlockSize = 4194304, b
  * @param {Uint8Array} compressedData - The LZ4 frame.
  * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary.
  * @param {boolean} [verifyChecksum=true] - If false, skips content checksum verification (faster).
+ * @param {Object} [options={}] - Additional decoding settings (see `decompressBuffer`).
  * @returns {string} The decoded string.
  */
-export function decompressString(compressedData, dictionary = null, verifyChecksum = true) {
-    const rawBytes = decompressBuffer(compressedData, dictionary, verifyChecksum);
+export function decompressString(compressedData, dictionary = null, verifyChecksum = true, options = {}) {
+    const rawBytes = decompressBuffer(compressedData, dictionary, verifyChecksum, options);
     return textDecoder.decode(rawBytes);
 }
 
@@ -52,17 +55,18 @@ export function decompressString(compressedData, dictionary = null, verifyChecks
  * @param {number} [maxBlockSize=4194304] - Target block size. Default 4MB
  * @param {boolean} [blockIndependence=false] - If false, blocks can match previous blocks.
  * @param {boolean} [contentChecksum=false] - If true, appends xxHash32.
+ * @param {Object} [options={}] - Additional compression settings (see `compressBuffer`).
  * @returns {Uint8Array} The compressed LZ4 frame.
  */
-export function compressObject(obj, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false) {
+export function compressObject(obj, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, options = {}) {
     const jsonStr = JSON.stringify(obj);
 
     if (jsonStr === undefined) {
-        throw new Error("LZ4: Input cannot be serialized to JSON (undefined or invalid type)");
+        throw new LZ4Error(errorCodes.INVALID_ARGUMENT, "LZ4: Input cannot be serialized to JSON (undefined or invalid type)");
     }
 
     const rawBytes = textEncoder.encode(jsonStr);
-    return compressBuffer(rawBytes, dictionary, maxBlockSize, blockIndependence, contentChecksum);
+    return compressBuffer(rawBytes, dictionary, maxBlockSize, blockIndependence, contentChecksum, true, null, options);
 }
 
 /**
@@ -72,10 +76,11 @@ export function compressObject(obj, dictionary = null, maxBlockSize = 4194304, b
  * @param {Uint8Array} compressedData - The LZ4 frame.
  * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary.
  * @param {boolean} [verifyChecksum=true] - If false, skips content checksum verification.
+ * @param {Object} [options={}] - Additional decoding settings (see `decompressBuffer`).
  * @returns {Object|Array|number|boolean} The parsed object.
  */
-export function decompressObject(compressedData, dictionary = null, verifyChecksum = true) {
-    const rawBytes = decompressBuffer(compressedData, dictionary, verifyChecksum);
+export function decompressObject(compressedData, dictionary = null, verifyChecksum = true, options = {}) {
+    const rawBytes = decompressBuffer(compressedData, dictionary, verifyChecksum, options);
     const jsonStr = textDecoder.decode(rawBytes);
     return JSON.parse(jsonStr);
 }
\ No newline at end of file
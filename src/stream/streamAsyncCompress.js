@@ -13,19 +13,20 @@ import { TaskScheduler } from "./scheduler.js";
 
 /**
  * Creates an Asynchronous Compression Stream.
- * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary for compression (warmup).
+ * @param {LZ4Dictionary|Uint8Array|null} [dictionary=null] - Optional dictionary, precompiled or raw bytes.
  * @param {number} [maxBlockSize=4194304] - Target block size in bytes (default 4MB).
  * @param {boolean} [blockIndependence=false] - If false, allows matches across blocks (better compression).
  * @param {boolean} [contentChecksum=false] - If true, appends XXHash32 checksum at the end.
  * @param {number} [concurrency=1] - Task limit (acts as a yield mechanism to prevent blocking).
+ * @param {Object} [options={}] - Additional encoder settings (see `LZ4Encoder`), e.g. `{ compressionLevel: 9 }`.
  * @returns {TransformStream} A Web Standard TransformStream.
  */
-export function createAsyncCompressStream(dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, concurrency = 1) {
+export function createAsyncCompressStream(dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, concurrency = 1, options = {}) {
     // Note: Concurrency should generally be 1 for stateful LZ4 consistency
     const scheduler = new TaskScheduler(concurrency);
 
-    // Instantiate Encoder (Positional Arguments: Size, Indep, Checksum, Dict)
-    const encoder = new LZ4Encoder(maxBlockSize, blockIndependence, contentChecksum, dictionary);
+    // Instantiate Encoder (Positional Arguments: Size, Indep, Checksum, Dict, Options)
+    const encoder = new LZ4Encoder(maxBlockSize, blockIndependence, contentChecksum, dictionary, options);
 
     return new TransformStream({
         async transform(chunk, controller) {
@@ -60,22 +61,27 @@ export function createAsyncCompressStream(dictionary = null, maxBlockSize = 4194
  * Compresses a buffer asynchronously (Promises).
  * * "Batteries-included" helper for non-blocking compression.
  * @param {Uint8Array|ArrayBuffer|Buffer} input - Input data.
- * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary.
+ * @param {LZ4Dictionary|Uint8Array|null} [dictionary=null] - Optional dictionary.
  * @param {number} [maxBlockSize=4194304] - Block size (default 4MB).
  * @param {boolean} [blockIndependence=false] - Independent blocks.
  * @param {boolean} [contentChecksum=false] - Content checksum.
  * @param {number} [concurrency=1] - Task/Yield limit.
+ * @param {Object} [options={}] - Additional encoder settings (see `LZ4Encoder`). `contentSize` defaults to
+ * the input length, so the frame supports the decoders' direct-write path.
  * @returns {Promise<Uint8Array>} Compressed data.
  */
-export async function compressAsync(input, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, concurrency = 1) {
-    const stream = createAsyncCompressStream(dictionary, maxBlockSize, blockIndependence, contentChecksum, concurrency);
+export async function compressAsync(input, dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, concurrency = 1, options = {}) {
+    const data = ensureBuffer(input);
+    const encoderOptions = options.contentSize === undefined ? { ...options, contentSize: data.length } : options;
+    const stream = createAsyncCompressStream(dictionary, maxBlockSize, blockIndependence, contentChecksum, concurrency, encoderOptions);
     const writer = stream.writable.getWriter();
     const reader = stream.readable.getReader();
     const chunks = [];
 
     // Write & Close
-    writer.write(input);
-    writer.close();
+    // Errors surface through `reader.read()`; the writer's copies must not go unhandled
+    writer.write(data).catch(() => {});
+    writer.close().catch(() => {});
 
     // Read Output
     while (true) {
@@ -12,16 +12,21 @@
 import { LZ4Decoder } from '../shared/lz4Decode.js';
 import { ensureBuffer } from '../shared/lz4Util.js';
 import { TaskScheduler } from './scheduler.js';
+import { createRecoverStream } from './streamRecover.js';
 
 /**
  * Creates an Asynchronous Decompression Stream.
- * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null] - Optional dictionary, registry
+ * (`Map` of Dict ID to dictionary) or async resolver picked per frame (see `LZ4Decoder`).
  * @param {boolean} [verifyChecksum=true] - If true, validates content checksums.
  * @param {number} [concurrency=1] - Task limit (effectively yields event loop).
+ * @param {Object} [options={}] - Additional decoder settings (see `LZ4Decoder`). `recover: true` decodes
+ * what survives of damaged input instead (see `createRecoverStream`).
  * @returns {TransformStream} A Web Standard TransformStream.
  */
-export function createAsyncDecompressStream(dictionary = null, verifyChecksum = true, concurrency = 1) {
-    const decoder = new LZ4Decoder(dictionary, verifyChecksum);
+export function createAsyncDecompressStream(dictionary = null, verifyChecksum = true, concurrency = 1, options = {}) {
+    if (options.recover) return createRecoverStream(dictionary, options);
+    const decoder = new LZ4Decoder(dictionary, verifyChecksum, options);
     const scheduler = new TaskScheduler(concurrency);
 
     return new TransformStream({
@@ -29,7 +34,7 @@ export function createAsyncDecompressStream(dictionary = null, verifyChecksum =
             try {
                 await scheduler.schedule(async () => {
                     const data = ensureBuffer(chunk);
-                    const outputChunks = decoder.update(data);
+                    const outputChunks = await decoder.updateAsync(data);
                     for (const c of outputChunks) {
                         controller.enqueue(c);
                     }
@@ -39,7 +44,14 @@ export function createAsyncDecompressStream(dictionary = null, verifyChecksum =
             }
         },
         flush(controller) {
-            // LZ4 frames self-terminate
+            // Input that stops inside a frame is an error (unless `safe` is false)
+            try {
+                for (const c of decoder.finish()) {
+                    controller.enqueue(c);
+                }
+            } catch (e) {
+                controller.error(e);
+            }
         }
     });
 }
@@ -49,20 +61,22 @@ export function createAsyncDecompressStream(dictionary = null, verifyChecksum =
  * * This is a "batteries-included" helper that manages the stream lifecycle for you.
  * It yields the event loop during processing to keep the application responsive.
  * @param {Uint8Array|ArrayBuffer|Buffer} input - Compressed input.
- * @param {Uint8Array} [dictionary=null] - Optional dictionary.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function} [dictionary=null] - Optional dictionary, registry or resolver.
  * @param {boolean} [verifyChecksum=true] - Validate checksums.
  * @param {number} [concurrency=1] - Task/Yield limit.
+ * @param {Object} [options={}] - Additional decoder settings (see `LZ4Decoder`).
  * @returns {Promise<Uint8Array>} The decompressed data.
  */
-export async function decompressAsync(input, dictionary = null, verifyChecksum = true, concurrency = 1) {
-    const stream = createAsyncDecompressStream(dictionary, verifyChecksum, concurrency);
+export async function decompressAsync(input, dictionary = null, verifyChecksum = true, concurrency = 1, options = {}) {
+    const stream = createAsyncDecompressStream(dictionary, verifyChecksum, concurrency, options);
     const writer = stream.writable.getWriter();
     const reader = stream.readable.getReader();
     const chunks = [];
 
     // Feed input
-    writer.write(input);
-    writer.close();
+    // Errors surface through `reader.read()`; the writer's copies must not go unhandled
+    writer.write(input).catch(() => {});
+    writer.close().catch(() => {});
 
     // Read output
     while (true) {
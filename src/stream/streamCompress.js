@@ -12,17 +12,18 @@ import { ensureBuffer } from "../shared/lz4Util.js";
 
 /**
  * Creates a standard TransformStream for LZ4 compression.
- * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary for compression (warmup).
+ * @param {LZ4Dictionary|Uint8Array|null} [dictionary=null] - Optional dictionary (its Dict ID is written to the frame header).
  * @param {number} [maxBlockSize=4194304] - Target block size in bytes (default 4MB).
  * @param {boolean} [blockIndependence=false] - If false, allows matches across blocks (better compression, slower seeking).
  * @param {boolean} [contentChecksum=false] - If true, appends XXHash32 checksum at the end of the stream.
+ * @param {Object} [options={}] - Additional encoder settings (see `LZ4Encoder`), e.g. `{ compressionLevel: 9 }`.
  * @returns {TransformStream} A web standard TransformStream that accepts Uint8Array chunks and emits compressed LZ4 frames.
  */
-export function createCompressStream(dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false) {
+export function createCompressStream(dictionary = null, maxBlockSize = 4194304, blockIndependence = false, contentChecksum = false, options = {}) {
     // Initialize Encoder
     // Note: Arguments must be reordered to match LZ4Encoder's signature:
-    // constructor(maxBlockSize, blockIndependence, contentChecksum, dictionary)
-    const encoder = new LZ4Encoder(maxBlockSize, blockIndependence, contentChecksum, dictionary);
+    // constructor(maxBlockSize, blockIndependence, contentChecksum, dictionary, options)
+    const encoder = new LZ4Encoder(maxBlockSize, blockIndependence, contentChecksum, dictionary, options);
 
     return new TransformStream({
         /**
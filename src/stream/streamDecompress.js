@@ -9,19 +9,25 @@
 
 import { LZ4Decoder } from '../shared/lz4Decode.js';
 import { ensureBuffer } from '../shared/lz4Util.js';
+import { createRecoverStream } from './streamRecover.js';
 
 /**
  * Creates a standard TransformStream for LZ4 decompression.
- * @param {Uint8Array|null} [dictionary=null] - Optional initial dictionary (history window)
- * if the stream was compressed with a preset dictionary.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null] - The dictionary the stream was
+ * compressed with, or a registry (`Map` of Dict ID to dictionary) / async resolver picked per frame
+ * (see `LZ4Decoder`).
  * @param {boolean} [verifyChecksum=true] - If true, validates the xxHash32 content checksum
  * at the end of the frame (if present). Set to false for a slight speed boost if data integrity
  * is already guaranteed by another layer.
+ * @param {Object} [options={}] - Additional decoder settings (see `LZ4Decoder`), e.g. `{ verifyHeaderChecksum: false }`.
+ * `safe: false` accepts input that ends inside a frame; `trailingData` decides what happens to data after the last frame.
+ * `recover: true` decodes what survives of damaged input instead of erroring (see `createRecoverStream`).
  * @returns {TransformStream} A web standard TransformStream that accepts compressed `Uint8Array` chunks
  * and emits decompressed `Uint8Array` chunks.
  */
-export function createDecompressStream(dictionary = null, verifyChecksum = true) {
-    const decoder = new LZ4Decoder(dictionary, verifyChecksum);
+export function createDecompressStream(dictionary = null, verifyChecksum = true, options = {}) {
+    if (options.recover) return createRecoverStream(dictionary, options);
+    const decoder = new LZ4Decoder(dictionary, verifyChecksum, options);
 
     return new TransformStream({
         /**
@@ -29,14 +35,15 @@ export function createDecompressStream(dictionary = null, verifyChecksum = true)
          * @param {Uint8Array} chunk - Input compressed chunk.
          * @param {TransformStreamDefaultController} controller - Stream controller.
          */
-        transform(chunk, controller) {
+        async transform(chunk, controller) {
             try {
                 // Compatibility check (ensure input is always a buffer)
                 const data = ensureBuffer(chunk);
 
                 // The decoder manages state; we just feed it bytes.
-                // It returns an array of fully decompressed blocks (if any completed).
-                const chunks = decoder.update(data);
+                // It returns an array of fully decompressed blocks (if any completed),
+                // waiting for the dictionary resolver when a frame needs one.
+                const chunks = await decoder.updateAsync(data);
 
                 for (const c of chunks) {
                     controller.enqueue(c);
@@ -48,12 +55,18 @@ export function createDecompressStream(dictionary = null, verifyChecksum = true)
 
         /**
          * Called when the stream closes.
-         * For decompression, we don't need to write a footer, but we could check for
-         * incomplete frames here if strict validation was required.
+         * Errors the stream if it ended inside a frame, so truncated input never looks complete
+         * (see `options.safe` and `options.trailingData`).
          * @param {TransformStreamDefaultController} controller - Stream controller.
          */
         flush(controller) {
-            // No-op for LZ4 decompression (frames are self-terminating)
+            try {
+                for (const c of decoder.finish()) {
+                    controller.enqueue(c);
+                }
+            } catch (e) {
+                controller.error(e);
+            }
         }
     });
 }
\ No newline at end of file
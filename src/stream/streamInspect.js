@@ -0,0 +1,51 @@
+/**
+ * src/stream/streamInspect.js
+ * * LZ4 Inspection Stream (Web Streams API).
+ * * A pass-through `TransformStream`: chunks come out unchanged, while an `LZ4FrameInspector`
+ * reports each frame's metadata as it completes. Nothing is decompressed, so it can sit in front
+ * of a decompress stream or a file sink at little cost.
+ * @module streamInspect
+ */
+
+import { LZ4FrameInspector } from '../frame/frameInspect.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+
+/**
+ * Creates a pass-through TransformStream that describes the LZ4 frames flowing through it.
+ * @param {function(Object): void} onFrame - Called with each frame description (the same objects
+ * `LZ4.inspect` returns). A frame cut off by the end of the stream is reported on close with
+ * `complete: false`.
+ * @returns {TransformStream} A web standard TransformStream that emits its input chunks unchanged.
+ */
+export function createInspectStream(onFrame) {
+    const inspector = new LZ4FrameInspector();
+
+    return new TransformStream({
+        /**
+         * Forwards a chunk and reports the frames it completed.
+         * @param {Uint8Array} chunk - Input chunk.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        transform(chunk, controller) {
+            try {
+                const data = ensureBuffer(chunk);
+                controller.enqueue(data);
+                for (const frame of inspector.update(data)) onFrame(frame);
+            } catch (e) {
+                controller.error(e);
+            }
+        },
+
+        /**
+         * Reports the frame the stream ended in, if any.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        flush(controller) {
+            try {
+                for (const frame of inspector.finish()) onFrame(frame);
+            } catch (e) {
+                controller.error(e);
+            }
+        }
+    });
+}
@@ -0,0 +1,53 @@
+/**
+ * src/stream/streamRecover.js
+ * * LZ4 Recovery Stream (Web Streams API).
+ * * The `recover: true` mode of the decompression streams. Input is recovered as it arrives
+ * (`FrameRecovery`): each block's data is emitted once it is decoded, and only the input from the
+ * block, skippable frame or byte being read on is kept.
+ * @module streamRecover
+ */
+
+import { FrameRecovery } from '../frame/frameRecover.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+
+/**
+ * Creates a TransformStream that recovers what it can from damaged LZ4 input.
+ * @param {LZ4Dictionary|Uint8Array|Map|Function|null} [dictionary=null] - As for `LZ4.recover`.
+ * @param {Object} [options={}] - Options of `LZ4.recover`, plus:
+ * @param {function(Object): void} [options.onRecover] - Called on close with the report (`complete`,
+ * `frames`, `recovered`, `lost`; see `LZ4.recover`).
+ * @param {number} [options.maxBufferedInput] - Most input bytes kept between chunks (see `DecodeLimits`):
+ * bounds the largest block or skippable frame that can be read.
+ * @returns {TransformStream} A web standard TransformStream emitting the recovered data.
+ */
+export function createRecoverStream(dictionary = null, options = {}) {
+    const recovery = new FrameRecovery(dictionary, options);
+
+    return new TransformStream({
+        /**
+         * Recovers what an input chunk completes.
+         * @param {Uint8Array} chunk - Input chunk.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        transform(chunk, controller) {
+            try {
+                for (const data of recovery.update(ensureBuffer(chunk))) controller.enqueue(data);
+            } catch (e) {
+                controller.error(e);
+            }
+        },
+
+        /**
+         * Recovers the end of the input and reports.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        flush(controller) {
+            try {
+                for (const data of recovery.finish()) controller.enqueue(data);
+                if (options.onRecover) options.onRecover(recovery.report());
+            } catch (e) {
+                controller.error(e);
+            }
+        }
+    });
+}
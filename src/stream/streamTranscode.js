@@ -0,0 +1,54 @@
+/**
+ * src/stream/streamTranscode.js
+ * * LZ4 Transcoding Stream (Web Streams API).
+ * * A `TransformStream` that re-encodes LZ4 data with a different frame configuration, built on
+ * `LZ4Transcoder` (an `LZ4Decoder` feeding an `LZ4Encoder`). Memory stays bounded by the source and
+ * target block sizes, whatever the length of the stream.
+ * @module streamTranscode
+ */
+
+import { LZ4Transcoder } from '../shared/lz4Transcode.js';
+import { ensureBuffer } from '../shared/lz4Util.js';
+
+/**
+ * Creates a TransformStream that transcodes LZ4 data.
+ * @param {Object} [targetOptions={}] - The output configuration (see `LZ4Transcoder`), e.g.
+ * `{ maxBlockSize: 65536, blockIndependence: true, blockChecksum: true, contentSize: true }`.
+ * @returns {TransformStream} A web standard TransformStream that accepts LZ4 chunks and emits re-encoded LZ4 chunks.
+ */
+export function createTranscodeStream(targetOptions = {}) {
+    const transcoder = new LZ4Transcoder(targetOptions);
+
+    return new TransformStream({
+        /**
+         * Transcodes a chunk of source data.
+         * @param {Uint8Array} chunk - Source LZ4 chunk.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        async transform(chunk, controller) {
+            try {
+                const chunks = await transcoder.updateAsync(ensureBuffer(chunk));
+                for (const c of chunks) {
+                    controller.enqueue(c);
+                }
+            } catch (e) {
+                controller.error(e);
+            }
+        },
+
+        /**
+         * Flushes the last blocks and the frame footer.
+         * @param {TransformStreamDefaultController} controller - Stream controller.
+         */
+        flush(controller) {
+            try {
+                const chunks = transcoder.finish();
+                for (const c of chunks) {
+                    controller.enqueue(c);
+                }
+            } catch (e) {
+                controller.error(e);
+            }
+        }
+    });
+}
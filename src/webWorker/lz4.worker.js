@@ -17,6 +17,8 @@ import { compressBuffer } from '../buffer/bufferCompress.js';
 import { decompressBuffer } from '../buffer/bufferDecompress.js';
 import { createCompressStream } from '../stream/streamCompress.js';
 import { createDecompressStream } from '../stream/streamDecompress.js';
+import { decompressAsync } from '../stream/streamAsyncDecompress.js';
+import { LZ4Error, errorCodes } from '../shared/lz4Error.js';
 
 // --- TYPE FIX ---
 // Cast 'self' to DedicatedWorkerGlobalScope to enable transfer list TS checks.
@@ -24,12 +26,72 @@ import { createDecompressStream } from '../stream/streamDecompress.js';
 // @ts-ignore
 const workerSelf = self;
 
+/**
+ * Dictionary requests awaiting an answer from the main thread.
+ * Key: `${taskId}:${dictId}`
+ * Value: { resolve, reject }
+ */
+const pendingDictionaries = new Map();
+
+/**
+ * Creates a dictionary resolver that asks the main thread (which holds the caller's
+ * resolver function) for each Dict ID the decoder encounters.
+ * @param {number} taskId - The message ID of the task being decoded.
+ * @returns {function(number): Promise<*>}
+ */
+function createRemoteResolver(taskId) {
+    return (dictId) => new Promise((resolve, reject) => {
+        pendingDictionaries.set(`${taskId}:${dictId}`, { resolve, reject });
+        workerSelf.postMessage({ id: taskId, status: 'dictionary', dictId });
+    });
+}
+
+/**
+ * Picks the decoder's dictionary argument from the task options.
+ * @param {number} taskId
+ * @param {Object} options
+ */
+function getDecodeDictionary(taskId, options) {
+    return options.dictionaryResolver ? createRemoteResolver(taskId) : options.dictionary;
+}
+
+/**
+ * Rebuilds the decoder options, posting skippable frames to the main thread
+ * (which holds the caller's `onSkippableFrame`) when it asked for them.
+ * @param {number} taskId
+ * @param {Object} options
+ * @returns {Object}
+ */
+function getDecodeOptions(taskId, options) {
+    if (!options.skippableFrameEvents) return options;
+    return {
+        ...options,
+        onSkippableFrame: (data, nibble) => {
+            const copy = data.slice();
+            workerSelf.postMessage({ id: taskId, status: 'skippable', data: copy.buffer, nibble }, [copy.buffer]);
+        }
+    };
+}
+
 /**
  * Global Message Handler
  */
 workerSelf.onmessage = async (event) => {
     const { id, task, buffer, readable, writable, options } = event.data;
 
+    // --- 0. DICTIONARY REPLY ---
+    // Answer to a `createRemoteResolver` request (not a task of its own).
+    if (task === 'dictionary') {
+        const key = `${id}:${event.data.dictId}`;
+        const request = pendingDictionaries.get(key);
+        if (request) {
+            pendingDictionaries.delete(key);
+            if (event.data.error) request.reject(LZ4Error.fromJSON(event.data.error));
+            else request.resolve(event.data.dictionary);
+        }
+        return;
+    }
+
     try {
         // --- 1. STREAM MODE ---
         // Streams are transferred, so we process them directly.
@@ -40,7 +102,8 @@ workerSelf.onmessage = async (event) => {
                 dictionary,
                 maxBlockSize,
                 blockIndependence,
-                contentChecksum
+                contentChecksum,
+                options || {}
             );
 
             await readable
@@ -52,11 +115,12 @@ workerSelf.onmessage = async (event) => {
         }
 
         if (task === 'stream-decompress') {
-            const { dictionary, verifyChecksum } = options || {};
+            const { verifyChecksum } = options || {};
 
             const transformStream = createDecompressStream(
-                dictionary,
-                verifyChecksum
+                getDecodeDictionary(id, options || {}),
+                verifyChecksum,
+                getDecodeOptions(id, options || {})
             );
 
             await readable
@@ -74,17 +138,24 @@ workerSelf.onmessage = async (event) => {
 
         if (task === 'compress') {
             const { dictionary, maxBlockSize, blockIndependence, contentChecksum } = options || {};
-            resultTypedArray = compressBuffer(inputData, dictionary, maxBlockSize, blockIndependence, contentChecksum);
+            resultTypedArray = compressBuffer(inputData, dictionary, maxBlockSize, blockIndependence, contentChecksum, true, null, options || {});
         }
         else if (task === 'decompress') {
-            const { dictionary, verifyChecksum } = options || {};
-            resultTypedArray = decompressBuffer(inputData, dictionary, verifyChecksum);
+            const { dictionaryResolver, verifyChecksum } = options || {};
+            // Resolvers answer asynchronously (round trip to the main thread)
+            resultTypedArray = dictionaryResolver
+                ? await decompressAsync(inputData, getDecodeDictionary(id, options), verifyChecksum, 1, getDecodeOptions(id, options))
+                : decompressBuffer(inputData, options && options.dictionary, verifyChecksum, getDecodeOptions(id, options || {}));
         }
         else {
-            throw new Error(`LZ4 Worker: Unknown task "${task}"`);
+            throw new LZ4Error(errorCodes.INVALID_ARGUMENT, `LZ4 Worker: Unknown task "${task}"`);
         }
 
-        const resultBuffer = resultTypedArray.buffer;
+        // Results are often views into a larger allocation (compression reserves the worst case),
+        // and the main thread wraps the whole buffer, so trim it to the result's bytes.
+        const resultBuffer = (resultTypedArray.byteOffset === 0 && resultTypedArray.byteLength === resultTypedArray.buffer.byteLength)
+            ? resultTypedArray.buffer
+            : resultTypedArray.slice().buffer;
 
         // Optimization: Zero-Copy Return
         // We transfer the result buffer back to the main thread.
@@ -101,10 +172,11 @@ workerSelf.onmessage = async (event) => {
 
     } catch (error) {
         console.error("LZ4 Worker Error:", error);
+        // Structured cloning would drop the code and location: send them as a plain object
         workerSelf.postMessage({
             id,
             status: 'error',
-            error: error.message || 'Unknown Worker Error'
+            error: error instanceof LZ4Error ? error.toJSON() : { message: error.message || 'Unknown Worker Error' }
         });
     }
 };
\ No newline at end of file
@@ -7,8 +7,16 @@
  * SUPPORT:
  * - Buffer API: `compress(data)`, `decompress(data)`
  * - Stream API: `compressStream(readable, writable)`, `decompressStream(...)`
+ * - Dictionaries: `options.dictionary` may be an `LZ4Dictionary`, bytes, a `Map` registry
+ * (cloned to the worker) or a resolver function (called here when the worker asks for a Dict ID).
+ * - Skippable Frames: `options.onSkippableFrame` is called here with each frame the worker reports.
+ * - Limits: decoder options (`maxOutputSize`, `maxBlockSize`, `maxBufferedInput`) are enforced in the worker.
+ * - Errors: tasks reject with an `LZ4Error` carrying the worker's `code` and location.
+ * - Contexts: `options.context` holds this thread's memory and is not sent; the worker uses its own.
  */
 
+import { LZ4Error } from '../shared/lz4Error.js';
+
 /** @type {Worker|null} */
 let workerInstance = null;
 
@@ -18,10 +26,50 @@ let messageIdCounter = 0;
 /**
  * Map to correlate Worker responses back to their specific Promises.
  * Key: Message ID
- * Value: { resolve, reject }
+ * Value: { resolve, reject, resolver, onSkippableFrame }
  */
 const pendingTasks = new Map();
 
+/**
+ * Answers a worker's request for the dictionary of a Dict ID using the task's resolver.
+ * @private
+ */
+async function answerDictionaryRequest(worker, id, dictId, resolver) {
+    try {
+        const dictionary = await resolver(dictId);
+        worker.postMessage({ id, task: 'dictionary', dictId, dictionary: dictionary || null });
+    } catch (e) {
+        // Sent like task errors, so an LZ4Error keeps its code through the worker
+        const error = e instanceof LZ4Error ? e.toJSON() : { message: (e && e.message) || 'Dictionary resolver failed' };
+        worker.postMessage({ id, task: 'dictionary', dictId, error });
+    }
+}
+
+/**
+ * Functions cannot be cloned to the worker: callbacks stay on this thread. The worker is told
+ * to ask for dictionaries by Dict ID instead, and to post skippable frames back. Contexts stay
+ * here too (their tables belong to this thread).
+ * @private
+ * @returns {{ options: Object, resolver: Function|null, onSkippableFrame: Function|null }}
+ */
+function splitCallbacks(options = {}) {
+    const resolver = typeof options.dictionary === 'function' ? options.dictionary : null;
+    const onSkippableFrame = typeof options.onSkippableFrame === 'function' ? options.onSkippableFrame : null;
+    if (!resolver && !onSkippableFrame && !options.context) return { options, resolver, onSkippableFrame };
+
+    const cloneable = { ...options };
+    delete cloneable.context;
+    if (resolver) {
+        cloneable.dictionary = null;
+        cloneable.dictionaryResolver = true;
+    }
+    if (onSkippableFrame) {
+        delete cloneable.onSkippableFrame;
+        cloneable.skippableFrameEvents = true;
+    }
+    return { options: cloneable, resolver, onSkippableFrame };
+}
+
 /**
  * Lazy-loads the Web Worker singleton.
  */
@@ -35,9 +83,23 @@ function getWorker() {
         });
 
         workerInstance.onmessage = (event) => {
-            const { id, status, buffer, error } = event.data;
+            const { id, status, buffer, error, dictId, data, nibble } = event.data;
             const taskResolver = pendingTasks.get(id);
 
+            // The worker needs a dictionary from this task's resolver (task still running)
+            if (status === 'dictionary') {
+                if (taskResolver && taskResolver.resolver) {
+                    answerDictionaryRequest(workerInstance, id, dictId, taskResolver.resolver);
+                }
+                return;
+            }
+
+            // The worker skipped a skippable frame (task still running)
+            if (status === 'skippable') {
+                if (taskResolver && taskResolver.onSkippableFrame) taskResolver.onSkippableFrame(new Uint8Array(data), nibble);
+                return;
+            }
+
             if (taskResolver) {
                 if (status === 'success') {
                     // For Buffer tasks: resolve with the data
@@ -45,7 +107,7 @@ function getWorker() {
                     const result = buffer ? new Uint8Array(buffer) : undefined;
                     taskResolver.resolve(result);
                 } else {
-                    taskResolver.reject(new Error(error || 'Unknown Worker Error'));
+                    taskResolver.reject(LZ4Error.fromJSON(error));
                 }
                 pendingTasks.delete(id);
             }
@@ -65,9 +127,10 @@ function getWorker() {
 function runBufferTask(task, data, options = {}) {
     const worker = getWorker();
     const id = ++messageIdCounter;
+    const split = splitCallbacks(options);
 
     return new Promise((resolve, reject) => {
-        pendingTasks.set(id, { resolve, reject });
+        pendingTasks.set(id, { resolve, reject, resolver: split.resolver, onSkippableFrame: split.onSkippableFrame });
 
         // Input Handling:
         // We pass the buffer directly.
@@ -77,13 +140,19 @@ function runBufferTask(task, data, options = {}) {
         // Note: We do NOT transfer input buffers by default because it would
         // detach them in the main thread, crashing user apps that reuse buffers.
 
-        const transferBuffer = data.buffer || data;
+        // A view into a larger buffer (e.g. the result of `LZ4.compress`) is copied down to
+        // its own bytes, otherwise the worker would see whatever surrounds it.
+        const isPartialView = ArrayBuffer.isView(data) &&
+            (data.byteOffset !== 0 || data.byteLength !== data.buffer.byteLength);
+        const transferBuffer = isPartialView
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice().buffer
+            : (data.buffer || data);
 
         worker.postMessage({
             id,
             task,
             buffer: transferBuffer,
-            options
+            options: split.options
         });
     });
 }
@@ -96,9 +165,10 @@ function runBufferTask(task, data, options = {}) {
 function runStreamTask(task, readable, writable, options = {}) {
     const worker = getWorker();
     const id = ++messageIdCounter;
+    const split = splitCallbacks(options);
 
     return new Promise((resolve, reject) => {
-        pendingTasks.set(id, { resolve, reject });
+        pendingTasks.set(id, { resolve, reject, resolver: split.resolver, onSkippableFrame: split.onSkippableFrame });
 
         // We MUST transfer the streams to the worker
         worker.postMessage({
@@ -106,7 +176,7 @@ function runStreamTask(task, readable, writable, options = {}) {
             task,
             readable,
             writable,
-            options
+            options: split.options
         }, [readable, writable]); // <--- Transfer ownership
     });
 }
@@ -56,13 +56,10 @@ export function xxHash32(input, seed = 0) {
             p = (p + 16) | 0;
         }
 
-        h32 = ((v1 << 1) | (v1 >>> 31)) | 0;
-        h32 = (h32 + v2) | 0;
-        h32 = ((h32 << 7) | (h32 >>> 25)) | 0;
-        h32 = (h32 + v3) | 0;
-        h32 = ((h32 << 12) | (h32 >>> 20)) | 0;
-        h32 = (h32 + v4) | 0;
-        h32 = ((h32 << 18) | (h32 >>> 14)) | 0;
+        // Converge: rotl(v1, 1) + rotl(v2, 7) + rotl(v3, 12) + rotl(v4, 18)
+        h32 = (((v1 << 1) | (v1 >>> 31)) + ((v2 << 7) | (v2 >>> 25))) | 0;
+        h32 = (h32 + ((v3 << 12) | (v3 >>> 20))) | 0;
+        h32 = (h32 + ((v4 << 18) | (v4 >>> 14))) | 0;
     } else {
         h32 = (seed + PRIME32_5) | 0;
     }
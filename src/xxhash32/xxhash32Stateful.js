@@ -111,13 +111,10 @@ export class XXHash32 {
         let h32 = 0 | 0;
 
         if (this.totalLen >= 16) {
-            h32 = ((this.v1 << 1) | (this.v1 >>> 31)) | 0;
-            h32 = (h32 + this.v2) | 0;
-            h32 = ((h32 << 7) | (h32 >>> 25)) | 0;
-            h32 = (h32 + this.v3) | 0;
-            h32 = ((h32 << 12) | (h32 >>> 20)) | 0;
-            h32 = (h32 + this.v4) | 0;
-            h32 = ((h32 << 18) | (h32 >>> 14)) | 0;
+            // Converge: rotl(v1, 1) + rotl(v2, 7) + rotl(v3, 12) + rotl(v4, 18)
+            h32 = (((this.v1 << 1) | (this.v1 >>> 31)) + ((this.v2 << 7) | (this.v2 >>> 25))) | 0;
+            h32 = (h32 + ((this.v3 << 12) | (this.v3 >>> 20))) | 0;
+            h32 = (h32 + ((this.v4 << 18) | (this.v4 >>> 14))) | 0;
         } else {
             h32 = (this.seed + PRIME32_5) | 0;
         }
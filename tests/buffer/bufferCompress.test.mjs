@@ -1,6 +1,8 @@
 import { it, describe } from 'node:test';
 import assert from 'node:assert';
 import { compressBuffer } from '../../src/buffer/bufferCompress.js';
+import { decompressBuffer } from '../../src/buffer/bufferDecompress.js';
+import { assertBufferEquals } from '../utils.mjs';
 
 import { Lz4TestUtils, MAGIC_NUMBER } from '../lz4TestUtils.js';
 
@@ -45,4 +47,28 @@ describe('Buffer Compression', () => {
         assert.strictEqual(Lz4TestUtils.readU32(indep, 0), MAGIC_NUMBER);
         assert.strictEqual(Lz4TestUtils.readU32(dep, 0), MAGIC_NUMBER);
     });
-});
\ No newline at end of file
+
+    // --- ACCELERATION ---
+
+    it('should trade ratio for speed with higher acceleration', () => {
+        const records = [];
+        for (let i = 0; i < 3000; i++) records.push(`{"id":${i},"name":"user${i % 97}","active":${i % 3 === 0}}`);
+        const input = new TextEncoder().encode(records.join(","));
+
+        const normal = compressBuffer(input, null, 65536, false, false, true, null, { acceleration: 1 });
+        const fast = compressBuffer(input, null, 65536, false, false, true, null, { acceleration: 64 });
+
+        assert.ok(fast.length > normal.length, `Accelerated (${fast.length}) should be larger than default (${normal.length})`);
+        assertBufferEquals(decompressBuffer(fast), input, "Accelerated Round-Trip Failed");
+    });
+
+    it('should emit uncompressed blocks in store-only mode', () => {
+        const input = new Uint8Array(100000).fill(7);
+        const stored = compressBuffer(input, null, 65536, false, false, true, null, { acceleration: Infinity });
+
+        // Header (15 bytes with content size) -> first block size word has the uncompressed bit set
+        const firstBlock = Lz4TestUtils.readU32(stored, 15);
+        assert.strictEqual(firstBlock, (65536 | 0x80000000) >>> 0, "First block should be stored");
+        assertBufferEquals(decompressBuffer(stored), input, "Store-Only Round-Trip Failed");
+    });
+});
@@ -0,0 +1,101 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals, noise } from '../utils.mjs';
+
+const TEXT = new TextEncoder().encode("bounds are computed before a single byte is written. ".repeat(6000));
+
+const isTooSmall = (e) => e.code === LZ4.errorCodes.OUTPUT_TOO_SMALL && /Output Buffer Too Small/.test(e.message);
+
+describe('Output Bounds (compressBound, frameBound, compressInto)', () => {
+
+    it('should compute the reference bounds', () => {
+        assert.strictEqual(LZ4.compressBound(0), 16);
+        assert.strictEqual(LZ4.compressBound(65536), 65536 + 257 + 16);
+        assert.strictEqual(LZ4.compressBound(-1), 0);
+        assert.strictEqual(LZ4.compressBound(0x7E000001), 0);
+
+        // Header (7 + 8 content size) + one stored 64KB block + EndMark
+        assert.strictEqual(LZ4.frameBound(65536, { maxBlockSize: 65536 }), 15 + 4 + 65536 + 4);
+        assert.strictEqual(LZ4.frameBound(65536, { maxBlockSize: 65536, addContentSize: false, blockChecksum: true, contentChecksum: true }), 7 + 8 + 65536 + 4 + 4);
+        assert.throws(() => LZ4.frameBound(-5), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+    });
+
+    it('should compress into a buffer sized with frameBound, at an offset', () => {
+        const data = noise(300000);
+        const configs = [
+            {},
+            { maxBlockSize: 65536, blockChecksum: true, contentChecksum: true },
+            { maxBlockSize: 65536, blockIndependence: true, compressionLevel: 9, skippableFrames: [{ data: "meta" }] },
+            { maxBlockSize: 65536, format: 'seekable' },
+            { format: 'legacy' }
+        ];
+        for (const options of configs) {
+            for (const input of [data, TEXT]) {
+                const output = new Uint8Array(10 + LZ4.frameBound(input.length, options));
+                output.fill(0xEE, 0, 10);
+                const written = LZ4.compressInto(input, output, 10, options);
+                assert.ok(written <= output.length - 10);
+                assert.ok(output.subarray(0, 10).every((b) => b === 0xEE));
+                assertBufferEquals(LZ4.decompress(output.subarray(10, 10 + written)), input);
+            }
+        }
+    });
+
+    it('should fill a buffer exactly and throw when one byte short', () => {
+        for (const options of [{ maxBlockSize: 65536 }, { maxBlockSize: 65536, compressionLevel: 9 }, { format: 'legacy' }]) {
+            const expected = LZ4.compress(TEXT, null, options.maxBlockSize, false, false, true, null, options);
+
+            const exact = new Uint8Array(expected.length);
+            assert.strictEqual(LZ4.compressInto(TEXT, exact, 0, options), expected.length);
+            assertBufferEquals(exact, expected);
+
+            assert.throws(() => LZ4.compressInto(TEXT, new Uint8Array(expected.length - 1), 0, options), isTooSmall);
+            // The positional API checks its outputBuffer too
+            assert.throws(() => LZ4.compress(TEXT, null, options.maxBlockSize, false, false, true, new Uint8Array(100), options), isTooSmall);
+        }
+        assert.throws(() => LZ4.compressInto(TEXT, new Uint8Array(10), 11), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+    });
+
+    it('should bound-check raw blocks', () => {
+        const size = TEXT.length;
+        const reference = new Uint8Array(LZ4.compressBound(size));
+        const written = LZ4.compressRaw(TEXT, reference, 0, size);
+
+        // A destination smaller than the bound still works when the block fits
+        const tight = new Uint8Array(written + 3);
+        assert.strictEqual(LZ4.compressRaw(TEXT, tight, 0, size, null, 3), written);
+        assertBufferEquals(tight.subarray(3), reference.subarray(0, written));
+        const hcTight = new Uint8Array(written);
+        const hcWritten = LZ4.compressRaw(TEXT, hcTight, 0, size, null, 0, { compressionLevel: 9 });
+        const decoded = new Uint8Array(size);
+        LZ4.decompressRaw(hcTight, 0, hcWritten, decoded, 0);
+        assertBufferEquals(decoded, TEXT);
+
+        assert.throws(() => LZ4.compressRaw(TEXT, new Uint8Array(written - 1), 0, size), isTooSmall);
+        const random = noise(5000);
+        assert.throws(() => LZ4.compressRaw(random, new Uint8Array(5000), 0, 5000, new Int32Array(16384)), isTooSmall);
+    });
+
+    it('should stream incompressible 4MB blocks', async () => {
+        const data = noise(4194304, 7);
+        const stream = LZ4.createCompressStream(null, 4194304);
+        const writer = stream.writable.getWriter();
+        const chunks = [];
+        const reading = (async () => {
+            for await (const chunk of stream.readable) chunks.push(chunk);
+        })();
+        await writer.write(data);
+        await writer.close();
+        await reading;
+
+        const frame = new Uint8Array(chunks.reduce((acc, c) => acc + c.length, 0));
+        let offset = 0;
+        for (const c of chunks) {
+            frame.set(c, offset);
+            offset += c.length;
+        }
+        assert.ok(frame.length <= LZ4.frameBound(data.length, { addContentSize: false }));
+        assertBufferEquals(LZ4.decompress(frame), data);
+    });
+});
@@ -0,0 +1,79 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals, noise } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("decoded straight into the caller's memory. ".repeat(9000));
+
+/** Incompressible bytes (xorshift), stored as uncompressed blocks. */
+const isTooSmall = (e) => e.code === LZ4.errorCodes.OUTPUT_TOO_SMALL;
+
+describe('Caller-Supplied Output (decompressInto, growing decompressRaw)', () => {
+
+    it('should decompress frames with and without a content size into a buffer at an offset', () => {
+        const dict = LZ4.createDictionary(INPUT.subarray(0, 8192));
+        const random = noise(200000, 3);
+        const cases = [
+            [INPUT, LZ4.compress(INPUT, null, 65536, false, true, true)],
+            [INPUT, LZ4.compress(INPUT, null, 65536, false, true, false)],
+            [INPUT, LZ4.compress(INPUT, null, 65536, true, false, false, null, { blockChecksum: true })],
+            [INPUT, LZ4.compress(INPUT, dict, 65536, false, false, false)],
+            [INPUT, LZ4.compress(INPUT, null, 4194304, false, false, false, null, { format: 'legacy' })],
+            [random, LZ4.compress(random, null, 65536, false, true, false)]
+        ];
+        for (const [expected, frame] of cases) {
+            const output = new Uint8Array(expected.length + 100).fill(0xAB);
+            const written = LZ4.decompressInto(frame, output, 40, { dictionary: dict });
+            assert.strictEqual(written, expected.length);
+            assertBufferEquals(output.subarray(40, 40 + written), expected);
+            assert.ok(output.subarray(0, 40).every((b) => b === 0xAB));
+            assert.ok(output.subarray(40 + written).every((b) => b === 0xAB));
+        }
+    });
+
+    it('should fail cleanly when the output is too small', () => {
+        // A declared content size is checked before anything is written
+        const sized = LZ4.compress(INPUT, null, 65536, false, false, true);
+        const untouched = new Uint8Array(INPUT.length - 1);
+        assert.throws(() => LZ4.decompressInto(sized, untouched), (e) => isTooSmall(e) && /frame declares/.test(e.message));
+        assert.ok(untouched.every((b) => b === 0));
+
+        // Otherwise the error names the block that ran out of room
+        for (const frame of [
+            LZ4.compress(INPUT, null, 65536, false, false, false),
+            LZ4.compress(noise(100000, 3), null, 65536, false, false, false),
+            LZ4.compress(INPUT, null, 4194304, false, false, false, null, { format: 'legacy' })
+        ]) {
+            assert.throws(() => LZ4.decompressInto(frame, new Uint8Array(70000)), (e) => isTooSmall(e) && e.blockIndex !== null);
+        }
+
+        const unsized = LZ4.compress(INPUT, null, 65536, false, false, false);
+        assert.throws(() => LZ4.decompressInto(unsized, new Uint8Array(INPUT.length), 0, { maxOutputSize: 100000 }),
+            (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED);
+        assert.throws(() => LZ4.decompressInto(unsized, INPUT.slice(), -1), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+    });
+
+    it('should decompress raw blocks into a given buffer or a growing one', () => {
+        const block = new Uint8Array(LZ4.compressBound(INPUT.length));
+        const size = LZ4.compressRaw(INPUT, block);
+        const compressed = block.subarray(0, size);
+
+        const output = new Uint8Array(INPUT.length);
+        assert.strictEqual(LZ4.decompressRaw(compressed, output), INPUT.length);
+        assertBufferEquals(output, INPUT);
+
+        // Unknown size: grows from a small first guess
+        assertBufferEquals(LZ4.decompressRaw(compressed), INPUT);
+        assertBufferEquals(LZ4.decompressRaw(compressed, null, { sizeHint: 10 }), INPUT);
+        assert.throws(() => LZ4.decompressRaw(compressed, null, { maxOutputSize: 200000 }), (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED);
+
+        const dict = LZ4.createDictionary(INPUT.subarray(0, 4096));
+        const dictBlock = new Uint8Array(1024);
+        const dictSize = LZ4.compressRaw(INPUT, dictBlock, 0, 4096, null, 0, { dictionary: dict });
+        assertBufferEquals(LZ4.decompressRaw(dictBlock.subarray(0, dictSize), null, { dictionary: dict }), INPUT.subarray(0, 4096));
+
+        // Malformed blocks are reported as such, never as a buffer to grow
+        assert.throws(() => LZ4.decompressRaw(new Uint8Array([0x1F, 0x41, 0x01, 0x00, 0xFF, 0xFF, 0xFF])),
+            (e) => e.code === LZ4.errorCodes.MALFORMED_BLOCK);
+    });
+});
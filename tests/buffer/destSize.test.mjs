@@ -0,0 +1,92 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals, noise } from '../utils.mjs';
+
+const TEXT = new TextEncoder().encode("pages are filled to the last byte, and the rest goes on the next page. ".repeat(3000));
+
+/** Half text, half noise: long matches next to literal runs. */
+const MIXED = new Uint8Array(120000);
+MIXED.set(TEXT.subarray(0, 60000), 0);
+MIXED.set(noise(60000, 11), 60000);
+
+describe('Fixed Output Budgets (compressRawDestSize, compressDestSize)', () => {
+
+    it('should fill a raw block up to the capacity and decode to the consumed input', () => {
+        for (const input of [TEXT, noise(20000, 11), MIXED]) {
+            for (const capacity of [0, 1, 5, 13, 100, 1000, 4096, 30000]) {
+                const { data, consumed } = LZ4.compressRawDestSize(input, capacity);
+                assert.ok(data.length <= capacity);
+                assert.ok(consumed <= input.length);
+                const decoded = new Uint8Array(consumed);
+                assert.strictEqual(LZ4.decompressRaw(data, decoded), consumed);
+                assertBufferEquals(decoded, input.subarray(0, consumed));
+            }
+        }
+
+        // A capacity above the bound takes everything
+        const all = LZ4.compressRawDestSize(TEXT, LZ4.compressBound(TEXT.length));
+        assert.strictEqual(all.consumed, TEXT.length);
+    });
+
+    it('should pack input into fixed-size raw pages', () => {
+        const dict = LZ4.createDictionary(TEXT.subarray(0, 4096));
+        for (const options of [{}, { dictionary: dict }, { acceleration: 8 }]) {
+            const pages = [];
+            let rest = MIXED;
+            while (rest.length > 0) {
+                const { data, consumed } = LZ4.compressRawDestSize(rest, 4096, options);
+                assert.ok(consumed > 0 && data.length <= 4096);
+                pages.push([data, consumed]);
+                rest = rest.subarray(consumed);
+            }
+            const decoded = new Uint8Array(MIXED.length);
+            let offset = 0;
+            for (const [data, consumed] of pages) {
+                const page = new Uint8Array(consumed);
+                LZ4.decompressRaw(data, page, { dictionary: options.dictionary });
+                decoded.set(page, offset);
+                offset += consumed;
+            }
+            assertBufferEquals(decoded, MIXED);
+        }
+    });
+
+    it('should fit frames into the capacity with a header describing the consumed part', () => {
+        const dict = LZ4.createDictionary(TEXT.subarray(0, 4096));
+        const configs = [
+            {},
+            { maxBlockSize: 65536, contentChecksum: true, blockChecksum: true },
+            { maxBlockSize: 65536, blockIndependence: true, compressionLevel: 9 },
+            { maxBlockSize: 65536, addContentSize: false, dictionary: dict },
+            { maxBlockSize: 65536, skippableFrames: [{ data: "page" }, { data: "end", position: 'after' }] }
+        ];
+        for (const options of configs) {
+            for (const input of [TEXT, MIXED]) {
+                for (const capacity of [64, 500, 4096, 70000, 200000]) {
+                    const { data, consumed } = LZ4.compressDestSize(input, capacity, options);
+                    assert.ok(data.length <= capacity);
+                    // The decoder checks the content size, checksums and header checksum
+                    assertBufferEquals(LZ4.decompress(data, options.dictionary, true), input.subarray(0, consumed));
+                }
+            }
+        }
+
+        // Whole blocks stay whole: only the last one is cut
+        const { consumed } = LZ4.compressDestSize(TEXT, 4096, { maxBlockSize: 65536 });
+        assert.strictEqual(consumed, TEXT.length);
+    });
+
+    it('should reject capacities too small for a frame and bad arguments', () => {
+        // Magic + descriptor + content size + header checksum + EndMark
+        assert.throws(() => LZ4.compressDestSize(TEXT, 18), (e) => e.code === LZ4.errorCodes.OUTPUT_TOO_SMALL);
+        assert.strictEqual(LZ4.compressDestSize(TEXT, 19).consumed, 0);
+        assertBufferEquals(LZ4.decompress(LZ4.compressDestSize(TEXT, 19).data), new Uint8Array(0));
+
+        for (const capacity of [-1, 1.5, "64", undefined]) {
+            assert.throws(() => LZ4.compressRawDestSize(TEXT, capacity), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+            assert.throws(() => LZ4.compressDestSize(TEXT, capacity), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+        }
+        assert.throws(() => LZ4.compressDestSize(TEXT, 4096, { format: 'legacy' }), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+    });
+});
@@ -0,0 +1,91 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, readAll } from '../utils.mjs';
+
+const DICT_BYTES = new TextEncoder().encode(
+    '{"type":"event","source":"api-gateway","status":"ok","region":"eu-west-1","tags":["prod","edge"]}'.repeat(4)
+);
+const MESSAGE = new TextEncoder().encode('{"type":"event","source":"api-gateway","status":"ok","region":"us-east-2","tags":["prod"]}');
+
+function readDictId(frame) {
+    // Magic(4) FLG BD [ContentSize(8)] DictID(4)
+    const offset = (frame[4] & 0x08) ? 14 : 6;
+    return (frame[offset] | (frame[offset + 1] << 8) | (frame[offset + 2] << 16) | (frame[offset + 3] << 24)) >>> 0;
+}
+
+describe('Precompiled Dictionaries (LZ4.createDictionary)', () => {
+
+    it('should produce the same frame as the raw bytes (default ID is the xxHash32)', () => {
+        const dict = LZ4.createDictionary(DICT_BYTES);
+        assert.ok(dict instanceof LZ4.LZ4Dictionary);
+        assertBufferEquals(LZ4.compress(MESSAGE, dict), LZ4.compress(MESSAGE, DICT_BYTES), "Frames differ");
+    });
+
+    it('should write an explicit Dict ID and decode with it', () => {
+        const dict = LZ4.createDictionary(DICT_BYTES, { id: 0xC0FFEE });
+        const frame = LZ4.compress(MESSAGE, dict);
+
+        assert.strictEqual(readDictId(frame), 0xC0FFEE);
+        assertBufferEquals(LZ4.decompress(frame, dict), MESSAGE, "Buffer Round-Trip Failed");
+        assertBufferEquals(new LZ4Decoder(dict).update(frame)[0], MESSAGE, "Decoder Round-Trip Failed");
+
+        // The raw bytes carry the hash ID, so the decoder must reject them for this frame
+        assert.throws(() => new LZ4Decoder(DICT_BYTES).update(frame), /Dictionary ID Mismatch/);
+    });
+
+    it('should reject invalid Dict IDs', () => {
+        assert.throws(() => LZ4.createDictionary(DICT_BYTES, { id: -1 }), /32-bit unsigned integer/);
+        assert.throws(() => LZ4.createDictionary(DICT_BYTES, { id: 2 ** 32 }), /32-bit unsigned integer/);
+    });
+
+    it('should not be affected by later changes to the source bytes', () => {
+        const bytes = DICT_BYTES.slice();
+        const dict = LZ4.createDictionary(bytes);
+        const frame = LZ4.compress(MESSAGE, dict);
+        bytes.fill(0);
+
+        assertBufferEquals(LZ4.decompress(frame, dict), MESSAGE, "Round-Trip Failed");
+    });
+
+    it('should compress many messages in a row with one dictionary', () => {
+        const dict = LZ4.createDictionary(DICT_BYTES, { id: 7 });
+        const other = LZ4.createDictionary(new TextEncoder().encode("<html><head><title>"), { id: 8 });
+
+        for (let i = 0; i < 50; i++) {
+            const msg = new TextEncoder().encode(JSON.stringify({ type: "event", source: "api-gateway", seq: i }));
+            // Interleave another dictionary to exercise the shared workspace
+            LZ4.compress(msg, other);
+            assertBufferEquals(LZ4.decompress(LZ4.compress(msg, dict), dict), msg, `Message ${i} failed`);
+        }
+    });
+
+    it('should be accepted by the string, object, stream and raw APIs', async () => {
+        const dict = LZ4.createDictionary(DICT_BYTES, { id: 42 });
+        const obj = { type: "event", source: "api-gateway", status: "ok" };
+
+        assert.deepStrictEqual(LZ4.decompressObject(LZ4.compressObject(obj, dict), dict), obj);
+        assert.strictEqual(LZ4.decompressString(LZ4.compressString("api-gateway", dict), dict), "api-gateway");
+
+        const compressed = await readAll(new Blob([MESSAGE]).stream().pipeThrough(LZ4.createCompressStream(dict, 65536, true)));
+        assert.strictEqual(readDictId(compressed), 42);
+        const restored = await readAll(new Blob([compressed]).stream().pipeThrough(LZ4.createDecompressStream(dict)));
+        assertBufferEquals(restored, MESSAGE, "Stream Round-Trip Failed");
+
+        const block = new Uint8Array(MESSAGE.length + 64);
+        const written = LZ4.compressRaw(MESSAGE, block, 0, MESSAGE.length, null, 0, { dictionary: dict });
+        const out = new Uint8Array(MESSAGE.length);
+        LZ4.decompressRaw(block, 0, written, out, 0, dict);
+        assertBufferEquals(out, MESSAGE, "Raw Round-Trip Failed");
+    });
+
+    it('should survive a structured clone (Web Worker boundary)', () => {
+        const dict = LZ4.createDictionary(DICT_BYTES, { id: 99 });
+        const cloned = structuredClone(dict);
+
+        const frame = LZ4.compress(MESSAGE, cloned);
+        assert.strictEqual(readDictId(frame), 99);
+        assertBufferEquals(LZ4.decompress(frame, cloned), MESSAGE, "Cloned Round-Trip Failed");
+    });
+});
@@ -1,6 +1,19 @@
 import { it, describe } from 'node:test';
 import assert from 'node:assert';
 import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+// Small JSON records sharing keys and structure (the typical dictionary use case)
+function createRecord(i) {
+    return new TextEncoder().encode(JSON.stringify({
+        id: 1000 + i,
+        type: "user.profile.updated",
+        timestamp: "2024-01-0" + (1 + i % 9) + "T12:00:00Z",
+        payload: { username: "user_" + i, email: "user_" + i + "@example.com", verified: i % 2 === 0, roles: ["reader", "editor"] }
+    }));
+}
 
 describe('Dictionary Support', () => {
 
@@ -41,4 +54,53 @@ describe('Dictionary Support', () => {
         const text = new TextDecoder().decode(restored);
         assert.strictEqual(text, MSG_1);
     });
-});
\ No newline at end of file
+
+    describe('JSON Payloads', () => {
+        const samples = [];
+        for (let i = 0; i < 8; i++) samples.push(createRecord(i));
+        const jsonDict = merge(samples);
+        const record = createRecord(42);
+
+        it('should shrink small JSON payloads substantially (ratio regression)', () => {
+            const plain = LZ4.compress(record, null, 65536, false, false, false);
+            const withDict = LZ4.compress(record, jsonDict, 65536, false, false, false);
+
+            // The dictionary frame also carries a 4-byte Dict ID, yet must still be far smaller
+            assert.ok(withDict.length * 2 < plain.length,
+                `Dictionary output (${withDict.length}) should be less than half of standard (${plain.length})`);
+            assertBufferEquals(LZ4.decompress(withDict, jsonDict), record, "Dictionary Round-Trip Failed");
+        });
+
+        it('should use the dictionary for every independent block', () => {
+            const input = merge([record, createRecord(43), createRecord(44)]);
+            const plain = LZ4.compress(input, null, 65536, true);
+            const frame = LZ4.compress(input, jsonDict, 65536, true);
+
+            assert.ok(frame.length < plain.length);
+            assertBufferEquals(LZ4.decompress(frame, jsonDict), input, "Buffer Round-Trip Failed");
+            assertBufferEquals(merge(new LZ4Decoder(jsonDict).update(frame)), input, "Decoder Round-Trip Failed");
+        });
+
+        it('should match the buffer API ratio when streaming', () => {
+            const encoder = new LZ4Encoder(65536, true, false, jsonDict);
+            const frame = merge([...encoder.add(record), ...encoder.finish()]);
+
+            const plainEncoder = new LZ4Encoder(65536, true, false, null);
+            const plain = merge([...plainEncoder.add(record), ...plainEncoder.finish()]);
+
+            assert.ok(frame.length * 2 < plain.length, `Stream dictionary output (${frame.length}) vs standard (${plain.length})`);
+            assertBufferEquals(LZ4.decompress(frame, jsonDict), record, "Stream Round-Trip Failed");
+        });
+
+        it('should accept a dictionary in the Raw API', () => {
+            const output = new Uint8Array(record.length + 64);
+            const plainSize = LZ4.compressRaw(record, new Uint8Array(output.length));
+            const written = LZ4.compressRaw(record, output, 0, record.length, null, 0, { dictionary: jsonDict });
+            assert.ok(written * 2 < plainSize, `Raw dictionary output (${written}) vs standard (${plainSize})`);
+
+            const restored = new Uint8Array(record.length);
+            LZ4.decompressRaw(output, 0, written, restored, 0, jsonDict);
+            assertBufferEquals(restored, record, "Raw Round-Trip Failed");
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+const encode = (s) => new TextEncoder().encode(s);
+
+const JSON_DICT = LZ4.createDictionary(encode('{"user":{"name":"","email":"","roles":["admin","viewer"]},"status":"active"}'.repeat(3)), { id: 0x101 });
+const HTML_DICT = LZ4.createDictionary(encode('<!DOCTYPE html><html><head><meta charset="utf-8"><title></title></head><body><div class="'.repeat(3)), { id: 0x202 });
+
+const JSON_MSG = encode('{"user":{"name":"ada","email":"ada@example.com","roles":["admin"]},"status":"active"}');
+const HTML_MSG = encode('<!DOCTYPE html><html><head><meta charset="utf-8"><title>Hi</title></head><body><div class="x">');
+const PLAIN_MSG = encode('no dictionary here, no dictionary here');
+
+async function pipe(input, transform) {
+    const chunks = [];
+    for await (const chunk of new Blob([input]).stream().pipeThrough(transform)) chunks.push(chunk);
+    return merge(chunks);
+}
+
+describe('Dictionary Registry (Decoders)', () => {
+
+    // Concatenated frames: each one made with a different dictionary (or none)
+    const stream = merge([
+        LZ4.compress(JSON_MSG, JSON_DICT),
+        LZ4.compress(HTML_MSG, HTML_DICT),
+        LZ4.compress(PLAIN_MSG),
+        LZ4.compress(JSON_MSG, JSON_DICT, 65536, true)
+    ]);
+    const expected = merge([JSON_MSG, HTML_MSG, PLAIN_MSG, JSON_MSG]);
+    const registry = new Map([[JSON_DICT.id, JSON_DICT], [HTML_DICT.id, HTML_DICT]]);
+
+    it('should pick the dictionary per frame from a Map registry', () => {
+        assertBufferEquals(merge(new LZ4Decoder(registry).update(stream)), expected, "Decoder Round-Trip Failed");
+        assertBufferEquals(LZ4.decompress(LZ4.compress(HTML_MSG, HTML_DICT), registry), HTML_MSG, "Buffer Round-Trip Failed");
+    });
+
+    it('should decode every concatenated frame with decompress and decompressInto', async () => {
+        assertBufferEquals(LZ4.decompress(stream, registry), expected, "Buffer Round-Trip Failed");
+        assertBufferEquals(await LZ4.decompressAsync(stream, registry), expected, "Async Round-Trip Failed");
+        const output = new Uint8Array(expected.length + 10);
+        assert.strictEqual(LZ4.decompressInto(stream, output, 10, { dictionary: registry }), expected.length);
+        assertBufferEquals(output.subarray(10), expected, "Into Round-Trip Failed");
+
+        // Legacy and skippable frames in between, and limits counted across frames
+        const mixed = merge([LZ4.compress(PLAIN_MSG, null, 4194304, false, false, false, null, { format: 'legacy' }), LZ4.createSkippableFrame(0, "meta"), stream]);
+        assertBufferEquals(LZ4.decompress(mixed, registry), merge([PLAIN_MSG, expected]), "Mixed Round-Trip Failed");
+        assert.throws(() => LZ4.decompress(stream, registry, true, { maxOutputSize: expected.length - 1 }),
+            (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED && e.frameIndex === 3);
+
+        // Data after the last frame follows trailingData; padded buffers still decode by default
+        const garbage = merge([stream, encode("garbage")]);
+        for (const padding of [[1, 2, 3], [0, 0, 0, 0]]) {
+            const padded = merge([stream, new Uint8Array(padding)]);
+            assertBufferEquals(LZ4.decompress(padded, registry), expected, "Padded Buffer");
+            assert.strictEqual(LZ4.decompressInto(padded, output, 0, { dictionary: registry }), expected.length);
+        }
+        assert.throws(() => LZ4.decompress(garbage, registry, true, { trailingData: 'error' }),
+            (e) => e.code === LZ4.errorCodes.MAGIC && e.frameIndex === 4 && e.offset === stream.length);
+        assert.throws(() => LZ4.decompressInto(garbage, output, 0, { dictionary: registry, trailingData: 'error' }), (e) => e.code === LZ4.errorCodes.MAGIC);
+        assertBufferEquals(LZ4.decompress(garbage, registry, true, { trailingData: 'emit' }), merge([expected, encode("garbage")]), "Emitted Trailing Data");
+    });
+
+    it('should register raw bytes under the map key', () => {
+        const bytes = encode('custom dictionary bytes, custom dictionary bytes');
+        const frame = LZ4.compress(encode('custom dictionary bytes!'), LZ4.createDictionary(bytes, { id: 77 }));
+        assert.strictEqual(new TextDecoder().decode(LZ4.decompress(frame, new Map([[77, bytes]]))), 'custom dictionary bytes!');
+    });
+
+    it('should report a missing Dict ID', () => {
+        assert.throws(() => new LZ4Decoder(new Map([[JSON_DICT.id, JSON_DICT]])).update(stream), /No dictionary registered for Dict ID 0x202/);
+        assert.throws(() => LZ4.decompress(LZ4.compress(HTML_MSG, HTML_DICT), new Map()), /No dictionary registered/);
+    });
+
+    it('should wait for an async resolver in streams and decompressAsync', async () => {
+        const asked = [];
+        const resolver = async (dictId) => {
+            asked.push(dictId);
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            return registry.get(dictId);
+        };
+
+        assertBufferEquals(await pipe(stream, LZ4.createDecompressStream(resolver)), expected, "Stream Round-Trip Failed");
+        // Results are cached per decoder: each ID is resolved once
+        assert.deepStrictEqual(asked, [JSON_DICT.id, HTML_DICT.id]);
+
+        assertBufferEquals(await LZ4.decompressAsync(stream, resolver), expected, "Async Round-Trip Failed");
+    });
+
+    it('should propagate resolver failures', async () => {
+        await assert.rejects(LZ4.decompressAsync(stream, async () => null), /No dictionary registered/);
+        await assert.rejects(LZ4.decompressAsync(stream, async () => { throw new Error("lookup failed"); }), /lookup failed/);
+
+        // Sync callers get the rejection from their next call, not as an unhandled rejection
+        const decoder = new LZ4Decoder(async () => { throw new Error("lookup failed"); });
+        assert.deepStrictEqual(decoder.update(stream), []);
+        assert.throws(() => decoder.finish(), (e) => e.code === LZ4.errorCodes.INVALID_STATE);
+        await decoder.pending;
+        assert.throws(() => decoder.update(new Uint8Array(0)), /lookup failed/);
+        assert.throws(() => decoder.finish(), /lookup failed/);
+    });
+
+    it('should accept synchronous resolvers in decompressBuffer but not async ones', () => {
+        const frame = LZ4.compress(JSON_MSG, JSON_DICT);
+        assertBufferEquals(LZ4.decompress(frame, (dictId) => registry.get(dictId)), JSON_MSG, "Sync Resolver Failed");
+        assert.throws(() => LZ4.decompress(frame, async (dictId) => registry.get(dictId)), /decompressAsync/);
+    });
+});
@@ -0,0 +1,68 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { assertBufferEquals, readAll } from '../utils.mjs';
+
+const encode = (s) => new TextEncoder().encode(s);
+
+const PAYLOADS = {
+    json: '{"id":42,"name":"Ada Lovelace","email":"ada@example.com","status":"active","created_at":"2024-05-01T10:00:00.000Z"}',
+    html: '<div class="card"><div class="card-body"><h2>Hello</h2><p class="text">World</p><a href="/about">About</a></div></div>',
+    http: 'HTTP/1.1 200 OK\r\nContent-Type: application/json; charset=utf-8\r\nCache-Control: no-cache\r\nConnection: keep-alive\r\nContent-Length: 42\r\n\r\n'
+};
+
+describe('Preset Dictionaries (LZ4.presets)', () => {
+
+    it('should keep published IDs and content stable', () => {
+        // Frames only store the ID: changing either breaks every existing frame
+        const pinned = {
+            json: [0x4C5A0101, 0x7291B9D0],
+            html: [0x4C5A0201, 0xAD4CBD8F],
+            http: [0x4C5A0301, 0xF33DB373]
+        };
+        for (const [name, [id, hash]] of Object.entries(pinned)) {
+            assert.strictEqual(LZ4.presets[name].id, id, `${name} Dict ID changed`);
+            assert.strictEqual(xxHash32(LZ4.presets[name].window) >>> 0, hash, `${name} content changed`);
+        }
+    });
+
+    it('should shrink small payloads of their kind', () => {
+        for (const [name, text] of Object.entries(PAYLOADS)) {
+            const plain = LZ4.compressString(text).length;
+            const withPreset = LZ4.compressString(text, LZ4.presets[name]).length;
+            assert.ok(withPreset < plain * 0.8, `${name}: ${withPreset} vs ${plain} bytes`);
+        }
+    });
+
+    it('should decode without passing the preset', async () => {
+        for (const [name, text] of Object.entries(PAYLOADS)) {
+            const bytes = encode(text);
+            const frame = LZ4.compress(bytes, LZ4.presets[name]);
+
+            assertBufferEquals(LZ4.decompress(frame), bytes, `${name}: Buffer Round-Trip Failed`);
+            assert.strictEqual(LZ4.decompressString(LZ4.compressString(text, LZ4.presets[name])), text);
+            assertBufferEquals(LZ4.decompress(LZ4.compress(bytes, LZ4.presets[name], 65536, true)), bytes, `${name}: Independent Blocks Failed`);
+        }
+
+        const object = JSON.parse(PAYLOADS.json);
+        assert.deepStrictEqual(LZ4.decompressObject(LZ4.compressObject(object, LZ4.presets.json)), object);
+
+        const streamed = await readAll(new Blob([PAYLOADS.html]).stream().pipeThrough(LZ4.createCompressStream(LZ4.presets.html)));
+        const restored = await readAll(new Blob([streamed]).stream().pipeThrough(LZ4.createDecompressStream()));
+        assertBufferEquals(restored, encode(PAYLOADS.html), "Stream Round-Trip Failed");
+
+        const chunks = new LZ4Decoder().update(LZ4.compress(encode(PAYLOADS.http), LZ4.presets.http));
+        assert.strictEqual(new TextDecoder().decode(chunks[0]), PAYLOADS.http);
+    });
+
+    it('should resolve presets alongside a registry or another dictionary', () => {
+        const custom = LZ4.createDictionary(encode('custom dictionary, custom dictionary'), { id: 0x77 });
+        const frame = LZ4.compress(encode(PAYLOADS.json), LZ4.presets.json);
+
+        assertBufferEquals(LZ4.decompress(frame, new Map([[custom.id, custom]])), encode(PAYLOADS.json), "Registry Fallback Failed");
+        assertBufferEquals(LZ4.decompress(frame, custom), encode(PAYLOADS.json), "Single Dictionary Fallback Failed");
+        assertBufferEquals(LZ4.decompress(frame, () => null), encode(PAYLOADS.json), "Resolver Fallback Failed");
+    });
+});
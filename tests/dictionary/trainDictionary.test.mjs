@@ -0,0 +1,77 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals } from '../utils.mjs';
+
+// Deterministic small JSON documents from a few schemas, sorted by schema
+// (a dictionary built from the first samples alone would only cover one of them)
+function createSamples(count) {
+    let seed = 42;
+    const rnd = (n) => {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        return (seed >>> 8) % n;
+    };
+    const kinds = [
+        () => ({ event: "page_view", url: "/products/" + rnd(5000), referrer: ["search", "direct"][rnd(2)], viewport: { width: 1280 + rnd(800) } }),
+        () => ({ level: ["info", "warn", "error"][rnd(3)], logger: "com.example.OrderService", message: "Processed order " + rnd(100000) }),
+        () => ({ user: { id: rnd(100000), preferences: { theme: ["dark", "light"][rnd(2)], language: ["en-US", "de-DE"][rnd(2)] } } })
+    ];
+    const samples = [];
+    for (const kind of kinds) {
+        for (let i = 0; i < count / kinds.length; i++) samples.push(kind());
+    }
+    return samples;
+}
+
+describe('Dictionary Training (LZ4.trainDictionary)', () => {
+
+    const samples = createSamples(600);
+
+    it('should build a dictionary within the size limit that improves held-out ratio', () => {
+        const { dictionary, bytes, report } = LZ4.trainDictionary(samples, { size: 2048 });
+
+        assert.ok(bytes.length > 0 && bytes.length <= 2048, `Unexpected size ${bytes.length}`);
+        assert.ok(dictionary instanceof LZ4.LZ4Dictionary);
+        assert.strictEqual(report.samples, 60);
+        assert.ok(report.gain > 1.5, `Expected a substantial gain, got ${report.gain}`);
+        assert.strictEqual(report.dictionaryRatio, report.originalSize / report.dictionaryCompressedSize);
+    });
+
+    it('should cover every kind of sample, not just the first ones', () => {
+        const { dictionary } = LZ4.trainDictionary(samples, { size: 2048 });
+
+        for (const sample of [samples[0], samples[250], samples[450]]) {
+            const plain = LZ4.compressObject(sample);
+            const withDict = LZ4.compressObject(sample, dictionary);
+            assert.ok(withDict.length < plain.length, `No gain for ${JSON.stringify(sample)}`);
+            assert.deepStrictEqual(LZ4.decompressObject(withDict, dictionary), sample);
+        }
+    });
+
+    it('should honor the Dict ID and produce bytes that rebuild the same dictionary', () => {
+        const { dictionary, bytes } = LZ4.trainDictionary(samples, { size: 1024, id: 0xD1C7 });
+        assert.strictEqual(dictionary.id, 0xD1C7);
+
+        const frame = LZ4.compressObject(samples[10], dictionary);
+        const rebuilt = LZ4.createDictionary(bytes, { id: 0xD1C7 });
+        assert.deepStrictEqual(LZ4.decompressObject(frame, rebuilt), samples[10]);
+    });
+
+    it('should cap the size at the 64KB window and handle tiny inputs', () => {
+        const { bytes } = LZ4.trainDictionary(samples, { size: 1 << 20 });
+        assert.ok(bytes.length <= 65536);
+
+        const single = LZ4.trainDictionary(["only one sample, only one sample"]);
+        assert.strictEqual(single.report.samples, 0);
+        assert.strictEqual(single.report.gain, null);
+
+        assert.throws(() => LZ4.trainDictionary([]), /at least one sample/);
+        assert.throws(() => LZ4.trainDictionary(samples, { size: 0 }), /must be positive/);
+    });
+
+    it('should be deterministic', () => {
+        const a = LZ4.trainDictionary(samples, { size: 1024 });
+        const b = LZ4.trainDictionary(samples, { size: 1024 });
+        assertBufferEquals(a.bytes, b.bytes, "Training is not deterministic");
+    });
+});
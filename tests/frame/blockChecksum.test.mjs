@@ -0,0 +1,99 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { assertBufferEquals, readFixture, createLinesInput, merge } from '../utils.mjs';
+
+const BLOCK_SIZE = 65536;
+
+// Returns the input offset of every block (its size field) in a frame without content size or dict ID
+function blockOffsets(frame) {
+    const offsets = [];
+    let pos = 7;
+    while (true) {
+        const size = (frame[pos] | (frame[pos + 1] << 8) | (frame[pos + 2] << 16) | (frame[pos + 3] << 24)) >>> 0;
+        if (size === 0) return offsets;
+        offsets.push(pos);
+        pos += 4 + (size & 0x7FFFFFFF) + 4;
+    }
+}
+
+describe('Block Checksums', () => {
+
+    // 3 blocks of compressible text with some variation
+    const input = createLinesInput();
+
+    it('should set the flag and write the xxHash32 of each stored block', () => {
+        const frame = LZ4.compress(input, null, BLOCK_SIZE, false, false, false, null, { blockChecksum: true });
+        assert.strictEqual(frame[4] & 0x10, 0x10, "Block checksum flag not set");
+
+        const offsets = blockOffsets(frame);
+        assert.strictEqual(offsets.length, 3);
+        for (const offset of offsets) {
+            const size = (frame[offset] | (frame[offset + 1] << 8) | (frame[offset + 2] << 16) | (frame[offset + 3] << 24)) & 0x7FFFFFFF;
+            const end = offset + 4 + size;
+            const stored = (frame[end] | (frame[end + 1] << 8) | (frame[end + 2] << 16) | (frame[end + 3] << 24)) >>> 0;
+            assert.strictEqual(stored, xxHash32(frame.subarray(offset + 4, end), 0) >>> 0);
+        }
+
+        assertBufferEquals(LZ4.decompress(frame), input, "Buffer Round-Trip Failed");
+    });
+
+    it('should produce the same frame from the streaming encoder', () => {
+        const options = { blockChecksum: true };
+        const encoder = new LZ4Encoder(BLOCK_SIZE, false, true, null, options);
+        const streamed = merge([...encoder.add(input.subarray(0, 1000)), ...encoder.add(input.subarray(1000)), ...encoder.finish()]);
+
+        assertBufferEquals(streamed, LZ4.compress(input, null, BLOCK_SIZE, false, true, false, null, options), "Encoders Differ");
+        assertBufferEquals(merge(new LZ4Decoder().update(streamed)), input, "Decoder Round-Trip Failed");
+
+        // Uncompressed blocks are covered too
+        const stored = LZ4.compress(input, null, BLOCK_SIZE, true, false, true, null, { blockChecksum: true, acceleration: Infinity });
+        assertBufferEquals(LZ4.decompress(stored), input, "Uncompressed Blocks Failed");
+    });
+
+    it('should verify block checksums written by the lz4 CLI', () => {
+        for (const name of ['lines.BX.B4.lz4', 'lines.BX.B4.BD.lz4']) {
+            const frame = readFixture(name);
+            assert.strictEqual(frame[4] & 0x10, 0x10, `${name}: Block checksum flag not set`);
+            assertBufferEquals(LZ4.decompress(frame), input, `${name}: Buffer Decode Failed`);
+            assertBufferEquals(merge(new LZ4Decoder().update(frame)), input, `${name}: Stream Decode Failed`);
+        }
+    });
+
+    it('should report the corrupted block and its offset', () => {
+        const frame = LZ4.compress(input, null, BLOCK_SIZE, false, false, false, null, { blockChecksum: true });
+        const offset = blockOffsets(frame)[1];
+        const corrupted = frame.slice();
+        corrupted[offset + 10] ^= 0xFF;
+
+        const expected = new RegExp(`Block Checksum Error \\(block 1 at offset ${offset}\\)`);
+        assert.throws(() => LZ4.decompress(corrupted), expected);
+
+        // Streaming: same report, with the offset counted across chunks
+        const decoder = new LZ4Decoder();
+        assert.throws(() => {
+            for (let i = 0; i < corrupted.length; i += 4096) decoder.update(corrupted.subarray(i, i + 4096));
+        }, expected);
+
+        // The offset is relative to the whole input, past any earlier frames
+        const prefix = LZ4.compress(new TextEncoder().encode("first frame"));
+        const shifted = new RegExp(`Block Checksum Error \\(block 1 at offset ${prefix.length + offset}\\)`);
+        assert.throws(() => new LZ4Decoder().update(merge([prefix, corrupted])), shifted);
+    });
+
+    it('should skip verification when checksums are disabled', () => {
+        const frame = LZ4.compress(input, null, BLOCK_SIZE, true, false, false, null, { blockChecksum: true });
+        const corrupted = frame.slice();
+        // Corrupt only the checksum of the first block
+        const offset = blockOffsets(frame)[0];
+        const size = (frame[offset] | (frame[offset + 1] << 8) | (frame[offset + 2] << 16) | (frame[offset + 3] << 24)) & 0x7FFFFFFF;
+        corrupted[offset + 4 + size] ^= 0xFF;
+
+        assert.throws(() => LZ4.decompress(corrupted), /Block Checksum Error \(block 0/);
+        assertBufferEquals(LZ4.decompress(corrupted, null, false), input, "Unverified Buffer Decode Failed");
+        assertBufferEquals(merge(new LZ4Decoder(null, false).update(corrupted)), input, "Unverified Stream Decode Failed");
+    });
+});
@@ -0,0 +1,60 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { assertBufferEquals, merge, readAll } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("content size in streaming frames. ".repeat(5000));
+
+function readContentSize(frame) {
+    assert.strictEqual(frame[4] & 0x08, 0x08, "Content size flag not set");
+    const low = (frame[6] | (frame[7] << 8) | (frame[8] << 16) | (frame[9] << 24)) >>> 0;
+    const high = (frame[10] | (frame[11] << 8) | (frame[12] << 16) | (frame[13] << 24)) >>> 0;
+    return high * 4294967296 + low;
+}
+
+describe('Content Size (Streaming Encoders)', () => {
+
+    it('should write the declared size, matching compressBuffer byte for byte', () => {
+        const encoder = new LZ4Encoder(65536, false, true, null, { contentSize: INPUT.length });
+        const chunks = [];
+        for (let i = 0; i < INPUT.length; i += 10000) chunks.push(...encoder.add(INPUT.subarray(i, i + 10000)));
+        const frame = merge([...chunks, ...encoder.finish()]);
+
+        assert.strictEqual(readContentSize(frame), INPUT.length);
+        assertBufferEquals(frame, LZ4.compress(INPUT, null, 65536, false, true, true), "Encoders Differ");
+        assertBufferEquals(LZ4.decompress(frame), INPUT, "Round-Trip Failed");
+    });
+
+    it('should be filled in automatically by compressAsync', async () => {
+        const frame = await LZ4.compressAsync(INPUT);
+        assert.strictEqual(readContentSize(frame), INPUT.length);
+        assertBufferEquals(LZ4.decompress(frame), INPUT, "Round-Trip Failed");
+
+        assert.strictEqual(readContentSize(await LZ4.compressAsync("")), 0);
+        assert.strictEqual(LZ4.decompressString(await LZ4.compressAsync("")), "");
+    });
+
+    it('should pass through the stream factories', async () => {
+        const stream = LZ4.createCompressStream(null, 65536, false, false, { contentSize: INPUT.length });
+        const frame = await readAll(new Blob([INPUT]).stream().pipeThrough(stream));
+        assert.strictEqual(readContentSize(frame), INPUT.length);
+        assertBufferEquals(LZ4.decompress(frame), INPUT, "Round-Trip Failed");
+    });
+
+    it('should reject data that does not match the declared size', async () => {
+        const long = new LZ4Encoder(65536, false, false, null, { contentSize: 10 });
+        assert.throws(() => long.add(new Uint8Array(11)), /Content size mismatch \(declared 10 bytes, received at least 11\)/);
+
+        const short = new LZ4Encoder(65536, false, false, null, { contentSize: 10 });
+        short.add(new Uint8Array(4));
+        assert.throws(() => short.finish(), /Content size mismatch \(declared 10 bytes, received 4\)/);
+
+        const stream = LZ4.createCompressStream(null, 65536, false, false, { contentSize: INPUT.length + 1 });
+        await assert.rejects(readAll(new Blob([INPUT]).stream().pipeThrough(stream)), /Content size mismatch/);
+        // compressAsync reports it once, without unhandled rejections from its writer
+        await assert.rejects(LZ4.compressAsync(INPUT, null, 65536, false, false, 1, { contentSize: 10 }), /Content size mismatch/);
+
+        assert.throws(() => new LZ4Encoder(65536, false, false, null, { contentSize: -1 }), /non-negative integer/);
+    });
+});
@@ -0,0 +1,84 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals } from '../utils.mjs';
+
+// 1MB of zeros: a few KB compressed, the shape of a decompression bomb
+const ZEROS = new Uint8Array(1048576);
+
+async function decompressStreamed(data, options, chunkSize = 4096) {
+    const stream = LZ4.createDecompressStream(null, true, options);
+    const writer = stream.writable.getWriter();
+    let total = 0;
+    const reading = (async () => {
+        for await (const chunk of stream.readable) total += chunk.length;
+    })();
+    const writing = (async () => {
+        for (let i = 0; i < data.length; i += chunkSize) await writer.write(data.subarray(i, i + chunkSize));
+        await writer.close();
+    })();
+    await Promise.all([reading, writing]);
+    return total;
+}
+
+describe('Decompression Limits (maxOutputSize / maxBlockSize / maxBufferedInput)', () => {
+
+    it('should reject a declared content size above maxOutputSize before decoding', () => {
+        const frame = LZ4.compress(ZEROS);
+        assert.throws(() => LZ4.decompress(frame, null, true, { maxOutputSize: 65536 }), /Output exceeds maxOutputSize \(65536 bytes\)/);
+        assert.throws(() => new LZ4Decoder(null, true, { maxOutputSize: 65536 }).update(frame.subarray(0, 20)), /maxOutputSize/);
+        assertBufferEquals(LZ4.decompress(frame, null, true, { maxOutputSize: ZEROS.length }), ZEROS);
+    });
+
+    it('should stop inflating frames without a content size at the limit', async () => {
+        const frame = LZ4.compress(ZEROS, null, 65536, false, false, false);
+        assert.throws(() => LZ4.decompress(frame, null, true, { maxOutputSize: 100000 }), /maxOutputSize/);
+        await assert.rejects(decompressStreamed(frame, { maxOutputSize: 100000 }), /maxOutputSize/);
+        await assert.rejects(LZ4.decompressAsync(frame, null, true, 1, { maxOutputSize: 100000 }), /maxOutputSize/);
+        assert.strictEqual(await decompressStreamed(frame, { maxOutputSize: ZEROS.length }), ZEROS.length);
+
+        // The limit covers all frames of the stream together
+        const twice = new Uint8Array(frame.length * 2);
+        twice.set(frame);
+        twice.set(frame, frame.length);
+        await assert.rejects(decompressStreamed(twice, { maxOutputSize: ZEROS.length + 1 }), /maxOutputSize/);
+
+        const legacy = LZ4.compress(ZEROS, null, 4194304, false, false, false, null, { format: 'legacy' });
+        assert.throws(() => LZ4.decompress(legacy, null, true, { maxOutputSize: 1000 }), /maxOutputSize/);
+    });
+
+    it('should reject frames whose block size exceeds maxBlockSize', async () => {
+        const frame = LZ4.compress(ZEROS, null, 4194304, true, false, false);
+        assert.throws(() => LZ4.decompress(frame, null, true, { maxBlockSize: 65536 }), /Frame block size 4194304 exceeds maxBlockSize \(65536 bytes\)/);
+        await assert.rejects(decompressStreamed(frame, { maxBlockSize: 65536 }), /exceeds maxBlockSize/);
+
+        const small = LZ4.compress(ZEROS, null, 65536, true, false, false);
+        assert.strictEqual(await decompressStreamed(small, { maxBlockSize: 65536 }), ZEROS.length);
+
+        const legacy = LZ4.compress(ZEROS, null, 4194304, false, false, false, null, { format: 'legacy' });
+        assert.throws(() => LZ4.decompress(legacy, null, true, { maxBlockSize: 4194304 }), /Frame block size 8388608/);
+    });
+
+    it('should bound the compressed input held at once', async () => {
+        const random = new Uint8Array(200000);
+        let seed = 12345;
+        for (let i = 0; i < random.length; i++) {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            random[i] = seed & 0xFF;
+        }
+        const frame = LZ4.compress(random, null, 65536, true, false, false);
+
+        // Each block must be buffered whole before it can be decoded
+        assert.strictEqual(await decompressStreamed(frame, { maxBufferedInput: 70000 }), random.length);
+        await assert.rejects(decompressStreamed(frame, { maxBufferedInput: 20000 }), /Buffered input exceeds maxBufferedInput \(20000 bytes\)/);
+        assert.throws(() => LZ4.decompress(frame, null, true, { maxBufferedInput: 20000 }), /maxBufferedInput/);
+    });
+
+    it('should validate the limits', () => {
+        assert.throws(() => LZ4.decompress(LZ4.compress(ZEROS), null, true, { maxOutputSize: -1 }), /maxOutputSize must be a positive number/);
+        assert.throws(() => new LZ4Decoder(null, true, { maxBlockSize: "64K" }), /maxBlockSize must be a positive number/);
+    });
+});
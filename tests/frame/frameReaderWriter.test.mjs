@@ -0,0 +1,170 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+const INPUT_A = new TextEncoder().encode("first frame of the file. ".repeat(6000));
+const INPUT_B = new TextEncoder().encode("second frame, different content. ".repeat(3000));
+
+function readAll(data, chunkSize = data.length) {
+    const reader = new LZ4.LZ4FrameReader();
+    const parts = [];
+    for (let i = 0; i < data.length; i += chunkSize) {
+        for (const part of reader.update(data.slice(i, i + chunkSize))) parts.push(part);
+    }
+    for (const part of reader.finish()) parts.push(part);
+    return parts;
+}
+
+describe('Frame Reader and Writer (LZ4FrameReader / LZ4FrameWriter)', () => {
+
+    it('should split a multi-frame file into frames without recompressing', () => {
+        const frameA = LZ4.compress(INPUT_A, null, 65536, false, true, true, null, { blockChecksum: true });
+        const frameB = LZ4.compress(INPUT_B, null, 65536, true, false, false);
+        const file = merge([frameA, LZ4.createSkippableFrame(2, "meta"), frameB]);
+
+        const frames = [];
+        let writer = null;
+        let output = [];
+        for (const part of readAll(file, 1000)) {
+            if (part.type === 'header') {
+                writer = new LZ4.LZ4FrameWriter(part);
+                output = [writer.writeHeader()];
+            } else if (part.type === 'block') {
+                output.push(writer.writeBlock(part.data, part.compressed));
+            } else if (part.type === 'end') {
+                output.push(writer.writeEnd(part.contentChecksum));
+                frames.push(merge(output));
+            }
+        }
+
+        assert.strictEqual(frames.length, 2);
+        assertBufferEquals(frames[0], frameA, "First frame should be copied byte for byte");
+        assertBufferEquals(frames[1], frameB, "Second frame should be copied byte for byte");
+    });
+
+    it('should report headers, blocks, skippable frames and offsets', () => {
+        const dict = LZ4.createDictionary(INPUT_A.subarray(0, 1024), { id: 0x1234 });
+        const frame = LZ4.compress(INPUT_A, dict, 65536, true, true, true);
+        const meta = LZ4.createSkippableFrame(5, "hello");
+        const parts = readAll(merge([meta, frame]));
+
+        assert.strictEqual(parts[0].type, 'skippable');
+        assert.strictEqual(parts[0].nibble, 5);
+        assert.strictEqual(new TextDecoder().decode(parts[0].data), "hello");
+
+        const header = parts[1];
+        assert.strictEqual(header.offset, meta.length);
+        assert.strictEqual(header.format, 'frame');
+        assert.strictEqual(header.blockIndependence, true);
+        assert.strictEqual(header.contentChecksum, true);
+        assert.strictEqual(header.contentSize, INPUT_A.length);
+        assert.strictEqual(header.dictId, 0x1234);
+        assert.strictEqual(header.blockMaxSize, 65536);
+
+        const blocks = parts.filter((p) => p.type === 'block');
+        assert.strictEqual(blocks.length, Math.ceil(INPUT_A.length / 65536));
+        assert.strictEqual(blocks[0].offset, meta.length + header.bytes.length);
+        assert.deepStrictEqual(blocks.map((b) => b.index), blocks.map((_, i) => i));
+        assert.strictEqual(parts[parts.length - 1].type, 'end');
+    });
+
+    it('should read legacy frames', () => {
+        const legacy = LZ4.compress(INPUT_A, null, 4194304, false, false, true, null, { format: 'legacy' });
+        const parts = readAll(merge([legacy, LZ4.compress(INPUT_B)]), 777);
+        assert.deepStrictEqual(parts.map((p) => p.type), ['header', 'block', 'end', 'header', 'block', 'end']);
+        assert.strictEqual(parts[0].format, 'legacy');
+        assert.throws(() => new LZ4.LZ4FrameWriter(parts[0]), /only writes the frame format/);
+    });
+
+    it('should build frames from raw blocks and stored data', () => {
+        const raw = new Uint8Array(70000);
+        const compressed = new Uint8Array(80000);
+        const size = LZ4.compressRaw(INPUT_B.subarray(0, 60000), compressed);
+
+        const writer = new LZ4.LZ4FrameWriter({ blockMaxSize: 65536, blockIndependence: true, blockChecksum: true, contentSize: 60100 });
+        const frame = merge([
+            writer.writeHeader(),
+            writer.writeBlock(compressed.subarray(0, size)),
+            writer.writeBlock(raw.subarray(0, 100), false),
+            writer.writeEnd()
+        ]);
+
+        const expected = new Uint8Array(60100);
+        expected.set(INPUT_B.subarray(0, 60000));
+        assertBufferEquals(LZ4.decompress(frame), expected);
+
+        assert.throws(() => writer.writeBlock(raw.subarray(0, 10)), /between writeHeader and writeEnd/);
+        const small = new LZ4.LZ4FrameWriter({ blockMaxSize: 65536, contentChecksum: true });
+        small.writeHeader();
+        assert.throws(() => small.writeBlock(raw), /exceeds the frame's 65536 byte limit/);
+        assert.throws(() => small.writeEnd(), /none was given/);
+    });
+
+    it('should verify checksums and reject truncated input', () => {
+        const frame = LZ4.compress(INPUT_A, null, 65536, false, false, true, null, { blockChecksum: true });
+        const corrupted = frame.slice();
+        corrupted[40] ^= 0xFF;
+        assert.throws(() => readAll(corrupted), /Block Checksum Error \(block 0/);
+
+        const lenient = new LZ4.LZ4FrameReader({ verifyChecksum: false });
+        assert.ok(lenient.update(corrupted).some((p) => p.type === 'end'));
+
+        assert.throws(() => readAll(frame.subarray(0, frame.length - 2)), /Truncated Frame/);
+        assert.throws(() => readAll(new Uint8Array([1, 2, 3, 4])), /Invalid Magic Number/);
+    });
+
+    it('should reject oversized blocks and limit buffered input', () => {
+        // A 1MB block size field in a 64KB frame fails when it is read, not 1MB later
+        const frame = LZ4.compress(INPUT_A, null, 65536, true, false, false);
+        const forged = frame.slice(0, 7 + 4 + 100);
+        forged.set([0x00, 0x00, 0x10, 0x00], 7);
+        assert.throws(() => new LZ4.LZ4FrameReader().update(forged),
+            (e) => e.code === LZ4.errorCodes.MALFORMED_BLOCK && e.blockIndex === 0 && e.offset === 7 &&
+                /Block size 1048576 exceeds the frame maximum of 65536/.test(e.message));
+
+        // Blocks that fit are read; a large skippable frame is not buffered past the limit
+        const limited = new LZ4.LZ4FrameReader({ maxBufferedInput: 70000 });
+        for (let i = 0; i < frame.length; i += 4096) limited.update(frame.subarray(i, i + 4096));
+        assert.deepStrictEqual(limited.finish(), []);
+        const skippable = LZ4.createSkippableFrame(0, new Uint8Array(100000));
+        assert.throws(() => {
+            for (let i = 0; i < skippable.length; i += 4096) limited.update(skippable.subarray(i, i + 4096));
+        }, (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED);
+        assert.throws(() => new LZ4.LZ4FrameReader({ maxBufferedInput: -1 }), /maxBufferedInput must be a positive number/);
+    });
+
+    it('should write the same Block Max Size ID from every writer', async () => {
+        const data = INPUT_A.subarray(0, 1000);
+        for (const [size, id] of [[1000, 4], [65536, 4], [65537, 5], [300000, 6], [2000000, 7]]) {
+            const bd = [
+                LZ4.compress(data, null, size)[5],
+                new LZ4Encoder(size).add(data)[0][5],
+                (await LZ4.compressAsync(data, null, size))[5],
+                new LZ4.LZ4FrameWriter({ blockMaxSize: size }).writeHeader()[5]
+            ];
+            assert.deepStrictEqual(bd.map((b) => (b >> 4) & 0x07), [id, id, id, id], `blockMaxSize ${size}`);
+        }
+    });
+
+    it('should read frame descriptors the same way as every other reader', async () => {
+        // A reserved BD bit behind a valid header checksum (content size, no dict ID: FLG to HC is 4..14)
+        const file = LZ4.compress(INPUT_A, null, 65536, true, false, true, null, { format: 'seekable' });
+        file[5] |= 0x01;
+        file[14] = (xxHash32(file.subarray(4, 14), 0) >>> 8) & 0xFF;
+        const isReserved = (e) => e.code === LZ4.errorCodes.INVALID_HEADER && /Reserved bit/.test(e.message);
+
+        assert.throws(() => LZ4.decompress(file), (e) => isReserved(e) && e.offset === 5);
+        assert.throws(() => new LZ4Decoder().update(file), isReserved);
+        assert.throws(() => readAll(file), isReserved);
+        await assert.rejects(LZ4.openSeekable(file).load(), (e) => isReserved(e) && e.offset === 5);
+
+        const [frame] = LZ4.inspect(file);
+        assert.deepStrictEqual([frame.reservedBitsValid, frame.headerChecksumValid, frame.contentSize], [false, true, INPUT_A.length]);
+        const result = LZ4.recover(file);
+        assert.deepStrictEqual([result.data.length, result.lost[0].code], [0, LZ4.errorCodes.INVALID_HEADER]);
+    });
+});
@@ -0,0 +1,71 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { assertBufferEquals } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("header checksum test, header checksum test, header checksum test");
+
+// Rewrites the HC byte so only the descriptor field under test is wrong
+function resign(frame, headerEnd) {
+    frame[headerEnd] = (xxHash32(frame.subarray(4, headerEnd), 0) >>> 8) & 0xFF;
+    return frame;
+}
+
+async function decompressStream(frame, options) {
+    const chunks = [];
+    for await (const chunk of new Blob([frame]).stream().pipeThrough(LZ4.createDecompressStream(null, true, options))) chunks.push(chunk);
+    return chunks;
+}
+
+describe('Frame Descriptor Validation', () => {
+
+    // Magic(4) FLG BD ContentSize(8) HC
+    const frame = LZ4.compress(INPUT);
+    const HC_POS = 14;
+
+    it('should reject a corrupted descriptor in every decode path', async () => {
+        // Clearing the content size flag would otherwise misread the size bytes as a block
+        const corrupted = frame.slice();
+        corrupted[4] &= ~0x08;
+
+        assert.throws(() => LZ4.decompress(corrupted), /Header Checksum Error/);
+        assert.throws(() => LZ4.decompressString(corrupted), /Header Checksum Error/);
+        assert.throws(() => new LZ4Decoder().update(corrupted), /Header Checksum Error/);
+        await assert.rejects(LZ4.decompressAsync(corrupted), /Header Checksum Error/);
+        await assert.rejects(decompressStream(corrupted), /Header Checksum Error/);
+
+        const badHC = frame.slice();
+        badHC[HC_POS] ^= 0x01;
+        assert.throws(() => LZ4.decompress(badHC), /Header Checksum Error/);
+    });
+
+    it('should allow opting out of the header checksum', async () => {
+        const badHC = frame.slice();
+        badHC[HC_POS] ^= 0x01;
+        const options = { verifyHeaderChecksum: false };
+
+        assertBufferEquals(LZ4.decompress(badHC, null, true, options), INPUT, "Buffer Opt-Out Failed");
+        assertBufferEquals(new LZ4Decoder(null, true, options).update(badHC)[0], INPUT, "Decoder Opt-Out Failed");
+        assertBufferEquals(await LZ4.decompressAsync(badHC, null, true, 1, options), INPUT, "Async Opt-Out Failed");
+        assertBufferEquals((await decompressStream(badHC, options))[0], INPUT, "Stream Opt-Out Failed");
+    });
+
+    it('should reject reserved bits and block size IDs even with a valid checksum', () => {
+        const cases = [
+            [(f) => { f[4] |= 0x02; }, /Reserved bit set/],            // FLG bit 1
+            [(f) => { f[5] |= 0x80; }, /Reserved bit set/],            // BD bit 7
+            [(f) => { f[5] |= 0x01; }, /Reserved bit set/],            // BD bits 0-3
+            [(f) => { f[5] = (f[5] & 0x8F) | (3 << 4); }, /Invalid Block Max Size ID 3/],
+            [(f) => { f[4] = (f[4] & 0x3F) | 0x80; }, /Unsupported Version 2/]
+        ];
+        for (const [mutate, expected] of cases) {
+            const bad = frame.slice();
+            mutate(bad);
+            resign(bad, HC_POS);
+            assert.throws(() => LZ4.decompress(bad, null, true, { verifyHeaderChecksum: false }), expected);
+            assert.throws(() => new LZ4Decoder().update(bad), expected);
+        }
+    });
+});
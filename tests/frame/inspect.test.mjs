@@ -0,0 +1,145 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { merge, readFixture, createLinesInput } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("frame inspection without decompression. ".repeat(8000));
+
+async function inspectStreamed(data, chunkSize) {
+    const frames = [];
+    const stream = LZ4.createInspectStream((frame) => frames.push(frame));
+    const writer = stream.writable.getWriter();
+    const chunks = [];
+    const reading = (async () => {
+        for await (const chunk of stream.readable) chunks.push(chunk);
+    })();
+    for (let i = 0; i < data.length; i += chunkSize) writer.write(data.subarray(i, i + chunkSize));
+    await writer.close();
+    await reading;
+    return { frames, output: merge(chunks) };
+}
+
+describe('Frame Inspection (LZ4.inspect)', () => {
+
+    it('should describe the descriptor, blocks and checksums of a frame', () => {
+        const dict = LZ4.createDictionary(new TextEncoder().encode("frame inspection"), { id: 0xABCD });
+        const frame = LZ4.compress(INPUT, dict, 65536, false, true, true, null, { blockChecksum: true });
+        const [info] = LZ4.inspect(frame);
+
+        assert.strictEqual(info.type, 'frame');
+        assert.strictEqual(info.offset, 0);
+        assert.strictEqual(info.length, frame.length);
+        assert.strictEqual(info.complete, true);
+        assert.strictEqual(info.version, 1);
+        assert.deepStrictEqual(info.flags, {
+            blockIndependence: false, blockChecksum: true, contentSize: true, contentChecksum: true, dictId: true
+        });
+        assert.strictEqual(info.blockSizeId, 4);
+        assert.strictEqual(info.blockMaxSize, 65536);
+        assert.strictEqual(info.contentSize, INPUT.length);
+        assert.strictEqual(info.dictId, 0xABCD);
+        assert.strictEqual(info.reservedBitsValid, true);
+        assert.strictEqual(info.headerChecksumValid, true);
+
+        assert.strictEqual(info.blocks.length, Math.ceil(INPUT.length / 65536));
+        let pos = 4 + 2 + 8 + 4 + 1;
+        for (const block of info.blocks) {
+            assert.strictEqual(block.offset, pos);
+            assert.strictEqual(block.compressed, true);
+            assert.strictEqual(block.checksumValid, true);
+            pos += 4 + block.size + 4;
+        }
+        assert.strictEqual(info.contentChecksum, xxHash32(INPUT));
+        assert.strictEqual(pos + 4 + 4, frame.length, "EndMark and content checksum should close the frame");
+    });
+
+    it('should validate the checksums of a frame written by the lz4 CLI', () => {
+        const [info] = LZ4.inspect(readFixture('lines.BX.B4.lz4'));
+        assert.strictEqual(info.complete, true);
+        assert.deepStrictEqual(info.flags, {
+            blockIndependence: true, blockChecksum: true, contentSize: false, contentChecksum: true, dictId: false
+        });
+        assert.strictEqual(info.headerChecksumValid, true);
+        assert.strictEqual(info.blocks.length, 3);
+        for (const block of info.blocks) assert.strictEqual(block.checksumValid, true, `block ${block.index}`);
+        assert.strictEqual(info.contentChecksum, xxHash32(createLinesInput()));
+    });
+
+    it('should report uncompressed blocks and corrupted checksums without throwing', () => {
+        const random = new Uint8Array(5000);
+        let seed = 7;
+        for (let i = 0; i < random.length; i++) {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            random[i] = seed >>> 24;
+        }
+        const frame = LZ4.compress(random, null, 65536, false, false, true, null, { blockChecksum: true });
+        frame[5] ^= 0x02;       // BD reserved bit, which also breaks the header checksum
+        frame[25] ^= 0xFF;      // Block data
+
+        const [info] = LZ4.inspect(frame);
+        assert.strictEqual(info.reservedBitsValid, false);
+        assert.strictEqual(info.headerChecksumValid, false);
+        assert.strictEqual(info.blocks[0].compressed, false);
+        assert.strictEqual(info.blocks[0].size, random.length);
+        assert.strictEqual(info.blocks[0].checksumValid, false);
+        assert.strictEqual(info.complete, true);
+    });
+
+    it('should walk skippable, legacy and concatenated frames', () => {
+        const meta = LZ4.createSkippableFrame(3, "build 42");
+        const legacy = LZ4.compress(INPUT, null, 4194304, false, false, true, null, { format: 'legacy' });
+        const frame = LZ4.compress(INPUT);
+        const data = merge([meta, legacy, frame]);
+
+        const infos = LZ4.inspect(data);
+        assert.deepStrictEqual(infos.map((f) => [f.type, f.offset, f.length]), [
+            ['skippable', 0, meta.length],
+            ['legacy', meta.length, legacy.length],
+            ['frame', meta.length + legacy.length, frame.length]
+        ]);
+        assert.strictEqual(infos[0].nibble, 3);
+        assert.strictEqual(infos[0].size, 8);
+        assert.strictEqual(infos[1].blocks.length, 1);
+        assert.ok(infos.every((f) => f.complete));
+    });
+
+    it('should describe truncated frames and stop at unknown data', () => {
+        const frame = LZ4.compress(INPUT);
+        const [cut] = LZ4.inspect(frame.subarray(0, 40));
+        assert.strictEqual(cut.complete, false);
+        assert.strictEqual(cut.length, 40);
+        assert.strictEqual(cut.blocks.length, 1);
+
+        const garbage = merge([frame, new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8])]);
+        const infos = LZ4.inspect(garbage);
+        assert.strictEqual(infos.length, 2);
+        assert.strictEqual(infos[1].type, 'unknown');
+        assert.strictEqual(infos[1].offset, frame.length);
+        assert.strictEqual(infos[1].magic, 0x04030201);
+    });
+});
+
+describe('Inspection Stream (LZ4.createInspectStream)', () => {
+
+    it('should pass data through and report the same frames as inspect()', async () => {
+        const data = merge([
+            LZ4.createSkippableFrame(1, { source: "test" }),
+            LZ4.compress(INPUT, null, 65536, true, true, true, null, { blockChecksum: true }),
+            LZ4.compress(INPUT, null, 4194304, false, false, true, null, { format: 'legacy' })
+        ]);
+
+        for (const chunkSize of [1, 7, 4096, data.length]) {
+            const { frames, output } = await inspectStreamed(data, chunkSize);
+            assert.deepStrictEqual(output, data, `Data altered (chunk size ${chunkSize})`);
+            assert.deepStrictEqual(frames, LZ4.inspect(data), `Metadata differs (chunk size ${chunkSize})`);
+        }
+    });
+
+    it('should report a frame cut off by the end of the stream', async () => {
+        const frame = LZ4.compress(INPUT);
+        const { frames } = await inspectStreamed(frame.subarray(0, frame.length - 3), 1000);
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].complete, false);
+    });
+});
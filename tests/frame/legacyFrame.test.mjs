@@ -0,0 +1,80 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+const LEGACY_BLOCK_SIZE = 8388608;
+
+// `printf 'legacy frame, legacy frame, legacy frame!' | lz4 -l`
+const CLI_INPUT = "legacy frame, legacy frame, legacy frame!";
+const CLI_FRAME = new Uint8Array("02214c1818000000ef6c6567616379206672616d652c200e00035072616d6521".match(/../g).map((h) => parseInt(h, 16)));
+
+// Just over one legacy block, so the frame holds a full 8MB block and a short one
+function createInput() {
+    const input = new Uint8Array(LEGACY_BLOCK_SIZE + 100000);
+    let seed = 7;
+    for (let i = 0; i < input.length; i++) {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        input[i] = 97 + ((seed >>> 24) & 7);
+    }
+    return input;
+}
+
+describe('Legacy Frame Format', () => {
+
+    it('should decode frames written by the lz4 CLI', () => {
+        assert.strictEqual(LZ4.decompressString(CLI_FRAME), CLI_INPUT);
+
+        const decoder = new LZ4Decoder();
+        const chunks = [];
+        for (let i = 0; i < CLI_FRAME.length; i++) chunks.push(...decoder.update(CLI_FRAME.subarray(i, i + 1)));
+        assert.strictEqual(new TextDecoder().decode(merge(chunks)), CLI_INPUT);
+    });
+
+    it('should write legacy frames from the buffer and streaming encoders', () => {
+        const options = { format: 'legacy' };
+        const frame = LZ4.compressString(CLI_INPUT, null, 4194304, false, false, options);
+        assertBufferEquals(frame.subarray(0, 4), new Uint8Array([0x02, 0x21, 0x4C, 0x18]), "Legacy Magic Mismatch");
+        assert.strictEqual(LZ4.decompressString(frame), CLI_INPUT);
+
+        const encoder = new LZ4Encoder(65536, false, true, null, options);
+        const streamed = merge([...encoder.add(new TextEncoder().encode(CLI_INPUT)), ...encoder.finish()]);
+        assertBufferEquals(streamed, frame, "Encoders Differ");
+
+        // Literals-only blocks replace stored blocks, which legacy frames cannot express
+        const literals = LZ4.compressString(CLI_INPUT, null, 4194304, false, false, { format: 'legacy', acceleration: Infinity });
+        assert.strictEqual(LZ4.decompressString(literals), CLI_INPUT);
+
+        assert.throws(() => LZ4.compressString(CLI_INPUT, LZ4.presets.json, 4194304, false, false, options), /does not support dictionaries/);
+        assert.throws(() => LZ4.compressString(CLI_INPUT, null, 4194304, false, false, { format: 'modern' }), /Unknown format/);
+    });
+
+    it('should split 8MB blocks and decode them in every path', async () => {
+        const input = createInput();
+        const frame = LZ4.compress(input, null, 4194304, false, false, true, null, { format: 'legacy', compressionLevel: 3 });
+
+        // Magic, then exactly two blocks
+        const firstSize = (frame[4] | (frame[5] << 8) | (frame[6] << 16) | (frame[7] << 24)) >>> 0;
+        const secondPos = 8 + firstSize;
+        const secondSize = (frame[secondPos] | (frame[secondPos + 1] << 8) | (frame[secondPos + 2] << 16) | (frame[secondPos + 3] << 24)) >>> 0;
+        assert.strictEqual(secondPos + 4 + secondSize, frame.length);
+
+        assertBufferEquals(LZ4.decompress(frame), input, "Buffer Decode Failed");
+        assertBufferEquals(await LZ4.decompressAsync(frame), input, "Async Decode Failed");
+
+        const decoder = new LZ4Decoder();
+        const chunks = [];
+        for (let i = 0; i < frame.length; i += 1 << 20) chunks.push(...decoder.update(frame.subarray(i, i + (1 << 20))));
+        assertBufferEquals(merge(chunks), input, "Stream Decode Failed");
+    });
+
+    it('should end a legacy frame at the next magic number', () => {
+        const modern = LZ4.compressString("modern frame");
+        const chunks = new LZ4Decoder().update(merge([CLI_FRAME, modern, CLI_FRAME]));
+        assert.strictEqual(new TextDecoder().decode(merge(chunks)), CLI_INPUT + "modern frame" + CLI_INPUT);
+
+        assert.throws(() => LZ4.decompress(CLI_FRAME.subarray(0, CLI_FRAME.length - 3)), /Truncated Legacy Block/);
+    });
+});
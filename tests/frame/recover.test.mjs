@@ -0,0 +1,210 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals, readFixture, createLinesInput, merge, noise, readAll } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("recovery keeps whatever survived the damage. ".repeat(15000));
+const BLOCK = 65536;
+
+/** INPUT without the 64KB blocks at the given indices. */
+function without(...blocks) {
+    const parts = [];
+    for (let i = 0; i * BLOCK < INPUT.length; i++) {
+        if (!blocks.includes(i)) parts.push(INPUT.subarray(i * BLOCK, (i + 1) * BLOCK));
+    }
+    return merge(parts);
+}
+
+describe('Frame Recovery (LZ4.recover)', () => {
+
+    it('should decode intact input completely', () => {
+        const frame = LZ4.compress(INPUT, null, BLOCK, true, true, true, null, { blockChecksum: true });
+        const result = LZ4.recover(frame);
+        assertBufferEquals(result.data, INPUT);
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.lost, []);
+        assert.deepStrictEqual(result.recovered, [{ offset: 0, length: INPUT.length, inputOffset: 15, inputLength: frame.length - 15 - 8 }]);
+        assert.strictEqual(result.frames[0].contentChecksumValid, true);
+    });
+
+    it('should recover files written by the lz4 CLI', () => {
+        const lines = createLinesInput();
+        for (const name of ['lines.BX.B4.lz4', 'lines.BX.B4.BD.lz4']) {
+            const result = LZ4.recover(readFixture(name));
+            assertBufferEquals(result.data, lines, `${name}: Recovery Failed`);
+            assert.strictEqual(result.complete, true);
+            assert.deepStrictEqual(result.lost, []);
+            assert.deepStrictEqual([result.frames[0].blocks, result.frames[0].contentChecksumValid], [3, true]);
+        }
+
+        // Damage in one independent block loses only that block
+        const frame = readFixture('lines.BX.B4.lz4');
+        const block = LZ4.inspect(frame)[0].blocks[1];
+        frame[block.offset + 40] ^= 0xFF;
+        const result = LZ4.recover(frame);
+        assertBufferEquals(result.data, merge([lines.subarray(0, BLOCK), lines.subarray(2 * BLOCK)]));
+        assert.deepStrictEqual(result.lost.map((l) => [l.blockIndex, l.code]), [[1, LZ4.errorCodes.BLOCK_CHECKSUM]]);
+    });
+
+    it('should skip a block that fails its checksum and keep the rest', () => {
+        const frame = LZ4.compress(INPUT, null, BLOCK, true, true, false, null, { blockChecksum: true });
+        const block = LZ4.inspect(frame)[0].blocks[3];
+        const damaged = frame.slice();
+        damaged[block.offset + 40] ^= 0xFF;
+
+        assert.throws(() => LZ4.decompress(damaged), /Block Checksum Error/);
+        const result = LZ4.recover(damaged);
+        assertBufferEquals(result.data, without(3));
+        assert.strictEqual(result.complete, false);
+        assert.deepStrictEqual(result.lost, [{
+            inputOffset: block.offset, inputLength: 4 + block.size + 4, offset: 3 * BLOCK,
+            frameIndex: 0, blockIndex: 3, code: LZ4.errorCodes.BLOCK_CHECKSUM,
+            message: `LZ4: Block Checksum Error (block 3 at offset ${block.offset})`
+        }]);
+        assert.deepStrictEqual(result.recovered.map((r) => [r.offset, r.length]), [[0, 3 * BLOCK], [3 * BLOCK, INPUT.length - 4 * BLOCK]]);
+        assert.deepStrictEqual([result.frames[0].blocks, result.frames[0].lostBlocks], [10, 1]);
+    });
+
+    it('should resync on the next frame when a size field is damaged', () => {
+        const first = LZ4.compress(INPUT, null, BLOCK, true, false, false);
+        const second = LZ4.compress(INPUT.subarray(0, 100000), null, BLOCK, true, true, true);
+        const block = LZ4.inspect(first)[0].blocks[2];
+        const damaged = merge([first, LZ4.createSkippableFrame(3, "index"), second]);
+        damaged[block.offset + 3] = 0x7F;
+
+        const result = LZ4.recover(damaged);
+        assertBufferEquals(result.data, merge([INPUT.subarray(0, 2 * BLOCK), INPUT.subarray(0, 100000)]));
+        assert.strictEqual(result.lost.length, 1);
+        assert.strictEqual(result.lost[0].code, LZ4.errorCodes.MALFORMED_BLOCK);
+        assert.deepStrictEqual([result.lost[0].frameIndex, result.lost[0].blockIndex, result.lost[0].inputOffset], [0, 2, block.offset]);
+        // The rest of the frame is lost up to the skippable frame after it
+        assert.strictEqual(result.lost[0].inputOffset + result.lost[0].inputLength, first.length);
+        assert.deepStrictEqual(result.frames.map((f) => f.complete), [false, true]);
+    });
+
+    it('should lose linked blocks only when they reference lost history', () => {
+        const frame = LZ4.compress(INPUT, null, BLOCK, false, false, false, null, { blockChecksum: true });
+        const blocks = LZ4.inspect(frame)[0].blocks;
+        const damaged = frame.slice();
+        damaged[blocks[4].offset + 20] ^= 0x01;
+
+        const result = LZ4.recover(damaged);
+        const lostBlocks = result.lost.map((l) => l.blockIndex);
+        assert.strictEqual(lostBlocks[0], 4);
+        assert.strictEqual(result.lost[0].code, LZ4.errorCodes.BLOCK_CHECKSUM);
+        assert.ok(result.lost.slice(1).every((l) => l.code === LZ4.errorCodes.MALFORMED_BLOCK));
+        // Whatever decodes without the lost history is exact
+        assertBufferEquals(result.data, without(...lostBlocks));
+
+        // Uncompressed blocks do not reference anything
+        const random = new Uint8Array(4 * BLOCK);
+        let seed = 99;
+        for (let i = 0; i < random.length; i++) {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            random[i] = seed & 0xFF;
+        }
+        const stored = LZ4.compress(random, null, BLOCK, false, false, false, null, { blockChecksum: true });
+        const storedDamaged = stored.slice();
+        storedDamaged[LZ4.inspect(stored)[0].blocks[1].offset + 100] ^= 0xFF;
+        const storedResult = LZ4.recover(storedDamaged);
+        assertBufferEquals(storedResult.data, merge([random.subarray(0, BLOCK), random.subarray(2 * BLOCK)]));
+    });
+
+    it('should carve frames embedded in a larger file', () => {
+        const frame = LZ4.compress(INPUT.subarray(0, 200000));
+        const legacy = LZ4.compress(INPUT.subarray(0, 50000), null, 4194304, false, false, false, null, { format: 'legacy' });
+        const binary = new Uint8Array(5000 + frame.length + 3000 + legacy.length + 1000);
+        binary.fill(0x90);
+        binary.set(frame, 5000);
+        binary.set(legacy, 5000 + frame.length + 3000);
+        binary.fill(0xFF, binary.length - 1000);
+
+        const carved = LZ4.recover(binary, null, { carve: true });
+        assertBufferEquals(carved.data, merge([INPUT.subarray(0, 200000), INPUT.subarray(0, 50000)]));
+        assert.deepStrictEqual(carved.frames.map((f) => [f.format, f.offset]), [['frame', 5000], ['legacy', 5000 + frame.length + 3000]]);
+        assert.deepStrictEqual(carved.lost, []);
+        assert.strictEqual(carved.complete, true);
+
+        const reported = LZ4.recover(binary);
+        assert.deepStrictEqual(reported.lost.map((l) => [l.inputOffset, l.inputLength, l.code]), [
+            [0, 5000, 'ERR_LZ4_MAGIC'],
+            [5000 + frame.length, 3000, 'ERR_LZ4_MAGIC'],
+            [binary.length - 1000, 1000, 'ERR_LZ4_MAGIC']
+        ]);
+    });
+
+    it('should recover through a stream with recover: true', async () => {
+        const frame = LZ4.compress(INPUT, null, BLOCK, true, true, false, null, { blockChecksum: true });
+        const damaged = frame.slice();
+        damaged[LZ4.inspect(frame)[0].blocks[5].offset + 9] ^= 0x10;
+
+        let report = null;
+        const stream = LZ4.createDecompressStream(null, true, { recover: true, onRecover: (r) => { report = r; } });
+        const writer = stream.writable.getWriter();
+        const chunks = [];
+        const reading = (async () => {
+            for await (const chunk of stream.readable) chunks.push(chunk);
+        })();
+        for (let i = 0; i < damaged.length; i += 1000) await writer.write(damaged.subarray(i, i + 1000));
+        await writer.close();
+        await reading;
+
+        assertBufferEquals(merge(chunks), without(5));
+        assert.deepStrictEqual(report.lost.map((l) => l.blockIndex), [5]);
+        assert.strictEqual(report.data, undefined);
+
+        assertBufferEquals(await LZ4.decompressAsync(damaged, null, true, 1, { recover: true }), without(5));
+    });
+
+    it('should recover a stream as it arrives, keeping only the block being read', async () => {
+        const lines = createLinesInput();
+        const frame = LZ4.compress(lines, null, BLOCK, false, true, true, null, { blockChecksum: true });
+        const blocks = LZ4.inspect(frame)[0].blocks;
+        frame[blocks[1].offset + 30] ^= 0x01;
+        const stored = LZ4.compress(noise(150000), null, BLOCK);
+        const sizeDamaged = stored.slice();
+        sizeDamaged[LZ4.inspect(stored)[0].blocks[1].offset + 3] = 0x7F;
+        const legacy = LZ4.compress(lines.subarray(0, 50000), null, 4194304, false, false, false, null, { format: 'legacy' });
+        const damaged = merge([
+            new Uint8Array(3000).fill(0x90), frame, LZ4.createSkippableFrame(2, "index"),
+            legacy, sizeDamaged, stored.subarray(0, 100000)
+        ]);
+        const expected = LZ4.recover(damaged);
+
+        let report = null;
+        const stream = LZ4.createDecompressStream(null, true, { recover: true, maxBufferedInput: 70000, onRecover: (r) => { report = r; } });
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        const chunks = [];
+        const reading = (async () => {
+            for (let r = await reader.read(); !r.done; r = await reader.read()) chunks.push(r.value);
+        })();
+
+        // The first blocks come out before the rest of the input arrives
+        let i = 0;
+        for (; i < 3000 + blocks[1].offset; i += 777) await writer.write(damaged.subarray(i, i + 777));
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.ok(chunks.length > 0 && chunks[0].length === BLOCK);
+
+        for (; i < damaged.length; i += 777) await writer.write(damaged.subarray(i, i + 777));
+        await writer.close();
+        await reading;
+
+        assertBufferEquals(merge(chunks), expected.data);
+        assert.deepStrictEqual(report, { complete: expected.complete, frames: expected.frames, recovered: expected.recovered, lost: expected.lost });
+        assert.deepStrictEqual(expected.frames.map((f) => f.format), ['frame', 'legacy', 'frame', 'frame']);
+        assert.deepStrictEqual(expected.lost.map((l) => l.code), [
+            'ERR_LZ4_MAGIC', 'ERR_LZ4_BLOCK_CHECKSUM', 'ERR_LZ4_MALFORMED_BLOCK', 'ERR_LZ4_MALFORMED_BLOCK', 'ERR_LZ4_TRUNCATED'
+        ]);
+
+        // A skippable frame is kept until it is complete
+        const big = merge([LZ4.createSkippableFrame(0, new Uint8Array(100000)), frame]);
+        const limited = LZ4.createDecompressStream(null, true, { recover: true, maxBufferedInput: 70000 });
+        const bigWriter = limited.writable.getWriter();
+        const failed = assert.rejects(readAll(limited.readable), (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED);
+        for (let j = 0; j < big.length; j += 4096) await bigWriter.write(big.subarray(j, j + 4096)).catch(() => {});
+        await failed;
+    });
+});
@@ -0,0 +1,102 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { xxHash32 } from '../../src/xxhash32/xxhash32.js';
+import { assertBufferEquals, merge, readAll } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("untrusted input should never crash the decoder. ".repeat(3000));
+
+/**
+ * Builds a frame header (no content checksum) with independent 64KB blocks.
+ * @param {number|null} contentSize
+ */
+function header(contentSize = null) {
+    const bytes = [0x04, 0x22, 0x4D, 0x18, 0x60 | (contentSize !== null ? 0x08 : 0), 0x40];
+    if (contentSize !== null) {
+        let v = contentSize;
+        for (let i = 0; i < 8; i++) {
+            bytes.push(v % 256);
+            v = Math.floor(v / 256);
+        }
+    }
+    const descriptor = new Uint8Array(bytes.slice(4));
+    bytes.push((xxHash32(descriptor, 0) >>> 8) & 0xFF);
+    return new Uint8Array(bytes);
+}
+
+function decodeRaw(bytes, output) {
+    return LZ4.decompressRaw(new Uint8Array(bytes), 0, bytes.length, output, 0);
+}
+
+describe('Safe Decoding (untrusted input)', () => {
+
+    it('should reject a forged content size before allocating it', async () => {
+        const frame = merge([header(2 ** 40), new Uint8Array([5, 0, 0, 0, 0x40, 1, 2, 3, 4, 0, 0, 0, 0])]);
+        assert.throws(() => LZ4.decompress(frame), /Declared content size \(1099511627776 bytes\) exceeds/);
+
+        // A plausible but wrong size is caught once the frame is decoded
+        const wrong = merge([header(100), new Uint8Array([6, 0, 0, 0, 0x50, 1, 2, 3, 4, 5, 0, 0, 0, 0])]);
+        assert.throws(() => LZ4.decompress(wrong), /Content size mismatch \(header declares 100 bytes, frame decodes to 5\)/);
+
+        // The streaming decoders check it at the EndMark (offset 25)
+        const isMismatch = (e) => e.code === LZ4.errorCodes.CONTENT_SIZE && e.frameIndex === 0 && e.offset === 25 &&
+            /Content size mismatch \(header declares 100 bytes, frame decodes to 5\)/.test(e.message);
+        assert.throws(() => new LZ4Decoder().update(wrong), isMismatch);
+        await assert.rejects(readAll(new Blob([wrong]).stream().pipeThrough(LZ4.createDecompressStream())), isMismatch);
+        await assert.rejects(LZ4.decompressAsync(wrong), isMismatch);
+        assert.strictEqual(new LZ4Decoder(null, true, { safe: false }).update(wrong)[0].length, 5);
+    });
+
+    it('should report truncated frames', () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, true, false);
+        assert.throws(() => LZ4.decompress(frame.subarray(0, 6)), /Truncated Frame/);
+        assert.throws(() => LZ4.decompress(frame.subarray(0, 100)), /Truncated Block \(block 0 at offset 7\)/);
+        assert.throws(() => LZ4.decompress(frame.subarray(0, frame.length - 8)), /missing EndMark/);
+        assert.throws(() => LZ4.decompress(frame.subarray(0, frame.length - 2)), /missing Content Checksum/);
+    });
+
+    it('should return the decodable part of a truncated frame with safe: false', () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, true, true);
+        const firstBlockEnd = 15 + 4 + (LZ4.inspect(frame)[0].blocks[0].size);
+        const partial = LZ4.decompress(frame.subarray(0, firstBlockEnd + 10), null, true, { safe: false });
+        assertBufferEquals(partial, INPUT.subarray(0, 65536));
+    });
+
+    it('should enforce the block size limit of the descriptor', () => {
+        const block = new Uint8Array(70000);
+        const size = new Uint8Array([0x70, 0x11, 0x01, 0x80]); // 70000, uncompressed
+        const frame = merge([header(), size, block, new Uint8Array(4)]);
+        assert.throws(() => LZ4.decompress(frame), /Block size 70000 exceeds the frame maximum of 65536 \(block 0 at offset 7\)/);
+
+        // The stream decoder rejects it from the size field alone, without buffering the block
+        const decoder = new LZ4Decoder();
+        assert.throws(() => decoder.update(merge([header(), new Uint8Array([0xFF, 0xFF, 0xFF, 0x7F])])), /exceeds the frame maximum of 65536/);
+        assert.strictEqual(new LZ4Decoder(null, true, { safe: false }).update(merge([header(), size])).length, 0);
+    });
+
+    it('should reject malformed blocks without reading or writing out of range', () => {
+        const output = new Uint8Array(64);
+
+        // Offset reaching before the start of the output
+        assert.throws(() => decodeRaw([0x10, 0x41, 0x05, 0x00], output), /Offset Out of Bounds/);
+        // Sequence cut off inside its literal length, its literals and its offset
+        assert.throws(() => decodeRaw([0xF0], output), /Malformed Input/);
+        assert.throws(() => decodeRaw([0x50, 1, 2], output), /Malformed Input/);
+        assert.throws(() => decodeRaw([0x14, 0x41, 0x01], output), /Malformed Input/);
+        // Match running past the end of the output
+        assert.throws(() => decodeRaw([0x1F, 0x41, 0x01, 0x00, 0xFF, 0x00, 0x00], output), /Output Buffer Too Small/);
+
+        // Random corruption only ever throws
+        const frame = LZ4.compress(INPUT, null, 65536, true, false, false);
+        for (let i = 0; i < 200; i++) {
+            const corrupted = frame.slice();
+            corrupted[15 + ((i * 7919) % (frame.length - 15))] ^= 1 + (i % 255);
+            try {
+                LZ4.decompress(corrupted);
+            } catch (e) {
+                assert.match(e.message, /^LZ4: /);
+            }
+        }
+    });
+});
@@ -0,0 +1,98 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+function createLog(lines) {
+    let text = "";
+    for (let i = 0; i < lines; i++) text += `2024-01-01T00:00:${String(i % 60).padStart(2, '0')}Z request ${i} took ${(i * 37) % 1000}ms\n`;
+    return new TextEncoder().encode(text);
+}
+
+const INPUT = createLog(20000);
+
+describe('Seekable Format (LZ4.openSeekable)', () => {
+
+    const seekable = LZ4.compress(INPUT, null, 65536, false, true, true, null, { format: 'seekable', blockChecksum: true });
+
+    it('should stay readable by plain decoders', async () => {
+        assertBufferEquals(LZ4.decompress(seekable), INPUT, "Buffer decoder");
+        assertBufferEquals(await LZ4.decompressAsync(seekable), INPUT, "Async decoder");
+
+        const [frame, table] = LZ4.inspect(seekable);
+        assert.strictEqual(frame.flags.blockIndependence, true);
+        assert.strictEqual(table.type, 'skippable');
+        assert.strictEqual(table.nibble, 0x0E);
+        assert.strictEqual(table.offset + table.length, seekable.length);
+    });
+
+    it('should read ranges within, across and beyond blocks', async () => {
+        const reader = LZ4.openSeekable(seekable);
+        await reader.load();
+        assert.strictEqual(reader.size, INPUT.length);
+        assert.strictEqual(reader.blockCount, Math.ceil(INPUT.length / 65536));
+
+        for (const [offset, length] of [[0, 10], [65530, 20], [100000, 300000], [INPUT.length - 5, 100], [0, INPUT.length]]) {
+            const expected = INPUT.subarray(offset, Math.min(offset + length, INPUT.length));
+            assertBufferEquals(await reader.read(offset, length), expected, `Range ${offset}+${length}`);
+        }
+        assert.strictEqual((await reader.read(INPUT.length, 10)).length, 0);
+        await assert.rejects(reader.read(-1, 10), /Invalid seekable read range/);
+    });
+
+    it('should only fetch the blocks a read overlaps', async () => {
+        const requests = [];
+        const reader = LZ4.openSeekable(async (offset, length) => {
+            requests.push(length);
+            return seekable.subarray(offset, offset + length);
+        }, null, { size: seekable.length });
+
+        await reader.load();
+        requests.length = 0;
+        assertBufferEquals(await reader.read(70000, 100), INPUT.subarray(70000, 70100));
+        assert.strictEqual(requests.length, 1);
+        assert.ok(requests[0] < 65536 + 8, `Fetched ${requests[0]} bytes for one block`);
+
+        assert.throws(() => LZ4.openSeekable(async () => seekable), /options\.size/);
+    });
+
+    it('should retry a load that failed', async () => {
+        let failures = 1;
+        const reader = LZ4.openSeekable(async (offset, length) => {
+            if (failures > 0) {
+                failures--;
+                throw new Error("connection reset");
+            }
+            return seekable.subarray(offset, offset + length);
+        }, null, { size: seekable.length });
+
+        await assert.rejects(reader.read(0, 10), /connection reset/);
+        assertBufferEquals(await reader.read(70000, 100), INPUT.subarray(70000, 70100));
+    });
+
+    it('should read from Blobs and streamed, dictionary-compressed files', async () => {
+        const dict = LZ4.createDictionary(INPUT.subarray(0, 4096), { id: 0x5EE6 });
+        const encoder = new LZ4Encoder(65536, false, false, dict, { format: 'seekable' });
+        const file = merge([
+            LZ4.createSkippableFrame(1, "header"),
+            ...encoder.add(INPUT.subarray(0, 123457)),
+            ...encoder.add(INPUT.subarray(123457)),
+            ...encoder.finish()
+        ]);
+
+        const reader = LZ4.openSeekable(new Blob([file]), dict);
+        assertBufferEquals(await reader.read(200000, 5000), INPUT.subarray(200000, 205000));
+        await assert.rejects(LZ4.openSeekable(file).read(0, 1), /Dictionary/);
+    });
+
+    it('should reject files without a seek table and corrupted blocks', async () => {
+        await assert.rejects(LZ4.openSeekable(LZ4.compress(INPUT)).read(0, 1), /no seek table/);
+
+        const corrupted = seekable.slice();
+        corrupted[30] ^= 0xFF;
+        const reader = LZ4.openSeekable(corrupted);
+        await assert.rejects(reader.read(0, 1), /Block Checksum Error \(block 0/);
+        assertBufferEquals(await reader.read(70000, 10), INPUT.subarray(70000, 70010), "Other blocks stay readable");
+    });
+});
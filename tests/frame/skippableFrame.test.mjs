@@ -0,0 +1,85 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("payload with metadata, payload with metadata, payload with metadata");
+const PROVENANCE = { source: "sensor-7", schema: "v3" };
+
+function collect() {
+    const seen = [];
+    const onSkippableFrame = (data, nibble) => seen.push({ nibble, text: new TextDecoder().decode(data) });
+    return { seen, onSkippableFrame };
+}
+
+describe('Skippable Frames', () => {
+
+    it('should create a spec-compliant skippable frame', () => {
+        const frame = LZ4.createSkippableFrame(5, "hi");
+        assertBufferEquals(frame, new Uint8Array([0x55, 0x2A, 0x4D, 0x18, 2, 0, 0, 0, 0x68, 0x69]), "Layout Mismatch");
+
+        assert.throws(() => LZ4.createSkippableFrame(16, "x"), /nibble must be 0-15/);
+        assert.throws(() => LZ4.createSkippableFrame(-1, "x"), /nibble must be 0-15/);
+    });
+
+    it('should skip them by default in every decoder', async () => {
+        const file = merge([LZ4.createSkippableFrame(0, PROVENANCE), LZ4.compress(INPUT), LZ4.createSkippableFrame(15, "trailer")]);
+
+        assertBufferEquals(LZ4.decompress(file), INPUT, "Buffer Decode Failed");
+        assertBufferEquals(await LZ4.decompressAsync(file), INPUT, "Async Decode Failed");
+
+        // Byte-by-byte: skipped data is discarded as it arrives
+        const decoder = new LZ4Decoder();
+        const chunks = [];
+        for (let i = 0; i < file.length; i++) chunks.push(...decoder.update(file.subarray(i, i + 1)));
+        assertBufferEquals(merge(chunks), INPUT, "Split Decode Failed");
+    });
+
+    it('should report them to onSkippableFrame', () => {
+        const file = merge([LZ4.createSkippableFrame(1, PROVENANCE), LZ4.compress(INPUT, null, 65536, false, true), LZ4.createSkippableFrame(2, "trailer")]);
+        const expected = [{ nibble: 1, text: JSON.stringify(PROVENANCE) }, { nibble: 2, text: "trailer" }];
+
+        const buffer = collect();
+        assertBufferEquals(LZ4.decompress(file, null, true, { onSkippableFrame: buffer.onSkippableFrame }), INPUT, "Buffer Decode Failed");
+        assert.deepStrictEqual(buffer.seen, expected);
+
+        const stream = collect();
+        const decoder = new LZ4Decoder(null, true, { onSkippableFrame: stream.onSkippableFrame });
+        for (let i = 0; i < file.length; i += 7) decoder.update(file.subarray(i, i + 7));
+        assert.deepStrictEqual(stream.seen, expected);
+    });
+
+    it('should write them from the skippableFrames option', async () => {
+        const options = {
+            skippableFrames: [
+                { nibble: 3, data: PROVENANCE },
+                { nibble: 4, data: "written last", position: 'after' }
+            ]
+        };
+        const expected = [{ nibble: 3, text: JSON.stringify(PROVENANCE) }, { nibble: 4, text: "written last" }];
+
+        const frame = LZ4.compress(INPUT, null, 65536, false, false, true, null, options);
+        const fromBuffer = collect();
+        assertBufferEquals(LZ4.decompress(frame, null, true, { onSkippableFrame: fromBuffer.onSkippableFrame }), INPUT, "Buffer Round-Trip Failed");
+        assert.deepStrictEqual(fromBuffer.seen, expected);
+
+        // The streaming encoder emits the same bytes (no content size: it is unknown up front)
+        const encoder = new LZ4Encoder(65536, false, false, null, options);
+        const streamed = merge([...encoder.add(INPUT), ...encoder.finish()]);
+        assertBufferEquals(streamed, LZ4.compress(INPUT, null, 65536, false, false, false, null, options), "Encoders Differ");
+
+        const compressed = await LZ4.compressAsync(INPUT, null, 65536, false, false, 1, options);
+        const fromAsync = collect();
+        assertBufferEquals(await LZ4.decompressAsync(compressed, null, true, 1, { onSkippableFrame: fromAsync.onSkippableFrame }), INPUT, "Async Round-Trip Failed");
+        assert.deepStrictEqual(fromAsync.seen, expected);
+
+        assert.throws(() => LZ4.compress(INPUT, null, 65536, false, false, true, null, { skippableFrames: [{ data: "x", position: 'middle' }] }), /'before' or 'after'/);
+    });
+
+    it('should reject truncated skippable frames', () => {
+        const truncated = LZ4.createSkippableFrame(0, "metadata").subarray(0, 10);
+        assert.throws(() => LZ4.decompress(truncated), /Truncated Skippable Frame/);
+    });
+});
@@ -0,0 +1,144 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+let text = "";
+for (let i = 0; i < 30000; i++) text += `partner record ${i}: status=${i % 7 ? "ok" : "retry"}\n`;
+const INPUT = new TextEncoder().encode(text);
+
+// Partner format: 4MB linked blocks, no checksums, no content size
+const SOURCE = LZ4.compress(INPUT, null, 4194304, false, false, false);
+
+const TARGET = { maxBlockSize: 65536, blockIndependence: true, blockChecksum: true, contentChecksum: true, contentSize: true };
+
+async function transcodeStreamed(data, targetOptions, chunkSize) {
+    const stream = LZ4.createTranscodeStream(targetOptions);
+    const writer = stream.writable.getWriter();
+    const chunks = [];
+    const reading = (async () => {
+        for await (const chunk of stream.readable) chunks.push(chunk);
+    })();
+    const writing = (async () => {
+        for (let i = 0; i < data.length; i += chunkSize) await writer.write(data.subarray(i, i + chunkSize));
+        await writer.close();
+    })();
+    await Promise.all([reading, writing]);
+    return merge(chunks);
+}
+
+describe('Transcoding (LZ4.transcode / LZ4.createTranscodeStream)', () => {
+
+    it('should re-frame into independent checksummed blocks with a content size', () => {
+        const output = LZ4.transcode(SOURCE, TARGET);
+        const [frame] = LZ4.inspect(output);
+
+        assert.strictEqual(frame.blockMaxSize, 65536);
+        assert.deepStrictEqual(frame.flags, {
+            blockIndependence: true, blockChecksum: true, contentSize: true, contentChecksum: true, dictId: false
+        });
+        assert.strictEqual(frame.contentSize, INPUT.length);
+        assert.strictEqual(frame.blocks.length, Math.ceil(INPUT.length / 65536));
+        assertBufferEquals(LZ4.decompress(output), INPUT);
+    });
+
+    it('should produce the same output as a stream, at any chunk size', async () => {
+        const expected = LZ4.transcode(LZ4.compress(INPUT), TARGET);
+        for (const chunkSize of [1000, 65536, SOURCE.length]) {
+            const output = await transcodeStreamed(LZ4.compress(INPUT), TARGET, chunkSize);
+            assertBufferEquals(output, expected, `Chunk size ${chunkSize}`);
+        }
+
+        // Streams take the content size from the source header, so it must declare one
+        await assert.rejects(transcodeStreamed(SOURCE, TARGET, 4096), /declares its content size/);
+    });
+
+    it('should switch dictionaries and formats', async () => {
+        const oldDict = LZ4.createDictionary(INPUT.subarray(0, 2048), { id: 1 });
+        const newDict = LZ4.createDictionary(INPUT.subarray(2048, 4096), { id: 2 });
+        const source = LZ4.compress(INPUT, oldDict);
+
+        const output = LZ4.transcode(source, { sourceDictionary: oldDict, dictionary: newDict });
+        assert.strictEqual(LZ4.inspect(output)[0].dictId, 2);
+        assertBufferEquals(LZ4.decompress(output, newDict), INPUT);
+
+        // Async resolvers need the stream
+        const resolver = async (id) => (id === 1 ? oldDict : null);
+        assert.throws(() => LZ4.transcode(source, { sourceDictionary: resolver }), (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+        assert.throws(() => LZ4.transcode(source, { sourceDictionary: async () => { throw new Error("offline"); } }),
+            (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT);
+        assertBufferEquals(LZ4.decompress(await transcodeStreamed(source, { sourceDictionary: resolver }, 4096)), INPUT);
+
+        const legacy = LZ4.transcode(SOURCE, { format: 'legacy' });
+        assert.strictEqual(LZ4.inspect(legacy)[0].type, 'legacy');
+        const modern = await transcodeStreamed(legacy, { blockChecksum: true }, 10000);
+        assertBufferEquals(LZ4.decompress(modern), INPUT);
+    });
+
+    it('should merge concatenated frames and surface source errors', () => {
+        const multi = merge([LZ4.compress(INPUT.subarray(0, 1000)), SOURCE.slice()]);
+        const output = LZ4.transcode(multi, { contentSize: true });
+        assert.strictEqual(LZ4.inspect(output)[0].contentSize, 1000 + INPUT.length);
+        assertBufferEquals(LZ4.decompress(output).subarray(1000), INPUT);
+
+        const corrupted = LZ4.compress(INPUT, null, 65536, false, false, true, null, { blockChecksum: true });
+        corrupted[30] ^= 0xFF;
+        assert.throws(() => LZ4.transcode(corrupted), /Block Checksum Error/);
+    });
+
+    it('should pass source skippable frames through in order', async () => {
+        const meta = LZ4.createSkippableFrame(1, "meta");
+        const part = INPUT.subarray(0, 5000);
+        const first = LZ4.compress(part);
+        const layout = (data) => LZ4.inspect(data).map((f) => (f.type === 'skippable' ? f.nibble : f.type));
+
+        const leading = LZ4.transcode(merge([meta, first]));
+        assert.deepStrictEqual(layout(leading), [1, 'frame']);
+        assertBufferEquals(leading.subarray(0, meta.length), meta);
+
+        // One between LZ4 frames ends the output frame; each output frame declares its own size
+        const source = merge([meta, first, LZ4.createSkippableFrame(2, "mid"), SOURCE, LZ4.createSkippableFrame(3, "end")]);
+        const output = LZ4.transcode(source, TARGET);
+        assert.deepStrictEqual(layout(output), [1, 'frame', 2, 'frame', 3]);
+        assert.deepStrictEqual(LZ4.inspect(output).filter((f) => f.type === 'frame').map((f) => f.contentSize), [part.length, INPUT.length]);
+        const nibbles = [];
+        assertBufferEquals(LZ4.decompress(output, null, true, { onSkippableFrame: (data, nibble) => nibbles.push(nibble) }), merge([part, INPUT]));
+        assert.deepStrictEqual(nibbles, [1, 2, 3]);
+
+        const declared = LZ4.transcode(merge([first, LZ4.createSkippableFrame(2, "mid"), first]), { contentSize: true });
+        assert.deepStrictEqual(LZ4.inspect(declared).filter((f) => f.type === 'frame').map((f) => f.contentSize), [part.length, part.length]);
+
+        const plain = { maxBlockSize: 65536, blockIndependence: true };
+        assertBufferEquals(await transcodeStreamed(source, plain, 4096), LZ4.transcode(source, plain));
+
+        // The target's own skippable frames go around all of it
+        const wrapped = LZ4.transcode(merge([first, LZ4.createSkippableFrame(3, "end")]), {
+            skippableFrames: [{ nibble: 5, data: "new" }, { nibble: 6, data: "after", position: 'after' }]
+        });
+        assert.deepStrictEqual(layout(wrapped), [5, 'frame', 3, 6]);
+    });
+
+    it('should apply the decoder options to the source', async () => {
+        const isLimit = (e) => e.code === LZ4.errorCodes.LIMIT_EXCEEDED;
+        assert.throws(() => LZ4.transcode(SOURCE, { maxOutputSize: 100000 }), isLimit);
+        assert.throws(() => LZ4.transcode(SOURCE, { ...TARGET, maxOutputSize: 100000 }), isLimit);
+        await assert.rejects(transcodeStreamed(SOURCE, { maxOutputSize: 100000 }, 65536), isLimit);
+        // maxBlockSize sets the output; the source limit has its own name
+        assert.throws(() => LZ4.transcode(SOURCE, { maxBlockSize: 65536, sourceMaxBlockSize: 65536 }), isLimit);
+
+        const garbage = merge([SOURCE, new TextEncoder().encode("not a frame")]);
+        assert.throws(() => LZ4.transcode(garbage), (e) => e.code === LZ4.errorCodes.MAGIC);
+        assertBufferEquals(LZ4.decompress(LZ4.transcode(garbage, { trailingData: 'ignore' })), INPUT);
+        assertBufferEquals(LZ4.decompress(await transcodeStreamed(garbage, { trailingData: 'ignore' }, 4096)), INPUT);
+    });
+
+    it('should reject a truncated source instead of closing the output frame', async () => {
+        const source = LZ4.compress(INPUT, null, 65536, false, true, false);
+        const truncated = source.subarray(0, Math.floor(source.length * 0.6));
+        const isTruncated = (e) => e.code === LZ4.errorCodes.TRUNCATED;
+
+        assert.throws(() => LZ4.transcode(truncated, TARGET), isTruncated);
+        assert.throws(() => LZ4.transcode(truncated, { maxBlockSize: 65536 }), isTruncated);
+        await assert.rejects(transcodeStreamed(truncated, { maxBlockSize: 65536 }, 4096), isTruncated);
+    });
+});
@@ -0,0 +1,65 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Encoder } from '../../src/shared/lz4Encode.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+// Deterministic pseudo-text: repeated vocabulary with varying order (realistic match structure)
+function createTextBuffer(size) {
+    const words = ["lz4", "frame", "block", "stream", "window", "dictionary", "checksum", "offset",
+        "literal", "match", "token", "header", "decoder", "encoder", "{\"id\":", "\"value\":", "\n"];
+    let seed = 12345;
+    let text = "";
+    while (text.length < size) {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        text += words[(seed >>> 16) % words.length] + " ";
+    }
+    return new TextEncoder().encode(text.slice(0, size));
+}
+
+describe('High Compression (LZ4HC)', () => {
+
+    const input = createTextBuffer(150000);
+
+    it('should compress smaller than the fast kernel and round-trip', () => {
+        const fast = LZ4.compress(input);
+        const hc = LZ4.compress(input, null, 65536, false, false, true, null, { compressionLevel: 9 });
+
+        assert.ok(hc.length < fast.length, `HC (${hc.length}) should be smaller than fast (${fast.length})`);
+        assertBufferEquals(LZ4.decompress(hc), input, "HC Round-Trip Failed");
+    });
+
+    it('should not lose ratio with the optimal parser (levels 10-12)', () => {
+        const lazy = LZ4.compress(input, null, 65536, true, false, true, null, { compressionLevel: 9 });
+        const optimal = LZ4.compress(input, null, 65536, true, false, true, null, { compressionLevel: 12 });
+
+        assert.ok(optimal.length <= lazy.length, `Level 12 (${optimal.length}) should not exceed level 9 (${lazy.length})`);
+        assertBufferEquals(LZ4.decompress(optimal), input, "Optimal Round-Trip Failed");
+    });
+
+    it('should produce frames LZ4Decoder can read (dependent blocks across the window)', () => {
+        const encoder = new LZ4Encoder(65536, false, true, null, { compressionLevel: 10 });
+        const frame = merge([
+            ...encoder.add(input.subarray(0, 70000)),
+            ...encoder.add(input.subarray(70000)),
+            ...encoder.finish()
+        ]);
+
+        const decoder = new LZ4Decoder();
+        assertBufferEquals(merge(decoder.update(frame)), input, "Streaming HC Round-Trip Failed");
+    });
+
+    it('should support compression levels in the Raw API', () => {
+        const block = input.subarray(0, 60000);
+        const output = new Uint8Array(block.length + (block.length / 255 | 0) + 16);
+
+        const fastSize = LZ4.compressRaw(block, new Uint8Array(output.length), 0, block.length, new Int32Array(16384), 0);
+        const written = LZ4.compressRaw(block, output, 0, block.length, null, 0, { compressionLevel: 12 });
+        assert.ok(written < fastSize, `Raw HC (${written}) should be smaller than raw fast (${fastSize})`);
+
+        const restored = new Uint8Array(block.length);
+        LZ4.decompressRaw(output, 0, written, restored, 0);
+        assertBufferEquals(restored, block, "Raw HC Round-Trip Failed");
+    });
+});
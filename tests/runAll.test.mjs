@@ -22,20 +22,43 @@ import './xxhash32/xxhash32Stateful.test.mjs';
 import './shared/lz4Base.test.mjs';
 import './shared/lz4Encode.test.mjs';
 import './shared/lz4Decode.test.mjs';
+import './shared/lz4Error.test.mjs';
+import './shared/lz4Context.test.mjs';
 
 // --- 4. Buffer API ---
 import './buffer/bufferCompress.test.mjs';
 import './buffer/bufferDecompress.test.mjs';
+import './buffer/compressInto.test.mjs';
+import './buffer/decompressInto.test.mjs';
+import './buffer/destSize.test.mjs';
 
 // --- 5. Stream API ---
 import './stream/streamCompress.test.mjs';
 import './stream/streamDecompress.test.mjs';
+import './stream/streamEnd.test.mjs';
 
 // --- 6. Advanced Features (NEW) ---
 import './raw/raw.test.mjs';
 import './async/async.test.mjs';
 import './types/types.test.mjs';
 import './dictionary/dictionary.test.mjs';
+import './dictionary/createDictionary.test.mjs';
+import './dictionary/dictionaryRegistry.test.mjs';
+import './dictionary/trainDictionary.test.mjs';
+import './dictionary/presets.test.mjs';
+import './frame/blockChecksum.test.mjs';
+import './frame/headerChecksum.test.mjs';
+import './frame/skippableFrame.test.mjs';
+import './frame/legacyFrame.test.mjs';
+import './frame/contentSize.test.mjs';
+import './frame/inspect.test.mjs';
+import './frame/seekable.test.mjs';
+import './frame/frameReaderWriter.test.mjs';
+import './frame/transcode.test.mjs';
+import './frame/safeDecode.test.mjs';
+import './frame/decodeLimits.test.mjs';
+import './frame/recover.test.mjs';
+import './hc/hc.test.mjs';
 
 // --- 7. Compliance ---
 import './golden.test.mjs';
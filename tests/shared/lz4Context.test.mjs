@@ -0,0 +1,81 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { assertBufferEquals } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("contexts own their tables and workspaces. ".repeat(8000));
+const OTHER = new TextEncoder().encode("a different payload, decoded while another call is running. ".repeat(3000));
+
+describe('Compression & Decompression Contexts', () => {
+
+    it('should produce the same output as the default context and reuse its memory', () => {
+        const compressCtx = LZ4.createCompressionContext();
+        const decompressCtx = LZ4.createDecompressionContext();
+        const dict = LZ4.createDictionary(INPUT.subarray(0, 4096));
+
+        const configs = [
+            [null, 65536, false, {}],
+            [null, 65536, true, { compressionLevel: 9 }],
+            [dict, 65536, false, {}],
+            [null, 4194304, false, { format: 'legacy' }]
+        ];
+        for (const [dictionary, blockSize, independent, options] of configs) {
+            const expected = LZ4.compress(INPUT, dictionary, blockSize, independent, true, false, null, options);
+            const frame = LZ4.compress(INPUT, dictionary, blockSize, independent, true, false, null, { ...options, context: compressCtx });
+            assertBufferEquals(frame, expected);
+            assertBufferEquals(LZ4.decompress(frame, dictionary, true, { context: decompressCtx }), INPUT);
+        }
+
+        const { hashTable, hcTable } = compressCtx;
+        const workspace = decompressCtx.workspace;
+        LZ4.compress(INPUT, null, 65536, false, false, false, null, { context: compressCtx, compressionLevel: 9 });
+        LZ4.decompress(LZ4.compress(INPUT, null, 65536, false, false, false), null, true, { context: decompressCtx });
+        assert.strictEqual(compressCtx.hashTable, hashTable);
+        assert.strictEqual(compressCtx.hcTable, hcTable);
+        assert.strictEqual(decompressCtx.workspace, workspace);
+
+        // Raw blocks borrow the context's tables when none is passed
+        const output = new Uint8Array(INPUT.length + 1024);
+        const size = LZ4.compressRaw(INPUT, output, 0, INPUT.length, null, 0, { context: compressCtx });
+        const decoded = new Uint8Array(INPUT.length);
+        LZ4.decompressRaw(output, 0, size, decoded, 0);
+        assertBufferEquals(decoded, INPUT);
+    });
+
+    it('should be safe to call the top-level functions re-entrantly', () => {
+        const other = LZ4.compress(OTHER, null, 65536, false, false, false);
+        const frame = LZ4.compress(INPUT, null, 65536, false, false, false, null, {
+            skippableFrames: [{ data: "before" }, { data: "after", position: 'after' }]
+        });
+
+        // Each callback decompresses (and compresses) while the outer call holds the default contexts
+        const nested = [];
+        const result = LZ4.decompress(frame, null, true, {
+            onSkippableFrame: () => {
+                nested.push(LZ4.decompress(other));
+                nested.push(LZ4.decompress(LZ4.compress(OTHER, null, 65536, false, false, false, null, { compressionLevel: 9 })));
+            }
+        });
+        assertBufferEquals(result, INPUT);
+        assert.strictEqual(nested.length, 4);
+        for (const n of nested) assertBufferEquals(n, OTHER);
+    });
+
+    it('should reject an explicit context entered twice or of the wrong kind', () => {
+        const ctx = LZ4.createDecompressionContext();
+        const frame = LZ4.compress(INPUT, null, 65536, false, false, false, null, { skippableFrames: [{ data: "meta" }] });
+
+        assert.throws(() => LZ4.decompress(frame, null, true, {
+            context: ctx,
+            onSkippableFrame: () => LZ4.decompress(frame, null, true, { context: ctx })
+        }), (e) => e.code === LZ4.errorCodes.INVALID_STATE && /DecompressionContext is already in use/.test(e.message));
+
+        // Released after the error
+        assertBufferEquals(LZ4.decompress(frame, null, true, { context: ctx }), INPUT);
+        assert.throws(() => LZ4.decompress(new Uint8Array(8), null, true, { context: ctx }), /Invalid Magic Number/);
+        assertBufferEquals(LZ4.decompress(frame, null, true, { context: ctx }), INPUT);
+
+        assert.throws(() => LZ4.compress(INPUT, null, 65536, false, false, true, null, { context: ctx }),
+            (e) => e.code === LZ4.errorCodes.INVALID_ARGUMENT && /must be a CompressionContext/.test(e.message));
+    });
+});
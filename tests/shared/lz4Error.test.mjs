@@ -0,0 +1,141 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { merge } from '../utils.mjs';
+
+const { LZ4Error, errorCodes } = LZ4;
+
+const INPUT = new TextEncoder().encode("typed errors carry a code and a location. ".repeat(5000));
+
+/**
+ * Runs `fn` and returns the error it throws.
+ */
+function catchError(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    assert.fail("Expected an error");
+}
+
+/**
+ * Feeds `data` to a fresh stream decoder in `chunkSize` pieces and returns the error it throws.
+ */
+function catchStreamError(data, chunkSize = 1000, options = {}) {
+    const decoder = new LZ4Decoder(options.dictionary || null, true, options);
+    return catchError(() => {
+        for (let i = 0; i < data.length; i += chunkSize) decoder.update(data.subarray(i, i + chunkSize));
+    });
+}
+
+describe('Typed Errors (LZ4Error)', () => {
+
+    it('should report stable codes for frame errors', () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, true, true, null, { blockChecksum: true });
+
+        const magic = catchError(() => LZ4.decompress(new Uint8Array([1, 2, 3, 4, 5, 6, 7])));
+        assert.ok(magic instanceof LZ4Error);
+        assert.ok(magic instanceof Error);
+        assert.strictEqual(magic.name, 'LZ4Error');
+        assert.strictEqual(magic.code, 'ERR_LZ4_MAGIC');
+        assert.match(magic.message, /^LZ4: Invalid Magic Number/);
+
+        const header = frame.slice();
+        header[6] ^= 0x01; // Content size byte: HC no longer matches
+        assert.strictEqual(catchError(() => LZ4.decompress(header)).code, errorCodes.HEADER_CHECKSUM);
+
+        const content = frame.slice();
+        content[content.length - 1] ^= 0xFF;
+        assert.strictEqual(catchError(() => LZ4.decompress(content)).code, errorCodes.CONTENT_CHECKSUM);
+
+        const unsized = LZ4.compress(INPUT, null, 65536, true, true, false);
+        assert.strictEqual(catchError(() => LZ4.decompress(unsized.subarray(0, 200))).code, errorCodes.TRUNCATED);
+
+        const dict = LZ4.createDictionary(INPUT.subarray(0, 1024), { id: 7 });
+        const other = LZ4.createDictionary(INPUT.subarray(0, 1024), { id: 8 });
+        const withDict = LZ4.compress(INPUT, dict);
+        assert.strictEqual(catchError(() => LZ4.decompress(withDict, other)).code, errorCodes.DICT_MISMATCH);
+        assert.strictEqual(catchError(() => LZ4.decompress(withDict)).code, errorCodes.DICT_MISSING);
+        assert.strictEqual(catchError(() => LZ4.decompress(frame, null, true, { maxOutputSize: 10 })).code, errorCodes.LIMIT_EXCEEDED);
+    });
+
+    it('should locate block errors by frame, block and input offset', () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, false, false, null, { blockChecksum: true });
+        const [info] = LZ4.inspect(frame);
+        const block = info.blocks[2];
+
+        const corrupted = frame.slice();
+        corrupted[block.offset + 10] ^= 0xFF;
+        for (const error of [catchError(() => LZ4.decompress(corrupted)), catchStreamError(corrupted)]) {
+            assert.strictEqual(error.code, errorCodes.BLOCK_CHECKSUM);
+            assert.strictEqual(error.frameIndex, 0);
+            assert.strictEqual(error.blockIndex, 2);
+            assert.strictEqual(error.offset, block.offset);
+        }
+
+        // Same corruption without checksums: the block itself fails to decode, inside its bytes
+        const plain = LZ4.compress(INPUT, null, 65536, true, false, false);
+        const plainBlock = LZ4.inspect(plain)[0].blocks[1];
+        const broken = plain.slice();
+        broken.fill(0xFF, plainBlock.offset + 4, plainBlock.offset + 4 + plainBlock.size);
+        for (const error of [catchError(() => LZ4.decompress(broken)), catchStreamError(broken)]) {
+            assert.strictEqual(error.code, errorCodes.MALFORMED_BLOCK);
+            assert.strictEqual(error.frameIndex, 0);
+            assert.strictEqual(error.blockIndex, 1);
+            assert.ok(error.offset >= plainBlock.offset + 4 && error.offset <= plainBlock.offset + 4 + plainBlock.size,
+                `Offset ${error.offset} should fall inside block 1`);
+        }
+    });
+
+    it('should count frames in concatenated input', () => {
+        const first = LZ4.compress(INPUT.subarray(0, 5000));
+        const second = LZ4.compress(INPUT, null, 65536, true, true, false);
+        second[second.length - 1] ^= 0xFF;
+        const data = merge([first, LZ4.createSkippableFrame(1, "meta"), second]);
+
+        const error = catchStreamError(data, 777);
+        assert.strictEqual(error.code, errorCodes.CONTENT_CHECKSUM);
+        assert.strictEqual(error.frameIndex, 1);
+        assert.strictEqual(error.offset, data.length - 4);
+
+        const garbage = catchStreamError(merge([first, new Uint8Array(8)]));
+        assert.strictEqual(garbage.code, errorCodes.MAGIC);
+        assert.strictEqual(garbage.frameIndex, 1);
+        assert.strictEqual(garbage.offset, first.length);
+
+        const reader = new LZ4.LZ4FrameReader();
+        reader.update(first);
+        const truncated = catchError(() => {
+            reader.update(second.subarray(0, 100));
+            reader.finish();
+        });
+        assert.strictEqual(truncated.code, errorCodes.TRUNCATED);
+        assert.strictEqual(truncated.frameIndex, 1);
+    });
+
+    it('should survive serialization across the worker boundary', () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, false, false, null, { blockChecksum: true });
+        frame[40] ^= 0xFF;
+        const error = catchError(() => LZ4.decompress(frame));
+
+        // The worker posts `toJSON()`; structured cloning keeps plain objects intact
+        const rebuilt = LZ4Error.fromJSON(structuredClone(error.toJSON()));
+        assert.ok(rebuilt instanceof LZ4Error);
+        assert.strictEqual(rebuilt.code, errorCodes.BLOCK_CHECKSUM);
+        assert.strictEqual(rebuilt.message, error.message);
+        assert.deepStrictEqual([rebuilt.frameIndex, rebuilt.blockIndex, rebuilt.offset], [0, 0, error.offset]);
+
+        const plain = LZ4Error.fromJSON({ message: "Worker crashed" });
+        assert.ok(!(plain instanceof LZ4Error));
+        assert.strictEqual(plain.message, "Worker crashed");
+    });
+
+    it('should use codes for usage errors', () => {
+        assert.strictEqual(catchError(() => LZ4.compress(INPUT, null, 65536, false, false, true, null, { format: 'zip' })).code, errorCodes.INVALID_ARGUMENT);
+        const writer = new LZ4.LZ4FrameWriter();
+        assert.strictEqual(catchError(() => writer.writeEnd()).code, errorCodes.INVALID_STATE);
+        assert.strictEqual(catchError(() => LZ4.compress(Symbol("x"))).code, errorCodes.INVALID_ARGUMENT);
+    });
+});
@@ -0,0 +1,80 @@
+import { it, describe } from 'node:test';
+import assert from 'node:assert';
+import { LZ4 } from '../../src/lz4.js';
+import { LZ4Decoder } from '../../src/shared/lz4Decode.js';
+import { assertBufferEquals, merge } from '../utils.mjs';
+
+const INPUT = new TextEncoder().encode("a stream is only complete once its frame is. ".repeat(4000));
+
+/**
+ * Pipes `data` through a decompression stream in `chunkSize` pieces and returns the merged output.
+ */
+async function pipe(stream, data, chunkSize = 1000) {
+    const writer = stream.writable.getWriter();
+    const chunks = [];
+    const reading = (async () => {
+        for await (const chunk of stream.readable) chunks.push(chunk);
+    })();
+    const writing = (async () => {
+        for (let i = 0; i < data.length; i += chunkSize) await writer.write(data.subarray(i, i + chunkSize));
+        await writer.close();
+    })();
+    await Promise.all([reading, writing]);
+    return merge(chunks);
+}
+
+describe('Strict End of Stream (flush)', () => {
+
+    it('should error when the stream ends inside a frame', async () => {
+        const frame = LZ4.compress(INPUT, null, 65536, true, true, false);
+        const block = LZ4.inspect(frame)[0].blocks[1];
+
+        const cases = [
+            [frame.subarray(0, 5), /LZ4: Truncated Frame$/],
+            [frame.subarray(0, block.offset + 20), /Truncated Block \(block 1 at offset \d+\)/],
+            [frame.subarray(0, frame.length - 8), /missing EndMark/],
+            [frame.subarray(0, frame.length - 2), /missing Content Checksum/]
+        ];
+        for (const [data, message] of cases) {
+            await assert.rejects(pipe(LZ4.createDecompressStream(), data), (e) => {
+                assert.strictEqual(e.code, LZ4.errorCodes.TRUNCATED);
+                assert.match(e.message, message);
+                return true;
+            });
+            await assert.rejects(LZ4.decompressAsync(data), message);
+        }
+
+        await assert.rejects(pipe(LZ4.createDecompressStream(), LZ4.createSkippableFrame(2, "meta").subarray(0, 10)), /Truncated Skippable Frame/);
+        assertBufferEquals(await pipe(LZ4.createDecompressStream(), frame), INPUT);
+        assert.strictEqual((await pipe(LZ4.createDecompressStream(), new Uint8Array(0))).length, 0);
+    });
+
+    it('should accept complete legacy frames and truncated input with safe: false', async () => {
+        const legacy = LZ4.compress(INPUT, null, 4194304, false, false, false, null, { format: 'legacy' });
+        assertBufferEquals(await pipe(LZ4.createDecompressStream(), legacy), INPUT);
+        await assert.rejects(pipe(LZ4.createDecompressStream(), legacy.subarray(0, legacy.length - 1)), /Truncated Block \(block 0 at offset 4\)/);
+
+        const frame = LZ4.compress(INPUT, null, 65536, true, true, false);
+        const partial = await pipe(LZ4.createDecompressStream(null, true, { safe: false }), frame.subarray(0, frame.length - 2));
+        assertBufferEquals(partial, INPUT);
+    });
+
+    it('should reject, ignore or emit trailing data', async () => {
+        const frame = LZ4.compress(INPUT);
+        const garbage = new TextEncoder().encode("not a frame at all");
+
+        await assert.rejects(pipe(LZ4.createDecompressStream(), merge([frame, garbage])), (e) => e.code === LZ4.errorCodes.MAGIC && e.frameIndex === 1);
+        assertBufferEquals(await pipe(LZ4.createDecompressStream(null, true, { trailingData: 'ignore' }), merge([frame, garbage]), 7), INPUT);
+        assertBufferEquals(await pipe(LZ4.createDecompressStream(null, true, { trailingData: 'emit' }), merge([frame, garbage]), 7), merge([INPUT, garbage]));
+        assertBufferEquals(await LZ4.decompressAsync(merge([frame, garbage]), null, true, 1, { trailingData: 'emit' }), merge([INPUT, garbage]));
+
+        // Shorter than a magic number: only known once the stream ends
+        const stub = garbage.subarray(0, 3);
+        await assert.rejects(pipe(LZ4.createDecompressStream(), merge([frame, stub])), /Truncated Frame/);
+        assertBufferEquals(await pipe(LZ4.createDecompressStream(null, true, { trailingData: 'emit' }), merge([frame, stub])), merge([INPUT, stub]));
+
+        // Data that is not a frame from the start is never trailing
+        await assert.rejects(pipe(LZ4.createDecompressStream(null, true, { trailingData: 'ignore' }), garbage), /Invalid Magic Number/);
+        assert.throws(() => new LZ4Decoder(null, true, { trailingData: 'keep' }), /trailingData must be 'error', 'ignore' or 'emit'/);
+    });
+});
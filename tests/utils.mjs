@@ -1,4 +1,5 @@
 import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
 
 
 export function createRandomBuffer(size) {
@@ -18,9 +19,72 @@ export function assertBufferEquals(actual, expected, message) {
     }
 }
 
+/**
+ * Incompressible bytes (xorshift), the same for the same seed.
+ * @param {number} size
+ * @param {number} [seed=42]
+ * @returns {Uint8Array}
+ */
+export function noise(size, seed = 42) {
+    const out = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        out[i] = seed & 0xFF;
+    }
+    return out;
+}
+
+/**
+ * Concatenates chunks (e.g. the output of a stream or of several `compress` calls).
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+export function merge(chunks) {
+    const total = chunks.reduce((acc, c) => acc + c.length, 0);
+    const res = new Uint8Array(total);
+    let off = 0;
+    for (const c of chunks) {
+        res.set(c, off);
+        off += c.length;
+    }
+    return res;
+}
+
+/**
+ * Collects everything a ReadableStream emits.
+ * @param {ReadableStream<Uint8Array>} readable
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readAll(readable) {
+    const chunks = [];
+    for await (const chunk of readable) chunks.push(chunk);
+    return merge(chunks);
+}
+
 // "Hello World" in LZ4 Frame Format (Standard Reference)
 // Header: Magic(4) + FLG/BD(2) + HC(1)
 // Block: Size(4) + Data(11) + EndMark(4) + ContentChecksum(4)
 export const GOLDEN_INPUT = "Hello World";
 // Note: This hex might vary slightly based on block independence flags,
-// but we will generate our own golden references dynamically in some tests.
\ No newline at end of file
+// but we will generate our own golden references dynamically in some tests.
+
+/**
+ * Reads a file committed under tests/fixtures (frames written by the reference lz4 CLI).
+ * @param {string} name - File name, e.g. "lines.BX.B4.lz4".
+ * @returns {Uint8Array}
+ */
+export function readFixture(name) {
+    return new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+}
+
+/**
+ * The text compressed into the `lines.*` fixtures: about 2.5 blocks of 64KB.
+ * @returns {Uint8Array}
+ */
+export function createLinesInput() {
+    let text = '';
+    for (let i = 0; text.length < 65536 * 2.5; i++) text += `line ${i}: the quick brown fox ${i % 7}\n`;
+    return new TextEncoder().encode(text);
+}
@@ -27,6 +27,16 @@ describe('xxHash32 (Stateless)', () => {
         assert.notStrictEqual(val1, val2);
     });
 
+    it('should match the reference for inputs of 16 bytes and more', () => {
+        // Values from the reference implementation (the lz4 CLI writes the first four as content checksums)
+        const encode = (s) => new TextEncoder().encode(s);
+        assert.strictEqual(xxHash32(new Uint8Array(16), 0), 0x8E022B3A);
+        assert.strictEqual(xxHash32(encode("abcdefghijklmnop"), 0), 0x9D2D8B62);
+        assert.strictEqual(xxHash32(encode("abcd".repeat(10)), 0), 0x4609F1E6);
+        assert.strictEqual(xxHash32(encode("Nobody inspects the spammish repetition"), 0), 0xE2293B2F);
+        assert.strictEqual(xxHash32(encode("Nobody inspects the spammish repetition"), 0x9E3779B1), 0xC9E89E68);
+    });
+
     it('should handle large buffers (aligned and unaligned)', () => {
         // Create a buffer > 16 bytes to trigger the loop
         const buffer = new Uint8Array(100).fill(0xAA);
@@ -58,6 +58,15 @@ describe('xxHash32 (Stateful / Streaming)', () => {
         assert.strictEqual(actual, expected);
     });
 
+    it('should match the reference when fed in chunks', () => {
+        const input = createRandomBuffer(1024);
+        for (const [seed, expected] of [[0, 0xB5540123], [12345, 0xBE76ED1E]]) {
+            const hasher = new XXHash32(seed);
+            for (let i = 0; i < input.length; i += 100) hasher.update(input.subarray(i, i + 100));
+            assert.strictEqual(hasher.digest(), expected);
+        }
+    });
+
     it('should support incremental digests (peek hash without resetting)', () => {
         const hasher = new XXHash32(0);
 